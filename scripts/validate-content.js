@@ -0,0 +1,53 @@
+/**
+ * Content validation CLI
+ *
+ * Prints the contentValidator report for the base game (plus any packs
+ * registered by modules passed as arguments) and exits with 1 on errors.
+ *
+ *   node scripts/validate-content.js [--strict] [pack modules...]
+ *
+ * --strict also fails on warnings.
+ */
+
+import { readdirSync, readFileSync } from "node:fs";
+import { join, relative, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { registerContent } from "../src/data/contentRegistry.js";
+import { validateContent, formatValidationReport } from "../src/data/contentValidator.js";
+
+const ROOT = resolve(fileURLToPath(import.meta.url), "../..");
+
+/**
+ * Read every .js/.jsx file under a directory
+ * @param {string} dir - Directory (default src/)
+ * @returns {Object} { [path relative to the repo]: source text }
+ */
+export function readSourceTree(dir = join(ROOT, "src")) {
+  const sources = {};
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) Object.assign(sources, readSourceTree(path));
+    else if (/\.jsx?$/.test(entry.name)) sources[relative(ROOT, path)] = readFileSync(path, "utf8");
+  }
+  return sources;
+}
+
+async function main(args) {
+  const strict = args.includes("--strict");
+  for (const file of args.filter((a) => !a.startsWith("--"))) {
+    const mod = await import(pathToFileURL(resolve(file)).href);
+    // A pack module exports its pack object(s); register whatever looks like one
+    for (const value of Object.values(mod)) {
+      if (value && typeof value.id === "string" && typeof value.version === "string") registerContent(value);
+    }
+  }
+
+  const report = validateContent({ sources: readSourceTree() });
+  console.log(formatValidationReport(report));
+  const failed = report.errors.length > 0 || (strict && report.warnings.length > 0);
+  process.exitCode = failed ? 1 : 0;
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2));
+}
@@ -53,3 +53,29 @@ export function createAudioContext(audioRef, uiRef, stateRef, menuMusicUrl, batt
     sfxInteract: () => sfxInteractFn(audioRef),
   };
 }
+
+/**
+ * Create a silent audio context with the same shape as createAudioContext
+ * Used by the headless runtime (tests, balance scripts) where no Web Audio API exists
+ */
+export function createSilentAudioContext() {
+  const noop = () => {};
+  return {
+    ensureAudio: noop,
+    applyAudioToggles: noop,
+    updateMusicVolume: noop,
+    updateMusic: noop,
+    tickMusic: noop,
+    playBeep: noop,
+    sfxShoot: noop,
+    sfxHit: noop,
+    sfxKill: noop,
+    sfxCoin: noop,
+    sfxCrit: noop,
+    sfxLevelUp: noop,
+    sfxLevel: noop,
+    sfxBoss: noop,
+    sfxGameOver: noop,
+    sfxInteract: noop,
+  };
+}
@@ -1,60 +1,27 @@
-﻿import React, { useEffect, useMemo, useRef, useState } from "react";
-import { clamp, lerp, rand, dist2, format } from "../utils/math.js";
-import { hexToRgb, lerpColor, adjustBrightness } from "../utils/color.js";
-import { deepClone, pickWeighted } from "../utils/data.js";
-import { xpToNext, computeSpeed, statLine, buildPreview as buildPreviewUtil, chestCost, mitigateDamage, rollEvasion } from "../utils/gameMath.js";
-import { RARITY, RARITY_COLOR } from "../data/constants.js";
-import { LATEST_UPDATES } from "../rendering/HudRenderer.js";
-import { getVisualRadius, resolveKinematicOverlap, resolveDynamicOverlap } from "../game/systems/CollisionSystem.js";
-import { isPointWalkable, findNearestWalkable, hasLineOfSight, circleOverlapsRect } from "../game/world/WalkabilitySystem.js";
-import { generateFlowField, getFlowDirection } from "../game/systems/PathfindingSystem.js";
-// System function stubs defined inline
-import { BSPNode, generateBSPDungeon, convertBSPToGrid, generateWallInfluenceMap } from "../game/world/BSPDungeonGenerator.js";
-import { generateProceduralLevel } from "../game/world/LevelGenerator.js";
-import { ENEMY_BASE_STATS, getEnemyTierWeights, ELITE_CONFIG, getRandomEliteAbility, getRandomEliteWeakness } from "../data/enemyData.js";
-import { createPlayerWithCharacter } from "../data/characterData.js";
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { clamp } from "../utils/math.js";
+import { xpToNext, chestCost, mitigateDamage } from "../utils/gameMath.js";
+import { RARITY } from "../data/constants.js";
+import { resolveKinematicOverlap, resolveDynamicOverlap } from "../game/systems/CollisionSystem.js";
+import { createGameRuntime } from "../game/GameRuntime.js";
+import { createWorldService } from "../game/workers/WorldService.js";
+import { createAudioContext } from "../audio/AudioContext.js";
+import { createKeydownHandler, createKeyupHandler, createBlurHandler, createPointerDownHandler, createWheelHandler } from "../game/input/EventHandlers.js";
+import { requestFullscreen as requestFullscreenFn, resizeCanvas as resizeCanvasFn, safeBest } from "../rendering/CanvasManager.js";
+import { renderFrame, handlePlayerDeath, checkLevelupState } from "../rendering/RenderOrchestrator.js";
+import { drawReplayOverlay } from "../rendering/HudRenderer.js";
+import { createReplayPlayer, downloadReplay, pickReplayFile } from "../game/input/ReplayPlayer.js";
+import { createFixedTimestep, MAX_FRAME_TIME } from "../game/FixedTimestep.js";
+import { captureRenderState, interpolateRenderState } from "../rendering/Interpolation.js";
 import menuMusicUrl from "../audio/music/Menu.mp3";
 import battleMusicUrl from "../audio/music/Battle.mp3";
-// Audio and effect stubs defined inline
-// System function stubs defined inline
 
 // Aliases for backward compatibility
-const getVisualCubeRadius = getVisualRadius;
 const resolveKinematicCircleOverlap = resolveKinematicOverlap;
 const resolveDynamicCircleOverlap = resolveDynamicOverlap;
 
-
-
-// ============================================================================
-// COLLISION DETECTION SYSTEM
-// ============================================================================
-// Hybrid approach: Grid quick rejection + precise circle-rectangle overlap
-// Uses exact room/corridor bounds from BSP generation (no expansion)
-// Visual bounds = collision bounds for perfect accuracy
-
-// Helper: Check if circle overlaps rectangle
-// ============================================================================
-// PATHFINDING & LINE OF SIGHT SYSTEM
-// ============================================================================
-
-
-
-
-// ============================================================================
-// ISOMETRIC TRANSFORMATION FUNCTIONS
-// ============================================================================
-
 // Temporarily disable isometric mode for debugging
 const ISO_MODE = false;
-// import { worldToIso, isoToWorld, getIsoDepth, transformInputForIsometric, drawIsometricCube, drawEntityAsCube, drawIsometricRectangle } from "../rendering/IsometricRenderer.js";
-// import { drawWorld } from "../rendering/WorldRenderer.js";
-import { drawHud, drawOverlay } from "../rendering/HudRenderer.js";
-import { BossController, ConeAttackAbility, LineDashAbility, RingPulseAbility, TeleportAbility, ChargeAbility, MultiShotAbility, BOSS_ABILITY_STATE, DANGER_ZONE_TYPE } from "../game/systems/BossAbilitySystem.js";
-
-
-
-// RARITY already imported above
-import { createGameContent } from "../data/index.js";
 
 function runSelfTests() {
   try {
@@ -96,6 +63,10 @@ export default function NeonPitRoguelikeV3() {
   const sizeRef = useRef({ w: 960, h: 540, dpr: 1 });
   const lastTimeRef = useRef(performance.now());
   const jumpKeyJustPressedRef = useRef(false);
+  // Presses queued by the keydown/pointer handlers, applied at the start of the next frame
+  const pendingInputRef = useRef({ jump: false, ability: false, interact: false });
+  const replayRef = useRef(null); // Active ReplayPlayer while watching a replay
+  const replayTimeRef = useRef(0); // Real time owed to the replay (recorded frames carry their own dt)
 
   const audioRef = useRef({
     ctx: null,
@@ -144,6 +115,7 @@ export default function NeonPitRoguelikeV3() {
     levelUpFanfareT: 0, // Level up fanfare animation timer
     chestOpenFanfareT: 0, // Chest opening fanfare animation timer
     highestRarity: RARITY.COMMON, // Highest rarity in current choices for fanfare color
+    savedRun: null, // Autosaved run shown as Continue on the menu
   });
 
   // ISO_SCALE state for dynamic adjustment during testing
@@ -165,469 +137,150 @@ export default function NeonPitRoguelikeV3() {
 
   const stateRef = useRef(null);
 
-  // Audio system stubs - placeholder implementations
-  function ensureAudio() {
-    // Stub: Audio system not implemented
-  }
-
-  function applyAudioToggles(nextUi) {
-    // Stub: Audio toggles not implemented
-  }
-
-  function updateMusicVolume() {
-    // Stub: Music volume not implemented
-  }
-
-  function updateMusic(dt) {
-    // Stub: Music update not implemented
-  }
-
-  function playBeep(params) {
-    // Stub: Beep sound not implemented
-  }
-
-  function sfxShoot(xNorm = 0, variant = 0) {
-    // Stub: Shoot sound not implemented
-  }
-
-  function sfxHit(xNorm = 0, variant = 0) {
-    // Stub: Hit sound not implemented
-  }
-
-  function sfxKill(xNorm = 0) {
-    // Stub: Kill sound not implemented
-  }
-
-  function sfxCoin(xNorm = 0) {
-    // Stub: Coin sound not implemented
-  }
-
-  function sfxCrit(xNorm = 0) {
-    // Stub: Crit sound not implemented
-  }
-
-  function sfxLevelUp() {
-    // Stub: Level up sound not implemented
-  }
-
-  function sfxLevel() {
-    // Stub: Level sound not implemented
-  }
-
-  function sfxBoss() {
-    // Stub: Boss sound not implemented
-  }
-
-  function sfxGameOver() {
-    // Stub: Game over sound not implemented
-  }
-
-  function sfxInteract() {
-    // Stub: Interact sound not implemented
-  }
-
-  function tickMusic(dt, waveIntensity) {
-    // Stub: Music tick not implemented
-  }
-
-  // System function stubs
-  const makePlayerFn = (characterId) => {
-    // Stub: Player creation not implemented
-    return { x: 400, y: 300, weapons: [], hp: 100, maxHp: 100 };
-  };
-
-  const shootBulletFn = (s, x, y, angle, dmg, speed, opts, sfxFn) => {
-    // Stub: Bullet shooting not implemented
-  };
-
-  const spawnInteractableFn = (s, type) => {
-    // Stub: Interactable spawning not implemented
-  };
-
-  const startBossFn = (s, seconds, bossX, bossY, shakeFn, sfxFn) => {
-    // Stub: Boss spawning not implemented
-  };
-
-  const spawnEnemyFn = (s, type, x, y) => {
-    // Stub: Enemy spawning not implemented
-  };
-
-  const applyWeaponFn = (player, weapon, rarity, previewOnly, forcedUpgradeType) => {
-    // Stub: Weapon application not implemented
-  };
-
-  const fireWeaponFn = (s, acquireTargetFn, shootBulletFn, pushCombatTextFn, bumpShakeFn, sfxShootFn) => {
-    // Stub: Weapon firing not implemented
-  };
-
-  const nearestInteractableFn = (s, playerX, playerY) => {
-    // Stub: Nearest interactable not implemented
-    return null;
-  };
-
-  const tryUseInteractableFn = (s, INTERACT, triggerUpgradeFn, startBossFn, sfxFn, content, uiRef) => {
-    // Stub: Interactable usage not implemented
-  };
-
-  const useAbilityFn = (s, acquireTargetFn, shootBulletFn, playBeepFn, keysRef) => {
-    // Stub: Ability usage not implemented
-  };
-
-  const isFullscreenFn = () => false; // Stub: Always return false
-  const requestFullscreenFn = () => {}; // Stub: Do nothing
-  const resizeCanvasFn = () => {}; // Stub: Do nothing
-  const safeBestFn = () => 0; // Stub: Return 0
-
-  const updateEnemySpawning = (s, dt, intensity, spawnEnemyFn) => {
-    // Stub: Enemy spawning not implemented
-  };
-
-  const recordDamageFn = (p, src, amt) => {
-    // Stub: Damage recording not implemented
-  };
-
-  const applyPlayerDamageFn = (s, amount, src, opts) => {
-    // Stub: Player damage not implemented
-  };
-
-  const handleAdminClickFn = (x, y, w, h, stateRef, uiRef, content, handleAdminAction, setUi) => {
-    // Stub: Admin click not implemented
-  };
-
-  const handleAdminActionFn = (s, action, INTERACT, startBossFn, spawnInteractableFn, applyWeaponFn, setUi, content, RARITY) => {
-    // Stub: Admin action not implemented
-  };
-
-  const awardXPFn = (s, amount, x, y, rollChoicesFn, sfxFn, uiRef, setUi) => {
-    // Stub: XP awarding not implemented
-  };
-
-  const createKeydownHandler = (context) => (e) => {};
-  const createKeyupHandler = (context) => (e) => {};
-  const createBlurHandler = (context) => (e) => {};
-  const createPointerDownHandler = (context) => (e) => {};
-  const createWheelHandler = (context) => (e) => {};
-
-  const newRunFn = (prevBest, charId, sizeRef, makePlayerFn, generateLevelFn, spawnInteractableFn, INTERACT, stateRef, setUi, ensureAudioFn, audioRef) => {
-    // Stub: New run not implemented
-  };
-
-  const processEnemyDeaths = (s, sfxFn) => {
-    // Stub: Enemy death processing not implemented
-  };
-
-  const updateBossPortalSpawning = (s, dt) => {};
-  const updateDifficultyScaling = (s, dt) => {};
-  const updateChestSpawning = (s, dt) => {};
-
-  const updateHealthRegeneration = (s, dt) => {};
-  const updateShieldRegeneration = (s, dt) => {};
-
-  const updateFrameState = (s, dt, uiRef, tickMusicFn, updateMusicFn) => 0;
-
-  const initializeCamera = () => {};
-  const updateCamera = () => {};
-
-  const updateJumpPhysics = (s, dt, keysRef, jumpKeyPressedRef) => {};
-  const updateBuffTimers = (p, dt) => {};
-
-  const updatePlayerMovement = (s, dt, keysRef) => {};
-  const updateWeaponCooldowns = (s, dt, pushCombatTextFn) => {};
-
-  const updateEnemyStatusEffects = (s, dt, pushCombatTextFn) => {};
-  const updateEnemyHitCooldowns = (s, dt) => {};
-  const updateEnemyAI = (s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitFn, levelBounds) => {};
-
-  const updateBullets = (s, dt, levelW, levelH, padding, applyPlayerDamageFn, audioRef) => {};
-  const updateBoss = (s, dt, applyPlayerDamageFn, sfxHitFn) => {};
-
-  const updateParticles = (s, dt) => {};
-  const updateLoot = (s, dt, awardXPFn, sfxCoinFn, audioRef) => {};
-
-  const handleFloorTransition = (s, generateLevelFn, spawnInteractableFn, INTERACT) => {};
-  const checkBossTimer = (s, applyPlayerDamageFn) => {};
-
-  const pushCombatTextFn = (s, x, y, text, col, opts) => {};
-  const acquireTargetFn = (s, fromX, fromY) => null;
-
-  // These are created via useMemo hooks below, don't stub them here
-
-  // Rendering stubs
-  const worldToIso = (x, y) => ({ x, y });
-  const isoToWorld = (x, y) => ({ x, y });
-  const getIsoDepth = (x, y) => 0;
-  const transformInputForIsometric = (input) => input;
-  const drawIsometricCube = () => {};
-  const drawEntityAsCube = () => {};
-  const drawIsometricRectangle = () => {};
-  const drawWorld = () => {};
-
-  const bumpShake = (s, intensity, duration) => {};
-  const addParticle = (s, x, y, count, life, opts) => {};
-  const addExplosion = (s, x, y, intensity, shakeIntensity) => {};
-  const addHitFlash = (s, x, y, r, col, life) => {};
-
-  // Rarity multiplier function stub
-  const rarityMult = (rarity) => {
-    switch (rarity) {
-      case RARITY.COMMON: return 1.0;
-      case RARITY.UNCOMMON: return 1.2;
-      case RARITY.RARE: return 1.5;
-      case RARITY.LEGENDARY: return 2.0;
-      default: return 1.0;
+  // All game systems, content and audio are composed once in the runtime
+  const runtime = useMemo(() => {
+    const audio = createAudioContext(audioRef, uiRef, stateRef, menuMusicUrl, battleMusicUrl, clamp);
+    let storage = null;
+    try {
+      storage = window.localStorage;
+    } catch {
+      // Storage blocked (private mode) - runs just aren't saved
     }
-  };
-
-  // Icon drawing function stub
-  const makeIconDraw = (iconName) => {
-    return (ctx, x, y, size, rarity) => {
-      // Stub: Simple colored rectangle as icon
-      ctx.fillStyle = RARITY_COLOR[rarity]?.bg || "#666";
-      ctx.fillRect(x - size/2, y - size/2, size, size);
-    };
-  };
-
-  const content = useMemo(() => {
+    let world = null;
     try {
-      console.log('Creating game content...');
-      // Simplified content creation for debugging
-      return {
-        weapons: [],
-        tomes: [],
-        items: [],
-        characters: [
-          {
-            id: "cowboy",
-            name: "Cowboy",
-            subtitle: "Test Character",
-            startWeapon: "revolver",
-            stats: { hp: 100, speedBase: 75 },
-            space: { name: "Test Ability" },
-            perk: "Test Perk"
-          }
-        ]
-      };
-    } catch (error) {
-      console.error('Failed to create game content:', error);
-      return {
-        weapons: [],
-        tomes: [],
-        items: [],
-        characters: []
-      };
+      world = createWorldService(new Worker(new URL("../game/workers/worldWorker.js", import.meta.url), { type: "module" }));
+    } catch {
+      // No module workers - levels and flow fields are generated on the main thread
     }
+    return createGameRuntime({ stateRef, uiRef, setUi, audioRef, keysRef, jumpKeyJustPressedRef, sizeRef, audio, isoMode: ISO_MODE, storage, world });
   }, []);
+  const { content, audio } = runtime;
+  const { ensureAudio, applyAudioToggles, updateMusicVolume } = audio;
+  const { pickChoice, handleAdminClick } = runtime;
 
-  // Create choice rolling functions - stub implementations
-  const rollChoicesOfType = (type, rarity) => [];
-  const rollLevelChoices = () => [];
-  const rollChestChoices = () => [];
-
-  // Create upgrade sequence function - stub implementation
-  const triggerUpgradeSequence = (s, content) => {};
-
-  // Create choice handler function - stub implementation
-  const pickChoice = (index) => {};
-
-  function isFullscreen() {
-    return isFullscreenFn();
-  }
-
-  function requestFullscreen() {
-    return requestFullscreenFn(wrapRef, canvasRef, setUi, uiRef);
-  }
-
-  function safeBest() {
-    return safeBestFn();
-  }
-
-  function resizeCanvas() {
-    return resizeCanvasFn(canvasHolderRef, canvasRef, sizeRef, stateRef);
-  }
-
-  // Spawning & Factory wrappers - delegate to extracted modules
-  function spawnEnemy(s) {
-    spawnEnemyFn(s);
-  }
-
-  function acquireTarget(s, fromX, fromY) {
-    return acquireTargetFn(s, fromX, fromY);
-  }
-
-  function pushCombatText(s, x, y, text, col, opts = {}) {
-    pushCombatTextFn(s, x, y, text, col, opts);
-  }
-
-  function shootBullet(s, x, y, angle, dmg, speed, opts) {
-    return shootBulletFn(s, x, y, angle, dmg, speed, opts, sfxShoot);
-  }
-
-  function applyWeapon(p, weaponDef, rarity, previewOnly, forcedUpgradeType = null) {
-    applyWeaponFn(p, weaponDef, rarity, previewOnly, forcedUpgradeType);
-  }
-
-  function fireWeapon(s) {
-    fireWeaponFn(s, acquireTarget, shootBullet, pushCombatText, bumpShake, sfxShoot);
-  }
-
-  function spawnInteractable(s, kind) {
-    spawnInteractableFn(s, kind);
-  }
-
-  // rollChoicesOfType, rollLevelChoices, rollChestChoices created via factory above
-
-
-  // rollLevelChoices, rollChestChoices, triggerUpgradeSequence created via factory above
-
-  // Old implementations removed - using factory functions
-
-
-  function startBoss(s, seconds, bossX = null, bossY = null) {
-    startBossFn(s, seconds, bossX, bossY, bumpShake, sfxBoss);
-  }
-
-  function makePlayer(charId, w, h) {
-    return makePlayerFn(charId, w, h, content, applyWeapon);
-  }
+  // Show Continue on the menu if a run was saved last session
+  useEffect(() => {
+    const savedRun = runtime.getSavedRun();
+    if (savedRun) setUi((u) => ({ ...u, savedRun }));
+  }, []);
 
-  function newRun(prevBest = 0, charId = "cowboy") {
-    return newRunFn(prevBest, charId, sizeRef, makePlayer, generateProceduralLevel, spawnInteractable, INTERACT, stateRef, setUi, ensureAudio, audioRef);
+  function newRun(prevBest, charId, seed = null) {
+    replayRef.current = null;
+    pendingInputRef.current = { jump: false, ability: false, interact: false };
+    runtime.setAutosave(true);
+    runtime.newRun(prevBest, charId, seed);
   }
 
-  function awardXP(s, amount, x, y) {
-    return awardXPFn(s, amount, x, y, rollLevelChoices, sfxLevelUp, uiRef, setUi);
+  function continueRun() {
+    replayRef.current = null;
+    pendingInputRef.current = { jump: false, ability: false, interact: false };
+    runtime.setAutosave(true);
+    runtime.continueRun();
   }
 
-  function nearestInteractable(s) {
-    return nearestInteractableFn(s);
+  function saveRun() {
+    runtime.saveRun(stateRef.current);
   }
 
-  function recordDamage(p, src, amt) {
-    return recordDamageFn(p, src, amt);
+  function queueInput(action) {
+    pendingInputRef.current[action] = true;
   }
 
-  function applyPlayerDamage(s, amount, src, opts = {}) {
-    return applyPlayerDamageFn(s, amount, src, opts);
+  function takeQueuedInput() {
+    const actions = pendingInputRef.current;
+    pendingInputRef.current = { jump: false, ability: false, interact: false };
+    return actions;
   }
 
-  function tryUseInteractable(s) {
-    return tryUseInteractableFn(s, INTERACT, triggerUpgradeSequence, startBoss, sfxInteract, content, uiRef);
+  function startReplay(replay) {
+    const size = sizeRef.current;
+    // Generate the run at the arena size it was recorded at; rendering keeps the real canvas size
+    sizeRef.current = { ...size, w: replay.width, h: replay.height };
+    // Watching a replay must not overwrite or clear the saved run
+    pendingInputRef.current = { jump: false, ability: false, interact: false };
+    runtime.setAutosave(false);
+    runtime.newRun(safeBest(), replay.charId, replay.seed);
+    sizeRef.current = size;
+    keysRef.current.clear();
+    replayTimeRef.current = 0;
+    replayRef.current = createReplayPlayer(replay);
   }
 
-  function useAbility(s) {
-    return useAbilityFn(s, acquireTarget, shootBullet, playBeep, keysRef);
+  function stopReplay() {
+    replayRef.current = null;
+    runtime.setAutosave(true);
+    keysRef.current.clear();
+    setUi((u) => {
+      const next = { ...u, screen: "menu", pauseMenu: false, showStats: false, levelChoices: [] };
+      uiRef.current = next;
+      return next;
+    });
   }
 
-  function update(s, dt) {
-    const p = s.player;
-    const { w, h, padding } = s.arena;
-    
-    // Update per-frame state (camera, time, music, flow field)
-    const intensity = updateFrameState(s, dt, uiRef, tickMusic, updateMusic);
-
-    // Update player physics and buff timers
-    updateBuffTimers(p, dt);
-    updateJumpPhysics(s, dt, keysRef, jumpKeyJustPressedRef);
-
-    if (s.stageLeft > 0) s.stageLeft = Math.max(0, s.stageLeft - dt);
-
-    // Game progression: boss portal, difficulty scaling, chest spawning
-    updateBossPortalSpawning(s, spawnInteractable, INTERACT);
-    updateDifficultyScaling(s);
-    updateChestSpawning(s, dt, spawnInteractable, INTERACT);
-
-    // Update player movement and weapon cooldowns
-    updatePlayerMovement(s, dt, keysRef);
-    updateWeaponCooldowns(s, dt, pushCombatText);
-    
-    // Fire weapons that are ready
-    fireWeapon(s);
-
-    // Enemy spawning scheduler
-    updateEnemySpawning(s, dt, intensity, spawnEnemy);
-
-    // Create bounds object for collision resolution - use level bounds if available
-    const levelBounds = s.levelData ? {
-      w: s.levelData.w,
-      h: s.levelData.h,
-      padding: padding
-    } : s.arena;
-    
-    // Enemy-to-enemy collision
-    for (let i = 0; i < s.enemies.length; i++) {
-      for (let j = i + 1; j < s.enemies.length; j++) {
-        resolveDynamicCircleOverlap(s.enemies[i], s.enemies[j], levelBounds);
+  function watchReplay() {
+    const replay = runtime.recorder.getReplay();
+    if (replay) startReplay(replay);
+  }
+
+  function exportReplay() {
+    const replay = runtime.recorder.getReplay();
+    if (replay) downloadReplay(replay);
+  }
+
+  function loadReplay() {
+    pickReplayFile()
+      .then(startReplay)
+      .catch((err) => {
+        console.warn("Replay load failed:", err);
+        setUi((u) => {
+          const next = { ...u, hint: `Replay load failed: ${err.message}` };
+          uiRef.current = next;
+          return next;
+        });
+      });
+  }
+
+  /**
+   * Feed recorded frames through the same stepFrame path as live input
+   * Plays recorded frames until their dt covers the elapsed time (times speed); choices wait for the levelup screen
+   */
+  function stepReplay(s, replay, frameDt) {
+    if (replay.paused) return;
+    replayTimeRef.current += frameDt * replay.speed;
+    while (replayTimeRef.current > 0) {
+      // Recorded frames resume once the next floor has loaded
+      if (runtime.pollFloorLoad(s)) {
+        replayTimeRef.current = 0;
+        return;
       }
-    }
-
-    // Update enemy status effects (poison, burn, slow, elite abilities)
-    updateEnemyStatusEffects(s, dt, pushCombatText);
-    
-    // Update per-enemy hit cooldowns (for orbiting blades, etc.)
-    updateEnemyHitCooldowns(s, dt);
-
-    // Update enemy AI, pathfinding, movement, and collision
-    updateEnemyAI(s, dt, shootBullet, applyPlayerDamage, sfxHit, levelBounds);
-
-    // Update all bullets (movement, collision, effects)
-    const levelW = s.levelData ? s.levelData.w : w;
-    const levelH = s.levelData ? s.levelData.h : h;
-    updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamage, audioRef);
-
-    // Update boss (abilities, movement, collision, phase transitions)
-    updateBoss(s, dt, applyPlayerDamage, sfxHit);
-
-    // Handle boss death and floor transition
-    handleFloorTransition(s, generateProceduralLevel, spawnInteractable, INTERACT);
-    
-    // Check boss timer (instant kill if time runs out)
-    checkBossTimer(s, applyPlayerDamage);
-
-    // Update and collect loot (XP gems, coins, consumables with magnet pickup)
-    updateLoot(s, dt, awardXP, sfxCoin, audioRef);
-
-    // Process enemy deaths and loot drops
-    processEnemyDeaths(s, sfxKill);
-
-    // Player regeneration
-    updateHealthRegeneration(p, dt);
-    updateShieldRegeneration(s);
-
-    // Floor transition happens when boss is defeated, not on timer
-    // (Boss must be defeated to progress)
-
-    // Update all particle effects (particles, flashes, floaters, burning areas, auras)
-    updateParticles(s, dt);
-
-    if (s.uiPulseT > 0) s.uiPulseT = Math.max(0, s.uiPulseT - dt);
+      const f = replay.next();
+      if (!f) {
+        replayTimeRef.current = 0;
+        return;
+      }
+      const u = uiRef.current;
+      if (f.choice !== undefined) {
+        if (u.screen === "levelup") pickChoice(f.choice);
+        continue;
+      }
+      if (u.screen !== "running") continue;
 
-    if (p.hp <= 0) {
-      p.hp = 0;
-      s.running = false;
+      keysRef.current.clear();
+      for (const k of f.keys) keysRef.current.add(k);
+      runtime.stepFrame(s, f.dt, f);
+      handlePlayerDeath(s, uiRef, setUi, audio.sfxGameOver, safeBest);
+      replayTimeRef.current -= f.dt;
     }
   }
 
-  // drawMinimap moved to src/rendering/HudRenderer.js
-
-  // drawHud moved to src/rendering/HudRenderer.js
-
-  // drawOverlay moved to src/rendering/HudRenderer.js
-
-  // drawHud moved to src/rendering/HudRenderer.js
-
-  // drawOverlay moved to src/rendering/HudRenderer.js
-
-  // ADMIN PANEL: Click handler for pause menu admin section
-  function handleAdminClick(x, y, w, h, u, content) {
-    return handleAdminClickFn(x, y, w, h, stateRef, content, handleAdminAction);
+  function requestFullscreen() {
+    return requestFullscreenFn(wrapRef, canvasRef, setUi, uiRef);
   }
 
-  function handleAdminAction(s, action) {
-    return handleAdminActionFn(s, action, INTERACT, startBoss, spawnInteractable, applyWeapon, setUi, content, RARITY);
+  function resizeCanvas() {
+    return resizeCanvasFn(canvasHolderRef, canvasRef, sizeRef, stateRef);
   }
 
-  // pickChoice created via factory above
-
   function setMenuChar(id) {
     setUi((u) => {
       const next = { ...u, selectedChar: id };
@@ -648,6 +301,7 @@ export default function NeonPitRoguelikeV3() {
       const nextUi = { ...u, pauseMenu: true, showStats: false, hint: "" };
       uiRef.current = nextUi;
       setUi(nextUi);
+      saveRun();
       return;
     }
 
@@ -660,17 +314,6 @@ export default function NeonPitRoguelikeV3() {
     }
   }
 
-
-
-
-
-
-
-
-
-
-
-
   // Consolidated event handlers - ALL event listeners in ONE useEffect
   useEffect(() => {
     console.log('Setting up canvas and event handlers');
@@ -691,8 +334,10 @@ export default function NeonPitRoguelikeV3() {
     const handlerContext = {
       canvasRef, audioRef, uiRef, setUi, stateRef, keysRef, jumpKeyJustPressedRef, content,
       ensureAudio, updateMusicVolume, applyAudioToggles, requestFullscreen,
-      setMenuChar, safeBest, newRun, pickChoice, setPaused, tryUseInteractable,
-      useAbility, setIsoScale, isoScaleRef, ISO_MODE, handleAdminClick
+      setMenuChar, safeBest, newRun, pickChoice, setPaused, queueInput,
+      setIsoScale, isoScaleRef, ISO_MODE, handleAdminClick,
+      replayRef, stopReplay, watchReplay, exportReplay, loadReplay,
+      saveRun, continueRun
     };
 
     // Create handlers using extracted functions
@@ -708,6 +353,7 @@ export default function NeonPitRoguelikeV3() {
     window.addEventListener("keyup", up);
     document.addEventListener("keyup", up);
     window.addEventListener("blur", blur);
+    window.addEventListener("pagehide", saveRun);
     c.addEventListener("pointerdown", onPointerDown);
     c.addEventListener("wheel", onWheel, { passive: false });
 
@@ -718,6 +364,7 @@ export default function NeonPitRoguelikeV3() {
       window.removeEventListener("keyup", up);
       document.removeEventListener("keyup", up);
       window.removeEventListener("blur", blur);
+      window.removeEventListener("pagehide", saveRun);
       window.removeEventListener("resize", onResize);
       document.removeEventListener("fullscreenchange", onResize);
       c.removeEventListener("pointerdown", onPointerDown);
@@ -728,6 +375,10 @@ export default function NeonPitRoguelikeV3() {
   // Game loop useEffect
   useEffect(() => {
     console.log('Starting game loop');
+    // The world advances in fixed steps (see FixedTimestep); rendering interpolates between the last two
+    const timestep = createFixedTimestep();
+    let prevRender = [];
+
     const step = () => {
       const c = canvasRef.current;
       const s = stateRef.current;
@@ -747,15 +398,38 @@ export default function NeonPitRoguelikeV3() {
       // CRITICAL: Scale context to match DPR (device pixel ratio)
       // Without this, rendering coordinates don't match canvas size
       ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+      // Real time since the last frame, capped so a stalled tab doesn't fast-forward the run
+      const now = performance.now();
+      const frameDt = Math.min(Math.max(0, (now - lastTimeRef.current) / 1000), MAX_FRAME_TIME);
+      lastTimeRef.current = now;
       
+      // REPLAY: recorded frames drive the run instead of the keyboard
+      const replay = replayRef.current;
+      if (replay && s) {
+        timestep.reset();
+        prevRender = [];
+        stepReplay(s, replay, frameDt);
+        audio.updateMusic(frameDt);
+        ctx.clearRect(0, 0, w, h);
+        renderFrame(s, ctx, uiRef.current, content, isoScaleRef.current, w, h);
+        drawReplayOverlay(ctx, { ...replay.progress(), paused: replay.paused, speed: replay.speed, done: replay.done() }, w);
+        rafRef.current = requestAnimationFrame(step);
+        return;
+      }
+
       // HARD FREEZE ON MENUS: Prevent camera and game logic from running when menus are open
       const u = uiRef.current;
       
       // Render-only path for non-running screens (menu, levelup, dead, pause)
       if (u.screen !== 'running' || u.pauseMenu) {
+        // Leftover sim time is dropped so resuming doesn't jump
+        timestep.reset();
+        prevRender = [];
+
         // CRITICAL: Update music AND fanfare timers even in render-only path
-        const dt = 0.016; // ~60fps frame time
-        updateMusic(dt);
+        const dt = frameDt;
+        audio.updateMusic(dt);
         
         // CRITICAL FIX: Update fanfare timers on levelup screen
         if (u.screen === 'levelup') {
@@ -773,138 +447,44 @@ export default function NeonPitRoguelikeV3() {
           }
         }
         
-        // Clear and setup canvas
         ctx.clearRect(0, 0, w, h);
-        
-        // CRITICAL RENDERING STACK FIX: Draw in exact order
-        if (s && u.screen === 'running' && u.pauseMenu) {
-          // 1. Draw game world (background)
-          drawWorld(s, ctx, isoScaleRef.current);
-          drawHud(s, ctx, isoScaleRef.current, content);
-          
-          // 2. Draw semi-transparent overlay
-          ctx.fillStyle = "rgba(0,0,0,0.85)";
-          ctx.fillRect(0, 0, w, h);
-          
-          // 3. Draw pause menu cards/UI in SCREEN COORDINATES
-          drawOverlay(s, ctx, u, content, isoScaleRef.current, s);
-        } else if (s && u.screen === 'levelup') {
-          // LEVELUP SCREEN FIX: Draw world, overlay, then cards
-          // 1. Draw game world (background)
-          drawWorld(s, ctx, isoScaleRef.current);
-          drawHud(s, ctx, isoScaleRef.current, content);
-          
-          // 2. Draw semi-transparent overlay
-          ctx.fillStyle = "rgba(0,0,0,0.85)";
-          ctx.fillRect(0, 0, w, h);
-          
-          // 3. IMMEDIATELY draw upgrade cards in SCREEN COORDINATES (w/2, h/2)
-          drawOverlay(s, ctx, u, content, isoScaleRef.current, s);
-        } else if (!s || u.screen === 'menu' || u.screen === 'dead') {
-          console.log('Rendering menu/dead screen, content:', !!content, 'characters:', content?.characters?.length);
-          // Menu/dead screen - dark background then overlay
-          ctx.fillStyle = "#06070c";
-          ctx.fillRect(0, 0, w, h);
-
-          const overlayState = s || { arena: { w, h }, player: { coins: 0 } };
-          drawOverlay(overlayState, ctx, u, content, isoScaleRef.current, overlayState);
-        }
+        renderFrame(s, ctx, u, content, isoScaleRef.current, w, h);
         
         rafRef.current = requestAnimationFrame(step);
         return;
       }
       
-      // Calculate delta time with proper handling
-      const now = performance.now();
-      let dt = (now - lastTimeRef.current) / 1000;
-      lastTimeRef.current = now;
-      if (dt > 0.1) dt = 0.1; // Prevent huge jumps after lag
-
       if (s) {
         // FIX CHEST FREEZE: Safety check - if levelup screen but no upgradeCards, trigger upgrade sequence
-        if (u.screen === "levelup") {
-          const hasUpgradeCards = (s.upgradeCards && s.upgradeCards.length > 0) || (u.levelChoices && u.levelChoices.length > 0);
-          if (!hasUpgradeCards) {
-            console.warn("Levelup screen with no upgradeCards - triggering upgrade sequence");
-            triggerUpgradeSequence(s, content);
-          }
-        }
+        checkLevelupState(s, u, runtime.triggerUpgradeSequence, content);
         
-        // Only update game logic when actually running (not paused, not on levelup/dead/menu screens, not frozen)
-        // This freezes the game world and camera when upgrade menu is open or fanfare is playing
-        const hasUpgradeCards = u.levelChoices && u.levelChoices.length > 0;
-        const fanfareActive = (u.levelUpFanfareT && u.levelUpFanfareT > 0) || (u.chestOpenFanfareT && u.chestOpenFanfareT > 0);
-        if (u.screen === "running" && s.running && !u.pauseMenu && s.freezeMode === null && !hasUpgradeCards && !fanfareActive) {
-          // Always update hitStopT, but only update game logic when hitStopT is 0
-          if (s.hitStopT > 0) {
-            s.hitStopT = Math.max(0, s.hitStopT - dt);
-          }
-          if (s.hitStopT <= 0) {
-            try {
-              update(s, dt);
-            } catch (error) {
-              console.error("Update error:", error);
-              // Prevent freeze by resetting state
-              s.running = false;
-            }
-          }
+        // Apply queued presses, update the world (unless paused/frozen) and sync UI - recorded for replays
+        // Queued presses go to the first step of the frame; if no step is due they wait for the next frame
+        try {
+          timestep.advance(frameDt, (dt) => {
+            prevRender = captureRenderState(s);
+            runtime.stepFrame(s, dt, takeQueuedInput());
+          });
+        } catch (error) {
+          console.error("Update error:", error);
+          // Prevent freeze by resetting state
+          s.running = false;
         }
-
-        drawWorld(s, ctx, isoScaleRef.current);
-        drawHud(s, ctx, isoScaleRef.current, content);
-
-        const u2 = uiRef.current;
-        if (u2.screen === "running" && !u2.pauseMenu) {
-          u2.score = s.score;
-          u2.level = s.level;
-          u2.xp = s.xp;
-          u2.xpNeed = s.xpNeed;
-          u2.coins = s.player.coins;
-          u2.timer = s.stageLeft;
-        }
-        
-        // Update UI timers (fanfare animations) - must happen every frame
-        if (u2.levelUpFanfareT > 0) {
-          u2.levelUpFanfareT = Math.max(0, u2.levelUpFanfareT - dt);
-        }
-        if (u2.chestOpenFanfareT > 0) {
-          u2.chestOpenFanfareT = Math.max(0, u2.chestOpenFanfareT - dt);
-        }
-
-        if (s.player.hp <= 0 && uiRef.current.screen !== "dead") {
-          sfxGameOver();
-          const best = safeBest();
-          const score = s.score;
-          const nextBest = Math.max(best, score);
-          try {
-            localStorage.setItem("neon_pit_best", String(nextBest));
-          } catch {
-            void 0;
-          }
-          const reason = s.player.lastDamage?.src ? `Killed by ${s.player.lastDamage.src}` : "";
-          const nextUi = { ...uiRef.current, screen: "dead", score, best: nextBest, deathReason: reason, levelChoices: [], showStats: false };
-          uiRef.current = nextUi;
-          setUi(nextUi);
-        }
-
-        drawOverlay(s, ctx, uiRef.current, content, isoScaleRef.current, s);
-      } else {
-        const fakeS = {
-          arena: { w, h },
-          player: { coins: 0 },
-        };
-        ctx.clearRect(0, 0, w, h);
-        ctx.fillStyle = "#06070c";
-        ctx.fillRect(0, 0, w, h);
-        drawOverlay(fakeS, ctx, uiRef.current, content, isoScaleRef.current, fakeS);
+        handlePlayerDeath(s, uiRef, setUi, audio.sfxGameOver, safeBest);
       }
 
+      // Draw between the last two steps, then put the simulated positions back
+      const restore = interpolateRenderState(prevRender, timestep.alpha());
+      renderFrame(s, ctx, uiRef.current, content, isoScaleRef.current, w, h);
+      restore();
+
       rafRef.current = requestAnimationFrame(step);
     };
 
     rafRef.current = requestAnimationFrame(step);
     return () => {
       cancelAnimationFrame(rafRef.current);
+      runtime.world.terminate();
       // Cleanup audio
       const a = audioRef.current;
       if (a.menuMusic) {
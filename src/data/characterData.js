@@ -48,6 +48,11 @@ export const PLAYER_BASE_STATS = {
   maxShield: 0,
   iFrames: 0,
   
+  // Upgrade screen charges (reroll, banish, skip - see ChoiceHandler)
+  rerollCharges: 2,
+  banishCharges: 1,
+  skipCharges: 1,
+
   // Ability
   abilityCdMult: 1,
   abilityT: 0,
@@ -39,7 +39,9 @@ export const TYPE = {
 // Interaction type constants
 export const INTERACT = {
   CHEST: "Chest",
+  CURSED_CHEST: "CursedChest",
   SHRINE: "Shrine",
+  CLEANSE_SHRINE: "CleanseShrine",
   MAGNET_SHRINE: "MagnetShrine",
   MICROWAVE: "Microwave",
   GREED: "GreedShrine",
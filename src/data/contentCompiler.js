@@ -0,0 +1,326 @@
+/**
+ * Content Compiler
+ *
+ * Turns the JSON content definitions (src/data/content/*.json) into the
+ * runtime shape the game uses: weapons with levelBonuses functions, tomes and
+ * items with apply functions, icons as draw functions.
+ *
+ * Stat changes are declarative effects:
+ *   { "stat": "weaponDamage", "op": "mul", "value": 1.08 }
+ *   { "stat": "critChance", "op": "add", "value": { "perRarity": 0.02 }, "min": 0, "max": 0.8 }
+ *
+ * Effect fields:
+ *   stat     - field to change on the subject (the player for tomes/items, the weapon for level bonuses)
+ *   op       - set | add | mul | min | max (min/max keep the smaller/larger of current and value)
+ *   value    - a number or a value spec (below)
+ *   default  - stands in for a missing or zero current value (current || default)
+ *   round    - round | floor | ceil, applied to the result before clamping
+ *   min, max - clamp the result; numbers or value specs
+ *   if       - condition on the subject: { stat, default?, defined?, lt|lte|gt|gte|eq|ne: value }
+ *   each     - apply to every entry of a list on the subject instead ("weapons")
+ *
+ * Value specs: { base, perRarity } is base + perRarity * rarityMult(rarity);
+ * { byRarity: { Common, Uncommon, Rare, Legendary } } picks by rarity;
+ * { stat } reads another field of the subject. Any of them may add round.
+ *
+ * Weapons list their upgrade paths in "upgrades" (the stat a duplicate pick
+ * improves): ids from content/weaponUpgrades.json or inline paths
+ *   { "id", "text", "weight"?, "effects", "preview": { "label", "stat", "default"?, "format" } }
+ * where text is the card line, weight the odds when no card chose the path,
+ * and format one of PREVIEW_FORMATS. Without "upgrades" a weapon gets the
+ * melee or ranged defaults from that file.
+ *
+ * Weapons and tomes may set "maxLevel": once owned at that level they are no
+ * longer offered (without it they stack forever).
+ *
+ * Special cases name a hook from CONTENT_SCRIPTS with "script"; it runs after
+ * the effects. Tomes and items also get preview(), the same as apply() but with
+ * the context's screen and sound hooks muted, for card previews on a copy. Malformed definitions throw when compiled, so bad content fails
+ * at startup instead of mid-run.
+ */
+
+import { TYPE, RARITY } from "./constants.js";
+import { clamp } from "../utils/math.js";
+import { CONTENT_SCRIPTS } from "./contentScripts.js";
+import weaponUpgradeData from "./content/weaponUpgrades.json" with { type: "json" };
+
+export const EFFECT_OPS = {
+  set: (current, value) => value,
+  add: (current, value) => current + value,
+  mul: (current, value) => current * value,
+  min: (current, value) => Math.min(current, value),
+  max: (current, value) => Math.max(current, value),
+};
+
+export const ROUNDING = {
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+};
+
+const COMPARISONS = {
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b,
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+};
+
+// Upgrade preview values (card before → after lines)
+export const PREVIEW_FORMATS = {
+  round: (v) => `${Math.round(v)}`,
+  percent: (v) => `${Math.round(v * 100)}%`,
+  perSecond: (v) => `${(Math.round((1 / v) * 100) / 100).toFixed(2)}/s`,
+  seconds: (v) => `${v.toFixed(1)}s`,
+};
+
+function compileRounding(round, where) {
+  if (round === undefined) return null;
+  const fn = ROUNDING[round];
+  if (!fn) throw new Error(`${where}: unknown rounding "${round}"`);
+  return fn;
+}
+
+/**
+ * Compile a value spec
+ * @param {number|Object} spec - Number or { base, perRarity, byRarity, stat, round }
+ * @param {Function} rarityMult - Rarity to multiplier
+ * @param {string} where - Location for error messages
+ * @returns {Function} (subject, rarity) => number
+ */
+export function compileValue(spec, rarityMult, where) {
+  if (typeof spec === "number") return () => spec;
+  if (!spec || typeof spec !== "object") throw new Error(`${where}: value must be a number or a value spec`);
+
+  let read;
+  if (spec.stat !== undefined) {
+    read = (subject) => subject[spec.stat];
+  } else if (spec.byRarity) {
+    read = (subject, rarity) => spec.byRarity[rarity] ?? spec.byRarity[RARITY.COMMON];
+  } else {
+    const base = spec.base ?? 0;
+    const perRarity = spec.perRarity ?? 0;
+    read = perRarity ? (subject, rarity) => base + perRarity * rarityMult(rarity) : () => base;
+  }
+  const round = compileRounding(spec.round, where);
+  return round ? (subject, rarity) => round(read(subject, rarity)) : read;
+}
+
+function compileCondition(cond, rarityMult, where) {
+  if (!cond || typeof cond.stat !== "string") throw new Error(`${where}: condition needs a stat`);
+  const { stat } = cond;
+  const read = cond.default !== undefined ? (subject) => subject[stat] || cond.default : (subject) => subject[stat];
+
+  const checks = [];
+  if (cond.defined !== undefined) {
+    checks.push((subject) => (subject[stat] !== undefined) === cond.defined);
+  }
+  for (const [key, compare] of Object.entries(COMPARISONS)) {
+    if (cond[key] === undefined) continue;
+    const value = compileValue(cond[key], rarityMult, `${where}.${key}`);
+    checks.push((subject, rarity) => compare(read(subject), value(subject, rarity)));
+  }
+  if (checks.length === 0) throw new Error(`${where}: condition on ${stat} tests nothing`);
+  return (subject, rarity) => checks.every((check) => check(subject, rarity));
+}
+
+/**
+ * Compile one effect
+ * @param {Object} effect - Effect definition
+ * @param {Function} rarityMult - Rarity to multiplier
+ * @param {string} where - Location for error messages
+ * @returns {Function} (subject, rarity) => void
+ */
+export function compileEffect(effect, rarityMult, where) {
+  if (!effect || typeof effect.stat !== "string") throw new Error(`${where}: effect needs a stat`);
+  const op = EFFECT_OPS[effect.op];
+  if (!op) throw new Error(`${where}: unknown op "${effect.op}"`);
+
+  const { stat } = effect;
+  const value = compileValue(effect.value, rarityMult, `${where}.value`);
+  const min = effect.min !== undefined ? compileValue(effect.min, rarityMult, `${where}.min`) : null;
+  const max = effect.max !== undefined ? compileValue(effect.max, rarityMult, `${where}.max`) : null;
+  const round = compileRounding(effect.round, where);
+  const when = effect.if ? compileCondition(effect.if, rarityMult, `${where}.if`) : null;
+  const hasDefault = effect.default !== undefined;
+
+  const applyTo = (subject, rarity) => {
+    if (when && !when(subject, rarity)) return;
+    const current = hasDefault ? subject[stat] || effect.default : subject[stat];
+    let next = op(current, value(subject, rarity));
+    if (round) next = round(next);
+    if (min && max) next = clamp(next, min(subject, rarity), max(subject, rarity));
+    else if (min) next = Math.max(min(subject, rarity), next);
+    else if (max) next = Math.min(max(subject, rarity), next);
+    subject[stat] = next;
+  };
+
+  if (!effect.each) return applyTo;
+  const listKey = effect.each;
+  return (subject, rarity) => {
+    const list = subject[listKey];
+    if (!Array.isArray(list)) return;
+    for (const entry of list) applyTo(entry, rarity);
+  };
+}
+
+/**
+ * Compile a list of effects into one function, applied in order
+ * @param {Array|Object} effects - Effect or effects
+ * @param {Function} rarityMult - Rarity to multiplier
+ * @param {string} where - Location for error messages
+ * @returns {Function} (subject, rarity) => void
+ */
+export function compileEffects(effects, rarityMult, where) {
+  const list = Array.isArray(effects) ? effects : [effects];
+  const compiled = list.map((effect, i) => compileEffect(effect, rarityMult, `${where}[${i}]`));
+  return (subject, rarity) => {
+    for (const fn of compiled) fn(subject, rarity);
+  };
+}
+
+// Context hooks with effects outside the game state, muted in previews
+const PREVIEW_MUTED = ["bumpShake", "addParticle", "sfxBoss"];
+
+function mutedContext(ctx) {
+  const muted = { ...ctx };
+  for (const key of PREVIEW_MUTED) muted[key] = () => {};
+  return muted;
+}
+
+function compileScript(def, ctx, where) {
+  if (def.script === undefined) return null;
+  const script = (ctx.scripts || CONTENT_SCRIPTS)[def.script];
+  if (typeof script !== "function") throw new Error(`${where}: unknown script "${def.script}"`);
+  return script;
+}
+
+function compileMaxLevel(def, where) {
+  if (def.maxLevel === undefined) return null;
+  if (!Number.isInteger(def.maxLevel) || def.maxLevel < 1) throw new Error(`${where}: maxLevel must be a whole number of at least 1`);
+  return def.maxLevel;
+}
+
+function requireId(def, kind) {
+  if (!def || typeof def.id !== "string" || !def.id) throw new Error(`${kind} definition without an id`);
+  return `${kind} ${def.id}`;
+}
+
+function compileUpgradePath(path, ctx, where) {
+  const spec = typeof path === "string" ? weaponUpgradeData.paths[path] : path;
+  if (!spec) throw new Error(`${where}: unknown upgrade path "${path}"`);
+  const id = typeof path === "string" ? path : spec.id;
+  if (typeof id !== "string" || !id) throw new Error(`${where}: upgrade path without an id`);
+  if (typeof spec.text !== "string") throw new Error(`${where}: upgrade path ${id} needs text`);
+
+  const { preview } = spec;
+  if (!preview || typeof preview.stat !== "string") throw new Error(`${where}: upgrade path ${id} needs a preview stat`);
+  const format = PREVIEW_FORMATS[preview.format];
+  if (!format) throw new Error(`${where}: upgrade path ${id} has unknown preview format "${preview.format}"`);
+  const fallback = preview.default ?? 0;
+
+  return {
+    id,
+    text: spec.text,
+    weight: spec.weight ?? 1,
+    apply: compileEffects(spec.effects || [], ctx.rarityMult, `${where} ${id}`),
+    preview: {
+      label: preview.label ?? id,
+      value: (w) => format(w[preview.stat] || fallback),
+    },
+  };
+}
+
+/**
+ * Compile a weapon's upgrade paths
+ * @param {Object} def - Weapon definition
+ * @param {Object} ctx - Content context
+ * @param {string} where - Location for error messages
+ * @returns {Array} [{ id, text, weight, apply(w, rarity), preview: { label, value(w) } }]
+ */
+export function compileUpgradePaths(def, ctx, where) {
+  const paths = def.upgrades ?? weaponUpgradeData.defaults[def.base?.mode === "melee" ? "melee" : "ranged"];
+  if (!Array.isArray(paths)) throw new Error(`${where}: upgrades must be an array`);
+  const compiled = paths.map((path, i) => compileUpgradePath(path, ctx, `${where} upgrades[${i}]`));
+  const ids = compiled.map((path) => path.id);
+  const dup = ids.find((id, i) => ids.indexOf(id) !== i);
+  if (dup) throw new Error(`${where}: upgrade path ${dup} listed twice`);
+  return compiled;
+}
+
+/**
+ * Compile a weapon definition
+ * @param {Object} def - { id, name, icon, desc?, maxLevel?, base, levelBonuses: [effect | effect[]], upgrades? }
+ * @param {Object} ctx - { makeIconDraw, rarityMult }
+ * @returns {Object} Weapon as the game uses it
+ */
+export function compileWeapon(def, ctx) {
+  const where = requireId(def, "weapon");
+  const levelBonuses = (def.levelBonuses || []).map((bonus, i) => {
+    const run = compileEffects(bonus, ctx.rarityMult, `${where} levelBonuses[${i}]`);
+    return (w) => run(w);
+  });
+  return {
+    id: def.id,
+    name: def.name,
+    type: TYPE.WEAPON,
+    ...(def.desc !== undefined ? { desc: def.desc } : {}),
+    maxLevel: compileMaxLevel(def, where),
+    base: { ...def.base },
+    levelBonuses,
+    upgrades: compileUpgradePaths(def, ctx, where),
+    icon: ctx.makeIconDraw(def.icon),
+  };
+}
+
+/**
+ * Compile a tome definition (apply(p, rarity) changes the player)
+ * @param {Object} def - { id, name, desc, icon, maxLevel?, effects?, script? }
+ * @param {Object} ctx - Content context
+ * @returns {Object} Tome as the game uses it
+ */
+export function compileTome(def, ctx) {
+  const where = requireId(def, "tome");
+  const effects = compileEffects(def.effects || [], ctx.rarityMult, `${where} effects`);
+  const script = compileScript(def, ctx, where);
+  const run = (scriptCtx) => (p, r) => {
+    effects(p, r);
+    if (script) script(p, r, scriptCtx);
+  };
+  return {
+    id: def.id,
+    name: def.name,
+    type: TYPE.TOME,
+    desc: def.desc ?? "",
+    maxLevel: compileMaxLevel(def, where),
+    apply: run(ctx),
+    preview: run(mutedContext(ctx)),
+    icon: ctx.makeIconDraw(def.icon),
+  };
+}
+
+/**
+ * Compile an item definition (apply(s, rarity) gets the whole run; effects target s.player)
+ * @param {Object} def - { id, name, desc, icon, effects?, script? }
+ * @param {Object} ctx - Content context
+ * @returns {Object} Item as the game uses it
+ */
+export function compileItem(def, ctx) {
+  const where = requireId(def, "item");
+  const effects = compileEffects(def.effects || [], ctx.rarityMult, `${where} effects`);
+  const script = compileScript(def, ctx, where);
+  const run = (scriptCtx) => (s, r) => {
+    effects(s.player, r);
+    if (script) script(s, r, scriptCtx);
+  };
+  return {
+    id: def.id,
+    name: def.name,
+    type: TYPE.ITEM,
+    desc: def.desc ?? "",
+    apply: run(ctx),
+    preview: run(mutedContext(ctx)),
+    icon: ctx.makeIconDraw(def.icon),
+  };
+}
@@ -0,0 +1,302 @@
+/**
+ * Content Registry
+ *
+ * Plugin API for content packs (seasonal events, mods). A pack is a plain
+ * object, usually exported from its own module (see packs/), registered
+ * before the game starts:
+ *
+ *   registerContent({
+ *     id: "frostfall", version: "1.0.0",
+ *     weapons, tomes, items,   // JSON-style definitions (see contentCompiler)
+ *     scripts,                 // extra content scripts for those definitions
+ *     characters,              // same shape as createCharacters()
+ *     enemies,                 // { id, hp, speed, radius, xp, baseCoin, color?, deathHue?,
+ *                              //   behaviours?, attack?, contact?, sight? } (see EnemyBehaviours)
+ *     spawnTables,             // { enemy, weight, perFloor?, minFloor?, maxFloor? }
+ *     bosses,                  // { id, name, minFloor?, maxFloor?, hpMult?, abilities }
+ *     fireModes,               // { [weaponMode]: (s, weapon, api) => cooldown? }
+ *   });
+ *
+ * createGameContent appends registered weapons, tomes, items and characters
+ * to the base content, so everything reading content (choice roller, admin
+ * panel, HUD, saves) sees them. Spawn tables, enemies, bosses and fire modes
+ * are looked up by the systems that use them.
+ *
+ * Ids must be unique across the base game and every registered pack; a
+ * collision throws at registration with both owners named. Compiled entries
+ * carry a version tag (pack: "frostfall@1.0.0").
+ *
+ * With no packs registered nothing changes: spawn weights, boss abilities and
+ * rng draws are exactly the base game's.
+ */
+
+import weaponData from "./content/weapons.json" with { type: "json" };
+import evolutionData from "./content/evolutions.json" with { type: "json" };
+import tomeData from "./content/tomes.json" with { type: "json" };
+import itemData from "./content/items.json" with { type: "json" };
+import cursedItemData from "./content/cursedItems.json" with { type: "json" };
+import { createCharacters } from "./characters.js";
+import { ENEMY_TYPES, ENEMY_BASE_STATS, getEnemyTierWeights } from "./enemyData.js";
+import { compileWeapon, compileTome, compileItem } from "./contentCompiler.js";
+import { CONTENT_SCRIPTS } from "./contentScripts.js";
+
+/**
+ * Weapon modes WeaponSystem handles itself
+ */
+export const BUILTIN_FIRE_MODES = ["bullet", "splash", "thrown", "explosive", "melee", "aura", "orbit", "boomerang", "inferno"];
+
+/**
+ * Boss ability types a pack boss may use (keys of BOSS_ABILITY_TYPES)
+ */
+export const PACK_BOSS_ABILITIES = ["cone", "lineDash", "ringPulse", "teleport", "charge", "multiShot"];
+
+const VERSION_PATTERN = /^\d+\.\d+\.\d+([-+][0-9A-Za-z.-]+)?$/;
+const ENEMY_STAT_FIELDS = ["hp", "speed", "radius", "xp", "baseCoin"];
+const LIST_KINDS = ["weapons", "tomes", "items", "characters", "enemies", "bosses"];
+
+const KIND_NAMES = {
+  weapons: "weapon",
+  tomes: "tome",
+  items: "item",
+  characters: "character",
+  enemies: "enemy",
+  bosses: "boss",
+  fireModes: "fire mode",
+};
+
+const BASE_IDS = {
+  weapons: [...weaponData, ...evolutionData.map((e) => e.weapon)].map((d) => d.id),
+  tomes: tomeData.map((d) => d.id),
+  // Cursed items share the item id space (saves and synergies look items up by id)
+  items: [...itemData, ...cursedItemData].map((d) => d.id),
+  characters: createCharacters().map((c) => c.id),
+  enemies: Object.values(ENEMY_TYPES),
+  bosses: [],
+  fireModes: BUILTIN_FIRE_MODES,
+};
+
+// Registered packs in registration order
+const packs = [];
+
+function packError(pack, message) {
+  return new Error(`Content pack "${pack.id}": ${message}`);
+}
+
+function findOwner(kind, id) {
+  if (BASE_IDS[kind].includes(id)) return "the base game";
+  for (const other of packs) {
+    const ids = kind === "fireModes" ? Object.keys(other.fireModes) : other[kind].map((d) => d.id);
+    if (ids.includes(id)) return `pack "${other.id}"`;
+  }
+  return null;
+}
+
+function checkIds(pack, kind, ids) {
+  const seen = new Set();
+  for (const id of ids) {
+    if (typeof id !== "string" || !id) throw packError(pack, `${KIND_NAMES[kind]} without an id`);
+    if (seen.has(id)) throw packError(pack, `${KIND_NAMES[kind]} id "${id}" is listed twice`);
+    seen.add(id);
+    const owner = findOwner(kind, id);
+    if (owner) throw packError(pack, `${KIND_NAMES[kind]} id "${id}" is already used by ${owner}`);
+  }
+}
+
+function isKnownEnemy(pack, id) {
+  return !!ENEMY_BASE_STATS[id] || pack.enemies.some((e) => e.id === id) || packs.some((p) => p.enemies.some((e) => e.id === id));
+}
+
+function checkPack(pack) {
+  for (const kind of LIST_KINDS) checkIds(pack, kind, pack[kind].map((d) => d?.id));
+  checkIds(pack, "fireModes", Object.keys(pack.fireModes));
+
+  for (const [mode, handler] of Object.entries(pack.fireModes)) {
+    if (typeof handler !== "function") throw packError(pack, `fire mode "${mode}" is not a function`);
+  }
+  for (const def of pack.weapons) {
+    const mode = def.base?.mode;
+    const known = BUILTIN_FIRE_MODES.includes(mode) || pack.fireModes[mode] || getFireMode(mode);
+    if (!known) throw packError(pack, `weapon "${def.id}" uses unknown fire mode "${mode}"`);
+  }
+  // Compile once up front so malformed definitions fail here, not at game start
+  const probe = { makeIconDraw: () => null, rarityMult: () => 1, scripts: pack.scripts };
+  try {
+    for (const def of pack.weapons) compileWeapon(def, probe);
+    for (const def of pack.tomes) compileTome(def, probe);
+    for (const def of pack.items) compileItem(def, probe);
+  } catch (error) {
+    throw packError(pack, error.message);
+  }
+  for (const def of pack.characters) {
+    const known = findOwner("weapons", def.startWeapon) || pack.weapons.some((w) => w.id === def.startWeapon);
+    if (!known) {
+      throw packError(pack, `character "${def.id}" starts with unknown weapon "${def.startWeapon}"`);
+    }
+  }
+  for (const def of pack.enemies) {
+    for (const field of ENEMY_STAT_FIELDS) {
+      if (typeof def[field] !== "number") throw packError(pack, `enemy "${def.id}" needs a numeric ${field}`);
+    }
+  }
+  for (const entry of pack.spawnTables) {
+    if (!isKnownEnemy(pack, entry?.enemy)) throw packError(pack, `spawn table names unknown enemy "${entry?.enemy}"`);
+    if (typeof entry.weight !== "number") throw packError(pack, `spawn table entry for "${entry.enemy}" needs a numeric weight`);
+  }
+  for (const def of pack.bosses) {
+    const { abilities } = def;
+    if (abilities === undefined || typeof abilities === "function") continue;
+    if (!Array.isArray(abilities)) throw packError(pack, `boss "${def.id}" abilities must be a list or a function`);
+    for (const spec of abilities) {
+      if (!PACK_BOSS_ABILITIES.includes(spec?.type)) throw packError(pack, `boss "${def.id}" uses unknown ability "${spec?.type}"`);
+    }
+  }
+}
+
+/**
+ * Register a content pack
+ * @param {Object} pack - Pack definition (see the header for fields)
+ * @returns {Object} { id, version, tag }
+ * @throws {Error} On a missing id or version, a pack registered twice, an id collision or a bad reference
+ */
+export function registerContent(pack) {
+  if (!pack || typeof pack.id !== "string" || !pack.id) throw new Error("Content pack without an id");
+  if (typeof pack.version !== "string" || !VERSION_PATTERN.test(pack.version)) {
+    throw packError(pack, `version must look like 1.2.3, got "${pack.version}"`);
+  }
+  const existing = packs.find((p) => p.id === pack.id);
+  if (existing) throw packError(pack, `already registered (version ${existing.version})`);
+
+  const entry = {
+    id: pack.id,
+    version: pack.version,
+    tag: `${pack.id}@${pack.version}`,
+    name: pack.name || pack.id,
+    scripts: { ...CONTENT_SCRIPTS, ...pack.scripts },
+    fireModes: { ...pack.fireModes },
+    spawnTables: pack.spawnTables || [],
+  };
+  for (const kind of LIST_KINDS) entry[kind] = pack[kind] || [];
+
+  checkPack(entry);
+  packs.push(entry);
+  return { id: entry.id, version: entry.version, tag: entry.tag };
+}
+
+/**
+ * Remove a registered pack (tests, toggling seasonal content)
+ * @param {string} id - Pack id
+ * @returns {boolean} True if it was registered
+ */
+export function unregisterContent(id) {
+  const index = packs.findIndex((p) => p.id === id);
+  if (index < 0) return false;
+  packs.splice(index, 1);
+  return true;
+}
+
+/**
+ * Remove every registered pack
+ */
+export function clearRegisteredContent() {
+  packs.length = 0;
+}
+
+/**
+ * Registered packs
+ * @returns {Array<{id: string, version: string, tag: string, name: string}>}
+ */
+export function getRegisteredPacks() {
+  return packs.map(({ id, version, tag, name }) => ({ id, version, tag, name }));
+}
+
+/**
+ * Raw definitions from every registered pack, for tools (contentValidator)
+ * @returns {Object} { weapons, tomes, items, characters, enemies, bosses, spawnTables, fireModes } - list entries are { pack, def, scripts }
+ */
+export function getRegisteredDefinitions() {
+  const out = { weapons: [], tomes: [], items: [], characters: [], enemies: [], bosses: [], spawnTables: [], fireModes: [] };
+  for (const pack of packs) {
+    for (const kind of [...LIST_KINDS, "spawnTables"]) {
+      out[kind].push(...pack[kind].map((def) => ({ pack: pack.tag, def, scripts: pack.scripts })));
+    }
+    out.fireModes.push(...Object.keys(pack.fireModes).map((def) => ({ pack: pack.tag, def })));
+  }
+  return out;
+}
+
+/**
+ * Compile the registered weapons, tomes, items and characters
+ * @param {Object} ctx - Content context { makeIconDraw, rarityMult, bumpShake, addParticle, sfxBoss }
+ * @returns {Object} { weapons, tomes, items, characters } with version-tagged entries
+ */
+export function compileRegisteredContent(ctx) {
+  const out = { weapons: [], tomes: [], items: [], characters: [] };
+  for (const pack of packs) {
+    const packCtx = { ...ctx, scripts: pack.scripts };
+    const tag = (entry) => ({ ...entry, pack: pack.tag });
+    out.weapons.push(...pack.weapons.map((def) => tag(compileWeapon(def, packCtx))));
+    out.tomes.push(...pack.tomes.map((def) => tag(compileTome(def, packCtx))));
+    out.items.push(...pack.items.map((def) => tag(compileItem(def, packCtx))));
+    out.characters.push(...pack.characters.map((def) => tag(def)));
+  }
+  return out;
+}
+
+/**
+ * Handler for a registered weapon mode
+ * @param {string} mode - weaponMode
+ * @returns {Function|null} (s, weapon, api) => cooldown?, or null for built-in and unknown modes
+ */
+export function getFireMode(mode) {
+  for (const pack of packs) {
+    if (pack.fireModes[mode]) return pack.fireModes[mode];
+  }
+  return null;
+}
+
+/**
+ * Base stats for an enemy tier, base game or registered
+ * @param {string} tier - Enemy id
+ * @returns {Object|undefined} { hp, speed, radius, xp, baseCoin, color?, deathHue?, behaviours?, attack?, contact?, sight? }
+ */
+export function getEnemyStats(tier) {
+  if (ENEMY_BASE_STATS[tier]) return ENEMY_BASE_STATS[tier];
+  for (const pack of packs) {
+    const def = pack.enemies.find((e) => e.id === tier);
+    if (def) return def;
+  }
+  return undefined;
+}
+
+/**
+ * Enemy tier weights for a floor: the base table plus every registered spawn table
+ * @param {number} floor - Current floor number
+ * @returns {Array} Weighted entries [{ w, t }]
+ */
+export function getEnemySpawnWeights(floor) {
+  const weights = getEnemyTierWeights(floor);
+  for (const pack of packs) {
+    for (const entry of pack.spawnTables) {
+      const minFloor = entry.minFloor ?? 1;
+      if (floor < minFloor || floor > (entry.maxFloor ?? Infinity)) continue;
+      const w = Math.max(0, entry.weight + (entry.perFloor || 0) * (floor - minFloor));
+      if (w > 0) weights.push({ w, t: entry.enemy });
+    }
+  }
+  return weights;
+}
+
+/**
+ * Registered bosses that can appear on a floor
+ * @param {number} floor - Current floor number
+ * @returns {Array} Boss definitions
+ */
+export function getRegisteredBosses(floor) {
+  const bosses = [];
+  for (const pack of packs) {
+    for (const def of pack.bosses) {
+      if (floor >= (def.minFloor ?? 1) && floor <= (def.maxFloor ?? Infinity)) bosses.push(def);
+    }
+  }
+  return bosses;
+}
@@ -0,0 +1,43 @@
+/**
+ * Content scripts
+ *
+ * Hooks for content that declarative effects can't express (costs, screen
+ * effects, touching enemies). A definition names one with "script"; it runs
+ * after the definition's effects with the same arguments as apply, plus the
+ * content context { rarityMult, bumpShake, addParticle, sfxBoss }.
+ */
+
+export const CONTENT_SCRIPTS = {
+  // Damage every enemy on the floor and a chunk of the boss
+  nuke(s, r, { bumpShake, addParticle, sfxBoss }) {
+    for (const e of s.enemies) e.hp -= 999999;
+    if (s.boss.active) s.boss.hp -= Math.round(s.boss.maxHp * 0.28);
+    bumpShake(s, 10, 0.12);
+    s.hitStopT = Math.max(s.hitStopT, 0.08);
+    addParticle(s, s.player.x, s.player.y, 38, 55);
+    sfxBoss();
+  },
+
+  // Heal for coins (nothing happens if the player can't pay)
+  patch(s, r, { rarityMult, addParticle }) {
+    const m = rarityMult(r);
+    const p = s.player;
+    const cost = Math.max(2, Math.round(3 + s.floor + 2 * (m - 1)));
+    if (p.coins < cost) return;
+    p.coins -= cost;
+    p.hp = Math.min(p.maxHp, p.hp + Math.round(p.maxHp * (0.16 + 0.1 * m)));
+    addParticle(s, p.x, p.y, 18, 160);
+  },
+
+  // Trade max HP for damage, for coins
+  glassCannon(s, r, { rarityMult }) {
+    const m = rarityMult(r);
+    const p = s.player;
+    const cost = Math.max(4, Math.round(6 + s.floor));
+    if (p.coins < cost) return;
+    p.coins -= cost;
+    p.weaponDamage *= 1 + 0.28 * m;
+    p.maxHp = Math.max(50, Math.round(p.maxHp * (1 - 0.07 * m)));
+    p.hp = Math.min(p.hp, p.maxHp);
+  },
+};
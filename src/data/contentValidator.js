@@ -0,0 +1,464 @@
+/**
+ * Content Validator
+ *
+ * Checks weapons, tomes, items, overflow rewards, cursed items, characters, evolution recipes, synergies, enemy
+ * data, elite configs and elite affixes (base game and registered packs) against a schema, and
+ * cross-references the string ids systems compare against (an enemy tier a system
+ * checks for must be one the data defines).
+ *
+ * The report lists errors (content that is broken or never matches) and
+ * warnings (content that works but is incomplete): missing fields, unknown
+ * ids, unhandled ids and duplicate icons. Run it from tests or with
+ * `node scripts/validate-content.js`. System sources are passed in by the
+ * caller so this module has no node-only imports.
+ */
+
+import weaponData from "./content/weapons.json" with { type: "json" };
+import tomeData from "./content/tomes.json" with { type: "json" };
+import itemData from "./content/items.json" with { type: "json" };
+import evolutionData from "./content/evolutions.json" with { type: "json" };
+import synergyData from "./content/synergies.json" with { type: "json" };
+import overflowData from "./content/overflowRewards.json" with { type: "json" };
+import cursedItemData from "./content/cursedItems.json" with { type: "json" };
+import { createCharacters } from "./characters.js";
+import { ENEMY_TYPES, ENEMY_BASE_STATS, getEnemyTierWeights, ELITE_CONFIG } from "./enemyData.js";
+import { compileWeapon, compileTome, compileItem, compileEffects } from "./contentCompiler.js";
+import { CONTENT_SCRIPTS } from "./contentScripts.js";
+import { compileCursedItem } from "./cursedItems.js";
+import { BUILTIN_FIRE_MODES, getRegisteredDefinitions } from "./contentRegistry.js";
+import { ICON_KINDS } from "../rendering/IconRenderer.js";
+import { ENEMY_BEHAVIOURS, ENEMY_ATTACKS, BEHAVIOUR_CONDITIONS } from "../game/enemies/EnemyBehaviours.js";
+import { ELITE_AFFIXES, rollEliteAffixes } from "../game/enemies/EliteAffixes.js";
+
+/**
+ * Field types: string (non-empty), text (string, empty is a warning), number,
+ * boolean, array, object, icon (one of ICON_KINDS), or a nested schema. "?" = optional.
+ */
+export const CONTENT_SCHEMAS = {
+  weapon: {
+    id: "string",
+    name: "string",
+    icon: "icon",
+    maxLevel: "number?",
+    base: {
+      attackCooldown: "number",
+      weaponDamage: "number",
+      projectiles: "number",
+      pierce: "number",
+      spread: "number",
+      bounces: "number",
+      mode: "string",
+    },
+    levelBonuses: "array",
+    upgrades: "array?",
+  },
+  tome: { id: "string", name: "string", desc: "text", icon: "icon", maxLevel: "number?", effects: "array?", script: "string?" },
+  item: { id: "string", name: "string", desc: "text", icon: "icon", effects: "array?", script: "string?" },
+  overflow: { id: "string", name: "string", desc: "text", icon: "icon", effects: "array?", script: "string?" },
+  cursed: { id: "string", name: "string", desc: "text", icon: "icon", effects: "array?", script: "string?", penalties: "array" },
+  character: {
+    id: "string",
+    name: "string",
+    subtitle: "string",
+    startWeapon: "string",
+    stats: "object",
+    space: { id: "string", name: "string", cd: "number" },
+    perk: "string",
+  },
+  evolution: {
+    id: "string",
+    name: "string",
+    desc: "text",
+    from: "string",
+    tome: "string",
+    weapon: "object",
+  },
+  synergy: { id: "string", name: "string", desc: "text", requires: "object", effects: "array" },
+  enemy: {
+    hp: "number",
+    speed: "number",
+    radius: "number",
+    xp: "number",
+    baseCoin: "number",
+    color: "string?",
+    deathHue: "number?",
+    behaviours: "array?",
+    attack: "object?",
+    contact: "boolean?",
+    sight: "number?",
+  },
+  eliteConfig: {
+    BASE_CHANCE: "number",
+    FLOOR_SCALING: "number",
+    GOLDEN_BASE_CHANCE: "number",
+    GOLDEN_FLOOR_SCALING: "number",
+    HP_MULTIPLIER: "number",
+    SIZE_MULTIPLIER: "number",
+    SPEED_MULTIPLIER: "number",
+    COIN_MULTIPLIER: "number",
+    GOLDEN_COIN_MULTIPLIER: "number",
+    XP_MULTIPLIER: "number",
+    AFFIXES: { MAX_AFFIXES: "number", EXTRA_CHANCE_PER_FLOOR: "number", EXTRA_CHANCE_MAX: "number" },
+  },
+  eliteAffix: { kind: "string", name: "string", desc: "text", icon: "string", color: "string", weight: "number", minFloor: "number?" },
+};
+
+// Hooks an elite affix can define (see EliteAffixes)
+const AFFIX_HOOKS = ["onTick", "onDamaged", "onDeath", "contactMult"];
+
+// Bullet effects systems know about (a weapon naming another one is an error)
+const BULLET_EFFECTS = ["burn", "poison", "freeze", "shock", "explosive"];
+
+// Floors checked for spawn tables referencing unknown tiers
+const FLOORS_CHECKED = 30;
+
+/**
+ * How string ids in system code map to the ids data defines.
+ * pattern captures the id; defined(data) lists the data's ids. Ids used but
+ * not defined are errors. With handled set, defined ids no system compares
+ * against are reported at that severity.
+ */
+export const SYSTEM_ID_RULES = [
+  {
+    name: "enemy tier",
+    pattern: /\btier\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => data.enemies.map((e) => e.id),
+  },
+  {
+    name: "weapon",
+    pattern: /\b(?:weaponId|weapon\.id|weaponDef\.id|w\.id)\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => data.weapons.map((w) => w.def.id),
+  },
+  {
+    name: "upgrade",
+    pattern: /\bentry\.id\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => [...data.weapons, ...data.tomes, ...data.items].map((e) => e.def.id),
+  },
+  {
+    name: "weapon mode",
+    pattern: /\b(?:weaponMode|base\.mode)\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => data.fireModes,
+  },
+  {
+    name: "bullet effect",
+    pattern: /\b(?:effect|weaponEffect)\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => [...new Set(data.weapons.map((w) => w.def.base?.effect).filter(Boolean))],
+    handled: "warning",
+  },
+  {
+    name: "character ability",
+    pattern: /\babilityId\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => data.characters.map((c) => c.def.space?.id).filter(Boolean),
+    handled: "error",
+    usedMayBeUndefined: true,
+  },
+  {
+    name: "character",
+    pattern: /\bcharId\s*[!=]==?\s*"([^"]+)"/g,
+    defined: (data) => data.characters.map((c) => c.def.id),
+  },
+];
+
+function createReport() {
+  const report = { errors: [], warnings: [] };
+  report.add = (severity, category, where, message) => {
+    report[severity === "error" ? "errors" : "warnings"].push({ category, where, message });
+  };
+  return report;
+}
+
+function label(entry, kind) {
+  const id = entry.def?.id ?? "?";
+  return entry.pack ? `${kind} ${id} (${entry.pack})` : `${kind} ${id}`;
+}
+
+function checkSchema(value, schema, where, report) {
+  for (const [field, spec] of Object.entries(schema)) {
+    const v = value?.[field];
+    if (typeof spec === "object") {
+      if (v === undefined || v === null) report.add("error", "missing", where, `missing ${field}`);
+      else checkSchema(v, spec, `${where}.${field}`, report);
+      continue;
+    }
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    if (v === undefined || v === null) {
+      if (!optional) report.add(type === "text" ? "warning" : "error", "missing", where, `missing ${field}`);
+      continue;
+    }
+    if (type === "number" && !Number.isFinite(v)) report.add("error", "invalid", where, `${field} must be a number`);
+    else if (type === "boolean" && typeof v !== "boolean") report.add("error", "invalid", where, `${field} must be true or false`);
+    else if (type === "array" && !Array.isArray(v)) report.add("error", "invalid", where, `${field} must be a list`);
+    else if (type === "object" && (typeof v !== "object" || Array.isArray(v))) report.add("error", "invalid", where, `${field} must be an object`);
+    else if (type === "string" || type === "icon" || type === "text") {
+      if (typeof v !== "string") report.add("error", "invalid", where, `${field} must be a string`);
+      else if (v === "" && type === "text") report.add("warning", "missing", where, `${field} is empty`);
+      else if (v === "") report.add("error", "missing", where, `${field} is empty`);
+      else if (type === "icon" && !ICON_KINDS.includes(v)) report.add("error", "unknown", where, `unknown icon "${v}"`);
+    }
+  }
+}
+
+function checkDuplicateIds(entries, kind, report) {
+  const seen = new Map();
+  for (const entry of entries) {
+    const id = entry.def?.id;
+    if (id === undefined) continue;
+    if (seen.has(id)) report.add("error", "duplicate", label(entry, kind), `id also used by ${label(seen.get(id), kind)}`);
+    else seen.set(id, entry);
+  }
+}
+
+function checkCompiles(entries, kind, compile, report) {
+  const probe = { makeIconDraw: () => null, rarityMult: () => 1, scripts: CONTENT_SCRIPTS };
+  for (const entry of entries) {
+    try {
+      compile(entry.def, entry.scripts ? { ...probe, scripts: entry.scripts } : probe);
+    } catch (error) {
+      report.add("error", "invalid", label(entry, kind), error.message);
+    }
+  }
+}
+
+function checkDuplicateIcons(data, report) {
+  const byIcon = new Map();
+  for (const [kind, entries] of [["weapon", data.weapons], ["tome", data.tomes], ["item", data.items]]) {
+    for (const entry of entries) {
+      const icon = entry.def?.icon;
+      if (typeof icon !== "string") continue;
+      if (!byIcon.has(icon)) byIcon.set(icon, []);
+      byIcon.get(icon).push(`${kind} ${entry.def.id}`);
+    }
+  }
+  for (const [icon, users] of byIcon) {
+    if (users.length < 2) continue;
+    const shown = users.length > 4 ? `${users.slice(0, 4).join(", ")} and ${users.length - 4} more` : users.join(", ");
+    report.add("warning", "duplicate", `icon ${icon}`, `shared by ${users.length} entries: ${shown}`);
+  }
+}
+
+// A behaviour or attack entry: a known type, known parameters and known conditions
+function checkBehaviourEntry(entry, registry, kind, where, report) {
+  if (!registry[entry?.type]) {
+    report.add("error", "unknown", where, `unknown ${kind} "${entry?.type}"`);
+    return;
+  }
+  const params = registry[entry.type].defaults;
+  for (const key of Object.keys(entry)) {
+    if (key === "type" || key === "when") continue;
+    if (!(key in params)) report.add("warning", "unknown", where, `${kind} ${entry.type} has no parameter "${key}"`);
+  }
+  for (const key of Object.keys(entry.when || {})) {
+    if (!BEHAVIOUR_CONDITIONS[key]) report.add("error", "unknown", where, `unknown condition "${key}" in ${entry.type}`);
+  }
+}
+
+function checkEnemyBehaviours(stats, where, report) {
+  const behaviours = Array.isArray(stats?.behaviours) ? stats.behaviours : [];
+  for (const b of behaviours) checkBehaviourEntry(b, ENEMY_BEHAVIOURS, "behaviour", where, report);
+  if (behaviours.length > 0 && behaviours[behaviours.length - 1].when) {
+    report.add("warning", "invalid", where, "last behaviour has conditions; it is used when none match anyway");
+  }
+  if (stats?.attack) checkBehaviourEntry(stats.attack, ENEMY_ATTACKS, "attack", where, report);
+}
+
+function checkEnemies(data, report) {
+  for (const id of Object.values(ENEMY_TYPES)) {
+    if (!ENEMY_BASE_STATS[id]) report.add("error", "missing", `enemy ${id}`, "no base stats");
+  }
+  for (const entry of data.enemies) {
+    const where = label({ def: entry, pack: entry.pack }, "enemy");
+    checkSchema(entry.stats, CONTENT_SCHEMAS.enemy, where, report);
+    checkEnemyBehaviours(entry.stats, where, report);
+  }
+
+  const known = new Set(data.enemies.map((e) => e.id));
+  const reported = new Set();
+  for (let floor = 1; floor <= FLOORS_CHECKED; floor++) {
+    for (const { t, w } of getEnemyTierWeights(floor)) {
+      if (!known.has(t) && !reported.has(t)) {
+        reported.add(t);
+        report.add("error", "unknown", `spawn table floor ${floor}`, `unknown enemy "${t}"`);
+      }
+      if (!Number.isFinite(w) || w < 0) report.add("error", "invalid", `spawn table floor ${floor}`, `bad weight for ${t}`);
+    }
+  }
+  for (const { pack, def } of data.spawnTables) {
+    if (!known.has(def.enemy)) report.add("error", "unknown", `spawn table (${pack})`, `unknown enemy "${def.enemy}"`);
+  }
+}
+
+function checkElites(report) {
+  checkSchema(ELITE_CONFIG, CONTENT_SCHEMAS.eliteConfig, "ELITE_CONFIG", report);
+  for (const [id, affix] of Object.entries(ELITE_AFFIXES)) {
+    const where = `elite affix ${id}`;
+    checkSchema(affix, CONTENT_SCHEMAS.eliteAffix, where, report);
+    if (affix.kind !== "ability" && affix.kind !== "weakness") report.add("error", "invalid", where, `kind must be ability or weakness`);
+    if (!AFFIX_HOOKS.some((hook) => typeof affix[hook] === "function")) report.add("error", "unhandled", where, "defines no hook");
+  }
+  // Every roll hands out 1..MAX_AFFIXES distinct affixes: at least one ability,
+  // and one weakness once there are two or more
+  const { MAX_AFFIXES } = ELITE_CONFIG.AFFIXES || {};
+  for (const floor of [1, 5, 10, FLOORS_CHECKED]) {
+    for (const roll of [0, 0.3, 0.6, 0.99]) {
+      const affixes = rollEliteAffixes(floor, () => roll);
+      const kinds = affixes.map((id) => ELITE_AFFIXES[id]?.kind);
+      const abilities = kinds.filter((k) => k === "ability").length;
+      const weaknesses = kinds.length > 1 ? 1 : 0;
+      if (kinds.includes(undefined) || new Set(affixes).size !== affixes.length || abilities < 1 || kinds.length > MAX_AFFIXES || kinds.length !== abilities + weaknesses) {
+        report.add("error", "invalid", "rollEliteAffixes", `bad roll on floor ${floor}: ${affixes.join(", ")}`);
+      }
+    }
+  }
+}
+
+function checkCrossReferences(data, report) {
+  const weaponIds = new Set(data.weapons.map((w) => w.def.id));
+  for (const entry of data.characters) {
+    const start = entry.def.startWeapon;
+    if (start && !weaponIds.has(start)) report.add("error", "unknown", label(entry, "character"), `unknown start weapon "${start}"`);
+  }
+  for (const entry of data.weapons) {
+    const { mode, effect } = entry.def.base || {};
+    if (mode && !data.fireModes.includes(mode)) report.add("error", "unknown", label(entry, "weapon"), `unknown fire mode "${mode}"`);
+    if (effect && !BULLET_EFFECTS.includes(effect)) report.add("error", "unknown", label(entry, "weapon"), `unknown effect "${effect}"`);
+  }
+  const tomeIds = new Set(data.tomes.map((t) => t.def.id));
+  for (const entry of data.evolutions) {
+    const { from, tome, weapon } = entry.def;
+    if (from && !weaponIds.has(from)) report.add("error", "unknown", label(entry, "evolution"), `unknown weapon "${from}"`);
+    else if (from && !data.weapons.find((w) => w.def.id === from).def.maxLevel) report.add("error", "invalid", label(entry, "evolution"), `weapon "${from}" has no maxLevel to evolve at`);
+    if (tome && !tomeIds.has(tome)) report.add("error", "unknown", label(entry, "evolution"), `unknown tome "${tome}"`);
+    if (from && from === weapon?.id) report.add("error", "invalid", label(entry, "evolution"), "evolves a weapon into itself");
+  }
+  const itemIds = new Set(data.items.map((i) => i.def.id));
+  for (const entry of data.synergies) {
+    const { items = [], tomes = [] } = entry.def.requires || {};
+    if (items.length + tomes.length < 2) report.add("error", "invalid", label(entry, "synergy"), "needs at least two items or tomes");
+    for (const id of items) if (!itemIds.has(id)) report.add("error", "unknown", label(entry, "synergy"), `unknown item "${id}"`);
+    for (const id of tomes) if (!tomeIds.has(id)) report.add("error", "unknown", label(entry, "synergy"), `unknown tome "${id}"`);
+  }
+}
+
+/**
+ * Find the ids each SYSTEM_ID_RULES entry sees in system sources
+ * @param {Object} sources - { [path]: source text }
+ * @returns {Map<Object, Map<string, string>>} rule -> id -> first path using it
+ */
+export function scanSystemIds(sources) {
+  const found = new Map(SYSTEM_ID_RULES.map((rule) => [rule, new Map()]));
+  for (const [path, text] of Object.entries(sources)) {
+    for (const rule of SYSTEM_ID_RULES) {
+      for (const match of text.matchAll(rule.pattern)) {
+        const ids = found.get(rule);
+        if (!ids.has(match[1])) ids.set(match[1], path);
+      }
+    }
+  }
+  return found;
+}
+
+function checkSystemIds(data, sources, report) {
+  const found = scanSystemIds(sources);
+  for (const rule of SYSTEM_ID_RULES) {
+    const defined = new Set(rule.defined(data));
+    const used = found.get(rule);
+    if (!rule.usedMayBeUndefined) {
+      for (const [id, path] of used) {
+        if (!defined.has(id)) report.add("error", "unknown", path, `compares ${rule.name} against "${id}", which no data defines`);
+      }
+    }
+    if (!rule.handled) continue;
+    for (const id of defined) {
+      if (!used.has(id)) report.add(rule.handled, "unhandled", `${rule.name} ${id}`, "no system checks for it");
+    }
+  }
+}
+
+/**
+ * Gather everything the validator checks: base content plus registered packs
+ * @returns {Object} { weapons, tomes, items, characters, evolutions, synergies, overflowRewards, cursedItems, enemies, spawnTables, fireModes } - evolved weapons are listed with the weapons
+ */
+export function collectContent() {
+  const packs = getRegisteredDefinitions();
+  const base = (defs) => defs.map((def) => ({ pack: null, def }));
+  return {
+    weapons: [...base(weaponData), ...base(evolutionData.map((e) => e.weapon)), ...packs.weapons],
+    tomes: [...base(tomeData), ...packs.tomes],
+    items: [...base(itemData), ...packs.items],
+    characters: [...base(createCharacters()), ...packs.characters],
+    evolutions: base(evolutionData),
+    synergies: base(synergyData),
+    overflowRewards: base(overflowData),
+    cursedItems: base(cursedItemData),
+    enemies: [
+      ...Object.entries(ENEMY_BASE_STATS).map(([id, stats]) => ({ id, stats, pack: null })),
+      ...packs.enemies.map(({ pack, def }) => ({ id: def.id, stats: def, pack })),
+    ],
+    spawnTables: packs.spawnTables,
+    fireModes: [...BUILTIN_FIRE_MODES, ...packs.fireModes.map((m) => m.def)],
+  };
+}
+
+/**
+ * Validate all content
+ * @param {Object} options - { sources: { [path]: text } to cross-reference system ids, data: override collectContent() }
+ * @returns {Object} { errors, warnings } - entries are { category, where, message }; category is missing | invalid | unknown | duplicate | unhandled
+ */
+export function validateContent({ sources = null, data = collectContent() } = {}) {
+  const report = createReport();
+
+  for (const [kind, entries, compile] of [
+    ["weapon", data.weapons, compileWeapon],
+    ["tome", data.tomes, compileTome],
+    ["item", data.items, compileItem],
+    ["overflow", data.overflowRewards || [], compileItem],
+    ["cursed", data.cursedItems || [], compileCursedItem],
+  ]) {
+    for (const entry of entries) checkSchema(entry.def, CONTENT_SCHEMAS[kind], label(entry, kind), report);
+    checkDuplicateIds(entries, kind, report);
+    checkCompiles(entries, kind, compile, report);
+  }
+  for (const entry of data.characters) checkSchema(entry.def, CONTENT_SCHEMAS.character, label(entry, "character"), report);
+  checkDuplicateIds(data.characters, "character", report);
+  for (const entry of data.evolutions) checkSchema(entry.def, CONTENT_SCHEMAS.evolution, label(entry, "evolution"), report);
+  checkDuplicateIds(data.evolutions, "evolution", report);
+  for (const entry of data.synergies) checkSchema(entry.def, CONTENT_SCHEMAS.synergy, label(entry, "synergy"), report);
+  checkDuplicateIds(data.synergies, "synergy", report);
+  checkCompiles(data.synergies, "synergy", (def, ctx) => compileEffects(def.effects || [], ctx.rarityMult, `synergy ${def.id} effects`), report);
+
+  checkDuplicateIcons(data, report);
+  checkEnemies(data, report);
+  checkElites(report);
+  checkCrossReferences(data, report);
+  if (sources) checkSystemIds(data, sources, report);
+
+  return { errors: report.errors, warnings: report.warnings };
+}
+
+const CATEGORY_TITLES = {
+  missing: "Missing fields",
+  invalid: "Invalid values",
+  unknown: "Unknown ids",
+  duplicate: "Duplicates",
+  unhandled: "Ids no system handles",
+};
+
+/**
+ * Format a report for the console
+ * @param {Object} report - From validateContent
+ * @returns {string} Report text
+ */
+export function formatValidationReport(report) {
+  const lines = [`Content validation: ${report.errors.length} error(s), ${report.warnings.length} warning(s)`];
+  for (const [category, title] of Object.entries(CATEGORY_TITLES)) {
+    const entries = [
+      ...report.errors.filter((e) => e.category === category).map((e) => ({ ...e, level: "error" })),
+      ...report.warnings.filter((e) => e.category === category).map((e) => ({ ...e, level: "warn " })),
+    ];
+    if (entries.length === 0) continue;
+    lines.push("", `${title}:`);
+    for (const e of entries) lines.push(`  ${e.level}  ${e.where}: ${e.message}`);
+  }
+  return lines.join("\n");
+}
@@ -0,0 +1,38 @@
+/**
+ * Cursed items
+ *
+ * Definitions live in content/cursedItems.json: the item format (see
+ * contentCompiler) plus "penalties", [{ kind, value }] with kinds from
+ * CURSE_PENALTIES. They are only offered by cursed chests (see CurseSystem).
+ */
+
+import cursedItemData from "./content/cursedItems.json" with { type: "json" };
+import { compileItem } from "./contentCompiler.js";
+import { CURSE_PENALTIES } from "../game/progression/CurseSystem.js";
+
+/**
+ * Compile a cursed item definition
+ * @param {Object} def - Cursed item definition
+ * @param {Object} ctx - Compile context (as for compileItem)
+ * @returns {Object} Item with penalties
+ */
+export function compileCursedItem(def, ctx) {
+  const item = compileItem(def, ctx);
+  const where = `cursed item ${def.id}`;
+  if (!Array.isArray(def.penalties) || def.penalties.length === 0) throw new Error(`${where}: needs at least one penalty`);
+  for (const penalty of def.penalties) {
+    if (!CURSE_PENALTIES[penalty.kind]) throw new Error(`${where}: unknown penalty "${penalty.kind}"`);
+    if (typeof penalty.value !== "number") throw new Error(`${where}: penalty ${penalty.kind} needs a number value`);
+  }
+  return { ...item, penalties: def.penalties.map((penalty) => ({ ...penalty })) };
+}
+
+/**
+ * Creates the cursed items (apply(s, rarity) like items)
+ * @param {Function} makeIconDraw - Function that creates icon drawing functions
+ * @param {Function} rarityMult - Function that returns rarity multiplier
+ * @returns {Array} Array of cursed item definitions
+ */
+export function createCursedItems(makeIconDraw, rarityMult) {
+  return cursedItemData.map((def) => compileCursedItem(def, { makeIconDraw, rarityMult }));
+}
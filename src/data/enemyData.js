@@ -2,6 +2,8 @@
  * Enemy Types and Stats Configuration
  * 
  * Defines all enemy types, their base stats, and tier weights
+ * Stats may set a color and a deathHue (used instead of the renderer's defaults)
+ * and how the enemy acts: behaviours, attack, contact and sight (see EnemyBehaviours)
  */
 
 export const ENEMY_TYPES = {
@@ -10,7 +12,11 @@ export const ENEMY_TYPES = {
   RUNNER: "runner",
   SPITTER: "spitter",
   SHOCKER: "shocker",
-  TANK: "tank"
+  TANK: "tank",
+  SUMMONER: "summoner",
+  EXPLODER: "exploder",
+  SHIELDER: "shielder",
+  SPLITTER: "splitter"
 };
 
 /**
@@ -29,38 +35,118 @@ export const ENEMY_BASE_STATS = {
     speed: 47,
     radius: 18,
     xp: 7,
-    baseCoin: 3
+    baseCoin: 3,
+    behaviours: [{ type: "charge", when: { los: true, within: 230 } }, { type: "chase" }]
   },
   [ENEMY_TYPES.RUNNER]: {
     hp: 56,
     speed: 113,
     radius: 12,
     xp: 5,
-    baseCoin: 2
+    baseCoin: 2,
+    behaviours: [{ type: "strafe", when: { los: true, beyond: 60, within: 260 }, range: 40, approach: 1, speed: 1 }, { type: "chase" }]
   },
   [ENEMY_TYPES.SPITTER]: {
     hp: 64,
     speed: 59,
     radius: 15,
     xp: 6,
-    baseCoin: 2
+    baseCoin: 2,
+    behaviours: [{ type: "flee", when: { hpBelow: 0.25, within: 180 } }, { type: "kite", range: 240, speed: 0.62 }],
+    attack: { type: "spit", when: { los: true, within: 460 } },
+    contact: false
   },
   [ENEMY_TYPES.SHOCKER]: {
     hp: 72,
     speed: 69,
     radius: 14,
     xp: 6,
-    baseCoin: 2
+    baseCoin: 2,
+    contact: false
   },
   [ENEMY_TYPES.TANK]: {
     hp: 180,
     speed: 34,
     radius: 22,
     xp: 8,
-    baseCoin: 4
+    baseCoin: 4,
+    sight: 420,
+    behaviours: [{ type: "guard", when: { lostSightFor: 4 }, radius: 140 }, { type: "chase" }]
+  },
+  [ENEMY_TYPES.SUMMONER]: {
+    hp: 70,
+    speed: 52,
+    radius: 15,
+    xp: 8,
+    baseCoin: 3,
+    color: "#b388ff",
+    deathHue: 270,
+    behaviours: [{ type: "flee", when: { hpBelow: 0.3, within: 200 } }, { type: "kite", range: 260, speed: 0.7 }],
+    attack: { type: "summon" },
+    contact: false
+  },
+  [ENEMY_TYPES.EXPLODER]: {
+    hp: 40,
+    speed: 104,
+    radius: 13,
+    xp: 5,
+    baseCoin: 2,
+    color: "#ffaa00",
+    deathHue: 24,
+    attack: { type: "detonate" },
+    contact: false
+  },
+  [ENEMY_TYPES.SHIELDER]: {
+    hp: 95,
+    speed: 55,
+    radius: 16,
+    xp: 7,
+    baseCoin: 3,
+    color: "#5d9bff",
+    deathHue: 220
+  },
+  [ENEMY_TYPES.SPLITTER]: {
+    hp: 90,
+    speed: 64,
+    radius: 17,
+    xp: 6,
+    baseCoin: 2,
+    color: "#9cff3d",
+    deathHue: 95
   }
 };
 
+/**
+ * Behaviour settings of the archetypes with their own logic (see EnemyArchetypes)
+ */
+export const ARCHETYPE_CONFIG = {
+  SUMMONER: {
+    INTERVAL: 5.5, // Seconds between summons
+    COUNT: 2, // Grunts per summon
+    MAX_ALIVE: 4, // Summons of one summoner alive at once
+    XP_MULTIPLIER: 0.25, // Summoned grunts are worth less and drop no gold
+  },
+  EXPLODER: {
+    TRIGGER_RANGE: 18, // Gap to the player that lights the fuse
+    FUSE: 0.75, // Seconds from lighting to blast (telegraphed)
+    RADIUS: 85,
+    DAMAGE: 26,
+    DAMAGE_PER_FLOOR: 1.3,
+  },
+  SHIELDER: {
+    RADIUS: 150, // Allies in range take less damage
+    REDUCTION: 0.4,
+  },
+  SPLITTER: {
+    COPIES: 2,
+    GENERATIONS: 1, // Copies of copies don't split again
+    HP_MULTIPLIER: 0.45,
+    SIZE_MULTIPLIER: 0.7,
+    SPEED_MULTIPLIER: 1.2,
+    LOOT_MULTIPLIER: 0.5, // XP and gold of each copy
+  },
+};
+
 /**
  * Get enemy tier weights based on floor number
  * @param {number} floor - Current floor number
@@ -91,6 +177,26 @@ export function getEnemyTierWeights(floor) {
   if (floor >= 9) {
     weights.push({ w: Math.max(0, -5 + floor * 0.6), t: ENEMY_TYPES.TANK });
   }
+
+  // Exploder appears starting floor 2 (rushes in and detonates)
+  if (floor >= 2) {
+    weights.push({ w: Math.max(0, -1 + floor * 1.0), t: ENEMY_TYPES.EXPLODER });
+  }
+
+  // Splitter appears starting floor 4 (splits in two on death)
+  if (floor >= 4) {
+    weights.push({ w: Math.max(0, -4 + floor * 1.0), t: ENEMY_TYPES.SPLITTER });
+  }
+
+  // Summoner appears starting floor 6 (keeps away and summons grunts)
+  if (floor >= 6) {
+    weights.push({ w: Math.max(0, -7 + floor * 0.8), t: ENEMY_TYPES.SUMMONER });
+  }
+
+  // Shielder appears starting floor 8 (shields nearby allies)
+  if (floor >= 8) {
+    weights.push({ w: Math.max(0, -8 + floor * 0.7), t: ENEMY_TYPES.SHIELDER });
+  }
   
   return weights;
 }
@@ -111,50 +217,12 @@ export const ELITE_CONFIG = {
   COIN_MULTIPLIER: 2.5,
   GOLDEN_COIN_MULTIPLIER: 3.0,
   XP_MULTIPLIER: 2.0,
-  
-  ARMOR: {
-    SHIELD: 0.3 // 30% damage reduction
-  }
-};
-
-/**
- * Elite abilities
- */
-export const ELITE_ABILITIES = {
-  REGENERATION: "regeneration", // Heals over time
-  SHIELD: "shield", // Damage reduction
-  TELEPORT: "teleport", // Can teleport/dash
-  RAGE: "rage" // Gets faster and stronger as HP drops
-};
 
-/**
- * Elite weaknesses
- */
-export const ELITE_WEAKNESSES = {
-  FIRE: "fire", // Weak to fire/burn damage
-  POISON: "poison", // Weak to poison damage
-  MELEE: "melee" // Weak to melee attacks
+  // Affixes (see EliteAffixes): one, plus a chance per floor for each extra one
+  // up to MAX_AFFIXES; elites with two or more carry one weakness among them
+  AFFIXES: {
+    MAX_AFFIXES: 3,
+    EXTRA_CHANCE_PER_FLOOR: 0.06,
+    EXTRA_CHANCE_MAX: 0.6,
+  }
 };
-
-/**
- * Get random elite ability
- * @returns {string} Elite ability
- */
-export function getRandomEliteAbility() {
-  const roll = Math.random();
-  if (roll < 0.25) return ELITE_ABILITIES.REGENERATION;
-  if (roll < 0.5) return ELITE_ABILITIES.SHIELD;
-  if (roll < 0.75) return ELITE_ABILITIES.TELEPORT;
-  return ELITE_ABILITIES.RAGE;
-}
-
-/**
- * Get random elite weakness
- * @returns {string} Elite weakness
- */
-export function getRandomEliteWeakness() {
-  const roll = Math.random();
-  if (roll < 0.33) return ELITE_WEAKNESSES.FIRE;
-  if (roll < 0.66) return ELITE_WEAKNESSES.POISON;
-  return ELITE_WEAKNESSES.MELEE;
-}
@@ -0,0 +1,23 @@
+/**
+ * Weapon evolution recipes
+ *
+ * Definitions live in content/evolutions.json. A recipe turns a weapon at its
+ * maxLevel into its evolved weapon once the player also holds the named tome:
+ *   { id, name, desc, from: <weapon id>, tome: <tome id>, weapon: <weapon definition> }
+ * The evolved weapon uses the weapon format (see contentCompiler).
+ */
+
+import evolutionData from "./content/evolutions.json" with { type: "json" };
+import { compileWeapon } from "./contentCompiler.js";
+
+/**
+ * Creates the evolution recipes with their evolved weapons compiled
+ * @param {Function} makeIconDraw - Function that creates icon drawing functions
+ * @returns {Array} Array of recipes, weapon compiled like createWeapons entries
+ */
+export function createEvolutions(makeIconDraw) {
+  return evolutionData.map((def) => ({
+    ...def,
+    weapon: compileWeapon(def.weapon, { makeIconDraw }),
+  }));
+}
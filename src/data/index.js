@@ -1,28 +1,47 @@
 /**
  * Barrel export for all game data
  * This file provides a single entry point to initialize all game data
+ *
+ * Weapons, tomes and items are loaded from the JSON files in content/ and
+ * compiled into their runtime shape (see contentCompiler). Content packs
+ * registered with registerContent are appended (see contentRegistry).
+ * Weapon evolution recipes come from content/evolutions.json (see evolutions),
+ * item/tome synergies from content/synergies.json (see synergies), the
+ * rewards offered once everything is maxed from content/overflowRewards.json
+ * and the cursed chest's items from content/cursedItems.json.
  */
 
 import { createWeapons } from "./weapons.js";
 import { createTomes } from "./tomes.js";
 import { createItems } from "./items.js";
 import { createCharacters } from "./characters.js";
+import { createEvolutions } from "./evolutions.js";
+import { createSynergies } from "./synergies.js";
+import { createOverflowRewards } from "./overflowRewards.js";
+import { createCursedItems } from "./cursedItems.js";
+import { compileRegisteredContent, getRegisteredPacks } from "./contentRegistry.js";
 
 /**
- * Creates all game content (weapons, tomes, items, characters)
+ * Creates all game content (weapons, tomes, items, characters), base game first, then registered packs
  * @param {Function} makeIconDraw - Function that creates icon drawing functions
  * @param {Function} rarityMult - Function that returns rarity multiplier
  * @param {Function} bumpShake - Function to add screen shake effect (for items)
  * @param {Function} addParticle - Function to add particles (for items)
  * @param {Function} sfxBoss - Function to play boss sound effect (for items)
- * @returns {Object} Object containing all game data
+ * @returns {Object} Object containing all game data, plus evolutions (recipes), synergies, overflowRewards, cursedItems and packs: [{ id, version, tag, name }]
  */
 export function createGameContent(makeIconDraw, rarityMult, bumpShake, addParticle, sfxBoss) {
+  const registered = compileRegisteredContent({ makeIconDraw, rarityMult, bumpShake, addParticle, sfxBoss });
   return {
-    weapons: createWeapons(makeIconDraw),
-    tomes: createTomes(makeIconDraw, rarityMult),
-    items: createItems(makeIconDraw, rarityMult, bumpShake, addParticle, sfxBoss),
-    characters: createCharacters(),
+    weapons: [...createWeapons(makeIconDraw), ...registered.weapons],
+    tomes: [...createTomes(makeIconDraw, rarityMult), ...registered.tomes],
+    items: [...createItems(makeIconDraw, rarityMult, bumpShake, addParticle, sfxBoss), ...registered.items],
+    characters: [...createCharacters(), ...registered.characters],
+    evolutions: createEvolutions(makeIconDraw),
+    synergies: createSynergies(rarityMult),
+    overflowRewards: createOverflowRewards(makeIconDraw, rarityMult),
+    cursedItems: createCursedItems(makeIconDraw, rarityMult),
+    packs: getRegisteredPacks(),
   };
 }
 
@@ -33,6 +52,10 @@ export { createWeapons } from "./weapons.js";
 export { createTomes } from "./tomes.js";
 export { createItems } from "./items.js";
 export { createCharacters } from "./characters.js";
+export { createEvolutions } from "./evolutions.js";
+export { createSynergies } from "./synergies.js";
+export { createOverflowRewards } from "./overflowRewards.js";
+export { createCursedItems } from "./cursedItems.js";
 
 /**
  * Re-export helper functions
@@ -42,6 +65,22 @@ export { getTomeById } from "./tomes.js";
 export { getItemById } from "./items.js";
 export { getCharacterById } from "./characters.js";
 
+/**
+ * Re-export the content compiler (for tools and content packs)
+ */
+export { compileWeapon, compileTome, compileItem, compileEffects } from "./contentCompiler.js";
+export { CONTENT_SCRIPTS } from "./contentScripts.js";
+
+/**
+ * Re-export the content pack API
+ */
+export {
+  registerContent,
+  unregisterContent,
+  clearRegisteredContent,
+  getRegisteredPacks,
+} from "./contentRegistry.js";
+
 /**
  * Re-export constants
  */
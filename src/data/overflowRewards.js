@@ -0,0 +1,20 @@
+/**
+ * Overflow rewards
+ *
+ * Definitions live in content/overflowRewards.json (item format, see
+ * contentCompiler). The ChoiceRoller offers them in card slots it can't fill
+ * because every weapon and tome is at its max level (or banished).
+ */
+
+import overflowData from "./content/overflowRewards.json" with { type: "json" };
+import { compileItem } from "./contentCompiler.js";
+
+/**
+ * Creates the overflow rewards (apply(s, rarity) like items)
+ * @param {Function} makeIconDraw - Function that creates icon drawing functions
+ * @param {Function} rarityMult - Function that returns rarity multiplier
+ * @returns {Array} Array of reward definitions
+ */
+export function createOverflowRewards(makeIconDraw, rarityMult) {
+  return overflowData.map((def) => compileItem(def, { makeIconDraw, rarityMult }));
+}
@@ -0,0 +1,131 @@
+/**
+ * Frostfall - winter content pack
+ *
+ * Seasonal pack: a nova weapon with its own fire mode, a tome, an item, a
+ * character, a wisp enemy and a boss. Not registered by default; enable it
+ * before the game starts:
+ *
+ *   import { registerContent } from "./data/index.js";
+ *   import { FROSTFALL_PACK } from "./data/packs/frostfall.js";
+ *   registerContent(FROSTFALL_PACK);
+ */
+
+import { clamp } from "../../utils/math.js";
+
+/**
+ * Nova fire mode: a ring of shards around the player, aimed or not
+ * @param {Object} s - Game state
+ * @param {Object} weapon - Player weapon with weaponMode "nova"
+ * @param {Object} api - { target, angle, rng, shootBullet, ... } from WeaponSystem
+ */
+function fireNova(s, weapon, { angle, rng, shootBullet }) {
+  const p = s.player;
+  const count = 6 + Math.max(1, weapon.projectiles) * 2;
+  const dmg = (weapon.weaponDamage || 1) * (0.84 + 0.015 * (s.floor || 0));
+  const crit = rng() < clamp(p.critChance || 0, 0, 0.8);
+  for (let i = 0; i < count; i++) {
+    shootBullet(s, p.x, p.y, angle + (i / count) * Math.PI * 2, crit ? dmg * 1.6 : dmg, 420 * p.projectileSpeed, {
+      r: 3.6 * p.sizeMult * (weapon.bulletSizeMult || 1),
+      pierce: weapon.pierce,
+      color: "#9fe8ff",
+      crit,
+      knock: p.knockback,
+      bounces: weapon.bounces,
+      effect: weapon.weaponEffect,
+      life: 0.7,
+    });
+  }
+}
+
+export const FROSTFALL_PACK = {
+  id: "frostfall",
+  version: "1.0.0",
+  name: "Frostfall",
+
+  fireModes: {
+    nova: fireNova,
+  },
+
+  weapons: [
+    {
+      id: "frost_nova",
+      name: "Frost Nova",
+      icon: "staff",
+      base: { attackCooldown: 1.4, weaponDamage: 7, projectiles: 1, pierce: 1, spread: 0, bounces: 0, effect: "freeze", mode: "nova" },
+      levelBonuses: [
+        { stat: "weaponDamage", op: "mul", value: 1.1 },
+        { stat: "attackCooldown", op: "mul", value: 0.9, min: 0.5 },
+        { stat: "projectiles", op: "add", value: 1, max: 6 },
+      ],
+    },
+  ],
+
+  tomes: [
+    {
+      id: "t_winter",
+      name: "Winter Tome",
+      desc: "+Freeze chance",
+      icon: "staff",
+      effects: [
+        { stat: "freezeChance", op: "add", value: { perRarity: 0.04 }, default: 0, max: 0.5 },
+      ],
+    },
+  ],
+
+  items: [
+    {
+      id: "hot_cocoa",
+      name: "Hot Cocoa",
+      desc: "+HP regen and a small heal",
+      icon: "time",
+      effects: [
+        { stat: "regen", op: "add", value: { perRarity: 0.2 } },
+        { stat: "hp", op: "add", value: { perRarity: 10, round: "round" }, max: { stat: "maxHp" } },
+      ],
+    },
+  ],
+
+  characters: [
+    {
+      id: "yeti",
+      name: "Yeti",
+      subtitle: "Frost",
+      startWeapon: "frost_nova",
+      stats: { hp: 115, speedBase: 70, armor: 0.04 },
+      space: { id: "slam", name: "Slam", cd: 4.8 },
+      perk: "Tough start, freezing nova",
+    },
+  ],
+
+  enemies: [
+    {
+      id: "frost_wisp",
+      hp: 40,
+      speed: 96,
+      radius: 11,
+      xp: 4,
+      baseCoin: 2,
+      color: "#bff4ff",
+      // Drifts around the player before diving in
+      behaviours: [{ type: "strafe", when: { los: true, beyond: 80, within: 300 }, range: 60, approach: 0.8 }, { type: "chase" }],
+    },
+  ],
+
+  spawnTables: [
+    { enemy: "frost_wisp", weight: 6, perFloor: 1, minFloor: 2 },
+  ],
+
+  bosses: [
+    {
+      id: "frost_warden",
+      name: "Frost Warden",
+      minFloor: 3,
+      hpMult: 1.1,
+      abilities: (floor) => [
+        { type: "ringPulse", cooldown: 4.5, maxRadius: 320 + floor * 15 },
+        { type: "lineDash", cooldown: 5.5, dashDistance: 260 + floor * 15 },
+        { type: "multiShot", cooldown: 6, shotCount: 6 + Math.floor(floor / 3), range: 420 },
+      ],
+    },
+  ],
+};
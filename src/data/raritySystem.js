@@ -3,6 +3,11 @@
  * 
  * Handles rarity weight calculations, rarity rolling, and rarity multipliers.
  * Used for loot drops, upgrade quality, and stat scaling.
+ *
+ * Each upgrade source (level-up, chest, boss chest) has a pity timer: after
+ * `after` card screens in a row without a Rare or better, the Rare and
+ * Legendary weights grow by `step` per further miss (up to `max` times their base).
+ * The roller keeps the misses per source in p.rarityPity and resets them on a hit.
  */
 
 import { clamp } from "../utils/math.js";
@@ -39,14 +44,63 @@ export function getRarityWeights(luck) {
   return weights;
 }
 
+/**
+ * Pity timer of each upgrade source
+ */
+export const RARITY_PITY = {
+  levelup: { label: "Level-up", after: 8, step: 0.35, max: 4 },
+  chest: { label: "Chest", after: 4, step: 0.5, max: 5 },
+  bossChest: { label: "Boss chest", after: 1, step: 1, max: 6 },
+};
+
+/**
+ * Whether a rarity resets the pity timer
+ * @param {string} rarity - Rarity tier
+ * @returns {boolean} True for Rare and Legendary
+ */
+export function isPityHit(rarity) {
+  return rarity === RARITY.RARE || rarity === RARITY.LEGENDARY;
+}
+
+/**
+ * Rarity weights with a source's pity applied
+ * @param {number} luck - Player's luck stat
+ * @param {string|null} source - Key of RARITY_PITY (null for no pity)
+ * @param {number} misses - Rolls since the last Rare or better from that source
+ * @returns {Array<{r: string, w: number}>} Array of rarity weights
+ */
+export function getPityWeights(luck, source = null, misses = 0) {
+  const weights = getRarityWeights(luck);
+  const pity = RARITY_PITY[source];
+  if (!pity || misses < pity.after) return weights;
+  const boost = Math.min(pity.max, 1 + pity.step * (misses - pity.after + 1));
+  return weights.map((x) => (isPityHit(x.r) ? { ...x, w: x.w * boost } : x));
+}
+
+/**
+ * Chance of each rarity, for showing players the current odds
+ * @param {number} luck - Player's luck stat
+ * @param {string|null} source - Key of RARITY_PITY (null for no pity)
+ * @param {number} misses - Rolls since the last Rare or better from that source
+ * @returns {Array<{r: string, chance: number}>} Chances (0-1) in rarity order
+ */
+export function getRarityOdds(luck, source = null, misses = 0) {
+  const weights = getPityWeights(luck, source, misses);
+  const total = weights.reduce((sum, x) => sum + x.w, 0);
+  return weights.map((x) => ({ r: x.r, chance: x.w / total }));
+}
+
 /**
  * Roll a random rarity based on luck
  * @param {number} luck - Player's luck stat
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
+ * @param {string|null} source - Key of RARITY_PITY (null for no pity)
+ * @param {number} misses - Rolls since the last Rare or better from that source
  * @returns {string} Selected rarity (RARITY.COMMON, UNCOMMON, RARE, or LEGENDARY)
  */
-export function rollRarity(luck) {
-  const weights = getRarityWeights(luck);
-  return pickWeighted(weights.map((x) => ({ w: x.w, t: x.r }))).t;
+export function rollRarity(luck, rng = Math.random, source = null, misses = 0) {
+  const weights = getPityWeights(luck, source, misses);
+  return pickWeighted(weights.map((x) => ({ w: x.w, t: x.r })), rng).t;
 }
 
 /**
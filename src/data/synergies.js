@@ -0,0 +1,29 @@
+/**
+ * Synergy definitions
+ *
+ * Definitions live in content/synergies.json. A synergy activates once the
+ * player holds every item and tome it requires and applies its effects to the
+ * player (contentCompiler effect format):
+ *   { id, name, desc, requires: { items: [ids], tomes: [ids] }, effects: [...] }
+ */
+
+import synergyData from "./content/synergies.json" with { type: "json" };
+import { compileEffects } from "./contentCompiler.js";
+
+/**
+ * Creates the synergies with their effects compiled
+ * @param {Function} rarityMult - Function that returns rarity multiplier
+ * @returns {Array} Array of { id, name, desc, requires: { items, tomes }, apply(p) }
+ */
+export function createSynergies(rarityMult) {
+  return synergyData.map((def) => {
+    const effects = compileEffects(def.effects || [], rarityMult, `synergy ${def.id} effects`);
+    return {
+      id: def.id,
+      name: def.name,
+      desc: def.desc ?? "",
+      requires: { items: def.requires?.items || [], tomes: def.requires?.tomes || [] },
+      apply: (p) => effects(p),
+    };
+  });
+}
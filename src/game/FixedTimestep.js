@@ -0,0 +1,61 @@
+/**
+ * Fixed Timestep
+ *
+ * Accumulator for running the simulation at a fixed rate regardless of the
+ * display's refresh rate. Each animation frame adds its real elapsed time and
+ * runs as many fixed steps as fit; the leftover fraction (alpha) is used by the
+ * renderer to interpolate between the last two simulated states.
+ */
+
+export const SIM_HZ = 120;
+export const FIXED_DT = 1 / SIM_HZ;
+
+// Longest frame we try to catch up on (tab switches, breakpoints) - the rest is dropped
+export const MAX_FRAME_TIME = 0.1;
+
+/**
+ * Create a fixed-step accumulator
+ * @param {Object} opts - Options { stepDt, maxFrameTime }
+ * @param {number} opts.stepDt - Simulation step in seconds (default FIXED_DT)
+ * @param {number} opts.maxFrameTime - Cap on the time added per frame (default MAX_FRAME_TIME)
+ * @returns {Object} Timestep { stepDt, advance, reset, alpha }
+ */
+export function createFixedTimestep({ stepDt = FIXED_DT, maxFrameTime = MAX_FRAME_TIME } = {}) {
+  let accumulator = 0;
+
+  return {
+    stepDt,
+
+    /**
+     * Add a frame's elapsed time and run the fixed steps it covers
+     * @param {number} frameDt - Real seconds since the last frame
+     * @param {Function} step - Called with stepDt once per fixed step; receives the step index in this frame
+     * @returns {number} Steps run this frame
+     */
+    advance(frameDt, step) {
+      accumulator += Math.min(Math.max(frameDt, 0), maxFrameTime);
+      let steps = 0;
+      while (accumulator >= stepDt) {
+        accumulator -= stepDt;
+        step(stepDt, steps);
+        steps++;
+      }
+      return steps;
+    },
+
+    /**
+     * Drop leftover time (after pauses and menus, so the world doesn't jump on resume)
+     */
+    reset() {
+      accumulator = 0;
+    },
+
+    /**
+     * How far the next step has progressed, for render interpolation
+     * @returns {number} 0..1
+     */
+    alpha() {
+      return accumulator / stepDt;
+    },
+  };
+}
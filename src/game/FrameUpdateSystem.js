@@ -1,12 +1,12 @@
 import { clamp } from "../utils/math.js";
-import { generateFlowField } from "./systems/PathfindingSystem.js";
+import { updateFlowField } from "./systems/FlowFieldCache.js";
 import { initializeCamera, updateCamera } from "./systems/CameraSystem.js";
 
 /**
  * Initialize and update per-frame state (camera, time, music, flow field)
+ * world is the optional world service the flow field is computed on (see FlowFieldCache)
  */
-export function updateFrameState(s, dt, uiRef, tickMusicFn, updateMusicFn) {
-  const p = s.player;
+export function updateFrameState(s, dt, uiRef, tickMusicFn, updateMusicFn, world = null) {
   const { w, h } = s.arena;
   
   // Initialize and update camera
@@ -20,21 +20,12 @@ export function updateFrameState(s, dt, uiRef, tickMusicFn, updateMusicFn) {
   tickMusicFn(dt, intensity);
   updateMusicFn(dt);
   
-  // Generate Flow Field once per frame (Dijkstra Map from player position)
-  if (s.levelData && s.levelData.pathfindingGrid) {
-    try {
-      s.flowFieldData = generateFlowField(
-        p.x,
-        p.y,
-        s.levelData.pathfindingGrid,
-        s.levelData.pathfindingGridSize || 10
-      );
-    } catch (error) {
-      // Flow field generation failed - log error and set to null
-      console.error('Flow field generation error:', error);
-      s.flowFieldData = null;
-    }
-  } else {
+  // Flow field toward the player (Dijkstra Map) - recomputed in slices when the player changes grid cell
+  try {
+    updateFlowField(s, world);
+  } catch (error) {
+    // Flow field generation failed - log error and set to null
+    console.error('Flow field generation error:', error);
     s.flowFieldData = null;
   }
 
@@ -1,8 +1,11 @@
 import { clamp, rand } from "../utils/math.js";
 import { xpToNext } from "../utils/gameMath.js";
+import { createRunRng, randomSeed } from "../utils/rng.js";
+import { createRunStats } from "./events/GameEventSubscribers.js";
 
 /**
  * Initialize a new game run
+ * Pass a seed to reproduce a run (bug reports, daily seeds, replays); omit it for a fresh one
  */
 export function newRun(
   prevBest,
@@ -15,7 +18,8 @@ export function newRun(
   stateRef,
   setUi,
   ensureAudioFn,
-  audioRef
+  audioRef,
+  seed = null
 ) {
   ensureAudioFn();
   // Resume audio on user interaction (start game)
@@ -28,13 +32,19 @@ export function newRun(
 
   const player = makePlayerFn(charId, w, h);
 
+  // One seeded PRNG per run - every system draws from its own stream on s.rng
+  const rng = createRunRng(seed ?? randomSeed());
+
   const s = {
+    seed: rng.seed,
+    rng,
     t: 0,
     running: true,
     freezeMode: null,
+    loadingFloor: null, // { floor } while the next floor's level is being generated
     floor: 1,
     score: 0,
-    bgHue: Math.floor(rand(190, 250)),
+    bgHue: Math.floor(rand(190, 250, rng.fx)),
 
     stageDur: 600,
     stageLeft: 600,
@@ -74,12 +84,16 @@ export function newRun(
 
     spawn: { t: 1.2, delay: 0.78, cap: 10 },
 
-    boss: { active: false, hp: 0, maxHp: 0, r: 0, x: 0, y: 0, timeLeft: 0, angle: 0, enraged: false, controller: null },
+    boss: { active: false, hp: 0, maxHp: 0, r: 0, x: 0, y: 0, timeLeft: 0, angle: 0, enraged: false, controller: null, bossId: null, name: null },
     bossPortalSpawned: false,
+    cursedChestSpawned: false,
+    cursedRun: false, // Set for good once a cursed chest is opened
     camera: null,
 
     lastHitT: -999,
 
+    stats: createRunStats(), // Kills, damage taken, pickups - counted by the run stats subscriber
+
     schedule: { didSeven: false, didThree: false },
 
     uiPulseT: 0,
@@ -88,7 +102,7 @@ export function newRun(
   };
 
   // Generate procedural level
-  s.levelData = generateProceduralLevel(w, h, 1);
+  s.levelData = generateProceduralLevel(w, h, 1, rng.levelgen);
   s.floorStartTime = 0;
   
   // Initialize camera
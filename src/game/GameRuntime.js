@@ -0,0 +1,692 @@
+/**
+ * Game Runtime
+ *
+ * Composes the extracted game systems into a single runtime object.
+ * Every system keeps its positional dependency-injection signature; this module
+ * binds the shared refs, audio and content once so callers only pass the state.
+ *
+ * GameRuntime (class) wraps the same runtime with in-memory refs so a run can be
+ * stepped headless - no React, canvas or DOM - for integration tests and balance scripts.
+ */
+
+import { INTERACT, RARITY } from "../data/constants.js";
+import { createGameContent } from "../data/index.js";
+import { rarityMult } from "../data/raritySystem.js";
+import { makeIconDraw } from "../rendering/IconRenderer.js";
+import { resolveDynamicOverlap } from "./systems/CollisionSystem.js";
+import { generateProceduralLevel } from "./world/LevelGenerator.js";
+import { newRun as newRunFn } from "./GameInitializer.js";
+import { updateFrameState } from "./FrameUpdateSystem.js";
+import { bumpShake, addParticle } from "./effects/VisualEffects.js";
+import { pushCombatText } from "./effects/CombatText.js";
+import { updateParticles } from "./effects/ParticleSystem.js";
+import { spawnEnemy } from "./enemies/EnemySpawner.js";
+import { updateEnemySpawning } from "./enemies/EnemySpawnScheduler.js";
+import { startBoss as startBossFn } from "./enemies/BossSpawner.js";
+import { processEnemyDeaths } from "./enemies/EnemyDeathSystem.js";
+import { spawnInteractable } from "./interactables/InteractableSpawner.js";
+import { tryUseInteractable as tryUseInteractableFn } from "./interactables/InteractionHandler.js";
+import { makePlayer as makePlayerFn } from "./player/PlayerFactory.js";
+import { useAbility as useAbilityFn } from "./player/PlayerAbilities.js";
+import { applyPlayerDamage } from "./player/PlayerDamageSystem.js";
+import { updateHealthRegeneration, updateShieldRegeneration } from "./player/PlayerRegenerationSystem.js";
+import { createChoiceRoller } from "./progression/ChoiceRoller.js";
+import { createUpgradeSequence } from "./progression/UpgradeSequence.js";
+import { createChoiceHandler } from "./progression/ChoiceHandler.js";
+import { applyWeapon } from "./progression/UpgradeSystem.js";
+import { awardXP as awardXPFn } from "./progression/LevelUpSystem.js";
+import { updateBossPortalSpawning, updateDifficultyScaling, updateChestSpawning, updateCurseSpawning } from "./progression/GameProgressionSystem.js";
+import { handleFloorTransition, enterFloor, checkBossTimer } from "./progression/FloorTransition.js";
+import { shootBullet as shootBulletFn } from "./projectiles/BulletFactory.js";
+import { updateBullets } from "./projectiles/BulletUpdateSystem.js";
+import { fireWeapon as fireWeaponFn } from "./weapons/WeaponSystem.js";
+import { acquireTarget } from "./systems/TargetingSystem.js";
+import { indexEnemies } from "./systems/SpatialHash.js";
+import { recycleEntities, getPoolStats } from "./systems/EntityPool.js";
+import { updateJumpPhysics, updateBuffTimers, startJump } from "./systems/PhysicsSystem.js";
+import { updatePlayerMovement, updateWeaponCooldowns } from "./systems/PlayerUpdateSystem.js";
+import { updateEnemyStatusEffects, updateEnemyHitCooldowns } from "./systems/StatusEffectSystem.js";
+import { updateEnemyAI } from "./systems/EnemyAISystem.js";
+import { updateBoss } from "./systems/BossUpdateSystem.js";
+import { updateLoot } from "./systems/LootSystem.js";
+import { handleAdminClick as handleAdminClickFn, handleAdminAction as handleAdminActionFn } from "./admin/AdminPanel.js";
+import { createSilentAudioContext } from "../audio/AudioContext.js";
+import { createInputRecorder } from "./input/InputRecorder.js";
+import { createReplayPlayer, parseReplay } from "./input/ReplayPlayer.js";
+import { createRunSnapshot, restoreRunSnapshot, createSaveStore } from "./save/SaveSystem.js";
+import { createFixedTimestep } from "./FixedTimestep.js";
+import { createEventBus, GAME_EVENTS } from "./events/GameEvents.js";
+import { createWorldService } from "./workers/WorldService.js";
+import { getRng } from "../utils/rng.js";
+import { subscribeAudio, subscribeEffects, subscribeRunStats } from "./events/GameEventSubscribers.js";
+import { syncUIState, updateUITimers, shouldUpdateGame } from "../rendering/RenderOrchestrator.js";
+
+/**
+ * Create the game runtime with injected dependencies
+ * @param {Object} deps - Dependencies { stateRef, uiRef, setUi, audioRef, keysRef, jumpKeyJustPressedRef, sizeRef, audio, isoMode, storage }
+ * @param {Object} deps.audio - Bound audio functions (see createAudioContext)
+ * @param {boolean} deps.isoMode - Isometric jump direction (the component's ISO_MODE, default false)
+ * @param {Object} deps.storage - Where the run save lives (localStorage in the browser, default none: saving is off)
+ * @param {Object} deps.world - World service for level generation and flow fields (default in-process, see WorldService)
+ * @returns {Object} Runtime { content, audio, events, recorder, world, update, stepFrame, newRun, saveRun, continueRun, ...bound game functions }
+ */
+export function createGameRuntime(deps) {
+  const { stateRef, uiRef, setUi, audioRef, keysRef, jumpKeyJustPressedRef, sizeRef, audio, isoMode = false, storage = null } = deps;
+  const world = deps.world || createWorldService();
+  // Next floor's level once generated: { s, levelData, rngState } (see requestLevel)
+  let loadedFloor = null;
+
+  // Every run is recorded so it can be exported and replayed (see ReplayPlayer)
+  const recorder = createInputRecorder();
+
+  // One save slot for the run in progress (see SaveSystem)
+  const saveStore = storage ? createSaveStore(storage) : null;
+  let autosave = true;
+  let saveDue = false;
+
+  // Gameplay events (see GameEvents); every run's state points at this bus as s.events
+  const events = createEventBus();
+  subscribeEffects(events);
+  subscribeAudio(events, audio);
+  subscribeRunStats(events);
+  // Autosave on reaching a new floor - deferred to the end of the frame so a resume continues exactly there
+  events.on(GAME_EVENTS.FLOOR_CLEARED, () => {
+    saveDue = true;
+  });
+
+  const content = createGameContent(makeIconDraw, rarityMult, bumpShake, addParticle, audio.sfxBoss);
+
+  function shootBullet(s, x, y, angle, dmg, speed, opts) {
+    return shootBulletFn(s, x, y, angle, dmg, speed, opts, audio.sfxShoot);
+  }
+
+  function fireWeapon(s) {
+    fireWeaponFn(s, acquireTarget, shootBullet, pushCombatText, bumpShake, audio.sfxShoot);
+  }
+
+  function startBoss(s, seconds, bossX = null, bossY = null) {
+    startBossFn(s, seconds, bossX, bossY, bumpShake, audio.sfxBoss);
+  }
+
+  function makePlayer(charId, w, h) {
+    return makePlayerFn(charId, w, h, content, applyWeapon);
+  }
+
+  const { rollChoicesOfType, rollLevelChoices, rollChestChoices } = createChoiceRoller({
+    stateRef, content, applyWeapon, pushCombatText, sfxInteract: audio.sfxInteract,
+  });
+  const triggerUpgradeSequence = createUpgradeSequence({ uiRef, setUi, sfxLevelUp: audio.sfxLevelUp, rollChestChoices });
+  const pickChoiceFn = createChoiceHandler({
+    stateRef, uiRef, setUi, pushCombatText, rollLevelChoices, rollChoicesOfType, awardXP,
+  });
+
+  // Picks and reroll/banish/skip are recorded once they went through
+  function pickChoice(i) {
+    const done = pickChoiceFn(i);
+    if (done) recorder.recordChoice(i);
+    return done;
+  }
+
+  function awardXP(s, amount, x, y) {
+    return awardXPFn(s, amount, x, y, rollLevelChoices, uiRef, setUi);
+  }
+
+  function newRun(prevBest = 0, charId = "cowboy", seed = null) {
+    newRunFn(prevBest, charId, sizeRef, makePlayer, generateProceduralLevel, spawnInteractable, INTERACT, stateRef, setUi, audio.ensureAudio, audioRef, seed);
+    stateRef.current.events = events;
+    saveDue = false;
+    const { w, h } = sizeRef.current;
+    recorder.start({ seed: stateRef.current.seed, charId, width: w, height: h });
+    // A new run abandons the saved one (replays run with autosave off and leave it alone)
+    if (autosave) clearSave();
+  }
+
+  /**
+   * Save the run in progress (autosaves on pause and on reaching a new floor)
+   * Only from the running screen: a pending levelup pick lives in the UI, not the state
+   * @param {Object} s - Game state
+   * @returns {boolean} True if saved
+   */
+  function saveRun(s) {
+    if (!saveStore || !autosave || !s || s.player.hp <= 0) return false;
+    // Mid-transition the old floor is gone and the new one isn't in the state yet
+    if (uiRef.current.screen !== "running" || s.loadingFloor) return false;
+    const snapshot = createRunSnapshot(s, recorder.getReplay());
+    if (!saveStore.save(snapshot)) return false;
+    setUi((u) => ({ ...u, savedRun: snapshot.meta }));
+    return true;
+  }
+
+  /**
+   * Resume the saved run; its input log continues so the replay still covers the whole run
+   * @returns {Object|null} Restored game state, or null if there is no save
+   */
+  function continueRun() {
+    const snapshot = saveStore?.load();
+    if (!snapshot) return null;
+    const { state, replay } = restoreRunSnapshot(snapshot, content);
+
+    audio.ensureAudio();
+    keysRef.current.clear();
+    jumpKeyJustPressedRef.current = false;
+    state.events = events;
+    saveDue = false;
+    stateRef.current = state;
+    if (replay) recorder.resume(replay);
+
+    setUi((u) => ({
+      ...u,
+      screen: "running",
+      selectedChar: state.player.charId,
+      score: state.score,
+      coins: state.player.coins,
+      level: state.level,
+      xp: state.xp,
+      xpNeed: state.xpNeed,
+      timer: state.stageLeft,
+      hint: "Run restored",
+      levelChoices: [],
+      deathReason: "",
+      showStats: false,
+      pauseMenu: false,
+    }));
+    return state;
+  }
+
+  /**
+   * Describe the saved run for the menu
+   * @returns {Object|null} Snapshot meta { charId, charName, floor, level, score, t }
+   */
+  function getSavedRun() {
+    return saveStore?.load()?.meta || null;
+  }
+
+  function clearSave() {
+    if (!saveStore) return;
+    saveStore.clear();
+    if (uiRef.current.savedRun) setUi((u) => ({ ...u, savedRun: null }));
+  }
+
+  /**
+   * Turn autosave off while watching a replay (it must not overwrite the player's save)
+   * @param {boolean} on - Autosave enabled
+   */
+  function setAutosave(on) {
+    autosave = on;
+  }
+
+  function tryUseInteractable(s) {
+    return tryUseInteractableFn(s, INTERACT, triggerUpgradeSequence, startBoss, audio.sfxInteract, content, uiRef);
+  }
+
+  function useAbility(s) {
+    return useAbilityFn(s, acquireTarget, shootBullet, audio.playBeep, keysRef);
+  }
+
+  function handleAdminAction(s, action) {
+    recorder.markModified();
+    return handleAdminActionFn(s, action, INTERACT, startBoss, spawnInteractable, applyWeapon, setUi, content, RARITY);
+  }
+
+  // Extra args from the pointer handler (ui, content) are already bound here
+  function handleAdminClick(x, y, w, h) {
+    return handleAdminClickFn(x, y, w, h, stateRef, uiRef, content, handleAdminAction, setUi);
+  }
+
+  /**
+   * Advance the simulation by dt seconds
+   * @param {Object} s - Game state
+   * @param {number} dt - Delta time in seconds
+   */
+  function update(s, dt) {
+    const p = s.player;
+    const { w, h, padding } = s.arena;
+
+    // Update per-frame state (camera, time, music, flow field)
+    const intensity = updateFrameState(s, dt, uiRef, audio.tickMusic, audio.updateMusic, world);
+
+    // Update player physics and buff timers
+    updateBuffTimers(p, dt);
+    updateJumpPhysics(s, dt, keysRef, jumpKeyJustPressedRef);
+
+    if (s.stageLeft > 0) s.stageLeft = Math.max(0, s.stageLeft - dt);
+
+    // Game progression: boss portal, difficulty scaling, chest spawning
+    updateBossPortalSpawning(s, spawnInteractable, INTERACT);
+    updateDifficultyScaling(s);
+    updateChestSpawning(s, dt, spawnInteractable, INTERACT);
+    updateCurseSpawning(s, spawnInteractable, INTERACT, content.cursedItems);
+
+    // Update player movement and weapon cooldowns
+    updatePlayerMovement(s, dt, keysRef);
+    updateWeaponCooldowns(s, dt, pushCombatText);
+
+    // Fire weapons that are ready
+    fireWeapon(s);
+
+    // Enemy spawning scheduler
+    updateEnemySpawning(s, dt, intensity, spawnEnemy);
+
+    // Create bounds object for collision resolution - use level bounds if available
+    const levelBounds = s.levelData ? {
+      w: s.levelData.w,
+      h: s.levelData.h,
+      padding: padding
+    } : s.arena;
+
+    // Enemy-to-enemy collision - each nearby pair once, in the same (i, j) order as a full double loop
+    const enemyGrid = indexEnemies(s);
+    for (let i = 0; i < s.enemies.length; i++) {
+      const a = s.enemies[i];
+      for (const b of enemyGrid.queryRadius(a.x, a.y, a.r, i + 1)) {
+        resolveDynamicOverlap(a, b, levelBounds);
+      }
+    }
+
+    // Update enemy status effects (poison, burn, slow, elite abilities)
+    updateEnemyStatusEffects(s, dt, pushCombatText);
+
+    // Update per-enemy hit cooldowns (for orbiting blades, etc.)
+    updateEnemyHitCooldowns(s, dt);
+
+    // Update enemy AI, pathfinding, movement, and collision
+    updateEnemyAI(s, dt, shootBullet, applyPlayerDamage, levelBounds);
+
+    // Enemies have moved - re-index them for bullet hits and splashes
+    indexEnemies(s);
+
+    // Update all bullets (movement, collision, effects)
+    const levelW = s.levelData ? s.levelData.w : w;
+    const levelH = s.levelData ? s.levelData.h : h;
+    updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamage, audioRef);
+
+    // Update boss (abilities, movement, collision, phase transitions)
+    updateBoss(s, dt, applyPlayerDamage);
+
+    // Handle boss death and floor transition
+    handleFloorTransition(s, requestLevel);
+
+    // Check boss timer (instant kill if time runs out)
+    checkBossTimer(s, applyPlayerDamage);
+
+    // Update and collect loot (XP gems, coins, consumables with magnet pickup)
+    updateLoot(s, dt, awardXP);
+
+    // Process enemy deaths and loot drops
+    processEnemyDeaths(s);
+
+    // Player regeneration
+    updateHealthRegeneration(p, dt);
+    updateShieldRegeneration(s);
+
+    // Update all particle effects (particles, flashes, floaters, burning areas, auras)
+    updateParticles(s, dt);
+
+    if (s.uiPulseT > 0) s.uiPulseT = Math.max(0, s.uiPulseT - dt);
+
+    if (p.hp <= 0) {
+      p.hp = 0;
+      s.running = false;
+      // Dead runs can't be continued
+      if (autosave) clearSave();
+    }
+  }
+
+  /**
+   * Generate the next floor for handleFloorTransition
+   * In-process it's ready at once; from the worker it arrives later. Either way enterFloor runs at the
+   * start of the next step that finds it ready, so the simulation doesn't depend on how long it took
+   * @param {Object} s - Game state
+   */
+  function requestLevel(s) {
+    const { w, h } = s.arena;
+    const rng = getRng(s, "levelgen");
+    if (!rng.getState) {
+      loadedFloor = { s, levelData: generateProceduralLevel(w, h, s.floor, rng), rngState: null };
+      return;
+    }
+    const rngState = rng.getState();
+    if (!world.isAsync) {
+      loadedFloor = { s, ...world.generateLevelNow(w, h, s.floor, rngState) };
+      return;
+    }
+    world.generateLevel(w, h, s.floor, rngState).then(
+      (result) => {
+        loadedFloor = { s, ...result };
+      },
+      (error) => {
+        console.error("Level generation failed in the worker, generating in-process:", error);
+        loadedFloor = { s, ...world.generateLevelNow(w, h, s.floor, rngState) };
+      }
+    );
+  }
+
+  /**
+   * Enter the floor being loaded once its level is ready
+   * @param {Object} s - Game state
+   * @returns {boolean} True while still waiting for the level
+   */
+  function pollFloorLoad(s) {
+    if (!s.loadingFloor) return false;
+    if (!loadedFloor || loadedFloor.s !== s) return true;
+    const { levelData, rngState } = loadedFloor;
+    loadedFloor = null;
+    if (rngState !== null) s.rng.levelgen.setState(rngState);
+    enterFloor(s, levelData, spawnInteractable, INTERACT);
+    return false;
+  }
+
+  /**
+   * Apply the presses queued for this frame (keydown handlers queue them, replays read them from the log)
+   * @param {Object} s - Game state
+   * @param {Object} actions - { jump, ability, interact }
+   */
+  function applyFrameActions(s, actions) {
+    if (actions.jump) startJump(s, keysRef.current, isoMode);
+    if (actions.interact) tryUseInteractable(s);
+    if (actions.ability) useAbility(s);
+  }
+
+  /**
+   * Run one frame of the game loop: record input, apply queued presses, update the world, sync UI
+   * Shared by the component loop, GameRuntime and replays so all three step identically
+   * @param {Object} s - Game state
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} actions - Presses queued since the last frame { jump, ability, interact }
+   */
+  function stepFrame(s, dt, actions = {}) {
+    pollFloorLoad(s);
+
+    // Paused/stats/levelup frames don't touch the world, so they aren't recorded or fed presses
+    if (shouldUpdateGame(s, uiRef.current)) {
+      recorder.recordFrame(dt, keysRef.current, actions);
+      // Entities removed during the last step can be reused from here on (see EntityPool)
+      recycleEntities(s);
+      // Abilities and this frame's weapon fire target from the index
+      indexEnemies(s);
+      applyFrameActions(s, actions);
+
+      // Opening a chest can freeze the world for the upgrade screen before this frame's update
+      if (shouldUpdateGame(s, uiRef.current)) {
+        // Always update hitStopT, but only update game logic when hitStopT is 0
+        if (s.hitStopT > 0) {
+          s.hitStopT = Math.max(0, s.hitStopT - dt);
+        }
+        if (s.hitStopT <= 0) {
+          update(s, dt);
+        }
+      }
+    }
+
+    syncUIState(s, uiRef);
+    // Update UI timers (fanfare animations) - must happen every frame
+    updateUITimers(uiRef, dt);
+
+    if (saveDue) {
+      saveDue = false;
+      saveRun(s);
+    }
+  }
+
+  return {
+    content,
+    audio,
+    events,
+    recorder,
+    world,
+    update,
+    stepFrame,
+    pollFloorLoad,
+    newRun,
+    saveRun,
+    continueRun,
+    getSavedRun,
+    setAutosave,
+    makePlayer,
+    awardXP,
+    shootBullet,
+    fireWeapon,
+    startBoss,
+    spawnEnemy,
+    spawnInteractable,
+    applyWeapon,
+    applyPlayerDamage,
+    acquireTarget,
+    pushCombatText,
+    tryUseInteractable,
+    useAbility,
+    rollChoicesOfType,
+    rollLevelChoices,
+    rollChestChoices,
+    triggerUpgradeSequence,
+    pickChoice,
+    handleAdminClick,
+    handleAdminAction,
+    getPoolStats,
+  };
+}
+
+/**
+ * Headless game runtime
+ *
+ * Owns its own stateRef/uiRef/keysRef so the full update pipeline runs in Node.
+ * Input is passed per step as a snapshot instead of keyboard events:
+ * { keys: ["w", "d"], jump: bool, ability: bool, interact: bool, choice: number | "reroll" | "skip" | "banish:<index>" }
+ */
+export class GameRuntime {
+  /**
+   * @param {Object} opts - Options { width, height, audio, storage, world }
+   * @param {number} opts.width - Arena width (default 960)
+   * @param {number} opts.height - Arena height (default 540)
+   * @param {Object} opts.audio - Audio functions (default: silent)
+   * @param {Object} opts.storage - Save slot backend { getItem, setItem, removeItem } (default: no saving)
+   * @param {Object} opts.world - World service (default in-process, so every step completes synchronously)
+   */
+  constructor({ width = 960, height = 540, audio = createSilentAudioContext(), storage = null, world = null } = {}) {
+    this.stateRef = { current: null };
+    this.uiRef = {
+      current: {
+        screen: "menu",
+        score: 0,
+        coins: 0,
+        level: 1,
+        xp: 0,
+        xpNeed: 0,
+        timer: 600,
+        hint: "",
+        levelChoices: [],
+        deathReason: "",
+        showStats: false,
+        pauseMenu: false,
+        selectedChoiceIndex: 0,
+        levelUpFanfareT: 0,
+        chestOpenFanfareT: 0,
+        highestRarity: RARITY.COMMON,
+      },
+    };
+    this.keysRef = { current: new Set() };
+    this.jumpKeyJustPressedRef = { current: false };
+    this.sizeRef = { current: { w: width, h: height, dpr: 1 } };
+    this.audioRef = { current: {} };
+    this.jumpHeld = false;
+    this.timestep = createFixedTimestep();
+
+    // Same contract as React's setUi: accepts a value or an updater function
+    const setUi = (next) => {
+      this.uiRef.current = typeof next === "function" ? next(this.uiRef.current) : next;
+    };
+
+    this.runtime = createGameRuntime({
+      stateRef: this.stateRef,
+      uiRef: this.uiRef,
+      setUi,
+      audioRef: this.audioRef,
+      keysRef: this.keysRef,
+      jumpKeyJustPressedRef: this.jumpKeyJustPressedRef,
+      sizeRef: this.sizeRef,
+      audio,
+      storage,
+      world,
+    });
+    this.setUi = setUi;
+  }
+
+  get state() {
+    return this.stateRef.current;
+  }
+
+  get ui() {
+    return this.uiRef.current;
+  }
+
+  get content() {
+    return this.runtime.content;
+  }
+
+  /**
+   * Live and pooled entity counts per store (see EntityPool)
+   * @returns {Object|null} { bullets: { live, pooled, created, dropped, capacity }, particles, ... } or null before a run
+   */
+  get poolStats() {
+    return this.stateRef.current ? getPoolStats(this.stateRef.current) : null;
+  }
+
+  /**
+   * Gameplay event bus (see GameEvents) - subscribe with game.events.on(GAME_EVENTS.ENEMY_KILLED, fn)
+   */
+  get events() {
+    return this.runtime.events;
+  }
+
+  /**
+   * Start a new run
+   * @param {string} charId - Character ID
+   * @param {number|string|null} seed - Run seed; the same seed and inputs replay the same run
+   * @returns {Object} New game state
+   */
+  start(charId = "cowboy", seed = null) {
+    this.keysRef.current.clear();
+    this.jumpKeyJustPressedRef.current = false;
+    this.jumpHeld = false;
+    this.timestep.reset();
+    this.runtime.newRun(0, charId, seed);
+    return this.stateRef.current;
+  }
+
+  /**
+   * Recording of the current run (see InputRecorder)
+   * @returns {Object|null} Replay data
+   */
+  get replay() {
+    return this.runtime.recorder.getReplay();
+  }
+
+  /**
+   * Save the run to the storage passed to the constructor
+   * @returns {boolean} True if saved
+   */
+  saveRun() {
+    return this.runtime.saveRun(this.stateRef.current);
+  }
+
+  /**
+   * Resume the saved run
+   * @returns {Object|null} Restored game state, or null if there is no save
+   */
+  continueRun() {
+    this.jumpHeld = false;
+    return this.runtime.continueRun();
+  }
+
+  /**
+   * Apply an input snapshot (replaces held keys, turns jump into a press on its rising edge)
+   * @param {Object} input - Input snapshot
+   * @returns {Object} Presses for this frame { jump, ability, interact }
+   */
+  applyInput(input) {
+    const keys = this.keysRef.current;
+    keys.clear();
+    for (const k of input.keys || []) keys.add(k);
+
+    // Jump only triggers on press, not while held (matches keydown handling)
+    const jump = !!input.jump;
+    const pressed = jump && !this.jumpHeld;
+    this.jumpHeld = jump;
+
+    return { jump: pressed, ability: !!input.ability, interact: !!input.interact };
+  }
+
+  /**
+   * Advance the run by dt seconds
+   * Mirrors the component's game loop: levelup/pause freeze the world, hit-stop delays updates
+   * @param {number} dt - Delta time in seconds
+   * @param {Object} input - Input snapshot for this step
+   * @returns {Object|null} Game state after the step
+   */
+  step(dt, input = {}) {
+    const s = this.stateRef.current;
+    if (!s) return null;
+
+    if (this.uiRef.current.screen === "levelup") {
+      if (input.choice !== undefined && input.choice !== null) {
+        this.runtime.pickChoice(input.choice);
+      }
+      return s;
+    }
+    if (this.uiRef.current.screen === "dead") return s;
+
+    this.runtime.stepFrame(s, dt, this.applyInput(input));
+
+    if (s.player.hp <= 0 && this.uiRef.current.screen !== "dead") {
+      const reason = s.player.lastDamage?.src ? `Killed by ${s.player.lastDamage.src}` : "";
+      this.setUi((u) => ({ ...u, screen: "dead", score: s.score, deathReason: reason, levelChoices: [], showStats: false }));
+    }
+
+    return s;
+  }
+
+  /**
+   * Advance by real elapsed time in fixed steps, the way the browser loop does (see FixedTimestep)
+   * Presses apply to the first step; leftover time carries over to the next call
+   * @param {number} frameDt - Elapsed seconds
+   * @param {Object} input - Input snapshot for this frame
+   * @returns {Object|null} Game state after the steps
+   */
+  advance(frameDt, input = {}) {
+    if (!this.stateRef.current) return null;
+    let pending = input;
+    this.timestep.advance(frameDt, (dt) => {
+      this.step(dt, pending);
+      // Later steps this frame keep the held keys but not the presses
+      pending = { keys: input.keys, jump: input.jump };
+    });
+    return this.stateRef.current;
+  }
+
+  /**
+   * Start the recorded run and play a replay through it
+   * @param {Object|string} replay - Replay data or its exported JSON
+   * @param {Object} opts - Options { maxFrames } to stop early
+   * @returns {Object} Game state at the end of the replay
+   */
+  playReplay(replay, { maxFrames = Infinity } = {}) {
+    const data = parseReplay(replay);
+    // Level layout and spawns depend on the arena size the run was recorded at
+    this.sizeRef.current = { ...this.sizeRef.current, w: data.width, h: data.height };
+    this.start(data.charId, data.seed);
+
+    const player = createReplayPlayer(data);
+    let frames = 0;
+    for (let f = player.next(); f && frames < maxFrames; f = player.next()) {
+      if (f.choice !== undefined) {
+        if (this.uiRef.current.screen === "levelup") this.runtime.pickChoice(f.choice);
+      } else {
+        // Recorded jumps are presses; holding is already over by the next frame
+        this.step(f.dt, f);
+        this.jumpHeld = false;
+        frames++;
+      }
+    }
+    return this.stateRef.current;
+  }
+}
@@ -1,3 +1,5 @@
+import { updateSynergies } from "../progression/SynergySystem.js";
+
 /**
  * Handle admin panel button clicks
  */
@@ -217,4 +219,7 @@ export function handleAdminAction(s, action, INTERACT, startBossFn, spawnInterac
       }
       break;
   }
+
+  // Given items and tomes may complete synergies
+  updateSynergies(p, content.synergies);
 }
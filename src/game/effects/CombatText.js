@@ -2,9 +2,12 @@
  * Combat Text System
  * 
  * Handles floating combat text (damage numbers, coin pickups, etc.)
+ * Floaters come from the pooled store (see EntityPool).
  */
 
 import { rand } from "../../utils/math.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
 
 /**
  * Push floating combat text to the screen
@@ -16,14 +19,15 @@ import { rand } from "../../utils/math.js";
  * @param {Object} opts - Options {life, size, crit}
  */
 export function pushCombatText(s, x, y, text, col, opts = {}) {
-  s.floaters.push({
-    x: x + rand(-10, 10),
-    y: y + rand(-10, 6),
-    text,
-    t: 0,
-    life: opts.life ?? 0.75,
-    col,
-    size: opts.size ?? 12,
-    crit: !!opts.crit,
-  });
+  const rng = getRng(s, "fx");
+  const f = spawnEntity(s, "floaters");
+  if (!f) return;
+  f.x = x + rand(-10, 10, rng);
+  f.y = y + rand(-10, 6, rng);
+  f.text = text;
+  f.t = 0;
+  f.life = opts.life ?? 0.75;
+  f.col = col;
+  f.size = opts.size ?? 12;
+  f.crit = !!opts.crit;
 }
@@ -1,5 +1,9 @@
 import { dist2 } from "../../utils/math.js";
 import { pushCombatText as pushCombatTextFn } from "./CombatText.js";
+import { sweepEntities } from "../systems/EntityPool.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
+
+const alive = (q) => q.t <= q.life;
 
 /**
  * Update all particle effects: particles, hit flashes, floaters, burning areas, auras
@@ -17,7 +21,7 @@ export function updateParticles(s, dt) {
     q.y += q.vy * dt;
     q.vx *= 0.98; // Slight friction
   }
-  s.particles = s.particles.filter((q) => q.t <= q.life);
+  sweepEntities(s, "particles", alive);
   
   // Update hit flashes
   if (s.hitFlashes) {
@@ -34,7 +38,7 @@ export function updateParticles(s, dt) {
       f.y -= 26 * dt;
     }
   }
-  s.floaters = s.floaters.filter((f) => f.t <= f.life);
+  sweepEntities(s, "floaters", alive);
   
   // Update burning areas (ground fire from flamewalker)
   if (!s.burningAreas) s.burningAreas = [];
@@ -50,8 +54,7 @@ export function updateParticles(s, dt) {
       for (const e of s.enemies) {
         if (e.hp <= 0) continue;
         if (dist2(e.x, e.y, area.x, area.y) <= r2) {
-          const dmg = area.dmg;
-          e.hp -= dmg;
+          const dmg = damageEnemy(s, e, area.dmg, { effect: "burn" });
           e.hitT = 0.08;
           // Combat text for flamewalker DoT
           pushCombatTextFn(s, e.x, e.y - 14, `-${Math.round(dmg)}`, "#ff7a3d", { size: 10, life: 0.5 });
@@ -84,7 +87,7 @@ export function updateParticles(s, dt) {
       for (const e of s.enemies) {
         if (e.hp <= 0) continue;
         if (dist2(e.x, e.y, p.x, p.y) <= r2) {
-          e.hp -= aura.dmg;
+          damageEnemy(s, e, aura.dmg, aura);
           e.hitT = 0.08;
           if (aura.effect === "burn") {
             e.burnT = Math.max(e.burnT || 0, 1.5);
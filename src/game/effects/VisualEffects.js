@@ -2,10 +2,13 @@
  * Visual Effects System
  * 
  * Handles screen shake, particles, explosions, and hit flashes.
- * All functions mutate the state object's effect arrays.
+ * All functions mutate the state object's effect arrays. Particles come from
+ * the pooled store (see EntityPool); a full store drops the rest of a burst.
  */
 
 import { rand } from "../../utils/math.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
 
 /**
  * Trigger screen shake effect
@@ -29,24 +32,25 @@ export function bumpShake(state, magnitude, time) {
  * @param {Object} opts - Options: size, speed, lifeMult, gravity, glow, trail
  */
 export function addParticle(state, x, y, n = 6, hue = null, opts = {}) {
-  const size = opts.size || rand(1.5, 3.6);
+  const rng = getRng(state, "fx");
+  const size = opts.size || rand(1.5, 3.6, rng);
   const speed = opts.speed || 1;
   const lifeMult = opts.lifeMult || 1;
   const gravity = opts.gravity !== false;
   
   for (let i = 0; i < n; i++) {
-    state.particles.push({
-      x,
-      y,
-      vx: rand(-160, 160) * speed,
-      vy: rand(-210, 110) * speed,
-      r: rand(size * 0.8, size * 1.2),
-      t: 0,
-      life: rand(0.22, 0.55) * lifeMult,
-      hue,
-      glow: opts.glow || false,
-      trail: opts.trail || false,
-    });
+    const q = spawnEntity(state, "particles");
+    if (!q) break;
+    q.x = x;
+    q.y = y;
+    q.vx = rand(-160, 160, rng) * speed;
+    q.vy = rand(-210, 110, rng) * speed;
+    q.r = rand(size * 0.8, size * 1.2, rng);
+    q.t = 0;
+    q.life = rand(0.22, 0.55, rng) * lifeMult;
+    q.hue = hue;
+    q.glow = opts.glow || false;
+    q.trail = opts.trail || false;
   }
 }
 
@@ -59,21 +63,22 @@ export function addParticle(state, x, y, n = 6, hue = null, opts = {}) {
  * @param {number|null} hue - Hue value or null for random
  */
 export function addExplosion(state, x, y, size = 1, hue = null) {
+  const rng = getRng(state, "fx");
   const count = Math.round(12 * size);
   for (let i = 0; i < count; i++) {
     const angle = (i / count) * Math.PI * 2;
-    const speed = rand(180, 320) * size;
-    state.particles.push({
-      x,
-      y,
-      vx: Math.cos(angle) * speed,
-      vy: Math.sin(angle) * speed,
-      r: rand(2, 5) * size,
-      t: 0,
-      life: rand(0.3, 0.7),
-      hue: hue || rand(0, 360),
-      glow: true,
-    });
+    const q = spawnEntity(state, "particles");
+    if (!q) break;
+    const speed = rand(180, 320, rng) * size;
+    q.x = x;
+    q.y = y;
+    q.vx = Math.cos(angle) * speed;
+    q.vy = Math.sin(angle) * speed;
+    q.r = rand(2, 5, rng) * size;
+    q.t = 0;
+    q.life = rand(0.3, 0.7, rng);
+    q.hue = hue || rand(0, 360, rng);
+    q.glow = true;
   }
 }
 
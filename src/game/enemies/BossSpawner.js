@@ -1,7 +1,8 @@
 /**
  * Boss Spawner
  * 
- * Initializes and spawns boss enemies with abilities.
+ * Initializes and spawns boss enemies with abilities. A boss registered by a
+ * content pack for the current floor replaces the default one.
  */
 
 import { 
@@ -11,8 +12,90 @@ import {
   RingPulseAbility, 
   TeleportAbility, 
   ChargeAbility, 
-  MultiShotAbility 
+  MultiShotAbility,
+  BOSS_ABILITY_TYPES
 } from "../systems/BossAbilitySystem.js";
+import { getRegisteredBosses } from "../../data/contentRegistry.js";
+import { getRng } from "../../utils/rng.js";
+
+/**
+ * Default boss abilities for a floor
+ * @param {Object} s - Game state
+ * @param {number} floor - Current floor
+ * @returns {Array} Ability instances
+ */
+function createFloorAbilities(s, floor) {
+  const abilities = [];
+
+  // Base abilities (always available)
+  const baseCooldown = 4.0 + (floor - 1) * 0.3; // Slightly faster on higher floors
+  abilities.push(new ConeAttackAbility({ 
+    cooldown: baseCooldown * 1.2, 
+    range: 350 + floor * 10,
+    phase2Effect: 'burning_ground' 
+  }));
+  
+  // F1: Only basic abilities
+  if (floor >= 1) {
+    abilities.push(new LineDashAbility({ 
+      cooldown: baseCooldown * 1.5,
+      dashDistance: 250 + floor * 15
+    }));
+  }
+  
+  // F2+: Add Ring Pulse
+  if (floor >= 2) {
+    abilities.push(new RingPulseAbility({ 
+      cooldown: baseCooldown * 1.8,
+      maxRadius: 300 + floor * 15
+    }));
+  }
+  
+  // F3+: Add Charge
+  if (floor >= 3) {
+    abilities.push(new ChargeAbility({ 
+      cooldown: baseCooldown * 2.0,
+      chargeDistance: 350 + floor * 20
+    }));
+  }
+  
+  // F4+: Add Teleport
+  if (floor >= 4) {
+    abilities.push(new TeleportAbility({ 
+      cooldown: baseCooldown * 2.5,
+      rng: getRng(s, "combat"),
+      teleportDistance: 200 + floor * 10
+    }));
+  }
+  
+  // F5+: Add Multi-Shot
+  if (floor >= 5) {
+    abilities.push(new MultiShotAbility({ 
+      cooldown: baseCooldown * 2.2,
+      shotCount: 5 + Math.floor((floor - 5) / 2), // More shots on higher floors
+      range: 400 + floor * 10
+    }));
+  }
+
+  return abilities;
+}
+
+/**
+ * Abilities for a pack boss: its list, or its function of the floor, of { type, ...config }
+ * @param {Object} s - Game state
+ * @param {Object} def - Registered boss definition
+ * @param {number} floor - Current floor
+ * @returns {Array} Ability instances
+ * @throws {Error} If a spec names an unknown ability type
+ */
+function createPackBossAbilities(s, def, floor) {
+  const specs = typeof def.abilities === "function" ? def.abilities(floor) : def.abilities;
+  return specs.map(({ type, ...config }) => {
+    const AbilityClass = BOSS_ABILITY_TYPES[type];
+    if (!AbilityClass) throw new Error(`Boss ${def.id}: unknown ability type ${type}`);
+    return new AbilityClass({ ...config, rng: getRng(s, "combat") });
+  });
+}
 
 /**
  * Start a boss fight
@@ -24,12 +107,18 @@ import {
  * @param {Function} sfxBossFn - Boss sound effect function
  */
 export function startBoss(s, seconds, bossX = null, bossY = null, bumpShakeFn, sfxBossFn) {
+  const rng = getRng(s, "spawns");
   const { w, padding } = s.arena;
   s.boss.active = true;
   s.boss.r = 38;
+  // A registered boss for this floor takes over (picked at random only when several qualify)
+  const packBosses = getRegisteredBosses(s.floor);
+  const packBoss = packBosses.length > 1 ? packBosses[Math.floor(rng() * packBosses.length)] : packBosses[0] || null;
+  s.boss.bossId = packBoss ? packBoss.id : null;
+  s.boss.name = packBoss?.name ? packBoss.name.toUpperCase() : null; // Boss bar label
   // Boss HP scales with floor - F1 is easier
   // F1: 1000 HP, then +300 per floor (scaled down from previous)
-  s.boss.maxHp = Math.round(1000 + (s.floor - 1) * 300);
+  s.boss.maxHp = Math.round((1000 + (s.floor - 1) * 300) * (packBoss?.hpMult ?? 1));
   s.boss.hp = s.boss.maxHp;
   // Spawn boss at teleporter location if provided, otherwise center
   // Ensure boss doesn't spawn on top of player
@@ -48,7 +137,7 @@ export function startBoss(s, seconds, bossX = null, bossY = null, bumpShakeFn, s
     }
   } else {
     // Spawn away from player if no teleporter
-    const angle = Math.random() * Math.PI * 2;
+    const angle = rng() * Math.PI * 2;
     s.boss.x = p.x + Math.cos(angle) * 200;
     s.boss.y = p.y + Math.sin(angle) * 200;
   }
@@ -61,57 +150,7 @@ export function startBoss(s, seconds, bossX = null, bossY = null, bumpShakeFn, s
   // Higher floors get more abilities and harder difficulty
   try {
     const floor = s.floor;
-    const abilities = [];
-    
-    // Base abilities (always available)
-    const baseCooldown = 4.0 + (floor - 1) * 0.3; // Slightly faster on higher floors
-    abilities.push(new ConeAttackAbility({ 
-      cooldown: baseCooldown * 1.2, 
-      range: 350 + floor * 10,
-      phase2Effect: 'burning_ground' 
-    }));
-    
-    // F1: Only basic abilities
-    if (floor >= 1) {
-      abilities.push(new LineDashAbility({ 
-        cooldown: baseCooldown * 1.5,
-        dashDistance: 250 + floor * 15
-      }));
-    }
-    
-    // F2+: Add Ring Pulse
-    if (floor >= 2) {
-      abilities.push(new RingPulseAbility({ 
-        cooldown: baseCooldown * 1.8,
-        maxRadius: 300 + floor * 15
-      }));
-    }
-    
-    // F3+: Add Charge
-    if (floor >= 3) {
-      abilities.push(new ChargeAbility({ 
-        cooldown: baseCooldown * 2.0,
-        chargeDistance: 350 + floor * 20
-      }));
-    }
-    
-    // F4+: Add Teleport
-    if (floor >= 4) {
-      abilities.push(new TeleportAbility({ 
-        cooldown: baseCooldown * 2.5,
-        teleportDistance: 200 + floor * 10
-      }));
-    }
-    
-    // F5+: Add Multi-Shot
-    if (floor >= 5) {
-      abilities.push(new MultiShotAbility({ 
-        cooldown: baseCooldown * 2.2,
-        shotCount: 5 + Math.floor((floor - 5) / 2), // More shots on higher floors
-        range: 400 + floor * 10
-      }));
-    }
-    
+    const abilities = packBoss?.abilities ? createPackBossAbilities(s, packBoss, floor) : createFloorAbilities(s, floor);
     s.boss.controller = new BossController(s.boss, abilities);
   } catch (error) {
     console.error('Error initializing boss controller:', error);
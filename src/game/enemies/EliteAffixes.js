@@ -0,0 +1,237 @@
+/**
+ * Elite Affixes
+ *
+ * Everything that makes an elite more than a bigger enemy. Each affix defines
+ * its own hooks, and an elite's affixes stack by running them all in order:
+ * - onTick(s, e, dt, state, rng): every step (state is the affix's own
+ *   e.affixState entry, saved with the run)
+ * - onDamaged(s, e, dmg, hit): returns the damage after this affix; hit is
+ *   { effect, melee } of what dealt it. Every source of player damage goes
+ *   through EnemyDamage.damageEnemy, which runs these
+ * - onDeath(s, e): when the elite is killed
+ * - contactMult(e): multiplier on its contact damage, in place of the 1.3
+ *   elites normally hit with
+ *
+ * Elites roll 1 to ELITE_CONFIG.AFFIXES.MAX_AFFIXES affixes, each one past the
+ * first with a chance that grows per floor. A lone affix is an ability; with
+ * more, the last one is a weakness to play against. e.affixes holds the
+ * ids; icon and color are drawn above the elite, name and desc next to them
+ * when the player is close.
+ */
+
+import { ELITE_CONFIG } from "../../data/enemyData.js";
+import { pickWeighted } from "../../utils/data.js";
+import { addParticle } from "../effects/VisualEffects.js";
+
+// Damage multiplier of a weakness
+const WEAKNESS_MULT = 1.5;
+
+/**
+ * Affix registry
+ * kind: "ability" or "weakness"; weight and minFloor decide the rolls
+ */
+export const ELITE_AFFIXES = {
+  regeneration: {
+    kind: "ability",
+    name: "Regenerating",
+    desc: "Heals 2% max HP every second",
+    icon: "✚",
+    color: "#4dff88",
+    weight: 1,
+    onTick(s, e, dt, state) {
+      state.t = (state.t || 0) + dt;
+      if (state.t < 1.0) return;
+      e.hp = Math.min(e.maxHp, e.hp + e.maxHp * 0.02);
+      state.t = 0;
+    },
+  },
+
+  shield: {
+    kind: "ability",
+    name: "Shielded",
+    desc: "Takes 30% less damage",
+    icon: "◈",
+    color: "#5d9bff",
+    weight: 1,
+    onDamaged: (s, e, dmg) => dmg * 0.7,
+  },
+
+  teleport: {
+    kind: "ability",
+    name: "Blinking",
+    desc: "Teleports next to you every 5 seconds",
+    icon: "✧",
+    color: "#c23bff",
+    weight: 1,
+    onTick(s, e, dt, state, rng) {
+      state.t = (state.t || 0) + dt;
+      if (state.t < 5.0) return;
+      const p = s.player;
+      const angle = rng() * Math.PI * 2;
+      const distance = 100 + rng() * 100;
+      e.x = p.x + Math.cos(angle) * distance;
+      e.y = p.y + Math.sin(angle) * distance;
+      state.t = 0;
+    },
+  },
+
+  rage: {
+    kind: "ability",
+    name: "Enraged",
+    desc: "Hits harder as its HP drops",
+    icon: "▲",
+    color: "#ff5d5d",
+    weight: 1,
+    contactMult: (e) => 1 + (1 - e.hp / e.maxHp) * 0.5,
+  },
+
+  martyr: {
+    kind: "ability",
+    name: "Martyr",
+    desc: "Heals nearby enemies when it dies",
+    icon: "✝",
+    color: "#ffd44a",
+    weight: 0.7,
+    minFloor: 4,
+    onDeath(s, e) {
+      for (const other of s.enemies) {
+        if (other === e || other.hp <= 0 || Math.hypot(other.x - e.x, other.y - e.y) > 160) continue;
+        other.hp = Math.min(other.maxHp, other.hp + other.maxHp * 0.25);
+      }
+      addParticle(s, e.x, e.y, 24, 50, { size: 3, speed: 1.4, glow: true });
+    },
+  },
+
+  weak_fire: {
+    kind: "weakness",
+    name: "Weak to fire",
+    desc: "Takes 50% more fire damage",
+    icon: "▽",
+    color: "#ff7a3d",
+    weight: 1,
+    onDamaged: (s, e, dmg, hit) => (hit.effect === "burn" ? dmg * WEAKNESS_MULT : dmg),
+  },
+
+  weak_poison: {
+    kind: "weakness",
+    name: "Weak to poison",
+    desc: "Takes 50% more poison damage",
+    icon: "▽",
+    color: "#4dff88",
+    weight: 1,
+    onDamaged: (s, e, dmg, hit) => (hit.effect === "poison" ? dmg * WEAKNESS_MULT : dmg),
+  },
+
+  weak_melee: {
+    kind: "weakness",
+    name: "Weak to melee",
+    desc: "Takes 50% more melee damage",
+    icon: "▽",
+    color: "#e6e8ff",
+    weight: 1,
+    onDamaged: (s, e, dmg, hit) => (hit.melee ? dmg * WEAKNESS_MULT : dmg),
+  },
+};
+
+// Weighted pool of one kind on a floor, without the ids already taken
+function affixPool(kind, floor, taken) {
+  return Object.entries(ELITE_AFFIXES)
+    .filter(([id, a]) => a.kind === kind && (a.minFloor || 0) <= floor && !taken.includes(id))
+    .map(([id, a]) => ({ w: a.weight, id }));
+}
+
+/**
+ * Roll an elite's affixes
+ * @param {number} floor - Current floor
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {Array<string>} Affix ids: abilities first, then the weakness if there is more than one
+ */
+export function rollEliteAffixes(floor, rng) {
+  const { MAX_AFFIXES, EXTRA_CHANCE_PER_FLOOR, EXTRA_CHANCE_MAX } = ELITE_CONFIG.AFFIXES;
+  const extraChance = Math.min(EXTRA_CHANCE_MAX, floor * EXTRA_CHANCE_PER_FLOOR);
+  let count = 1;
+  while (count < MAX_AFFIXES && rng() < extraChance) count++;
+
+  const affixes = [];
+  const abilities = Math.max(1, count - 1);
+  for (let i = 0; i < abilities; i++) {
+    const pool = affixPool("ability", floor, affixes);
+    if (pool.length === 0) break;
+    affixes.push(pickWeighted(pool, rng).id);
+  }
+  if (count > 1) affixes.push(pickWeighted(affixPool("weakness", floor, affixes), rng).id);
+  return affixes;
+}
+
+/**
+ * An enemy's affix definitions (unknown ids are skipped)
+ * @param {Object} e - Enemy
+ * @returns {Array} [{ id, ...affix }]
+ */
+export function getAffixes(e) {
+  const out = [];
+  for (const id of e.affixes || []) {
+    if (ELITE_AFFIXES[id]) out.push({ id, ...ELITE_AFFIXES[id] });
+  }
+  return out;
+}
+
+/**
+ * Run the onTick hooks of an elite's affixes
+ * @param {Object} s - Game state
+ * @param {Object} e - Enemy
+ * @param {number} dt - Delta time
+ * @param {Function} rng - Combat rng
+ */
+export function updateEliteAffixes(s, e, dt, rng) {
+  if (!e.affixes?.length) return;
+  if (!e.affixState) e.affixState = {};
+  for (const id of e.affixes) {
+    const affix = ELITE_AFFIXES[id];
+    if (!affix?.onTick) continue;
+    if (!e.affixState[id]) e.affixState[id] = {};
+    affix.onTick(s, e, dt, e.affixState[id], rng);
+  }
+}
+
+/**
+ * Damage an enemy takes after its affixes' onDamaged hooks
+ * @param {Object} s - Game state
+ * @param {Object} e - Enemy
+ * @param {number} dmg - Incoming damage
+ * @param {Object} [hit] - { effect, melee }
+ * @returns {number} Damage to apply
+ */
+export function applyEliteDamage(s, e, dmg, hit = {}) {
+  if (!e.affixes?.length) return dmg;
+  for (const id of e.affixes) {
+    const affix = ELITE_AFFIXES[id];
+    if (affix?.onDamaged) dmg = affix.onDamaged(s, e, dmg, hit);
+  }
+  return dmg;
+}
+
+/**
+ * Run the onDeath hooks of a killed elite
+ * @param {Object} s - Game state
+ * @param {Object} e - Enemy
+ */
+export function handleEliteDeath(s, e) {
+  for (const id of e.affixes || []) ELITE_AFFIXES[id]?.onDeath?.(s, e);
+}
+
+/**
+ * Contact damage multiplier of an elite: 1.3, or the highest of its affixes'
+ * contactMult when it has one
+ * @param {Object} e - Enemy
+ * @returns {number} 1 for normal enemies
+ */
+export function getEliteContactMult(e) {
+  if (!e.isElite) return 1;
+  let mult = null;
+  for (const id of e.affixes || []) {
+    const contactMult = ELITE_AFFIXES[id]?.contactMult;
+    if (contactMult) mult = Math.max(mult ?? 0, contactMult(e));
+  }
+  return mult ?? 1.3;
+}
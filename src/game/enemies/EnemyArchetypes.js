@@ -0,0 +1,140 @@
+/**
+ * Enemy Archetypes
+ *
+ * Behaviours of the archetypes that do more than walk at the player
+ * (settings in ARCHETYPE_CONFIG, enemyData.js):
+ * - summoner: keeps its distance (kite behaviour) and summons grunts
+ * - exploder: lights a fuse when it reaches the player, then blasts a telegraphed radius
+ * - shielder: allies in its radius take less damage (e.shieldedT, see getShieldMult and EnemyDamage)
+ * - splitter: splits into smaller copies when it dies (see EnemyDeathSystem)
+ */
+
+import { ARCHETYPE_CONFIG, ENEMY_TYPES } from "../../data/enemyData.js";
+import { isPointWalkable } from "../world/WalkabilitySystem.js";
+import { addExplosion, addParticle, bumpShake } from "../effects/VisualEffects.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEnemyAt } from "./EnemySpawner.js";
+
+// Spawn position around (x, y) at distance dist, or (x, y) itself if that spot is a wall
+function spawnPoint(s, x, y, angle, dist, r) {
+  const sx = x + Math.cos(angle) * dist;
+  const sy = y + Math.sin(angle) * dist;
+  if (s.levelData && !isPointWalkable(sx, sy, s.levelData, r)) return { x, y };
+  return { x: sx, y: sy };
+}
+
+/**
+ * Summon grunts around a summoner when its timer runs out
+ * @param {Object} s - Game state
+ * @param {Object} e - Summoner
+ * @param {number} dt - Delta time
+ * @returns {Array} Enemies summoned this call
+ */
+export function updateSummoner(s, e, dt) {
+  const cfg = ARCHETYPE_CONFIG.SUMMONER;
+  e.summonT -= dt;
+  if (e.summonT > 0) return [];
+  e.summonT = cfg.INTERVAL;
+
+  const alive = s.enemies.filter((other) => other.summonerId === e.id && other.hp > 0).length;
+  const count = Math.min(cfg.COUNT, cfg.MAX_ALIVE - alive);
+  const rng = getRng(s, "spawns");
+  const summoned = [];
+  for (let i = 0; i < count; i++) {
+    const at = spawnPoint(s, e.x, e.y, rng() * Math.PI * 2, e.r + 22, 14);
+    const grunt = spawnEnemyAt(s, ENEMY_TYPES.GRUNT, at.x, at.y, { xp: cfg.XP_MULTIPLIER, coin: 0 });
+    grunt.summonerId = e.id;
+    summoned.push(grunt);
+  }
+  if (summoned.length > 0) addParticle(s, e.x, e.y, 16, 270, { size: 3, speed: 1.1, glow: true });
+  return summoned;
+}
+
+/**
+ * Exploder fuse and blast
+ * @param {Object} s - Game state
+ * @param {Object} e - Exploder
+ * @param {number} dt - Delta time
+ * @param {number} dist - Distance to the player
+ * @param {Function} applyPlayerDamageFn - (s, amount, reason, opts)
+ * @returns {boolean} True while the fuse is lit (the exploder stands still)
+ */
+export function updateExploder(s, e, dt, dist, applyPlayerDamageFn) {
+  const cfg = ARCHETYPE_CONFIG.EXPLODER;
+  const p = s.player;
+  if (e.fuseT <= 0) {
+    if (dist > e.r + (p.r || 12) + cfg.TRIGGER_RANGE) return false;
+    e.fuseT = cfg.FUSE;
+    return true;
+  }
+
+  e.fuseT -= dt;
+  if (e.fuseT > 0) return true;
+
+  if (Math.hypot(p.x - e.x, p.y - e.y) <= cfg.RADIUS) {
+    applyPlayerDamageFn(s, cfg.DAMAGE + s.floor * cfg.DAMAGE_PER_FLOOR, "exploder blast", { shakeMag: 4, shakeTime: 0.12, hitStop: 0.03, fromX: e.x, fromY: e.y });
+  }
+  addExplosion(s, e.x, e.y, 1.8, e.deathHue ?? 24);
+  bumpShake(s, 3, 0.08);
+  // Blowing itself up isn't a kill: no loot (see processEnemyDeaths)
+  e.hp = 0;
+  e.detonated = true;
+  return true;
+}
+
+/**
+ * Refresh the protection of enemies near a shielder
+ * @param {Object} s - Game state
+ * @param {number} dt - Delta time
+ */
+export function updateShielderAuras(s, dt) {
+  const cfg = ARCHETYPE_CONFIG.SHIELDER;
+  const shielders = s.enemies.filter((e) => e.tier === "shielder" && e.hp > 0);
+  for (const e of s.enemies) {
+    if (e.shieldedT > 0) e.shieldedT = Math.max(0, e.shieldedT - dt);
+    if (shielders.length === 0 || e.tier === "shielder") continue;
+    for (const shielder of shielders) {
+      if (Math.hypot(e.x - shielder.x, e.y - shielder.y) <= cfg.RADIUS) {
+        e.shieldedT = 0.2;
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Damage multiplier from shielders
+ * @param {Object} e - Enemy
+ * @returns {number} 1, or less while shielded
+ */
+export function getShieldMult(e) {
+  return e.shieldedT > 0 ? 1 - ARCHETYPE_CONFIG.SHIELDER.REDUCTION : 1;
+}
+
+/**
+ * Split a dead splitter into smaller copies
+ * @param {Object} s - Game state
+ * @param {Object} e - The splitter that died
+ * @returns {Array} The copies (none once GENERATIONS is reached)
+ */
+export function splitEnemy(s, e) {
+  const cfg = ARCHETYPE_CONFIG.SPLITTER;
+  if ((e.splitGen || 0) >= cfg.GENERATIONS) return [];
+  const gen = (e.splitGen || 0) + 1;
+  const copies = [];
+  for (let i = 0; i < cfg.COPIES; i++) {
+    const angle = (Math.PI * 2 * i) / cfg.COPIES + (e.phase || 0);
+    const size = Math.pow(cfg.SIZE_MULTIPLIER, gen);
+    const at = spawnPoint(s, e.x, e.y, angle, e.r, e.r * cfg.SIZE_MULTIPLIER);
+    const copy = spawnEnemyAt(s, e.tier, at.x, at.y, {
+      hp: Math.pow(cfg.HP_MULTIPLIER, gen),
+      size,
+      speed: Math.pow(cfg.SPEED_MULTIPLIER, gen),
+      xp: Math.pow(cfg.LOOT_MULTIPLIER, gen),
+      coin: Math.pow(cfg.LOOT_MULTIPLIER, gen),
+    });
+    copy.splitGen = gen;
+    copies.push(copy);
+  }
+  return copies;
+}
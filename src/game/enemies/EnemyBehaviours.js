@@ -0,0 +1,264 @@
+/**
+ * Enemy Behaviours
+ *
+ * Enemies move by a small state machine built from their stats in enemyData.js
+ * (or a pack's enemy definition):
+ *
+ *   behaviours: [
+ *     { type: "flee", when: { hpBelow: 0.3 } },
+ *     { type: "kite", when: { los: true }, range: 240 },
+ *     { type: "chase" },
+ *   ],
+ *   attack: { type: "spit", when: { los: true, within: 460 }, ... },
+ *   contact: false,   // no contact damage
+ *   sight: 800,       // how far it can spot the player
+ *
+ * Each behaviour is a state with its own parameters (defaults below). The
+ * active state is the first one whose `when` conditions hold (line of sight,
+ * distance, HP); a state without `when` always matches. A busy state (a charge
+ * in progress) keeps control until it's done. Enemies without behaviours
+ * chase. The attack runs every step next to the movement state.
+ *
+ * Per-enemy state lives in e.ai ({ index, state, stateT, seenT, homeX, homeY, charge }).
+ */
+
+import { getEnemyStats } from "../../data/contentRegistry.js";
+import { updateSummoner, updateExploder } from "./EnemyArchetypes.js";
+
+const DEFAULT_BEHAVIOURS = [{ type: "chase" }];
+
+// Range at which enemies without a sight stat can spot the player
+const DEFAULT_SIGHT = 800;
+
+const STAND_STILL = { x: 0, y: 0, speed: 0 };
+
+/**
+ * Conditions a `when` can test: (ctx, value) => boolean
+ * ctx is { s, e, dt, dx, dy, d, hasLOS, flowX, flowY, shootBulletFn, applyPlayerDamageFn }
+ * from updateEnemyAI
+ */
+export const BEHAVIOUR_CONDITIONS = {
+  los: (ctx, v) => ctx.hasLOS === v,
+  within: (ctx, v) => ctx.d <= v,
+  beyond: (ctx, v) => ctx.d > v,
+  hpBelow: (ctx, v) => ctx.e.hp / ctx.e.maxHp < v,
+  // Never seen the player, or not for v seconds
+  lostSightFor: (ctx, v) => ctx.e.ai.seenT === null || ctx.e.ai.seenT >= v,
+};
+
+/**
+ * Movement behaviours: update(ctx, params) returns { x, y, speed }, a unit
+ * direction and a multiplier of the enemy's speed
+ */
+export const ENEMY_BEHAVIOURS = {
+  // Follow the flow field to the player
+  chase: {
+    defaults: { speed: 1 },
+    update: (ctx, params) => ({ x: ctx.flowX, y: ctx.flowY, speed: params.speed }),
+  },
+
+  // Back off inside range, close in outside it
+  kite: {
+    defaults: { range: 240, speed: 0.62 },
+    update: (ctx, params) => {
+      const push = ctx.d < params.range ? -1 : 1;
+      return { x: ctx.flowX * push, y: ctx.flowY * push, speed: params.speed };
+    },
+  },
+
+  // Circle the player at range, switching direction every so often
+  // (approach: how hard it pulls back to range; high values zigzag in)
+  strafe: {
+    defaults: { range: 170, speed: 0.9, switchEvery: 1.4, approach: 0.5 },
+    update: (ctx, params) => {
+      const { e, dx, dy, d } = ctx;
+      const side = Math.floor((e.ai.stateT + (e.phase || 0)) / params.switchEvery) % 2 === 0 ? 1 : -1;
+      const radial = d > params.range ? params.approach : d < params.range * 0.7 ? -params.approach : 0;
+      const x = (-dy / d) * side + (dx / d) * radial;
+      const y = (dx / d) * side + (dy / d) * radial;
+      const len = Math.hypot(x, y) || 1;
+      return { x: x / len, y: y / len, speed: params.speed };
+    },
+  },
+
+  // Wind up, then dash along the locked direction; chases while recovering
+  charge: {
+    defaults: { windup: 0.45, duration: 0.5, speed: 3.2, cooldown: 2.8 },
+    busy: (ai) => !!ai.charge?.phase,
+    update: (ctx, params) => {
+      const { s, e, dt, dx, dy, d } = ctx;
+      const c = e.ai.charge || (e.ai.charge = { phase: null, t: 0, x: 0, y: 0, readyAt: 0 });
+      if (!c.phase) {
+        if (s.t < c.readyAt) return { x: ctx.flowX, y: ctx.flowY, speed: 1 };
+        c.phase = "windup";
+        c.t = params.windup;
+        c.x = dx / d;
+        c.y = dy / d;
+      }
+      c.t -= dt;
+      if (c.phase === "windup") {
+        if (c.t > 0) return STAND_STILL;
+        c.phase = "dash";
+        c.t = params.duration;
+      }
+      if (c.t <= 0) {
+        c.phase = null;
+        c.readyAt = s.t + params.cooldown;
+      }
+      return { x: c.x, y: c.y, speed: params.speed };
+    },
+  },
+
+  // Run straight away from the player
+  flee: {
+    defaults: { speed: 1.1 },
+    update: (ctx, params) => ({ x: -ctx.dx / ctx.d, y: -ctx.dy / ctx.d, speed: params.speed }),
+  },
+
+  // Patrol a loop around the spawn point
+  guard: {
+    defaults: { radius: 120, speed: 0.5 },
+    update: (ctx, params) => {
+      const { e } = ctx;
+      const angle = (e.phase || 0) + e.ai.stateT * 0.5;
+      const tx = e.ai.homeX + Math.cos(angle) * params.radius * 0.5;
+      const ty = e.ai.homeY + Math.sin(angle) * params.radius * 0.5;
+      const dist = Math.hypot(tx - e.x, ty - e.y);
+      if (dist < 4) return STAND_STILL;
+      return { x: (tx - e.x) / dist, y: (ty - e.y) / dist, speed: params.speed };
+    },
+  },
+};
+
+/**
+ * Attacks: update(ctx, params) runs every step; returning true holds the enemy
+ * in place for this step
+ */
+export const ENEMY_ATTACKS = {
+  // Enemy bullet at the player on a cooldown
+  spit: {
+    defaults: { cooldown: 1.05, damage: 14, damagePerFloor: 0.95, speed: 470, radius: 7.2, life: 2.2, color: "#ff5d5d" },
+    update: (ctx, params) => {
+      const { s, e, dt } = ctx;
+      e.attackT = Math.max(0, (e.attackT || 0) - dt);
+      if (e.attackT > 0 || !matchesWhen(ctx, params.when)) return false;
+      const angle = Math.atan2(ctx.dy, ctx.dx);
+      const dmg = params.damage + s.floor * params.damagePerFloor;
+      ctx.shootBulletFn(s, e.x, e.y, angle, dmg, params.speed, { enemy: true, r: params.radius, life: params.life, color: params.color });
+      e.attackT = params.cooldown;
+      return false;
+    },
+  },
+
+  // Call in grunts (ARCHETYPE_CONFIG.SUMMONER)
+  summon: {
+    defaults: {},
+    update: (ctx) => {
+      updateSummoner(ctx.s, ctx.e, ctx.dt);
+      return false;
+    },
+  },
+
+  // Light a fuse next to the player and blow up (ARCHETYPE_CONFIG.EXPLODER)
+  detonate: {
+    defaults: {},
+    update: (ctx) => updateExploder(ctx.s, ctx.e, ctx.dt, ctx.d, ctx.applyPlayerDamageFn),
+  },
+};
+
+// Behaviour and attack entries merged with their defaults, and AI profiles, once per stats object
+const resolved = new WeakMap();
+const profiles = new WeakMap();
+function resolveParams(entry, registry) {
+  let params = resolved.get(entry);
+  if (!params) {
+    params = { ...registry[entry.type].defaults, ...entry };
+    resolved.set(entry, params);
+  }
+  return params;
+}
+
+/**
+ * Whether all of a `when` block's conditions hold
+ * @param {Object} ctx - Behaviour context
+ * @param {Object} [when] - { [condition]: value }
+ * @returns {boolean} True for an empty or missing block
+ */
+export function matchesWhen(ctx, when) {
+  if (!when) return true;
+  for (const key in when) {
+    if (!BEHAVIOUR_CONDITIONS[key](ctx, when[key])) return false;
+  }
+  return true;
+}
+
+/**
+ * The behaviour list, attack, contact damage and sight of an enemy type
+ * @param {string} tier - Enemy type id
+ * @returns {Object} { behaviours, attack, contact, sight }
+ */
+export function getEnemyAIProfile(tier) {
+  const stats = getEnemyStats(tier) || {};
+  let profile = profiles.get(stats);
+  if (!profile) {
+    profile = {
+      behaviours: stats.behaviours?.length ? stats.behaviours : DEFAULT_BEHAVIOURS,
+      attack: stats.attack || null,
+      contact: stats.contact !== false,
+      sight: stats.sight ?? DEFAULT_SIGHT,
+    };
+    profiles.set(stats, profile);
+  }
+  return profile;
+}
+
+/**
+ * Fresh behaviour state for an enemy, guarding from where it stands
+ * @param {Object} e - Enemy
+ * @returns {Object} e.ai
+ */
+export function createEnemyAI(e) {
+  return { index: -1, state: null, stateT: 0, seenT: null, homeX: e.x, homeY: e.y, charge: null };
+}
+
+/**
+ * Run an enemy's attack for this step
+ * @param {Object} ctx - Behaviour context (with shootBulletFn and applyPlayerDamageFn)
+ * @param {Object} profile - From getEnemyAIProfile
+ * @returns {boolean} True when the attack holds the enemy in place
+ */
+export function updateEnemyAttack(ctx, profile) {
+  if (!profile.attack) return false;
+  return ENEMY_ATTACKS[profile.attack.type].update(ctx, resolveParams(profile.attack, ENEMY_ATTACKS));
+}
+
+/**
+ * Pick the enemy's behaviour state for this step and get its movement
+ * @param {Object} ctx - Behaviour context
+ * @param {Object} profile - From getEnemyAIProfile
+ * @returns {Object} { x, y, speed } unit direction and speed multiplier
+ */
+export function updateEnemyBehaviour(ctx, profile) {
+  const { e, dt, hasLOS } = ctx;
+  if (!e.ai) e.ai = createEnemyAI(e);
+  const ai = e.ai;
+  if (hasLOS) ai.seenT = 0;
+  else if (ai.seenT !== null) ai.seenT += dt;
+
+  const { behaviours } = profile;
+  const current = behaviours[ai.index];
+  if (!current || !ENEMY_BEHAVIOURS[current.type].busy?.(ai)) {
+    let next = behaviours.findIndex((b) => matchesWhen(ctx, b.when));
+    if (next < 0) next = behaviours.length - 1;
+    if (next !== ai.index) {
+      ai.index = next;
+      ai.state = behaviours[next].type;
+      ai.stateT = 0;
+    }
+  }
+
+  const entry = behaviours[ai.index];
+  const move = ENEMY_BEHAVIOURS[entry.type].update(ctx, resolveParams(entry, ENEMY_BEHAVIOURS));
+  ai.stateT += dt;
+  return move;
+}
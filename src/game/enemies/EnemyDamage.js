@@ -0,0 +1,26 @@
+/**
+ * Enemy Damage
+ *
+ * The one way player damage reaches an enemy: elite affix hooks
+ * (EliteAffixes.applyEliteDamage) and the shielder's protection
+ * (EnemyArchetypes.getShieldMult) run before the HP comes off, whatever dealt
+ * the hit - bullets, splash, explosions, auras, damage over time, abilities
+ * or thorns.
+ */
+
+import { applyEliteDamage } from "./EliteAffixes.js";
+import { getShieldMult } from "./EnemyArchetypes.js";
+
+/**
+ * Damage an enemy
+ * @param {Object} s - Game state
+ * @param {Object} e - Enemy
+ * @param {number} dmg - Incoming damage
+ * @param {Object} [hit] - What dealt it: { effect, melee } (a bullet works)
+ * @returns {number} Damage dealt
+ */
+export function damageEnemy(s, e, dmg, hit = {}) {
+  const dealt = applyEliteDamage(s, e, dmg, hit) * getShieldMult(e);
+  e.hp -= dealt;
+  return dealt;
+}
@@ -1,11 +1,34 @@
-import { rand, clamp } from "../../utils/math.js";
+import { rand } from "../../utils/math.js";
 import { pickWeighted } from "../../utils/data.js";
-import { addExplosion, addParticle } from "../effects/VisualEffects.js";
+import { getRng } from "../../utils/rng.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
+import { spawnEntity } from "../systems/EntityPool.js";
+import { splitEnemy } from "./EnemyArchetypes.js";
+import { handleEliteDeath } from "./EliteAffixes.js";
+
+// Loot drops into the pooled gem/coin stores; when one is full the value is added to its last entry instead
+function dropLoot(s, type, x, y, v) {
+  const item = spawnEntity(s, type);
+  if (!item) {
+    s[type][s[type].length - 1].v += v;
+    return;
+  }
+  item.x = x;
+  item.y = y;
+  item.r = 8;
+  item.v = v;
+  item.vx = 0;
+  item.vy = 0;
+  item.t = 0;
+  item.life = 18;
+}
 
 /**
- * Handle enemy death - loot drops, scoring, and death effects
+ * Handle enemy death - loot drops and scoring
+ * Death effects and sound subscribe to enemyKilled (see GameEventSubscribers)
  */
-export function handleEnemyDeath(s, e, sfxKillFn) {
+export function handleEnemyDeath(s, e) {
+  const rng = getRng(s, "loot");
   const x = e.x;
   const y = e.y;
 
@@ -14,39 +37,31 @@ export function handleEnemyDeath(s, e, sfxKillFn) {
   // XP and Gold drop at enemy death location (no velocity, stay in place)
   // Add small random offset to prevent overlapping
   const gemOffset = 12;
-  const gemX = e.x + rand(-gemOffset, gemOffset);
-  const gemY = e.y + rand(-gemOffset, gemOffset);
-  s.gems.push({ x: gemX, y: gemY, r: 8, v: e.xp, vx: 0, vy: 0, t: 0, life: 18 });
+  const gemX = e.x + rand(-gemOffset, gemOffset, rng);
+  const gemY = e.y + rand(-gemOffset, gemOffset, rng);
+  dropLoot(s, "gems", gemX, gemY, e.xp);
 
   // Always drop gold (removed chance-based drop)
   // Store base coin value and goldGain at creation time
   // Gold gain will be applied when picked up
   // Add offset to prevent overlapping with gems
   const coinOffset = 12;
-  const coinX = e.x + rand(-coinOffset, coinOffset);
-  const coinY = e.y + rand(-coinOffset, coinOffset);
-  s.coins.push({ 
-    x: coinX, 
-    y: coinY, 
-    r: 8, 
-    v: e.coin, // Base coin value (will be multiplied by current goldGain when picked up)
-    vx: 0, 
-    vy: 0, 
-    t: 0, 
-    life: 18 
-  });
+  const coinX = e.x + rand(-coinOffset, coinOffset, rng);
+  const coinY = e.y + rand(-coinOffset, coinOffset, rng);
+  // Base coin value (will be multiplied by current goldGain when picked up)
+  dropLoot(s, "coins", coinX, coinY, e.coin);
 
   // Drop consumable potions from enemies (rare drop)
-  if (Math.random() < 0.025) { // 2.5% chance for rare consumable drop
+  if (rng() < 0.025) { // 2.5% chance for rare consumable drop
     const consumableType = pickWeighted([
       { w: 1, t: "speed" }, // Speed potion
       { w: 1, t: "heal" }, // Heal potion
       { w: 1, t: "magnet" }, // Magnet potion
       { w: 1, t: "gold" }, // Gold boost potion (new)
-    ]).t;
+    ], rng).t;
     const potionOffset = 12;
-    const potionX = e.x + rand(-potionOffset, potionOffset);
-    const potionY = e.y + rand(-potionOffset, potionOffset);
+    const potionX = e.x + rand(-potionOffset, potionOffset, rng);
+    const potionY = e.y + rand(-potionOffset, potionOffset, rng);
     s.consumables.push({
       x: potionX,
       y: potionY,
@@ -59,21 +74,22 @@ export function handleEnemyDeath(s, e, sfxKillFn) {
     });
   }
 
-  // Enhanced death effects
-  const deathHue = e.tier === "brute" ? 0 : e.tier === "runner" ? 48 : e.tier === "spitter" ? 140 : e.tier === "shocker" ? 180 : e.tier === "tank" ? 30 : 210;
-  addExplosion(s, x, y, 1.2, deathHue);
-  addParticle(s, x, y, 20, deathHue, { size: 2.5, speed: 1.2, glow: true });
-  const xNorm = clamp((x / (s.arena.w || 1)) * 2 - 1, -1, 1);
-  sfxKillFn(xNorm);
+  if (e.tier === "splitter") splitEnemy(s, e);
+  if (e.isElite) handleEliteDeath(s, e);
+
+  emitGameEvent(s, GAME_EVENTS.ENEMY_KILLED, { enemy: e, x, y, tier: e.tier, isElite: !!e.isElite });
 }
 
 /**
  * Filter out dead enemies and handle their deaths
+ * Dead enemies are removed first so splitter copies survive the filter;
+ * detonated exploders killed themselves and drop nothing
  */
-export function processEnemyDeaths(s, sfxKillFn) {
-  s.enemies = s.enemies.filter((e) => {
-    if (e.hp > 0) return true;
-    handleEnemyDeath(s, e, sfxKillFn);
-    return false;
-  });
+export function processEnemyDeaths(s) {
+  const dead = s.enemies.filter((e) => e.hp <= 0);
+  if (dead.length === 0) return;
+  s.enemies = s.enemies.filter((e) => e.hp > 0);
+  for (const e of dead) {
+    if (!e.detonated) handleEnemyDeath(s, e);
+  }
 }
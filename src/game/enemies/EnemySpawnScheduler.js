@@ -1,9 +1,11 @@
 import { clamp, rand } from "../../utils/math.js";
+import { getRng } from "../../utils/rng.js";
 
 /**
  * Update enemy spawn timer and spawn new enemies based on difficulty and intensity
  */
 export function updateEnemySpawning(s, dt, intensity, spawnEnemyFn) {
+  const rng = getRng(s, "spawns");
   const p = s.player;
   const diff = p.difficultyTome * s.difficultyMultiplier;
   
@@ -26,6 +28,6 @@ export function updateEnemySpawning(s, dt, intensity, spawnEnemyFn) {
       spawnEnemyFn(s);
     }
     
-    s.spawn.t = delay * rand(0.85, 1.25);
+    s.spawn.t = delay * rand(0.85, 1.25, rng);
   }
 }
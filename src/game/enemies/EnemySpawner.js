@@ -2,23 +2,23 @@
  * Enemy Spawner
  * 
  * Spawns enemies with tier-based stats, elite variants, and gold scaling.
+ * Tiers and weights include enemies and spawn tables from content packs.
  */
 
 import { rand } from "../../utils/math.js";
 import { pickWeighted } from "../../utils/data.js";
-import { 
-  ENEMY_BASE_STATS, 
-  getEnemyTierWeights, 
-  ELITE_CONFIG, 
-  getRandomEliteAbility, 
-  getRandomEliteWeakness 
-} from "../../data/enemyData.js";
+import { ELITE_CONFIG, ARCHETYPE_CONFIG } from "../../data/enemyData.js";
+import { getEnemySpawnWeights, getEnemyStats } from "../../data/contentRegistry.js";
+import { getRng } from "../../utils/rng.js";
+import { getCursePenalty } from "../progression/CurseSystem.js";
+import { rollEliteAffixes } from "./EliteAffixes.js";
 
 /**
  * Spawn an enemy
  * @param {Object} s - Game state
  */
 export function spawnEnemy(s) {
+  const rng = getRng(s, "spawns");
   const { w, h, padding } = s.arena;
   const p = s.player;
   const minDistFromPlayer = 120;
@@ -35,9 +35,9 @@ export function spawnEnemy(s) {
     if (allAreas.length > 0) {
       while (!validSpawn && attempts < 50) {
         // Pick a random room or corridor
-        const area = allAreas[Math.floor(Math.random() * allAreas.length)];
-        x = rand(area.x + 20, area.x + area.w - 20);
-        y = rand(area.y + 20, area.y + area.h - 20);
+        const area = allAreas[Math.floor(rng() * allAreas.length)];
+        x = rand(area.x + 20, area.x + area.w - 20, rng);
+        y = rand(area.y + 20, area.y + area.h - 20, rng);
         
         // Check distance from player
         const dist2 = (p.x - x) * (p.x - x) + (p.y - y) * (p.y - y);
@@ -53,22 +53,22 @@ export function spawnEnemy(s) {
   if (!validSpawn) {
     attempts = 0;
     while (!validSpawn && attempts < 20) {
-      const side = Math.floor(Math.random() * 4);
+      const side = Math.floor(rng() * 4);
       const levelW = s.levelData ? s.levelData.w : w;
       const levelH = s.levelData ? s.levelData.h : h;
       
   if (side === 0) {
-        x = rand(padding, levelW - padding);
+        x = rand(padding, levelW - padding, rng);
     y = padding;
   } else if (side === 1) {
         x = levelW - padding;
-        y = rand(padding, levelH - padding);
+        y = rand(padding, levelH - padding, rng);
   } else if (side === 2) {
-        x = rand(padding, levelW - padding);
+        x = rand(padding, levelW - padding, rng);
         y = levelH - padding;
   } else {
     x = padding;
-        y = rand(padding, levelH - padding);
+        y = rand(padding, levelH - padding, rng);
       }
       
       // Check distance from player
@@ -84,49 +84,61 @@ export function spawnEnemy(s) {
   if (!validSpawn) {
     const levelW = s.levelData ? s.levelData.w : w;
     const levelH = s.levelData ? s.levelData.h : h;
-    x = rand(padding, levelW - padding);
-    y = rand(padding, levelH - padding);
+    x = rand(padding, levelW - padding, rng);
+    y = rand(padding, levelH - padding, rng);
   }
 
-  // Get enemy tier weights based on current floor (from enemyData.js)
-  const tierWeights = getEnemyTierWeights(s.floor);
-  const tier = pickWeighted(tierWeights).t;
+  // Get enemy tier weights based on current floor (enemyData.js plus registered spawn tables)
+  const tierWeights = getEnemySpawnWeights(s.floor);
+  const tier = pickWeighted(tierWeights, rng).t;
 
   // Determine if this is an elite enemy (using ELITE_CONFIG from enemyData.js)
   const eliteChance = ELITE_CONFIG.BASE_CHANCE + (s.floor - 1) * ELITE_CONFIG.FLOOR_SCALING;
-  const isElite = Math.random() < eliteChance;
+  const isElite = rng() < eliteChance;
   
   // Golden elite (drops extra gold)
   const goldenEliteChance = ELITE_CONFIG.GOLDEN_BASE_CHANCE + (s.floor - 1) * ELITE_CONFIG.GOLDEN_FLOOR_SCALING;
-  const isGoldenElite = isElite && Math.random() < goldenEliteChance;
+  const isGoldenElite = isElite && rng() < goldenEliteChance;
 
-  // Get base stats from enemyData.js
-  const stats = ENEMY_BASE_STATS[tier];
+  // Elite abilities and weakness (see EliteAffixes)
+  const affixes = isElite ? rollEliteAffixes(s.floor, rng) : [];
+
+  s.enemies.push(createEnemy(s, rng, tier, x, y, { isElite, isGoldenElite, affixes }));
+}
+
+/**
+ * Spawn a (never elite) enemy of a given tier at a position - summons and split copies
+ * @param {Object} s - Game state
+ * @param {string} tier - Enemy id
+ * @param {number} x - World x
+ * @param {number} y - World y
+ * @param {Object} scale - Multipliers { hp, size, speed, xp, coin } (default 1)
+ * @returns {Object} The enemy
+ */
+export function spawnEnemyAt(s, tier, x, y, scale = {}) {
+  const enemy = createEnemy(s, getRng(s, "spawns"), tier, x, y, { isElite: false, isGoldenElite: false, affixes: [] }, scale);
+  s.enemies.push(enemy);
+  return enemy;
+}
+
+// Build an enemy of a tier; elite is { isElite, isGoldenElite, affixes }
+function createEnemy(s, rng, tier, x, y, elite, scale = {}) {
+  const p = s.player;
+  const { isElite, isGoldenElite, affixes } = elite;
+
+  // Get base stats (enemyData.js or a registered enemy)
+  const stats = getEnemyStats(tier);
   const baseHp = stats.hp;
   const baseSp = stats.speed;
   const r = stats.radius;
 
   // Elite enemies are much tougher (using ELITE_CONFIG multipliers)
-  const hpMult = isElite ? ELITE_CONFIG.HP_MULTIPLIER : 1.0;
-  const sizeMult = isElite ? ELITE_CONFIG.SIZE_MULTIPLIER : 1.0;
-  const speedMult = isElite ? ELITE_CONFIG.SPEED_MULTIPLIER : 1.0;
+  const hpMult = (isElite ? ELITE_CONFIG.HP_MULTIPLIER : 1.0) * (scale.hp ?? 1);
+  const sizeMult = (isElite ? ELITE_CONFIG.SIZE_MULTIPLIER : 1.0) * (scale.size ?? 1);
+  const speedMult = (isElite ? ELITE_CONFIG.SPEED_MULTIPLIER : 1.0) * (scale.speed ?? 1);
   const finalHp = Math.round(baseHp * hpMult);
   const finalR = r * sizeMult;
-  const finalSpeed = baseSp * speedMult;
-  
-  // Elite special abilities and weaknesses (from enemyData.js)
-  let eliteAbility = null;
-  let eliteWeakness = null;
-  let eliteArmor = 0; // Damage reduction (0-1)
-  
-  if (isElite) {
-    eliteAbility = getRandomEliteAbility();
-    eliteWeakness = getRandomEliteWeakness();
-    
-    if (eliteAbility === "shield") {
-      eliteArmor = ELITE_CONFIG.ARMOR.SHIELD; // 30% damage reduction
-    }
-  }
+  const finalSpeed = baseSp * speedMult * getCursePenalty(p, "enemySpeed");
 
   // Coin calculation: base coin from enemyData.js, scales with HP
   let baseCoin = stats.baseCoin;
@@ -143,10 +155,10 @@ export function spawnEnemy(s) {
   }
   
   // Reduce gold gain by 50%
-  finalCoin = Math.round(finalCoin * 0.5);
+  finalCoin = Math.round(finalCoin * 0.5 * (scale.coin ?? 1));
 
-  s.enemies.push({
-    id: Math.random().toString(16).slice(2),
+  const enemy = {
+    id: rng().toString(16).slice(2),
     x,
     y,
     r: finalR,
@@ -156,15 +168,16 @@ export function spawnEnemy(s) {
     tier,
     isElite,
     isGoldenElite,
-    eliteAbility,
-    eliteWeakness,
-    eliteArmor,
-    eliteRegenT: 0, // Regeneration timer
-    eliteTeleportT: 0, // Teleport cooldown
+    affixes, // Elite affix ids (EliteAffixes)
+    affixState: {}, // Per-affix timers and state
     hitT: 0,
-    spitT: 0,
-    phase: rand(0, Math.PI * 2),
-    xp: Math.round(stats.xp * p.difficultyTome * (isElite ? ELITE_CONFIG.XP_MULTIPLIER : 1)),
+    attackT: 0, // Cooldown of the type's attack (see EnemyBehaviours)
+    summonT: ARCHETYPE_CONFIG.SUMMONER.INTERVAL * 0.5, // Summoners cast sooner the first time
+    fuseT: 0, // Exploder fuse, counting down once lit
+    shieldedT: 0, // Shielder protection, refreshed while in range
+    splitGen: 0, // Splitter copies are generation 1
+    phase: rand(0, Math.PI * 2, rng),
+    xp: Math.round(stats.xp * p.difficultyTome * (isElite ? ELITE_CONFIG.XP_MULTIPLIER : 1) * (scale.xp ?? 1)),
     coin: finalCoin,
     poisonT: 0,
     poisonDps: 0,
@@ -175,5 +188,8 @@ export function spawnEnemy(s) {
     burnDps: 0,
     contactCd: 0, // Start at 0 so enemies can hit immediately when they touch
     z: 0, // Initialize z position for isometric depth
-  });
+  };
+  if (stats.color) enemy.color = stats.color; // Registered enemies and newer archetypes bring their own color
+  if (stats.deathHue !== undefined) enemy.deathHue = stats.deathHue;
+  return enemy;
 }
@@ -0,0 +1,92 @@
+/**
+ * Game Event Subscribers
+ *
+ * The built-in listeners on the event bus: sound effects, death effects and
+ * per-run stats. Each subscribe* function returns an unsubscribe function.
+ */
+
+import { clamp } from "../../utils/math.js";
+import { addExplosion, addParticle } from "../effects/VisualEffects.js";
+import { GAME_EVENTS } from "./GameEvents.js";
+
+/**
+ * Fresh per-run stats (kept on s.stats so they are saved with the run)
+ * @returns {Object} { kills, eliteKills, damageTaken, itemsPicked, bossesKilled }
+ */
+export function createRunStats() {
+  return { kills: 0, eliteKills: 0, damageTaken: 0, itemsPicked: 0, bossesKilled: 0 };
+}
+
+// Stereo pan from a world x (-1 left .. 1 right); null if the position is unusable
+function panFor(s, x) {
+  const xNorm = clamp((x / (s.arena.w || 1)) * 2 - 1, -1, 1);
+  return isFinite(xNorm) ? xNorm : null;
+}
+
+function subscribeAll(bus, handlers) {
+  const offs = Object.entries(handlers).map(([type, fn]) => bus.on(type, fn));
+  return () => offs.forEach((off) => off());
+}
+
+/**
+ * Play sound effects for gameplay events
+ * @param {Object} bus - Event bus
+ * @param {Object} audio - Bound audio functions (see createAudioContext)
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeAudio(bus, audio) {
+  return subscribeAll(bus, {
+    [GAME_EVENTS.ENEMY_KILLED]: ({ x }, s) => {
+      const pan = panFor(s, x);
+      if (pan !== null) audio.sfxKill(pan);
+    },
+    [GAME_EVENTS.PLAYER_DAMAGED]: ({ sound }, s) => {
+      const pan = panFor(s, s.player.x);
+      if (sound && pan !== null) audio.sfxHit(pan);
+    },
+    [GAME_EVENTS.ITEM_PICKED]: ({ kind, x }, s) => {
+      const pan = panFor(s, x);
+      if (kind === "coin" && pan !== null) audio.sfxCoin(pan);
+    },
+    [GAME_EVENTS.LEVEL_UP]: () => audio.sfxLevelUp(),
+  });
+}
+
+/**
+ * Visual effects for gameplay events
+ * @param {Object} bus - Event bus
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeEffects(bus) {
+  return subscribeAll(bus, {
+    [GAME_EVENTS.ENEMY_KILLED]: ({ enemy, x, y, tier }, s) => {
+      const deathHue = enemy?.deathHue ?? (tier === "brute" ? 0 : tier === "runner" ? 48 : tier === "spitter" ? 140 : tier === "shocker" ? 180 : tier === "tank" ? 30 : 210);
+      addExplosion(s, x, y, 1.2, deathHue);
+      addParticle(s, x, y, 20, deathHue, { size: 2.5, speed: 1.2, glow: true });
+    },
+  });
+}
+
+/**
+ * Count kills, damage taken, pickups and bosses on s.stats
+ * @param {Object} bus - Event bus
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeRunStats(bus) {
+  const stats = (s) => s.stats || (s.stats = createRunStats());
+  return subscribeAll(bus, {
+    [GAME_EVENTS.ENEMY_KILLED]: ({ isElite }, s) => {
+      stats(s).kills++;
+      if (isElite) stats(s).eliteKills++;
+    },
+    [GAME_EVENTS.PLAYER_DAMAGED]: ({ amount }, s) => {
+      stats(s).damageTaken += amount;
+    },
+    [GAME_EVENTS.ITEM_PICKED]: (_, s) => {
+      stats(s).itemsPicked++;
+    },
+    [GAME_EVENTS.FLOOR_CLEARED]: (_, s) => {
+      stats(s).bossesKilled++;
+    },
+  });
+}
@@ -0,0 +1,111 @@
+/**
+ * Game Events
+ *
+ * A small typed event bus for gameplay side effects. Systems emit what
+ * happened on the run state (s.events) and audio, effects, run stats or any
+ * outside hook (analytics, achievements) subscribe to it, so adding a listener
+ * doesn't mean threading another callback through every system signature.
+ *
+ * Only the event types in GAME_EVENTS exist; subscribing to or emitting
+ * anything else throws, which catches typos at the call site.
+ */
+
+/**
+ * Event types and their payloads
+ * Listeners are called as listener(payload, s)
+ */
+export const GAME_EVENTS = {
+  /** { enemy, x, y, tier, isElite } - after the enemy's loot has dropped */
+  ENEMY_KILLED: "enemyKilled",
+  /** { src, amount, hp, shielded, evaded, sound } - amount is HP lost (0 when blocked or evaded) */
+  PLAYER_DAMAGED: "playerDamaged",
+  /** { kind: "coin" | "consumable", type, value, x, y } - loot collected from the floor */
+  ITEM_PICKED: "itemPicked",
+  /** { level } - once per level gained */
+  LEVEL_UP: "levelUp",
+  /** { phase, boss } - the boss entered a new phase (2 = enraged) */
+  BOSS_PHASE_CHANGED: "bossPhaseChanged",
+  /** { floor, nextFloor } - the boss died and the next floor was generated */
+  FLOOR_CLEARED: "floorCleared",
+};
+
+const EVENT_TYPES = new Set(Object.values(GAME_EVENTS));
+
+function assertEventType(type) {
+  if (!EVENT_TYPES.has(type)) throw new Error(`Unknown game event: ${type}`);
+}
+
+/**
+ * Create an event bus
+ * @returns {Object} Bus { on, once, off, emit, clear, listenerCount }
+ */
+export function createEventBus() {
+  const listeners = new Map();
+
+  /**
+   * Subscribe to an event type
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - (payload, s) => void
+   * @returns {Function} Unsubscribe
+   */
+  function on(type, listener) {
+    assertEventType(type);
+    if (!listeners.has(type)) listeners.set(type, []);
+    listeners.get(type).push(listener);
+    return () => off(type, listener);
+  }
+
+  /**
+   * Subscribe for the next emit only
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Function} listener - (payload, s) => void
+   * @returns {Function} Unsubscribe
+   */
+  function once(type, listener) {
+    const unsubscribe = on(type, (payload, s) => {
+      unsubscribe();
+      listener(payload, s);
+    });
+    return unsubscribe;
+  }
+
+  function off(type, listener) {
+    const list = listeners.get(type);
+    if (!list) return;
+    const i = list.indexOf(listener);
+    if (i !== -1) list.splice(i, 1);
+  }
+
+  /**
+   * Call every listener of a type in subscription order
+   * @param {string} type - One of GAME_EVENTS
+   * @param {Object} payload - Event data
+   * @param {Object} s - Game state the event happened on
+   */
+  function emit(type, payload, s) {
+    assertEventType(type);
+    const list = listeners.get(type);
+    if (!list) return;
+    // Copy so listeners can unsubscribe while being called
+    for (const listener of [...list]) listener(payload, s);
+  }
+
+  return {
+    on,
+    once,
+    off,
+    emit,
+    clear: () => listeners.clear(),
+    listenerCount: (type) => listeners.get(type)?.length || 0,
+  };
+}
+
+/**
+ * Emit on the run's bus; states without one (unit tests, tools) just skip it
+ * @param {Object} s - Game state
+ * @param {string} type - One of GAME_EVENTS
+ * @param {Object} payload - Event data
+ */
+export function emitGameEvent(s, type, payload) {
+  if (s.events) s.events.emit(type, payload, s);
+}
@@ -1,5 +1,3 @@
-import { transformInputForIsometric } from "../../rendering/IsometricRenderer.js";
-
 /**
  * Create keyboard down handler
  */
@@ -7,11 +5,38 @@ export function createKeydownHandler(context) {
   const {
     uiRef, setUi, stateRef, keysRef, jumpKeyJustPressedRef, content,
     ensureAudio, updateMusicVolume, applyAudioToggles, requestFullscreen,
-    setMenuChar, safeBest, newRun, pickChoice, setPaused, tryUseInteractable,
-    useAbility, setIsoScale, isoScaleRef, ISO_MODE
+    setMenuChar, safeBest, newRun, pickChoice, setPaused, queueInput,
+    setIsoScale, isoScaleRef, replayRef, stopReplay, watchReplay, exportReplay, loadReplay,
+    saveRun, continueRun
   } = context;
 
   return (e) => {
+    // REPLAY PLAYBACK: the recording drives the run, so only playback keys and
+    // global toggles (mute, volume, fullscreen) get through
+    const replay = replayRef?.current;
+    if (replay) {
+      if (e.key === " ") {
+        e.preventDefault();
+        replay.togglePause();
+        return;
+      }
+      if (e.key === ".") {
+        e.preventDefault();
+        replay.cycleSpeed();
+        return;
+      }
+      if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopImmediatePropagation();
+        stopReplay();
+        return;
+      }
+      if (!["m", "M", "f", "F", "[", "]", "{", "}"].includes(e.key)) {
+        e.preventDefault();
+        return;
+      }
+    }
+
     // CRITICAL: ESCAPE KEY MUST BE FIRST - Handle BEFORE anything else
     if (e.key === "Escape") {
       e.preventDefault();
@@ -41,6 +66,8 @@ export function createKeydownHandler(context) {
           console.log("ESC: Pause menu toggled to", nextPauseMenu);
           return nextUi;
         });
+        // Autosave when pausing
+        if (!currentUi.pauseMenu) saveRun();
       } else if (currentUi.screen === "dead" || currentUi.screen === "levelup") {
         // Exit to menu
         setUi(prev => {
@@ -87,6 +114,22 @@ export function createKeydownHandler(context) {
         pickChoice(choiceIndex);
         return;
       }
+      // R reroll, B banish the selected card, Q skip (per-run charges)
+      if (k === "r" || k === "R") {
+        e.preventDefault();
+        pickChoice("reroll");
+        return;
+      }
+      if (k === "b" || k === "B") {
+        e.preventDefault();
+        pickChoice(`banish:${u.selectedChoiceIndex || 0}`);
+        return;
+      }
+      if (k === "q" || k === "Q") {
+        e.preventDefault();
+        pickChoice("skip");
+        return;
+      }
     }
 
     // Tab key - Toggle showStats (NOT pauseMenu)
@@ -156,8 +199,8 @@ export function createKeydownHandler(context) {
 
     // Menu screen controls
     if (u.screen === "menu") {
-      // Number keys 1-3 to select character
-      if (k === "1" || k === "2" || k === "3") {
+      // Number keys 1-9 to select character
+      if (k >= "1" && k <= "9" && k.length === 1) {
         e.preventDefault();
         const charIndex = parseInt(k) - 1;
         const char = content.characters[charIndex];
@@ -192,10 +235,22 @@ export function createKeydownHandler(context) {
         newRun(best, u.selectedChar);
         return;
       }
+      // L to load a replay file
+      if (k === "l" || k === "L") {
+        e.preventDefault();
+        loadReplay();
+        return;
+      }
+      // C to continue the saved run
+      if ((k === "c" || k === "C") && u.savedRun) {
+        e.preventDefault();
+        continueRun();
+        return;
+      }
       return; // Consume all other keys on menu screen
     }
 
-    // Dead screen - E to restart
+    // Dead screen - E to restart, R to watch the run back, X to export it
     if (u.screen === "dead") {
       if (k === "e" || k === "E" || k === "Enter") {
         e.preventDefault();
@@ -204,6 +259,16 @@ export function createKeydownHandler(context) {
         newRun(best, u.selectedChar);
         return;
       }
+      if (k === "r" || k === "R") {
+        e.preventDefault();
+        watchReplay();
+        return;
+      }
+      if (k === "x" || k === "X") {
+        e.preventDefault();
+        exportReplay();
+        return;
+      }
     }
 
     // Pause menu keyboard navigation
@@ -256,53 +321,26 @@ export function createKeydownHandler(context) {
       const s = stateRef.current;
       if (!s) return;
       
+      // Interact, ability and jump are queued and applied at the start of the next frame,
+      // so recordings capture them on a frame boundary and replays reproduce them exactly
       if (k === "e" || k === "E") {
         e.preventDefault();
-        tryUseInteractable(s);
+        queueInput("interact");
         return;
       }
       // Shift key for dash/ability
       if (k === "Shift" || k === "ShiftLeft" || k === "ShiftRight") {
         e.preventDefault();
-        useAbility(s);
+        queueInput("ability");
         return;
       }
-      // JUMP LOGIC: Diagonal jumping with direction capture
+      // JUMP LOGIC: Diagonal jumping with direction capture (see startJump)
       if (e.key === " ") {
         e.preventDefault();
-        const s = stateRef.current;
         // ONLY jump if: button was not already held AND player is on the ground AND screen is running
-        if (!keysRef.current.has(" ") && s && s.player.z === 0 && u.screen === "running") {
+        if (!keysRef.current.has(" ") && s.player.z === 0 && u.screen === "running") {
           keysRef.current.add(" "); // Mark as held
-          
-          // Set vertical jump velocity
-          const baseJumpV = 160.0 * (s.player.jumpHeight || 1.0);
-          s.player.jumpV = baseJumpV;
-          s.player.jumpT = 1.0;
-          
-          // Capture current movement direction for diagonal jump
-          const keys = keysRef.current;
-          let mx = (keys.has("ArrowRight") || keys.has("d") ? 1 : 0) - (keys.has("ArrowLeft") || keys.has("a") ? 1 : 0);
-          let my = (keys.has("ArrowDown") || keys.has("s") ? 1 : 0) - (keys.has("ArrowUp") || keys.has("w") ? 1 : 0);
-          
-          // Transform input directions for isometric mode
-          let dirX, dirY;
-          if (ISO_MODE && (mx !== 0 || my !== 0)) {
-            const transformed = transformInputForIsometric(mx, my);
-            dirX = transformed.x;
-            dirY = transformed.y;
-          } else {
-            const len = Math.hypot(mx, my) || 1;
-            dirX = len ? mx / len : (mx !== 0 ? mx : 0);
-            dirY = len ? my / len : (my !== 0 ? my : 0);
-          }
-          
-          // Set horizontal jump velocity (diagonal jump)
-          const jumpSpeed = baseJumpV * 0.6; // Horizontal jump speed multiplier
-          s.player.jumpVx = dirX * jumpSpeed;
-          s.player.jumpVy = dirY * jumpSpeed;
-          
-          console.log("Jump Triggered - Diagonal:", dirX, dirY);
+          queueInput("jump");
         }
         return; // Stop further processing
       }
@@ -368,12 +406,14 @@ export function createBlurHandler(keysRef, jumpKeyJustPressedRef) {
 export function createPointerDownHandler(context) {
   const {
     canvasRef, audioRef, uiRef, stateRef, ensureAudio, setPaused, safeBest, newRun,
-    setUi, applyAudioToggles, updateMusicVolume, handleAdminClick, tryUseInteractable,
-    pickChoice, setMenuChar, content
+    setUi, applyAudioToggles, updateMusicVolume, handleAdminClick, queueInput,
+    pickChoice, setMenuChar, content, replayRef, continueRun
   } = context;
 
   return (e) => {
     const c = canvasRef.current;
+    // Clicks can't pick cards or interact while a replay drives the run
+    if (replayRef?.current) return;
     
     // AUDIO BOOTSTRAP: Force audio resume and play menu music if on menu screen
     const a = audioRef.current;
@@ -556,6 +596,17 @@ export function createPointerDownHandler(context) {
         console.log("Menu: Volume increased to", newVolume);
         return;
       }
+
+      // Continue panel (right side, only drawn when a run is saved)
+      const continueW = Math.min(320, w * 0.32);
+      const continueX = w - 20 - continueW;
+      const continueY = 120;
+      const continueH = 60;
+      if (u.savedRun && x >= continueX && x <= continueX + continueW &&
+          y >= continueY && y <= continueY + continueH) {
+        continueRun();
+        return;
+      }
       
       // Character selection buttons
       const charButtonY = h * 0.5 + 40;
@@ -650,7 +701,7 @@ export function createPointerDownHandler(context) {
 
     // Running screen - handle interactable clicks
     if (u.screen === "running" && s) {
-      tryUseInteractable(s);
+      queueInput("interact");
     }
   };
 }
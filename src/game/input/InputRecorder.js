@@ -0,0 +1,119 @@
+/**
+ * Input Recorder
+ *
+ * Records a compact per-frame input log for the current run: held keys,
+ * queued jump/ability/interact presses and upgrade picks, plus the seed and
+ * character needed to start the same run again (see ReplayPlayer).
+ *
+ * Frames are only recorded when the world actually steps, so pauses, the
+ * stats screen and levelup screens take no space. Identical consecutive
+ * frames are run-length encoded with `n`.
+ */
+
+export const REPLAY_VERSION = 1;
+
+/**
+ * Create an input recorder
+ * @returns {Object} Recorder { start, resume, recordFrame, recordChoice, markModified, getReplay, isRecording }
+ */
+export function createInputRecorder() {
+  let replay = null;
+  let last = null;
+
+  /**
+   * Begin a new recording (drops the previous one)
+   * @param {Object} meta - { seed, charId, width, height }
+   */
+  function start({ seed, charId, width, height }) {
+    replay = {
+      version: REPLAY_VERSION,
+      seed,
+      charId,
+      width,
+      height,
+      modified: false,
+      frames: [],
+    };
+    last = null;
+  }
+
+  /**
+   * Continue an earlier recording (a restored save) so the replay still covers the whole run
+   * @param {Object} previous - Replay data from getReplay()
+   */
+  function resume(previous) {
+    replay = JSON.parse(JSON.stringify(previous));
+    // Keep run-length encoding the last entry so the log matches an uninterrupted recording
+    const tail = replay.frames[replay.frames.length - 1];
+    last = tail && tail.choice === undefined && !tail.jump && !tail.ability && !tail.interact ? tail : null;
+  }
+
+  /**
+   * Record one simulation frame
+   * @param {number} dt - Frame delta time
+   * @param {Set|Array} keys - Held keys
+   * @param {Object} actions - { jump, ability, interact } presses applied this frame
+   */
+  function recordFrame(dt, keys, actions = {}) {
+    if (!replay) return;
+    const entry = { dt };
+    const held = [...keys].sort();
+    if (held.length > 0) entry.keys = held;
+    if (actions.jump) entry.jump = 1;
+    if (actions.ability) entry.ability = 1;
+    if (actions.interact) entry.interact = 1;
+
+    const plain = !entry.jump && !entry.ability && !entry.interact;
+    if (plain && last && last.dt === dt && sameKeys(last.keys, entry.keys)) {
+      last.n = (last.n || 1) + 1;
+      return;
+    }
+    replay.frames.push(entry);
+    last = plain ? entry : null;
+  }
+
+  /**
+   * Record an upgrade pick on the levelup/chest screen
+   * @param {number} index - Choice index passed to pickChoice
+   */
+  function recordChoice(index) {
+    if (!replay) return;
+    replay.frames.push({ choice: index });
+    last = null;
+  }
+
+  /**
+   * Flag the run as edited outside of recorded input (admin panel),
+   * so a replay of it is not expected to match
+   */
+  function markModified() {
+    if (replay) replay.modified = true;
+  }
+
+  /**
+   * Get the current recording (a deep copy, safe to serialize or keep)
+   * @returns {Object|null} Replay data
+   */
+  function getReplay() {
+    return replay ? JSON.parse(JSON.stringify(replay)) : null;
+  }
+
+  return {
+    start,
+    resume,
+    recordFrame,
+    recordChoice,
+    markModified,
+    getReplay,
+    isRecording: () => replay !== null,
+  };
+}
+
+function sameKeys(a, b) {
+  if (!a || !b) return !a && !b;
+  if (a.length !== b.length) return false;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] !== b[i]) return false;
+  }
+  return true;
+}
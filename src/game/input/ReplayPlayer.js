@@ -0,0 +1,151 @@
+/**
+ * Replay Player
+ *
+ * Plays back a recording from InputRecorder one frame at a time, with pause
+ * and fast-forward. The game loop (or GameRuntime) starts a run from the
+ * replay's seed/character/arena size and feeds each frame through the same
+ * step path as live input, which reproduces the run exactly.
+ */
+
+import { REPLAY_VERSION } from "./InputRecorder.js";
+
+export const REPLAY_SPEEDS = [1, 2, 4, 8];
+
+/**
+ * Serialize a replay to JSON for export
+ * @param {Object} replay - Replay data
+ * @returns {string} JSON text
+ */
+export function exportReplay(replay) {
+  return JSON.stringify(replay);
+}
+
+/**
+ * Parse and validate replay JSON
+ * @param {string|Object} data - JSON text or an already parsed replay
+ * @returns {Object} Replay data
+ * @throws {Error} If the data is not a replay this version can play
+ */
+export function parseReplay(data) {
+  const replay = typeof data === "string" ? JSON.parse(data) : data;
+  if (!replay || typeof replay !== "object" || !Array.isArray(replay.frames)) {
+    throw new Error("Not a replay file");
+  }
+  if (replay.version !== REPLAY_VERSION) {
+    throw new Error(`Unsupported replay version ${replay.version} (expected ${REPLAY_VERSION})`);
+  }
+  if (replay.seed === undefined || !replay.charId) {
+    throw new Error("Replay is missing its seed or character");
+  }
+  return replay;
+}
+
+/**
+ * Count the simulation frames in a replay (run-length encoded frames expanded)
+ * @param {Object} replay - Replay data
+ * @returns {number} Frame count (choices not included)
+ */
+export function countReplayFrames(replay) {
+  let total = 0;
+  for (const f of replay.frames) {
+    if (f.choice === undefined) total += f.n || 1;
+  }
+  return total;
+}
+
+/**
+ * Create a replay player
+ * next() yields { dt, keys, jump, ability, interact } for a frame or { choice } for an upgrade pick
+ * @param {Object} replay - Replay data (see parseReplay)
+ * @returns {Object} Player { replay, next, peek, done, paused, speed, togglePause, cycleSpeed, progress }
+ */
+export function createReplayPlayer(replay) {
+  const total = countReplayFrames(replay);
+  let index = 0; // Entry in replay.frames
+  let repeat = 0; // Frames already played from a run-length encoded entry
+  let played = 0;
+
+  function peek() {
+    const f = replay.frames[index];
+    if (!f) return null;
+    if (f.choice !== undefined) return { choice: f.choice };
+    return {
+      dt: f.dt,
+      keys: f.keys || [],
+      jump: !!f.jump,
+      ability: !!f.ability,
+      interact: !!f.interact,
+    };
+  }
+
+  function next() {
+    const out = peek();
+    if (!out) return null;
+    const f = replay.frames[index];
+    if (out.choice === undefined) {
+      played++;
+      repeat++;
+      if (repeat < (f.n || 1)) return out;
+    }
+    index++;
+    repeat = 0;
+    return out;
+  }
+
+  const player = {
+    replay,
+    paused: false,
+    speed: 1,
+    next,
+    peek,
+    done: () => index >= replay.frames.length,
+    togglePause() {
+      player.paused = !player.paused;
+      return player.paused;
+    },
+    cycleSpeed() {
+      const i = REPLAY_SPEEDS.indexOf(player.speed);
+      player.speed = REPLAY_SPEEDS[(i + 1) % REPLAY_SPEEDS.length];
+      return player.speed;
+    },
+    progress: () => ({ frame: played, total }),
+  };
+  return player;
+}
+
+/**
+ * Download a replay as a .json file (browser only)
+ * @param {Object} replay - Replay data
+ */
+export function downloadReplay(replay) {
+  const blob = new Blob([exportReplay(replay)], { type: "application/json" });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = `neon-pit-replay-${replay.charId}-${replay.seed}.json`;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Ask the user for a replay .json file (browser only)
+ * @returns {Promise<Object>} Parsed replay
+ */
+export function pickReplayFile() {
+  return new Promise((resolve, reject) => {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = ".json,application/json";
+    input.onchange = () => {
+      const file = input.files?.[0];
+      if (!file) {
+        reject(new Error("No file selected"));
+        return;
+      }
+      file.text().then((text) => resolve(parseReplay(text)), reject);
+    };
+    input.click();
+  });
+}
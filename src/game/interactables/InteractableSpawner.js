@@ -8,13 +8,17 @@ import { rand } from "../../utils/math.js";
 import { isPointWalkable, findNearestWalkable } from "../world/WalkabilitySystem.js";
 import { INTERACT } from "../../data/constants.js";
 import { chestCost } from "../../utils/gameMath.js";
+import { getRng } from "../../utils/rng.js";
+import { getCursePenalty, cleanseCost } from "../progression/CurseSystem.js";
 
 /**
  * Spawn an interactable object
  * @param {Object} s - Game state
  * @param {string} kind - Interactable type (INTERACT constant)
+ * @returns {Object} The spawned interactable
  */
 export function spawnInteractable(s, kind) {
+  const rng = getRng(s, "spawns");
   const { w, h, padding } = s.arena;
   let x, y;
   let attempts = 0;
@@ -25,23 +29,23 @@ export function spawnInteractable(s, kind) {
     // For chests, spawn in random rooms across the level for better distribution
     if (kind === INTERACT.CHEST && s.levelData && s.levelData.rooms && s.levelData.rooms.length > 0) {
       // Pick a random room
-      const room = s.levelData.rooms[Math.floor(Math.random() * s.levelData.rooms.length)];
+      const room = s.levelData.rooms[Math.floor(rng() * s.levelData.rooms.length)];
       // Spawn in the center area of the room
-      x = room.x + rand(room.w * 0.3, room.w * 0.7);
-      y = room.y + rand(room.h * 0.3, room.h * 0.7);
+      x = room.x + rand(room.w * 0.3, room.w * 0.7, rng);
+      y = room.y + rand(room.h * 0.3, room.h * 0.7, rng);
     } else if (s.levelData && s.levelData.rooms && s.levelData.rooms.length > 0) {
       // For other interactables, try to spawn in a random room first
-      const room = s.levelData.rooms[Math.floor(Math.random() * s.levelData.rooms.length)];
-      x = room.x + rand(room.w * 0.3, room.w * 0.7);
-      y = room.y + rand(room.h * 0.3, room.h * 0.7);
+      const room = s.levelData.rooms[Math.floor(rng() * s.levelData.rooms.length)];
+      x = room.x + rand(room.w * 0.3, room.w * 0.7, rng);
+      y = room.y + rand(room.h * 0.3, room.h * 0.7, rng);
     } else if (s.levelData) {
       // Fallback to level bounds
-      x = rand(padding + 60, s.levelData.w - padding - 60);
-      y = rand(padding + 60, s.levelData.h - padding - 60);
+      x = rand(padding + 60, s.levelData.w - padding - 60, rng);
+      y = rand(padding + 60, s.levelData.h - padding - 60, rng);
     } else {
       // Fallback to arena bounds
-      x = rand(padding + 60, w - padding - 60);
-      y = rand(padding + 60, h - padding - 60);
+      x = rand(padding + 60, w - padding - 60, rng);
+      y = rand(padding + 60, h - padding - 60, rng);
     }
     
     // Ensure position is walkable
@@ -60,11 +64,13 @@ export function spawnInteractable(s, kind) {
   }
 
   let cost = 0;
-  if (kind === INTERACT.CHEST) cost = chestCost(s.chestOpens, s.floor);
+  if (kind === INTERACT.CHEST) cost = Math.round(chestCost(s.chestOpens, s.floor) * getCursePenalty(s.player, "chestCost"));
+  if (kind === INTERACT.CURSED_CHEST) cost = 0; // Free, but marks the run
   // Shrines are now free (repurposed as permanent buff stations)
   if (kind === INTERACT.MICROWAVE) cost = 0; // Free
   if (kind === INTERACT.GREED) cost = Math.round(8 + s.floor * 2);
   if (kind === INTERACT.SHRINE) cost = 0; // Free
+  if (kind === INTERACT.CLEANSE_SHRINE) cost = cleanseCost(s);
   if (kind === INTERACT.MAGNET_SHRINE) cost = 0; // Free (but these won't spawn anymore)
   if (kind === INTERACT.BOSS_TP) {
     // Boss portal cost: 20% of current gold, minimum 100 (calculated dynamically)
@@ -72,8 +78,8 @@ export function spawnInteractable(s, kind) {
     cost = -1;
   }
 
-  s.interact.push({
-    id: Math.random().toString(16).slice(2),
+  const interactable = {
+    id: rng().toString(16).slice(2),
     kind,
     x,
     y,
@@ -81,5 +87,7 @@ export function spawnInteractable(s, kind) {
     cost,
     used: false,
     t: 0,
-  });
+  };
+  s.interact.push(interactable);
+  return interactable;
 }
@@ -1,6 +1,9 @@
 import { clamp, rand } from "../../utils/math.js";
 import { bumpShake, addParticle } from "../effects/VisualEffects.js";
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
+import { getRng } from "../../utils/rng.js";
+import { sweepEntities } from "../systems/EntityPool.js";
+import { cleanseCurse } from "../progression/CurseSystem.js";
 
 /**
  * Find the nearest interactable object within interaction range
@@ -26,6 +29,7 @@ export function nearestInteractable(s) {
  * Attempt to use the nearest interactable (chest, shrine, portal, etc.)
  */
 export function tryUseInteractable(s, INTERACT, triggerUpgradeSequenceFn, startBossFn, sfxInteractFn, content, uiRef) {
+  const rng = getRng(s, "spawns");
   const p = s.player;
   const best = nearestInteractable(s);
   if (!best) return;
@@ -46,22 +50,25 @@ export function tryUseInteractable(s, INTERACT, triggerUpgradeSequenceFn, startB
   best.used = true;
   sfxInteractFn();
 
-  if (best.kind === INTERACT.CHEST) {
-    s.chestOpens += 1;
+  if (best.kind === INTERACT.CHEST || best.kind === INTERACT.CURSED_CHEST) {
+    const cursed = best.kind === INTERACT.CURSED_CHEST;
+    // Cursed chests are free but mark the run for good
+    if (cursed) s.cursedRun = true;
+    else s.chestOpens += 1;
     // Removed "CHEST OPENED" text to avoid blocking upgrade display
     s.interact = s.interact.filter((x) => x.id !== best.id);
     // Preserve explosive bullets (injected or seeking) and boomerang bullets when opening chest
-    s.bullets = s.bullets.filter(b => 
+    sweepEntities(s, "bullets", (b) =>
       (b.explosive && ((b.injected && b.injectedEnemy) || (b.seeking && !b.injected))) ||
       (b.boomerang && b.t < b.life)
     );
 
     // DELETE random upgrade logic - use triggerUpgradeSequence instead
-    triggerUpgradeSequenceFn(s, content);
+    triggerUpgradeSequenceFn(s, content, cursed ? "cursedChest" : best.bossChest ? "bossChest" : "chest");
     s.running = false;
     s.freezeMode = "levelup";
 
-    s.chestSpawnT = 28 + rand(0, 18);
+    if (!cursed) s.chestSpawnT = 28 + rand(0, 18, rng);
     return;
   }
 
@@ -79,6 +86,16 @@ export function tryUseInteractable(s, INTERACT, triggerUpgradeSequenceFn, startB
     return;
   }
 
+  if (best.kind === INTERACT.CLEANSE_SHRINE) {
+    // Cleanses the newest curse; another shows up while any are left
+    const curse = cleanseCurse(p);
+    s.interact = s.interact.filter((x) => x.id !== best.id);
+    if (!curse) return;
+    addParticle(s, p.x, p.y, 24, 280, { size: 3, speed: 1.2 });
+    pushCombatTextFn(s, p.x, p.y - 30, `CLEANSED: ${curse.name}`, "#c23bff", { size: 16, life: 1.4 });
+    return;
+  }
+
   if (best.kind === INTERACT.MICROWAVE) {
     // Microwave repurposed as permanent HP boost station
     const hpBoost = Math.round(p.maxHp * 0.05); // 5% max HP boost
@@ -93,7 +110,9 @@ export function tryUseInteractable(s, INTERACT, triggerUpgradeSequenceFn, startB
   if (best.kind === INTERACT.GREED) {
     p.difficultyTome *= 1.15;
     s.spawn.delay = Math.max(0.26, s.spawn.delay * 0.92);
-    pushCombatTextFn(s, p.x, p.y - 30, "GREED SHRINE", "#ffd44a", { size: 16, life: 1.2 });
+    // Greed pays out in rerolls
+    p.rerollCharges = (p.rerollCharges || 0) + 1;
+    pushCombatTextFn(s, p.x, p.y - 30, "GREED SHRINE +1 REROLL", "#ffd44a", { size: 16, life: 1.2 });
     s.interact = s.interact.filter((x) => x.id !== best.id);
     return;
   }
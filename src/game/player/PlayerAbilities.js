@@ -2,11 +2,15 @@ import { clamp } from "../../utils/math.js";
 import { bumpShake, addParticle, addExplosion } from "../effects/VisualEffects.js";
 import { ISO_MODE } from "../../data/constants.js";
 import { transformInputForIsometric } from "../../rendering/IsometricRenderer.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
 
 /**
  * Use player's active ability (blink, quickdraw, slam, flamewalker)
  */
 export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRef) {
+  const rng = getRng(s, "fx");
   const p = s.player;
   if (p.abilityT > 0 || p.hp <= 0) return;
 
@@ -70,15 +74,17 @@ export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRe
         life: 12.0, // Longer life since it's very slow
       });
 
-      // Mark this bullet as injectable explosive
-      explosiveBullet.explosive = true;
-      explosiveBullet.injected = false; // Not yet injected onto enemy
-      explosiveBullet.injectedEnemy = null; // Will store reference to enemy
-      explosiveBullet.explodeAfter = 2.0; // Explode 2 seconds after injection
-      explosiveBullet.explosionRadius = 120; // Large explosion radius
-      explosiveBullet.explosionDmg = dmg * 0.8; // Explosion damage (reduced from 1.2x)
-      explosiveBullet.seeking = true; // Bullet seeks nearest enemy
-      explosiveBullet.playerAbilityRef = null; // No longer needed since cooldown starts immediately
+      // Mark this bullet as injectable explosive (none if the bullet store is full)
+      if (explosiveBullet) {
+        explosiveBullet.explosive = true;
+        explosiveBullet.injected = false; // Not yet injected onto enemy
+        explosiveBullet.injectedEnemy = null; // Will store reference to enemy
+        explosiveBullet.explodeAfter = 2.0; // Explode 2 seconds after injection
+        explosiveBullet.explosionRadius = 120; // Large explosion radius
+        explosiveBullet.explosionDmg = dmg * 0.8; // Explosion damage (reduced from 1.2x)
+        explosiveBullet.seeking = true; // Bullet seeks nearest enemy
+        explosiveBullet.playerAbilityRef = null; // No longer needed since cooldown starts immediately
+      }
 
       // Visual effects
       addParticle(s, p.x, p.y, 20, 40);
@@ -99,14 +105,16 @@ export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRe
         life: 12.0,
       });
 
-      explosiveBullet.explosive = true;
-      explosiveBullet.injected = false;
-      explosiveBullet.injectedEnemy = null;
-      explosiveBullet.explodeAfter = 2.0;
-      explosiveBullet.explosionRadius = 120;
-      explosiveBullet.explosionDmg = dmg * 0.8;
-      explosiveBullet.seeking = true;
-      explosiveBullet.playerAbilityRef = null;
+      if (explosiveBullet) {
+        explosiveBullet.explosive = true;
+        explosiveBullet.injected = false;
+        explosiveBullet.injectedEnemy = null;
+        explosiveBullet.explodeAfter = 2.0;
+        explosiveBullet.explosionRadius = 120;
+        explosiveBullet.explosionDmg = dmg * 0.8;
+        explosiveBullet.seeking = true;
+        explosiveBullet.playerAbilityRef = null;
+      }
 
       // Visual effects
       addParticle(s, p.x, p.y, 20, 40);
@@ -127,7 +135,7 @@ export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRe
 
     // Shockwave effect for slam (replaces slice)
     for (let i = 0; i < 3; i++) {
-      s.floaters.push({
+      spawnEntity(s, "floaters", {
         x: p.x,
         y: p.y,
         t: i * 0.05,
@@ -141,14 +149,14 @@ export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRe
     // Impact particles
     for (let i = 0; i < 12; i++) {
       const angle = (Math.PI * 2 * i) / 12;
-      s.floaters.push({
+      spawnEntity(s, "floaters", {
         x: p.x,
         y: p.y,
         t: 0,
         life: 0.35,
         type: "particle",
-        vx: Math.cos(angle) * (80 + Math.random() * 40),
-        vy: Math.sin(angle) * (80 + Math.random() * 40),
+        vx: Math.cos(angle) * (80 + rng() * 40),
+        vy: Math.sin(angle) * (80 + rng() * 40),
         color: "#ffd44a",
       });
     }
@@ -158,10 +166,10 @@ export function useAbility(s, acquireTargetFn, shootBulletFn, playBeepFn, keysRe
       if (e.hp <= 0) continue;
       const d2v = Math.hypot(p.x - e.x, p.y - e.y) ** 2;
       if (d2v <= (r + e.r) * (r + e.r)) {
-        e.hp -= dmg;
+        const hitDmg = damageEnemy(s, e, dmg);
         e.hitT = 0.14;
-        const dealt = Math.max(1, Math.round(dmg));
-        s.floaters.push({
+        const dealt = Math.max(1, Math.round(hitDmg));
+        spawnEntity(s, "floaters", {
           x: e.x,
           y: e.y - 14,
           t: 0,
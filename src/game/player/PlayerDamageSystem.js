@@ -2,6 +2,10 @@ import { dist2 } from "../../utils/math.js";
 import { rollEvasion, mitigateDamage } from "../../utils/gameMath.js";
 import { bumpShake, addParticle } from "../effects/VisualEffects.js";
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
+import { getRng } from "../../utils/rng.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
+import { findNearestEnemy } from "../systems/SpatialHash.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
 
 /**
  * Record damage taken by player for UI display
@@ -10,16 +14,32 @@ export function recordDamage(p, src, amt) {
   p.lastDamage = { src, amt: Math.round(amt) };
 }
 
+// Every hit that lands (even evaded or fully shielded) is a playerDamaged event; opts.sound: false keeps it quiet
+function emitDamaged(s, src, amount, opts, extra = {}) {
+  emitGameEvent(s, GAME_EVENTS.PLAYER_DAMAGED, {
+    src,
+    amount,
+    hp: s.player.hp,
+    shielded: false,
+    evaded: false,
+    sound: opts.sound !== false,
+    ...extra,
+  });
+}
+
 /**
  * Apply damage to the player with shield, evasion, thorns, and knockback
+ * Emits playerDamaged when the hit lands (hit sounds subscribe to it)
  */
 export function applyPlayerDamage(s, amount, src, opts = {}) {
+  const rng = getRng(s, "combat");
   const p = s.player;
   if (p.iFrames > 0 || p.hp <= 0) return false;
 
-  if (rollEvasion(p.evasion)) {
+  if (rollEvasion(p.evasion, rng)) {
     p.iFrames = 0.25;
     pushCombatTextFn(s, p.x, p.y - 22, "EVADE", "#2ea8ff", { size: 12, life: 0.7 });
+    emitDamaged(s, src, 0, opts, { evaded: true });
     return true;
   }
 
@@ -57,6 +77,7 @@ export function applyPlayerDamage(s, amount, src, opts = {}) {
       pushCombatTextFn(s, p.x, p.y - 22, `SHIELD -${Math.round(blockedDmg)}`, "#9cffd6", { size: 12, life: 0.7 });
       recordDamage(p, `${src} (shield)`, 0);
     }
+    emitDamaged(s, src, Math.max(0, actualDmg), opts, { shielded: true });
     return true;
   }
 
@@ -68,16 +89,8 @@ export function applyPlayerDamage(s, amount, src, opts = {}) {
   // Apply thorns damage to attacker if player has thorns
   if (p.thorns > 0 && opts.fromX !== undefined && opts.fromY !== undefined) {
     // Find nearest enemy to the damage source
-    let nearestEnemy = null;
-    let nearestD2 = Infinity;
-    for (const e of s.enemies) {
-      if (e.hp <= 0) continue;
-      const d2 = dist2(opts.fromX, opts.fromY, e.x, e.y);
-      if (d2 < nearestD2 && d2 < 100) { // Only if within 100 units
-        nearestD2 = d2;
-        nearestEnemy = e;
-      }
-    }
+    let nearestEnemy = findNearestEnemy(s, opts.fromX, opts.fromY, { filter: (e) => e.hp > 0, maxDist: 10 });
+    const nearestD2 = nearestEnemy ? dist2(opts.fromX, opts.fromY, nearestEnemy.x, nearestEnemy.y) : Infinity;
     // Also check boss
     if (s.boss.active && s.boss.hp > 0) {
       const bossD2 = dist2(opts.fromX, opts.fromY, s.boss.x, s.boss.y);
@@ -87,8 +100,9 @@ export function applyPlayerDamage(s, amount, src, opts = {}) {
     }
     
     if (nearestEnemy) {
-      const thornsDmg = dmg * p.thorns;
-      nearestEnemy.hp -= thornsDmg;
+      let thornsDmg = dmg * p.thorns;
+      if (nearestEnemy === s.boss) s.boss.hp -= thornsDmg;
+      else thornsDmg = damageEnemy(s, nearestEnemy, thornsDmg);
       if (nearestEnemy.hitT !== undefined) nearestEnemy.hitT = 0.12;
       pushCombatTextFn(s, nearestEnemy.x, nearestEnemy.y - 14, `THORNS ${Math.round(thornsDmg)}`, "#ff7a3d", { size: 12, life: 0.8 });
       addParticle(s, nearestEnemy.x, nearestEnemy.y, 6, 20, { size: 2, speed: 0.6 });
@@ -111,7 +125,7 @@ export function applyPlayerDamage(s, amount, src, opts = {}) {
       p.y += (dy / dist) * pushDist;
     } else {
       // Random push back if no source
-      const angle = Math.random() * Math.PI * 2;
+      const angle = rng() * Math.PI * 2;
       p.x += Math.cos(angle) * pushDist;
       p.y += Math.sin(angle) * pushDist;
     }
@@ -121,6 +135,7 @@ export function applyPlayerDamage(s, amount, src, opts = {}) {
 
   pushCombatTextFn(s, p.x, p.y - 22, `-${Math.round(dmg)}`, "#ff5d5d", { size: 12, life: 0.85 });
   recordDamage(p, src, dmg);
+  emitDamaged(s, src, dmg, opts);
 
   return true;
 }
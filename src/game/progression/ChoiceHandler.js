@@ -3,28 +3,101 @@
  * 
  * Handles picking upgrade choices and resuming the game.
  * Uses factory pattern to inject React state dependencies.
+ *
+ * Besides a card index, pickChoice takes the per-run charge actions:
+ * "reroll" (new cards), "banish:<index>" (drop that card from the pool for the
+ * rest of the run, then reroll) and "skip" (leave with a small refund). They go
+ * through pickChoice so replays record them like picks.
  */
 
 import { clamp } from "../../utils/math.js";
 import { RARITY, RARITY_COLOR } from "../../data/constants.js";
 import { ISO_MODE } from "../../data/constants.js";
+import { banishKey } from "./ChoiceRoller.js";
+
+/**
+ * Player field holding the charges of each action (see PLAYER_BASE_STATS)
+ */
+export const CHOICE_CHARGES = {
+  reroll: "rerollCharges",
+  banish: "banishCharges",
+  skip: "skipCharges",
+};
 
 /**
  * Create choice picking function with injected dependencies
- * @param {Object} deps - Dependencies { stateRef, uiRef, setUi, pushCombatText }
- * @returns {Function} pickChoice function
+ * @param {Object} deps - Dependencies { stateRef, uiRef, setUi, pushCombatText, rollLevelChoices, rollChoicesOfType, awardXP }
+ * @returns {Function} pickChoice(index | "reroll" | "skip" | "banish:<index>") - true if it did anything
  */
 export function createChoiceHandler(deps) {
-  const { stateRef, uiRef, setUi, pushCombatText } = deps;
+  const { stateRef, uiRef, setUi, pushCombatText, rollLevelChoices, rollChoicesOfType, awardXP } = deps;
 
-  return function pickChoice(i) {
+  function useCharge(p, action) {
+    const field = CHOICE_CHARGES[action];
+    if (!(p[field] > 0)) return false;
+    p[field] -= 1;
+    return true;
+  }
+
+  // Chest screens reroll within their bucket (and on their chest's pity timer,
+  // which a rerolled screen never counts as a miss)
+  function showNewChoices(s, u) {
+    const choices = u.chestBucket ? rollChoicesOfType(s, u.chestBucket, u.chestSource, true) : rollLevelChoices(s, true);
+    s.upgradeCards = choices;
+    const nextUi = { ...u, levelChoices: choices, selectedChoiceIndex: 0 };
+    uiRef.current = nextUi;
+    setUi(nextUi);
+  }
+
+  function reroll(s, u) {
+    if (!useCharge(s.player, "reroll")) return false;
+    showNewChoices(s, u);
+    return true;
+  }
+
+  function banish(s, u, index) {
+    const c = u.levelChoices?.[index];
+    // Overflow rewards aren't in any pool
+    if (!c || c.overflow || !useCharge(s.player, "banish")) return false;
+    const p = s.player;
+    if (!p.banished) p.banished = [];
+    p.banished.push(banishKey(c.type, c.id));
+    pushCombatText(s, p.x, p.y - 30, `BANISHED: ${c.name}`, "#ff5d5d", { size: 14, life: 1.2 });
+    showNewChoices(s, u);
+    return true;
+  }
+
+  // Level-ups refund XP towards the next level, chests refund gold. The XP
+  // goes through awardXP once the screen is closed, so it can level up again.
+  function skip(s, u) {
+    const p = s.player;
+    if (!useCharge(p, "skip")) return false;
+    if (u.chestBucket) {
+      const gold = 8 + 4 * (s.floor || 1);
+      p.coins += gold;
+      pushCombatText(s, p.x, p.y - 30, `SKIPPED +${gold} GOLD`, "#ffd44a", { size: 14, life: 1.2 });
+      resume(s, u);
+    } else {
+      const xp = Math.round(s.xpNeed * 0.2);
+      pushCombatText(s, p.x, p.y - 30, `SKIPPED +${xp} XP`, "#2ea8ff", { size: 14, life: 1.2 });
+      resume(s, u);
+      awardXP(s, xp, p.x, p.y);
+    }
+    return true;
+  }
+
+  function pickChoice(i) {
     const s = stateRef.current;
-    if (!s) return;
+    if (!s) return false;
     const u = uiRef.current;
-    if (u.screen !== "levelup") return;
+    if (u.screen !== "levelup") return false;
+
+    if (i === "reroll") return reroll(s, u);
+    if (i === "skip") return skip(s, u);
+    if (typeof i === "string" && i.startsWith("banish:")) return banish(s, u, Number(i.slice(7)));
 
     const c = u.levelChoices?.[i];
-    if (!c) return;
+    if (!c) return false;
 
     c.apply();
 
@@ -32,7 +105,12 @@ export function createChoiceHandler(deps) {
     const p = s.player;
     const col = RARITY_COLOR[c.rarity] || RARITY_COLOR[RARITY.COMMON];
     pushCombatText(s, p.x, p.y - 30, c.name.toUpperCase(), col.bg, { size: 18, life: 1.5 });
+    resume(s, u);
+    return true;
+  }
 
+  function resume(s, u) {
+    const p = s.player;
     // FIX CAMERA SHIFT: Snap camera to centered position on player BEFORE resuming
     // This prevents any offset or drift that accumulated during the levelup screen
     const { w, h } = s.arena;
@@ -94,9 +172,13 @@ export function createChoiceHandler(deps) {
       selectedChoiceIndex: 0,
       levelUpFanfareT: 0,
       chestOpenFanfareT: 0,
+      chestBucket: null,
+      chestSource: null,
     };
 
     uiRef.current = nextUi;
     setUi(nextUi);
-  };
+  }
+
+  return pickChoice;
 }
@@ -2,13 +2,38 @@
  * Choice Roller
  * 
  * Handles rolling upgrade choices (weapons, tomes, items) for level-up and chests.
- * Uses factory pattern to inject React state dependencies.
+ * Uses factory pattern to inject React state dependencies. When a weapon
+ * evolution is ready its legendary EVOLUTION card takes the last slot. Cards
+ * that would complete a synergy carry its name in `synergy`. Entries the player
+ * banished (p.banished, see ChoiceHandler) are never rolled. Card rarities use
+ * the pity timer of their source ("levelup", "chest" or "bossChest", see
+ * RARITY_PITY); p.rarityPity counts each source's screens since a Rare or better,
+ * judged on the rolled cards only (not overflow rewards or the evolution card).
+ * Rerolled screens (rerolls and banishes) can reset the count but never add to it.
+ * Cursed chests ("cursedChest") offer cursed items instead of items, each at
+ * most once per run, and picking one puts its curse on the player (see CurseSystem).
  */
 
-import { rollRarity, rarityMult } from "../../data/raritySystem.js";
+import { RARITY_PITY, rollRarity, rarityMult, isPityHit } from "../../data/raritySystem.js";
 import { pickWeighted } from "../../utils/data.js";
 import { buildPreview as buildPreviewUtil, computeSpeed } from "../../utils/gameMath.js";
 import { RARITY, TYPE } from "../../data/constants.js";
+import { getRng } from "../../utils/rng.js";
+import { findReadyEvolutions, getWeaponPool, evolveWeapon } from "./EvolutionSystem.js";
+import { updateSynergies, findCompletedSynergies } from "./SynergySystem.js";
+import { pickUpgradePath } from "./UpgradeSystem.js";
+import { getOwnedLevel, isMaxed, findLevelledDef } from "./MaxLevelSystem.js";
+import { addCurse, describePenalties, getCursedItemPool } from "./CurseSystem.js";
+
+/**
+ * Key of a banished entry in p.banished
+ * @param {string} type - TYPE.WEAPON | TYPE.TOME | TYPE.ITEM
+ * @param {string} id - Entry id
+ * @returns {string} "<type>:<id>"
+ */
+export function banishKey(type, id) {
+  return `${type}:${id}`;
+}
 
 /**
  * Create choice rolling functions with injected dependencies
@@ -18,19 +43,31 @@ import { RARITY, TYPE } from "../../data/constants.js";
 export function createChoiceRoller(deps) {
   const { stateRef, content, applyWeapon, pushCombatText, sfxInteract } = deps;
 
-  function rollChoicesOfType(s, forcedType = null) {
+  function rollChoicesOfType(s, forcedType = null, source = "levelup", reroll = false) {
+    const rng = getRng(s, "loot");
     const p = s.player;
     const luck = p.luck;
+    if (!p.rarityPity) p.rarityPity = {};
+    const rollCardRarity = () => rollRarity(luck, rng, source, p.rarityPity[source] || 0);
 
     const choices = [];
     const used = new Set();
 
-    const wantWeapon = !p.weapons || p.weapons.length === 0 || Math.random() < 0.18;
+    const wantWeapon = !p.weapons || p.weapons.length === 0 || rng() < 0.18;
+    const banished = p.banished || [];
+    // Banished and maxed-out entries are never offered
+    const allowed = (type) => (entry) => !banished.includes(banishKey(type, entry.id)) && !isMaxed(p, type, entry);
+    const itemPool = source === "cursedChest" ? getCursedItemPool(p, content.cursedItems) : content.items;
+    const pools = {
+      [TYPE.WEAPON]: getWeaponPool(p, content).filter(allowed(TYPE.WEAPON)),
+      [TYPE.TOME]: content.tomes.filter(allowed(TYPE.TOME)),
+      [TYPE.ITEM]: itemPool.filter(allowed(TYPE.ITEM)),
+    };
 
     for (let i = 0; i < 3; i++) {
       let safe = 0;
       while (safe++ < 90) {
-        const rarity = rollRarity(luck);
+        const rarity = rollCardRarity();
 
         const bucket =
           forcedType ||
@@ -38,12 +75,11 @@ export function createChoiceRoller(deps) {
             { w: wantWeapon ? 28 : 18, t: TYPE.WEAPON },
             { w: 52, t: TYPE.TOME },
             { w: 20, t: TYPE.ITEM },
-          ]).t;
+          ], rng).t;
 
-        let entry = null;
-        if (bucket === TYPE.WEAPON) entry = pickWeighted(content.weapons.map((w) => ({ w: 1, t: w }))).t;
-        else if (bucket === TYPE.TOME) entry = pickWeighted(content.tomes.map((t) => ({ w: 1, t }))).t;
-        else entry = pickWeighted(content.items.map((it) => ({ w: 1, t: it }))).t;
+        // Everything of this type banished
+        if (pools[bucket].length === 0) continue;
+        const entry = pickWeighted(pools[bucket].map((t) => ({ w: 1, t })), rng).t;
 
         // Prevent same item in different rarities - only allow one version
         const itemKey = `${bucket}:${entry.id}`;
@@ -59,79 +95,27 @@ export function createChoiceRoller(deps) {
         const key = `${bucket}:${entry.id}:${rarity}`;
         used.add(key);
 
-        // For weapon upgrades, determine upgrade type before preview
-        // Use random selection from weapon-specific upgrade types
-        let weaponUpgradeType = "";
-        let selectedUpgradeType = null;
-        if (bucket === TYPE.WEAPON) {
+        // For weapon upgrades, pick the upgrade path before preview
+        // (by weight from the paths the weapon declares in content)
+        let upgradePath = null;
+        if (bucket === TYPE.WEAPON && entry.upgrades?.length > 0) {
           const existingWeapon = s.player.weapons?.find(w => w.id === entry.id);
           if (existingWeapon) {
-            const weaponId = existingWeapon.id;
-            
-            // Get weapon-specific upgrade cycle
-            let upgradeTypes = [];
-            if (weaponId === "bananarang") {
-              upgradeTypes = ["range", "attackSpeed", "damage", "returnSpeed"];
-            } else if (weaponId === "bone") {
-              upgradeTypes = ["projectile", "damage", "attackSpeed", "rotationSpeed"];
-            } else if (weaponId === "flamewalker") {
-              upgradeTypes = ["radius", "damage", "attackSpeed", "duration"];
-            } else if (weaponId === "poison_flask") {
-              upgradeTypes = ["projectile", "damage", "attackSpeed", "splashRadius"];
-            } else if (weaponId === "revolver" || weaponId === "bow" || weaponId === "lightning_staff") {
-              upgradeTypes = ["projectile", "damage", "attackSpeed", "bulletSpeed"];
-            } else if (existingWeapon.weaponMode === "melee") {
-              upgradeTypes = ["range", "damage", "attackSpeed", "knockback"];
-            } else {
-              upgradeTypes = ["projectile", "damage", "attackSpeed", "bulletSpeed"];
-            }
-            
-            // Randomly select upgrade type
-            const upgradeType = upgradeTypes[Math.floor(Math.random() * upgradeTypes.length)];
-            selectedUpgradeType = upgradeType;
-            
-            // Generate description text for upgrade type
-            if (upgradeType === "projectile") {
-              weaponUpgradeType = "+1 Projectile";
-            } else if (upgradeType === "damage") {
-              weaponUpgradeType = "+6% Damage";
-            } else if (upgradeType === "attackSpeed") {
-              weaponUpgradeType = "+4% Attack Speed";
-            } else if (upgradeType === "bulletSpeed") {
-              weaponUpgradeType = "+4% Projectile Speed";
-            } else if (upgradeType === "range") {
-              if (weaponId === "bananarang") {
-                weaponUpgradeType = "+30 Range";
-              } else {
-                weaponUpgradeType = "+8% Melee Range";
-              }
-            } else if (upgradeType === "returnSpeed") {
-              weaponUpgradeType = "+15% Return Speed";
-            } else if (upgradeType === "rotationSpeed") {
-              weaponUpgradeType = "+20% Rotation Speed";
-            } else if (upgradeType === "radius") {
-              weaponUpgradeType = "+10% Aura Radius";
-            } else if (upgradeType === "duration") {
-              weaponUpgradeType = "+15% Burn Duration";
-            } else if (upgradeType === "splashRadius") {
-              weaponUpgradeType = "+12% Splash Radius";
-            } else if (upgradeType === "knockback") {
-              weaponUpgradeType = "+20% Knockback";
-            }
+            upgradePath = pickUpgradePath(entry.upgrades, rng);
           }
         }
 
-        // Pass weapon ID and upgrade type for weapon-specific previews
+        // Pass weapon ID and upgrade type for weapon-specific previews; tomes
+        // and items preview on a copy of the player (and a run with nothing to hit)
         const previewWeaponId = bucket === TYPE.WEAPON ? entry.id : null;
-        // Don't generate preview for tomes/items that will have detailedDesc (to avoid duplication)
-        const itemsWithDetailedDesc = ["t_xp", "t_crit_master", "t_elemental", "t_speed_demon", "t_hp", "t_berserker", "moldy_cheese", "ice_crystal", "speed_boots", "slurp_gloves"];
-        const shouldGeneratePreview = bucket === TYPE.WEAPON || !itemsWithDetailedDesc.includes(entry.id);
-        let preview = shouldGeneratePreview ? buildPreviewUtil(s.player, (pp) => {
-          if (bucket === TYPE.WEAPON) applyWeapon(pp, entry, rarity, true, selectedUpgradeType);
-          else if (bucket === TYPE.TOME) entry.apply(pp, rarity);
-        }, computeSpeed, previewWeaponId, selectedUpgradeType) : "";
+        let preview = buildPreviewUtil(s.player, (pp) => {
+          if (bucket === TYPE.WEAPON) applyWeapon(pp, entry, rarity, true, upgradePath?.id, rng);
+          else if (bucket === TYPE.TOME) entry.preview(pp, rarity);
+          else entry.preview({ ...s, player: pp, enemies: [], boss: { active: false } }, rarity);
+        }, computeSpeed, previewWeaponId, upgradePath, findName);
 
-        // Generate detailed description with exact amounts based on rarity
+        // Weapons describe the level and upgrade path; tomes and items keep their
+        // desc and list the exact changes in the preview
         let detailedDesc = entry.desc || (bucket === TYPE.WEAPON ? "Equip or upgrade your weapon" : "");
             if (bucket === TYPE.WEAPON) {
           // Generate description for weapon upgrade
@@ -143,8 +127,8 @@ export function createChoiceRoller(deps) {
             const nextLevel = levelBonus + 1;
             
             detailedDesc = `Level ${nextLevel} ${entry.name} (${rarity})`;
-            if (weaponUpgradeType) {
-              detailedDesc += `\n${weaponUpgradeType}`;
+            if (upgradePath) {
+              detailedDesc += `\n${upgradePath.text}`;
             }
             // Add preview info from buildPreview
             if (preview) {
@@ -153,85 +137,11 @@ export function createChoiceRoller(deps) {
           } else {
             detailedDesc = `New: ${entry.name} (${rarity})`;
           }
-        } else if (bucket === TYPE.TOME && entry.apply) {
-          const m = rarityMult(rarity);
-          // Calculate exact amounts for common tomes
-          if (entry.id === "t_damage") {
-            const percent = Math.round(6 * m * 10) / 10;
-            detailedDesc = `+${percent}% Damage to all weapons (${rarity})`;
-          } else if (entry.id === "t_cooldown") {
-            const percent = Math.round(8 * m);
-            detailedDesc = `-${percent}% Attack Cooldown (${rarity})`;
-          } else if (entry.id === "t_quantity") {
-            let projectilesToAdd = 1;
-            if (rarity === RARITY.UNCOMMON || rarity === RARITY.RARE) {
-              projectilesToAdd = 2;
-            } else if (rarity === RARITY.LEGENDARY) {
-              projectilesToAdd = 3;
-            }
-            detailedDesc = `+${projectilesToAdd} Projectile${projectilesToAdd > 1 ? 's' : ''} (${rarity})`;
-          } else if (entry.id === "t_precision") {
-            const amount = Math.round(4 * m * 100) / 100;
-            detailedDesc = `+${amount}% Crit Chance (${rarity})`;
-          } else if (entry.id === "t_hp") {
-            const amount = Math.round(8 * m);
-            detailedDesc = `+${amount} Max HP (${rarity})`;
-          } else if (entry.id === "t_regen") {
-            const amount = Math.round(55 * m * 100) / 100;
-            detailedDesc = `+${amount} HP Regen (${rarity})`;
-          } else if (entry.id === "t_gold") {
-            const percent = Math.round(12 * m);
-            detailedDesc = `+${percent}% Gold Gain (${rarity})`;
-          } else if (entry.id === "t_luck") {
-            const amount = Math.round(32 * m * 100) / 100;
-            detailedDesc = `+${amount} Luck (${rarity})`;
-          } else if (entry.id === "t_xp") {
-            const percent = Math.round(6 * m * 10) / 10;
-            detailedDesc = `+${percent}% XP Gain (${rarity})`;
-          } else if (entry.id === "t_crit_master") {
-            const critChance = Math.round(2.5 * m * 100) / 100;
-            const critDamage = Math.round(0.3 * m * 100) / 100;
-            detailedDesc = `+${critChance}% Crit Chance\n+${critDamage}x Crit Damage (${rarity})`;
-          } else if (entry.id === "t_elemental") {
-            const percent = Math.round(12 * m);
-            detailedDesc = `+${percent}% Chance for random elemental effect (${rarity})\n(Burn, Shock, Poison, or Freeze)`;
-          } else if (entry.id === "t_speed_demon") {
-            const speedMult = Math.round(0.05 * m * 100) / 100;
-            detailedDesc = `+${speedMult}x Damage per unit of Speed (${rarity})`;
-          } else if (entry.id === "t_bounce") {
-            const bounceAdd = m < 1.2 ? 1 : m < 1.4 ? 2 : 3;
-            detailedDesc = `+${bounceAdd} Bounce to all weapons (${rarity})`;
-          } else if (entry.id === "t_agility") {
-            const amount = Math.round(14 * m);
-            detailedDesc = `+${amount} Movement Speed (${rarity})`;
-          } else if (entry.id === "t_berserker") {
-            const hpReduction = Math.round(15 * m);
-            const damageMult = Math.round(0.10 * m * 100) / 100;
-            detailedDesc = `-${hpReduction}% Max HP (${rarity})\n+${damageMult}x Damage per % missing HP\n(Up to ${Math.round(100 * damageMult)}% bonus at 0% HP)`;
-          }
-        } else if (bucket === TYPE.ITEM && entry.apply) {
-          const m = rarityMult(rarity);
-          // Calculate exact amounts for items
-          if (entry.id === "moldy_cheese") {
-            const percent = Math.round(6 * m * 100) / 100;
-            detailedDesc = `+${percent}% Poison Chance on Hit (${rarity})\nPoison: 30% of damage as DPS for 2.4s`;
-          } else if (entry.id === "ice_crystal") {
-            const chance = Math.round((0.2 + 0.15 * m) * 100);
-            const radius = Math.round(35 + 15 * m);
-            const duration = Math.round((1.4 + 0.4 * m) * 10) / 10;
-            detailedDesc = `${chance}% Chance to Freeze (${rarity})\nRange: ${radius}px\nDuration: ${duration}s`;
-          } else if (entry.id === "speed_boots") {
-            const amount = Math.round(12 * m);
-            detailedDesc = `+${amount} Movement Speed (${rarity})`;
-          } else if (entry.id === "slurp_gloves") {
-            const percent = Math.round(6 * m * 100) / 100;
-            detailedDesc = `+${percent}% Lifesteal (${rarity})`;
-          }
         }
 
         // Create apply function with proper closure and error handling
-        // Capture the upgrade type in the closure
-        const capturedUpgradeType = selectedUpgradeType;
+        // Capture the upgrade path in the closure
+        const capturedUpgradeType = upgradePath?.id ?? null;
         const applyFn = () => {
           try {
             const currentState = stateRef.current;
@@ -245,7 +155,7 @@ export function createChoiceRoller(deps) {
               const beforeCd = existingWeapon ? existingWeapon.attackCooldown : 0;
               
               // Use the captured upgrade type
-              applyWeapon(p, entry, rarity, false, capturedUpgradeType);
+              applyWeapon(p, entry, rarity, false, capturedUpgradeType, rng);
               
               // Show feedback for what was upgraded
               if (existingWeapon) {
@@ -320,11 +230,15 @@ export function createChoiceRoller(deps) {
                 pushCombatText(currentState, p.x, p.y - 30, `${entry.name}`, "#2ea8ff", { size: 13, life: 1.0 });
               }
               
-              // Track collected tome
+              // Track collected tome and its level (picks)
               if (!p.collectedTomes) p.collectedTomes = [];
-              if (!p.collectedTomes.find(t => t.id === entry.id)) {
-                p.collectedTomes.push({ id: entry.id, name: entry.name, icon: entry.icon });
+              const collected = p.collectedTomes.find(t => t.id === entry.id);
+              if (collected) {
+                collected.level = (collected.level || 1) + 1;
+              } else {
+                p.collectedTomes.push({ id: entry.id, name: entry.name, icon: entry.icon, level: 1 });
               }
+              activateSynergies(currentState);
               sfxInteract();
             } else {
               entry.apply(currentState, rarity);
@@ -333,6 +247,12 @@ export function createChoiceRoller(deps) {
               if (!currentState.player.collectedItems.find(it => it.id === entry.id)) {
                 currentState.player.collectedItems.push({ id: entry.id, name: entry.name, icon: entry.icon });
               }
+              if (entry.penalties) {
+                const p = currentState.player;
+                addCurse(p, entry);
+                pushCombatText(currentState, p.x, p.y - 45, `CURSED: ${describePenalties(entry.penalties)}`, "#ff5d5d", { size: 13, life: 1.6 });
+              }
+              activateSynergies(currentState);
               sfxInteract();
             }
           } catch (error) {
@@ -345,37 +265,119 @@ export function createChoiceRoller(deps) {
         // Don't show preview if we have a detailedDesc (and it's different from base desc) to avoid duplication
         const hasDetailedDesc = detailedDesc && detailedDesc !== entry.desc && detailedDesc !== (bucket === TYPE.WEAPON ? "Equip or upgrade your weapon" : "");
         const finalPreview = hasDetailedDesc ? "" : preview;
+        const completes = findCompletedSynergies(p, content.synergies, bucket, entry.id);
+        const reachesMax = !!entry.maxLevel && getOwnedLevel(p, bucket, entry.id) + 1 >= entry.maxLevel;
         
         choices.push({
           rarity,
           type: bucket,
+          ...(entry.penalties ? { badge: "CURSED" } : reachesMax ? { badge: `${bucket} • MAX` } : {}),
           id: entry.id,
           name: entry.name,
           desc: detailedDesc,
           icon: entry.icon,
           preview: finalPreview,
           apply: applyFn,
-          weaponUpgradeType: selectedUpgradeType, // Store the selected upgrade type
+          weaponUpgradeType: upgradePath?.id ?? null, // Store the selected upgrade path id
+          synergy: completes.length > 0 ? completes.map((syn) => syn.name).join(", ") : null,
+          curse: entry.penalties ? describePenalties(entry.penalties) : null,
         });
 
         break;
       }
     }
 
+    // One miss per screen without a Rare or better among the rolled cards
+    // (overflow rewards and the evolution card don't count)
+    if (RARITY_PITY[source] && choices.length > 0) {
+      if (choices.some((c) => isPityHit(c.rarity))) p.rarityPity[source] = 0;
+      else if (!reroll) p.rarityPity[source] = (p.rarityPity[source] || 0) + 1;
+    }
+
+    // Slots left empty (everything maxed or banished) offer overflow rewards
+    const rewards = content.overflowRewards || [];
+    for (let i = 0; choices.length < 3 && i < rewards.length; i++) {
+      const rarity = rollCardRarity();
+      choices.push(makeOverflowChoice(rewards[i], rarity));
+    }
+
+    const [evolution] = findReadyEvolutions(p, content).filter((recipe) => allowed(TYPE.WEAPON)(recipe.weapon));
+    if (evolution && choices.length > 0) choices[choices.length - 1] = makeEvolutionChoice(evolution);
+
     return choices;
   }
 
-  function rollLevelChoices(s) {
-    return rollChoicesOfType(s, null);
+  function activateSynergies(currentState) {
+    const p = currentState.player;
+    for (const synergy of updateSynergies(p, content.synergies)) {
+      pushCombatText(currentState, p.x, p.y - 75, `SYNERGY: ${synergy.name}`, "#ff7ad9", { size: 14, life: 1.6 });
+    }
+  }
+
+  function makeEvolutionChoice(recipe) {
+    return {
+      rarity: RARITY.LEGENDARY,
+      type: TYPE.WEAPON,
+      badge: "EVOLUTION",
+      evolution: recipe.id,
+      id: recipe.weapon.id,
+      name: recipe.name,
+      desc: `Evolves ${findName(recipe.from)}: ${recipe.desc}`,
+      icon: recipe.weapon.icon,
+      preview: "",
+      apply: () => {
+        const currentState = stateRef.current;
+        if (!currentState) return;
+        const p = currentState.player;
+        if (evolveWeapon(p, recipe, content.weapons, applyWeapon)) {
+          pushCombatText(currentState, p.x, p.y - 30, `EVOLVED: ${recipe.name}`, "#ffd44a", { size: 15, life: 1.4 });
+        }
+        sfxInteract();
+      },
+      weaponUpgradeType: null,
+    };
+  }
+
+  function makeOverflowChoice(reward, rarity) {
+    return {
+      rarity,
+      type: TYPE.ITEM,
+      badge: "OVERFLOW",
+      overflow: reward.id,
+      id: reward.id,
+      name: reward.name,
+      desc: `${reward.desc} (${rarity})`,
+      icon: reward.icon,
+      preview: "",
+      apply: () => {
+        const currentState = stateRef.current;
+        if (!currentState) return;
+        reward.apply(currentState, rarity);
+        sfxInteract();
+      },
+      weaponUpgradeType: null,
+      synergy: null,
+    };
+  }
+
+  function findName(weaponId) {
+    return findLevelledDef(content, TYPE.WEAPON, weaponId)?.name || weaponId;
+  }
+
+  function rollLevelChoices(s, reroll = false) {
+    return rollChoicesOfType(s, null, "levelup", reroll);
   }
 
-  function rollChestChoices(s) {
+  function rollChestChoices(s, source = "chest") {
+    // Cursed chests only hold cursed items
+    if (source === "cursedChest") return { bucket: TYPE.ITEM, source, choices: rollChoicesOfType(s, TYPE.ITEM, source) };
+    const rng = getRng(s, "loot");
     const bucket = pickWeighted([
       { w: 26, t: TYPE.WEAPON },
       { w: 50, t: TYPE.TOME },
       { w: 24, t: TYPE.ITEM },
-    ]).t;
-    return { bucket, choices: rollChoicesOfType(s, bucket) };
+    ], rng).t;
+    return { bucket, source, choices: rollChoicesOfType(s, bucket, source) };
   }
 
   return {
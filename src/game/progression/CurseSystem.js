@@ -0,0 +1,97 @@
+/**
+ * Curse System
+ *
+ * Cursed items (data/content/cursedItems.json) trade a strong benefit for
+ * penalties that last until cleansed. They are only offered by cursed chests.
+ * Taking one adds a curse to p.curses ({ id, name, penalties }); systems read
+ * the combined penalty of a kind with getCursePenalty. A cleansing shrine
+ * removes the newest curse's penalties for gold - the benefit stays.
+ */
+
+/**
+ * Penalty kinds cursed items can carry
+ * stack: how several curses combine (mul or add), neutral: value without curses
+ */
+export const CURSE_PENALTIES = {
+  enemySpeed: { stack: "mul", neutral: 1, describe: (v) => `Enemies +${Math.round((v - 1) * 100)}% speed` },
+  chestCost: { stack: "mul", neutral: 1, describe: (v) => `Chests cost x${v}` },
+  maxHpDrain: { stack: "add", neutral: 0, describe: (v) => `-${v} max HP per floor` },
+};
+
+/**
+ * Describe a curse's penalties
+ * @param {Array} penalties - [{ kind, value }]
+ * @returns {string} e.g. "Enemies +15% speed, Chests cost x2"
+ */
+export function describePenalties(penalties = []) {
+  return penalties.map(({ kind, value }) => CURSE_PENALTIES[kind].describe(value)).join(", ");
+}
+
+/**
+ * Combined penalty of one kind from all active curses
+ * @param {Object} p - Player object
+ * @param {string} kind - Key of CURSE_PENALTIES
+ * @returns {number} Multiplier or amount (the kind's neutral value without curses)
+ */
+export function getCursePenalty(p, kind) {
+  const { stack, neutral } = CURSE_PENALTIES[kind];
+  let total = neutral;
+  for (const curse of p.curses || []) {
+    for (const penalty of curse.penalties) {
+      if (penalty.kind !== kind) continue;
+      total = stack === "mul" ? total * penalty.value : total + penalty.value;
+    }
+  }
+  return total;
+}
+
+/**
+ * Put a cursed item's curse on the player
+ * @param {Object} p - Player object
+ * @param {Object} item - Cursed item ({ id, name, penalties })
+ */
+export function addCurse(p, item) {
+  if (!p.curses) p.curses = [];
+  p.curses.push({ id: item.id, name: item.name, penalties: item.penalties.map((penalty) => ({ ...penalty })) });
+}
+
+/**
+ * Cursed items the player doesn't own yet - what a cursed chest can offer
+ * @param {Object} p - Player object
+ * @param {Array} cursedItems - Cursed item definitions (content.cursedItems)
+ * @returns {Array} Definitions not in p.collectedItems
+ */
+export function getCursedItemPool(p, cursedItems = []) {
+  return cursedItems.filter((entry) => !p.collectedItems?.some((it) => it.id === entry.id));
+}
+
+/**
+ * Gold a cleansing shrine asks to cleanse a curse
+ * @param {Object} s - Game state
+ * @returns {number} Cost
+ */
+export function cleanseCost(s) {
+  return Math.round(60 + s.floor * 25);
+}
+
+/**
+ * Remove the newest curse
+ * @param {Object} p - Player object
+ * @returns {Object|null} The removed curse
+ */
+export function cleanseCurse(p) {
+  return p.curses?.pop() || null;
+}
+
+/**
+ * Apply the per-floor penalties when the player reaches a new floor
+ * @param {Object} p - Player object
+ * @returns {number} Max HP drained
+ */
+export function applyFloorCurses(p) {
+  const drain = Math.min(getCursePenalty(p, "maxHpDrain"), p.maxHp - 10);
+  if (drain <= 0) return 0;
+  p.maxHp -= drain;
+  p.hp = Math.min(p.hp, p.maxHp);
+  return drain;
+}
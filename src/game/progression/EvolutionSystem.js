@@ -0,0 +1,80 @@
+/**
+ * Evolution System
+ *
+ * Weapon evolutions: a weapon at its max level plus the recipe's tome evolves
+ * into a new weapon (recipes in data/content/evolutions.json). The
+ * evolved weapon takes the old one's slot and is offered as a legendary
+ * EVOLUTION card by the ChoiceRoller. Finished evolutions are kept in
+ * p.evolutions (recipe ids).
+ */
+
+import { RARITY, TYPE } from "../../data/constants.js";
+import { getOwnedLevel, isMaxed } from "./MaxLevelSystem.js";
+
+/**
+ * How far the player is from a recipe
+ * @param {Object} p - Player object
+ * @param {Object} recipe - Evolution recipe
+ * @param {Array} weapons - Weapon definitions (content.weapons)
+ * @returns {Object} { done, weaponLevel, maxLevel, hasWeapon, hasTome, ready }
+ */
+export function getEvolutionStatus(p, recipe, weapons) {
+  const done = (p.evolutions || []).includes(recipe.id);
+  const def = weapons.find((w) => w.id === recipe.from);
+  const weaponLevel = getOwnedLevel(p, TYPE.WEAPON, recipe.from);
+  const hasWeapon = isMaxed(p, TYPE.WEAPON, def);
+  const hasTome = !!p.collectedTomes?.some((t) => t.id === recipe.tome);
+  return { done, weaponLevel, maxLevel: def?.maxLevel ?? null, hasWeapon, hasTome, ready: !done && hasWeapon && hasTome };
+}
+
+/**
+ * Recipes the player can evolve right now
+ * @param {Object} p - Player object
+ * @param {Object} content - Game content { weapons, evolutions }
+ * @returns {Array} Ready recipes, in data order
+ */
+export function findReadyEvolutions(p, content) {
+  return (content.evolutions || []).filter((recipe) => getEvolutionStatus(p, recipe, content.weapons).ready);
+}
+
+/**
+ * Weapons that may be rolled as cards: evolved weapons the player owns replace
+ * the weapons they evolved from
+ * @param {Object} p - Player object
+ * @param {Object} content - Game content { weapons, evolutions }
+ * @returns {Array} Weapon definitions
+ */
+export function getWeaponPool(p, content) {
+  if (!p.evolutions?.length) return content.weapons;
+  const done = (content.evolutions || []).filter((recipe) => p.evolutions.includes(recipe.id));
+  const consumed = new Set(done.map((recipe) => recipe.from));
+  return [...content.weapons.filter((w) => !consumed.has(w.id)), ...done.map((recipe) => recipe.weapon)];
+}
+
+/**
+ * Evolve a weapon: the evolved weapon (legendary) takes the old weapon's slot
+ * in p.weapons and p.collectedWeapons
+ * @param {Object} p - Player object
+ * @param {Object} recipe - Evolution recipe
+ * @param {Array} weapons - Weapon definitions (content.weapons)
+ * @param {Function} applyWeapon - UpgradeSystem.applyWeapon
+ * @returns {Object|null} The evolved weapon instance, or null if the recipe is not ready
+ */
+export function evolveWeapon(p, recipe, weapons, applyWeapon) {
+  if (!getEvolutionStatus(p, recipe, weapons).ready) return null;
+
+  const slot = p.weapons.findIndex((w) => w.id === recipe.from);
+  p.weapons.splice(slot, 1);
+  applyWeapon(p, recipe.weapon, RARITY.LEGENDARY, false);
+  const evolved = p.weapons.pop();
+  p.weapons.splice(slot, 0, evolved);
+
+  const collected = p.collectedWeapons.findIndex((w) => w.id === recipe.from);
+  const entry = p.collectedWeapons.pop();
+  if (collected >= 0) p.collectedWeapons.splice(collected, 1, entry);
+  else p.collectedWeapons.push(entry);
+
+  if (!p.evolutions) p.evolutions = [];
+  p.evolutions.push(recipe.id);
+  return evolved;
+}
@@ -1,12 +1,16 @@
 import { clamp } from "../../utils/math.js";
 import { bumpShake, addExplosion } from "../effects/VisualEffects.js";
 import { isPointWalkable, findNearestWalkable } from "../world/WalkabilitySystem.js";
-import { generateProceduralLevel } from "../world/LevelGenerator.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
+import { sweepEntities, clearEntities } from "../systems/EntityPool.js";
+import { applyFloorCurses } from "./CurseSystem.js";
 
 /**
  * Handle boss death and floor transition
+ * The next floor is generated by requestLevelFn(s) (possibly on a worker); s.loadingFloor freezes the
+ * world until the runtime hands the level to enterFloor
  */
-export function handleFloorTransition(s, generateLevel, spawnInteractableFn, INTERACT) {
+export function handleFloorTransition(s, requestLevelFn) {
   if (!s.boss.active) return;
 
   const p = s.player;
@@ -27,54 +31,71 @@ export function handleFloorTransition(s, generateLevel, spawnInteractableFn, INT
     s.schedule.didSeven = false;
     s.schedule.didThree = false;
     s.bossPortalSpawned = false;
+    s.cursedChestSpawned = false;
     s.difficultyMultiplier = 1.0;
     s.floorStartTime = s.t;
+    // Curses that drain max HP take it on every new floor
+    applyFloorCurses(p);
     
     // Clear all enemies, bullets, gems, coins, interactables, particles, etc.
     s.enemies = [];
     // Preserve explosive bullets (injected or seeking) and boomerang bullets when starting new floor
-    s.bullets = s.bullets.filter(b => 
+    sweepEntities(s, "bullets", (b) =>
       (b.explosive && ((b.injected && b.injectedEnemy) || (b.seeking && !b.injected))) ||
       (b.boomerang && b.t < b.life)
     );
-    s.gems = [];
-    s.coins = [];
+    clearEntities(s, "gems");
+    clearEntities(s, "coins");
     s.consumables = [];
     s.interact = [];
-    s.particles = [];
-    s.floaters = [];
+    clearEntities(s, "particles");
+    clearEntities(s, "floaters");
     s.hitFlashes = [];
     s.burningAreas = [];
     s.auras = [];
     
     // Generate new procedural level
-    s.levelData = generateLevel(s.arena.w, s.arena.h, s.floor);
+    s.loadingFloor = { floor: s.floor };
+    requestLevelFn(s);
+  }
+}
+
+/**
+ * Finish a floor transition with the generated level: place the player and spawn the floor's chest
+ * (the boss's reward, rolled on the boss chest pity timer)
+ */
+export function enterFloor(s, levelData, spawnInteractableFn, INTERACT) {
+  const p = s.player;
+  s.levelData = levelData;
+  s.loadingFloor = null;
+
+  // Move player to first room of new floor
+  const padding = s.arena.padding;
+  if (s.levelData.rooms.length > 0) {
+    const startRoom = s.levelData.rooms[0];
+    p.x = clamp(startRoom.x + startRoom.w / 2, startRoom.x + padding, startRoom.x + startRoom.w - padding);
+    p.y = clamp(startRoom.y + startRoom.h / 2, startRoom.y + padding, startRoom.y + startRoom.h - padding);
     
-    // Move player to first room of new floor
-    const padding = s.arena.padding;
-    if (s.levelData.rooms.length > 0) {
-      const startRoom = s.levelData.rooms[0];
-      p.x = clamp(startRoom.x + startRoom.w / 2, startRoom.x + padding, startRoom.x + startRoom.w - padding);
-      p.y = clamp(startRoom.y + startRoom.h / 2, startRoom.y + padding, startRoom.y + startRoom.h - padding);
-      
-      // Ensure player is in walkable area
-      if (s.levelData && !isPointWalkable(p.x, p.y, s.levelData, p.r || 12)) {
-        const walkable = findNearestWalkable(p.x, p.y, s.levelData, p.r || 12);
-        p.x = walkable.x;
-        p.y = walkable.y;
-      }
-      
-      // Reset camera to player position
-      s.camera.x = clamp(p.x - s.arena.w / 2, 0, Math.max(0, s.levelData.w - s.arena.w));
-      s.camera.y = clamp(p.y - s.arena.h / 2, 0, Math.max(0, s.levelData.h - s.arena.h));
+    // Ensure player is in walkable area
+    if (s.levelData && !isPointWalkable(p.x, p.y, s.levelData, p.r || 12)) {
+      const walkable = findNearestWalkable(p.x, p.y, s.levelData, p.r || 12);
+      p.x = walkable.x;
+      p.y = walkable.y;
     }
     
-    // Spawn new chest on new floor
-    spawnInteractableFn(s, INTERACT.CHEST);
-    p.shield = p.shieldPerWave;
-    s.uiPulseT = 0.25;
-    s.chestSpawnT = 18;
+    // Reset camera to player position
+    s.camera.x = clamp(p.x - s.arena.w / 2, 0, Math.max(0, s.levelData.w - s.arena.w));
+    s.camera.y = clamp(p.y - s.arena.h / 2, 0, Math.max(0, s.levelData.h - s.arena.h));
   }
+  
+  // Spawn new chest on new floor
+  const chest = spawnInteractableFn(s, INTERACT.CHEST);
+  if (chest) chest.bossChest = true;
+  p.shield = p.shieldPerWave;
+  s.uiPulseT = 0.25;
+  s.chestSpawnT = 18;
+
+  emitGameEvent(s, GAME_EVENTS.FLOOR_CLEARED, { floor: s.floor - 1, nextFloor: s.floor });
 }
 
 /**
@@ -84,6 +105,6 @@ export function checkBossTimer(s, applyPlayerDamageFn) {
   if (!s.boss.active) return;
   
   if (s.boss.timeLeft <= 0) {
-    applyPlayerDamageFn(s, 9999, "boss timer", { shakeMag: 0, shakeTime: 0, hitStop: 0 });
+    applyPlayerDamageFn(s, 9999, "boss timer", { shakeMag: 0, shakeTime: 0, hitStop: 0, sound: false });
   }
 }
@@ -1,4 +1,6 @@
 import { rand } from "../../utils/math.js";
+import { getRng } from "../../utils/rng.js";
+import { getCursedItemPool } from "./CurseSystem.js";
 
 /**
  * Handle boss portal spawning logic
@@ -25,10 +27,26 @@ export function updateDifficultyScaling(s) {
   s.difficultyMultiplier = 1.0 + Math.min(2.0, (timeOnFloor / s.maxStageTime) * 2.0);
 }
 
+/**
+ * Spawn the floor's cursed chest after a while (while any cursed item is left
+ * to take), and a cleansing shrine while the player is cursed
+ */
+export function updateCurseSpawning(s, spawnInteractableFn, INTERACT, cursedItems) {
+  if (s.boss.active || s.stageLeft <= 0) return;
+  const timeOnFloor = s.t - s.floorStartTime;
+  if (!s.cursedChestSpawned && timeOnFloor > 20 && getCursedItemPool(s.player, cursedItems).length > 0) {
+    spawnInteractableFn(s, INTERACT.CURSED_CHEST);
+    s.cursedChestSpawned = true;
+  }
+  const hasCleanse = s.interact.some((it) => !it.used && it.kind === INTERACT.CLEANSE_SHRINE);
+  if (s.player.curses?.length > 0 && !hasCleanse) spawnInteractableFn(s, INTERACT.CLEANSE_SHRINE);
+}
+
 /**
  * Handle chest respawning logic
  */
 export function updateChestSpawning(s, dt, spawnInteractableFn, INTERACT) {
+  const rng = getRng(s, "spawns");
   if (s.chestSpawnT > 0) s.chestSpawnT = Math.max(0, s.chestSpawnT - dt);
   
   const chestCount = s.interact.filter((it) => !it.used && it.kind === INTERACT.CHEST).length;
@@ -37,6 +55,6 @@ export function updateChestSpawning(s, dt, spawnInteractableFn, INTERACT) {
   
   if (chestCount < targetChestCount && s.chestSpawnT <= 0 && s.stageLeft > 0) {
     spawnInteractableFn(s, INTERACT.CHEST);
-    s.chestSpawnT = 28 + rand(0, 12); // Faster respawn for multiple chests
+    s.chestSpawnT = 28 + rand(0, 12, rng); // Faster respawn for multiple chests
   }
 }
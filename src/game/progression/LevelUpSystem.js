@@ -3,17 +3,21 @@ import { xpToNext } from "../../utils/gameMath.js";
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
 import { addExplosion } from "../effects/VisualEffects.js";
 import { RARITY, ISO_MODE } from "../../data/constants.js";
+import { getRng } from "../../utils/rng.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
+import { spawnEntity, sweepEntities } from "../systems/EntityPool.js";
 
 /**
  * Award XP to the player and handle level-up logic
  */
-export function awardXP(s, amount, x, y, rollLevelChoicesFn, sfxLevelUpFn, uiRef, setUi) {
+export function awardXP(s, amount, x, y, rollLevelChoicesFn, uiRef, setUi) {
+  const rng = getRng(s, "fx");
   const p = s.player;
   const xp = Math.round(amount * p.xpGain);
   s.xp += xp;
 
-  if (Math.random() < 0.5) {
-    s.particles.push({ x, y, vx: rand(-40, 40), vy: rand(-120, -40), r: 2.8, t: 0, life: rand(0.25, 0.45), hue: 170 });
+  if (rng() < 0.5) {
+    spawnEntity(s, "particles", { x, y, vx: rand(-40, 40, rng), vy: rand(-120, -40, rng), r: 2.8, t: 0, life: rand(0.25, 0.45, rng), hue: 170 });
   }
 
   let levelUpSafe = 0;
@@ -27,7 +31,7 @@ export function awardXP(s, amount, x, y, rollLevelChoicesFn, sfxLevelUpFn, uiRef
     if (p.hp <= 0) p.hp = 1;
 
     // Preserve explosive bullets (injected or seeking) and boomerang bullets when leveling up
-    s.bullets = s.bullets.filter(b => 
+    sweepEntities(s, "bullets", (b) =>
       (b.explosive && ((b.injected && b.injectedEnemy) || (b.seeking && !b.injected))) ||
       (b.boomerang && b.t < b.life)
     );
@@ -55,20 +59,20 @@ export function awardXP(s, amount, x, y, rollLevelChoicesFn, sfxLevelUpFn, uiRef
     // Add particle burst for level up fanfare
     for (let i = 0; i < 80; i++) {
       const angle = (Math.PI * 2 * i) / 80;
-      const speed = 80 + Math.random() * 120;
-      s.particles.push({
+      const speed = 80 + rng() * 120;
+      spawnEntity(s, "particles", {
         x: p.x,
         y: p.y,
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed,
-        r: 3 + Math.random() * 4,
+        r: 3 + rng() * 4,
         t: 0,
-        life: 0.6 + Math.random() * 0.4,
-        hue: 200 + Math.random() * 40, // Blue-purple range
+        life: 0.6 + rng() * 0.4,
+        hue: 200 + rng() * 40, // Blue-purple range
       });
     }
 
-    sfxLevelUpFn();
+    emitGameEvent(s, GAME_EVENTS.LEVEL_UP, { level: s.level });
 
     const choices = rollLevelChoicesFn(s);
     
@@ -111,6 +115,8 @@ export function awardXP(s, amount, x, y, rollLevelChoicesFn, sfxLevelUpFn, uiRef
       timer: s.stageLeft,
       hint: "Level up",
       levelChoices: choices,
+      chestBucket: null,
+      chestSource: null,
       selectedChoiceIndex: 0, // Reset selection
       levelUpFanfareT: 2.5, // Start fanfare animation (2.5 seconds)
       highestRarity: highestRarity, // Store highest rarity for fanfare color
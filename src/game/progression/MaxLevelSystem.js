@@ -0,0 +1,53 @@
+/**
+ * Max Level System
+ *
+ * Weapons and tomes with a maxLevel (content data) stop being offered once
+ * the player owns them at that level. Weapon levels are p.weapons[].level;
+ * tome levels are p.collectedTomes[].level (picks of that tome, 1 if unset).
+ */
+
+import { TYPE } from "../../data/constants.js";
+
+/**
+ * Level the player owns an entry at
+ * @param {Object} p - Player object
+ * @param {string} type - TYPE.WEAPON or TYPE.TOME (anything else is never owned at a level)
+ * @param {string} id - Weapon or tome id
+ * @returns {number} Level, 0 if not owned
+ */
+export function getOwnedLevel(p, type, id) {
+  if (type === TYPE.WEAPON) {
+    const weapon = p.weapons?.find((w) => w.id === id);
+    return weapon ? weapon.level || 1 : 0;
+  }
+  if (type === TYPE.TOME) {
+    const tome = p.collectedTomes?.find((t) => t.id === id);
+    return tome ? tome.level || 1 : 0;
+  }
+  return 0;
+}
+
+/**
+ * Whether an entry is at its max level
+ * @param {Object} p - Player object
+ * @param {string} type - TYPE.WEAPON or TYPE.TOME
+ * @param {Object} def - Weapon or tome definition (maxLevel null = no cap)
+ * @returns {boolean}
+ */
+export function isMaxed(p, type, def) {
+  return !!def?.maxLevel && getOwnedLevel(p, type, def.id) >= def.maxLevel;
+}
+
+/**
+ * Definition of a weapon (evolved weapons included) or tome by id
+ * @param {Object} content - Game content { weapons, tomes, evolutions }
+ * @param {string} type - TYPE.WEAPON or TYPE.TOME
+ * @param {string} id - Entry id
+ * @returns {Object|undefined} Definition
+ */
+export function findLevelledDef(content, type, id) {
+  const defs = type === TYPE.WEAPON
+    ? [...content.weapons, ...(content.evolutions || []).map((recipe) => recipe.weapon)]
+    : type === TYPE.TOME ? content.tomes : [];
+  return defs.find((def) => def.id === id);
+}
@@ -0,0 +1,77 @@
+/**
+ * Synergy System
+ *
+ * Named bonuses for owning item/tome combinations (data/content/synergies.json).
+ * Ownership is read from p.collectedItems and p.collectedTomes; active
+ * synergies are kept in p.synergies (ids) so each applies once.
+ */
+
+import { TYPE } from "../../data/constants.js";
+
+function owns(p, kind, id) {
+  const list = kind === "items" ? p.collectedItems : p.collectedTomes;
+  return !!list?.some((entry) => entry.id === id);
+}
+
+/**
+ * Requirements of a synergy the player doesn't own yet
+ * @param {Object} p - Player object
+ * @param {Object} synergy - Synergy definition
+ * @returns {Array} [{ kind: "items" | "tomes", id }]
+ */
+export function getMissingRequirements(p, synergy) {
+  const missing = [];
+  for (const kind of ["items", "tomes"]) {
+    for (const id of synergy.requires[kind]) {
+      if (!owns(p, kind, id)) missing.push({ kind, id });
+    }
+  }
+  return missing;
+}
+
+/**
+ * Active synergies
+ * @param {Object} p - Player object
+ * @param {Array} synergies - Synergy definitions (content.synergies)
+ * @returns {Array} Active synergy definitions, in data order
+ */
+export function getActiveSynergies(p, synergies = []) {
+  return synergies.filter((synergy) => (p.synergies || []).includes(synergy.id));
+}
+
+/**
+ * Activate every synergy whose requirements are now met
+ * @param {Object} p - Player object
+ * @param {Array} synergies - Synergy definitions (content.synergies)
+ * @returns {Array} Synergies activated by this call
+ */
+export function updateSynergies(p, synergies = []) {
+  const activated = [];
+  for (const synergy of synergies) {
+    if ((p.synergies || []).includes(synergy.id)) continue;
+    if (getMissingRequirements(p, synergy).length > 0) continue;
+    if (!p.synergies) p.synergies = [];
+    p.synergies.push(synergy.id);
+    synergy.apply(p);
+    activated.push(synergy);
+  }
+  return activated;
+}
+
+/**
+ * Synergies picking an upgrade would complete
+ * @param {Object} p - Player object
+ * @param {Array} synergies - Synergy definitions (content.synergies)
+ * @param {string} type - TYPE.ITEM or TYPE.TOME (anything else completes nothing)
+ * @param {string} id - Item or tome id
+ * @returns {Array} Synergy definitions
+ */
+export function findCompletedSynergies(p, synergies = [], type, id) {
+  const kind = type === TYPE.ITEM ? "items" : type === TYPE.TOME ? "tomes" : null;
+  if (!kind) return [];
+  return synergies.filter((synergy) => {
+    if ((p.synergies || []).includes(synergy.id)) return false;
+    const missing = getMissingRequirements(p, synergy);
+    return missing.length === 1 && missing[0].kind === kind && missing[0].id === id;
+  });
+}
@@ -8,6 +8,8 @@
 import { clamp } from "../../utils/math.js";
 import { INTERACT, RARITY } from "../../data/constants.js";
 import { ISO_MODE } from "../../data/constants.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
 
 /**
  * Create upgrade sequence function with injected dependencies
@@ -17,8 +19,9 @@ import { ISO_MODE } from "../../data/constants.js";
 export function createUpgradeSequence(deps) {
   const { uiRef, setUi, sfxLevelUp, rollChestChoices } = deps;
 
-  return function triggerUpgradeSequence(s, content) {
-    const rolled = rollChestChoices(s);
+  return function triggerUpgradeSequence(s, content, source = "chest") {
+    const rng = getRng(s, "fx");
+    const rolled = rollChestChoices(s, source);
     const best = s.interact?.find(i => i.kind === INTERACT.CHEST && !i.used);
     const chestX = best?.x || s.player.x;
     const chestY = best?.y || s.player.y;
@@ -35,16 +38,16 @@ export function createUpgradeSequence(deps) {
     // Chest opening fanfare: particle burst and visual effects (same as level up)
     for (let i = 0; i < 80; i++) {
       const angle = (Math.PI * 2 * i) / 80;
-      const speed = 80 + Math.random() * 120;
-      s.particles.push({
+      const speed = 80 + rng() * 120;
+      spawnEntity(s, "particles", {
         x: chestX,
         y: chestY,
         vx: Math.cos(angle) * speed,
         vy: Math.sin(angle) * speed,
-        r: 3 + Math.random() * 4,
+        r: 3 + rng() * 4,
         t: 0,
-        life: 0.6 + Math.random() * 0.4,
-        hue: 200 + Math.random() * 40, // Blue-purple range (same as level up)
+        life: 0.6 + rng() * 0.4,
+        hue: 200 + rng() * 40, // Blue-purple range (same as level up)
       });
     }
     
@@ -83,8 +86,10 @@ export function createUpgradeSequence(deps) {
       score: s.score,
       coins: s.player.coins,
       timer: s.stageLeft,
-      hint: `Chest reward: ${rolled.bucket}`,
+      hint: source === "cursedChest" ? "Cursed chest" : `Chest reward: ${rolled.bucket}`,
       levelChoices: rolled.choices,
+      chestBucket: rolled.bucket, // Rerolls stay within the chest's bucket
+      chestSource: rolled.source, // ...and use the same pity timer
       selectedChoiceIndex: 0, // Reset selection
       levelUpFanfareT: 2.5, // Start fanfare animation (2.5 seconds) - same as level up
       highestRarity: highestRarity, // Store highest rarity for fanfare color
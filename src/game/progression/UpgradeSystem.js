@@ -8,15 +8,33 @@ import { clamp } from "../../utils/math.js";
 import { rarityMult } from "../../data/raritySystem.js";
 import { RARITY } from "../../data/constants.js";
 
+/**
+ * Pick one of a weapon's upgrade paths by weight
+ * @param {Array} paths - Compiled upgrade paths (weaponDef.upgrades)
+ * @param {Function} rng - Random source returning [0, 1)
+ * @returns {Object|null} Upgrade path, or null if there are none
+ */
+export function pickUpgradePath(paths, rng = Math.random) {
+  if (paths.length === 0) return null;
+  const total = paths.reduce((sum, path) => sum + path.weight, 0);
+  let rand = rng() * total;
+  for (const path of paths) {
+    rand -= path.weight;
+    if (rand < 0) return path;
+  }
+  return paths[paths.length - 1];
+}
+
 /**
  * Apply a weapon to a player (new weapon or upgrade existing)
  * @param {Object} p - Player object
  * @param {Object} weaponDef - Weapon definition from content
  * @param {string} rarity - Rarity level
  * @param {boolean} previewOnly - If true, don't permanently apply changes
- * @param {string|null} forcedUpgradeType - Force specific upgrade type
+ * @param {string|null} forcedUpgradeType - Id of the upgrade path to improve (otherwise picked by weight)
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random) - pass s.rng.loot
  */
-export function applyWeapon(p, weaponDef, rarity, previewOnly, forcedUpgradeType = null) {
+export function applyWeapon(p, weaponDef, rarity, previewOnly, forcedUpgradeType = null, rng = Math.random) {
   const m = rarityMult(rarity);
 
   // Initialize weapons array if it doesn't exist
@@ -91,92 +109,14 @@ export function applyWeapon(p, weaponDef, rarity, previewOnly, forcedUpgradeType
   existingWeapon.weaponDamage *= 1 + 0.02 * (m - 1); // Reduced from 0.03 to 0.02 (33% less effective)
   existingWeapon.attackCooldown = Math.max(0.18, existingWeapon.attackCooldown * (1 - 0.015 * (m - 1))); // Reduced from 0.03
   
-  // Weapon-specific upgrades based on weapon type
-  const weaponId = existingWeapon.id;
-  
-  // Get weapon-specific upgrade cycle
-  let upgradeTypes = [];
-  if (weaponId === "bananarang") {
-    // Bananarang-specific upgrades: Range -> Attack Speed -> Damage -> Return Speed
-    upgradeTypes = ["range", "attackSpeed", "damage", "returnSpeed"];
-  } else if (weaponId === "bone") {
-    // Bone-specific upgrades: Projectile -> Damage -> Attack Speed -> Rotation Speed
-    upgradeTypes = ["projectile", "damage", "attackSpeed", "rotationSpeed"];
-  } else if (weaponId === "flamewalker") {
-    // Flamewalker-specific upgrades: Radius -> Damage -> Attack Speed -> Duration
-    upgradeTypes = ["radius", "damage", "attackSpeed", "duration"];
-  } else if (weaponId === "poison_flask") {
-    // Poison flask-specific upgrades: Projectile -> Damage -> Attack Speed -> Splash Radius
-    upgradeTypes = ["projectile", "damage", "attackSpeed", "splashRadius"];
-  } else if (weaponId === "revolver" || weaponId === "bow" || weaponId === "lightning_staff") {
-    // Ranged weapons: Projectile -> Damage -> Attack Speed -> Bullet Speed
-    upgradeTypes = ["projectile", "damage", "attackSpeed", "bulletSpeed"];
-  } else if (existingWeapon.weaponMode === "melee") {
-    // Melee weapons: Range -> Damage -> Attack Speed -> Knockback
-    upgradeTypes = ["range", "damage", "attackSpeed", "knockback"];
-  } else {
-    // Default: Projectile -> Damage -> Attack Speed -> Bullet Speed
-    upgradeTypes = ["projectile", "damage", "attackSpeed", "bulletSpeed"];
-  }
-  
-  // Use forced upgrade type if provided, otherwise randomly select
-  // Reduce chance of projectile upgrades (quantity) - make it less common
-  let upgradeType = forcedUpgradeType;
-  if (!upgradeType) {
-    // Weighted random selection - reduce projectile chance
-    const weights = upgradeTypes.map(t => t === "projectile" ? 0.15 : 0.85 / (upgradeTypes.length - 1));
-    let rand = Math.random();
-    let sum = 0;
-    for (let i = 0; i < upgradeTypes.length; i++) {
-      sum += weights[i];
-      if (rand < sum) {
-        upgradeType = upgradeTypes[i];
-        break;
-      }
-    }
-    if (!upgradeType) upgradeType = upgradeTypes[Math.floor(Math.random() * upgradeTypes.length)];
-  }
-  
-  // Apply weapon-specific upgrade
-  if (upgradeType === "projectile") {
-    existingWeapon.projectiles = clamp(existingWeapon.projectiles + 1, 1, 16);
-  } else if (upgradeType === "damage") {
-    existingWeapon.weaponDamage *= 1.06;
-  } else if (upgradeType === "attackSpeed") {
-    // Multiplicative attack speed upgrade (reduces cooldown by 4% = 1/0.96)
-    const currentCd = existingWeapon.attackCooldown || 0.42;
-    existingWeapon.attackCooldown = Math.max(0.18, currentCd * 0.96);
-  } else if (upgradeType === "bulletSpeed") {
-    existingWeapon.bulletSpeedMult = (existingWeapon.bulletSpeedMult || 1) * 1.04;
-  } else if (upgradeType === "range") {
-    // For bananarang: increase maxDist
-    if (weaponId === "bananarang") {
-      existingWeapon.boomerangMaxDist = (existingWeapon.boomerangMaxDist || 250) + 30;
-    } else if (existingWeapon.weaponMeleeR) {
-      // For melee: increase melee range
-      existingWeapon.weaponMeleeR = (existingWeapon.weaponMeleeR || 60) * 1.08;
-    }
-  } else if (upgradeType === "returnSpeed") {
-    // Bananarang-specific: increase return speed multiplier
-    existingWeapon.boomerangReturnSpeedMult = (existingWeapon.boomerangReturnSpeedMult || 1) * 1.15;
-  } else if (upgradeType === "rotationSpeed") {
-    // Bone-specific: increase rotation speed
-    existingWeapon.boneRotationSpeed = (existingWeapon.boneRotationSpeed || 8) * 1.2;
-  } else if (upgradeType === "radius") {
-    // Flamewalker-specific: increase aura radius
-    existingWeapon.weaponMeleeR = (existingWeapon.weaponMeleeR || 50) * 1.1;
-  } else if (upgradeType === "duration") {
-    // Flamewalker-specific: increase burn duration (stored in weapon for reference)
-    existingWeapon.flamewalkerDuration = (existingWeapon.flamewalkerDuration || 4.0) * 1.15;
-  } else if (upgradeType === "splashRadius") {
-    // Poison flask-specific: increase splash radius
-    existingWeapon.weaponSplashR = (existingWeapon.weaponSplashR || 54) * 1.12;
-  } else if (upgradeType === "knockback") {
-    // Melee-specific: increase knockback (stored in weapon for reference)
-    existingWeapon.meleeKnockbackMult = (existingWeapon.meleeKnockbackMult || 1) * 1.2;
-  }
+  // Improve one of the weapon's upgrade paths (weaponDef.upgrades, from content)
+  const paths = weaponDef.upgrades || [];
+  const path = forcedUpgradeType
+    ? paths.find((u) => u.id === forcedUpgradeType)
+    : pickUpgradePath(paths, rng);
+  if (path) path.apply(existingWeapon, rarity);
   
-  if (rarity === RARITY.LEGENDARY && Math.random() < 0.35) existingWeapon.projectiles = clamp(existingWeapon.projectiles + 1, 1, 16);
+  if (rarity === RARITY.LEGENDARY && rng() < 0.35) existingWeapon.projectiles = clamp(existingWeapon.projectiles + 1, 1, 16);
 
   if (!previewOnly) existingWeapon.level = nextLevel;
 
@@ -2,9 +2,13 @@
  * Bullet Factory
  * 
  * Creates bullet/projectile objects with various configurations.
+ * Bullets come from the pooled store (see EntityPool), so every field a
+ * bullet starts with is set here.
  */
 
 import { clamp, rand } from "../../utils/math.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
 
 /**
  * Create and shoot a bullet
@@ -16,55 +20,54 @@ import { clamp, rand } from "../../utils/math.js";
  * @param {number} speed - Bullet speed
  * @param {Object} opts - Options (pierce, enemy, color, crit, etc.)
  * @param {Function} sfxShootFn - Sound effect function for shooting
- * @returns {Object} Created bullet
+ * @returns {Object|null} Created bullet, or null if the bullet store is full
  */
 export function shootBullet(s, x, y, angle, dmg, speed, opts, sfxShootFn) {
+  const rng = getRng(s, "fx");
   const vx = Math.cos(angle) * speed;
   const vy = Math.sin(angle) * speed;
 
-  const bullet = {
-    x,
-    y,
-    px: x,
-    py: y,
-    vx,
-    vy,
-    r: opts?.r ?? 4,
-    life: opts?.life ?? 1.05,
-    t: 0,
-    dmg,
-    pierce: opts?.pierce ?? 0,
-    enemy: !!opts?.enemy,
-    color: opts?.color ?? "#e6e8ff",
-    crit: !!opts?.crit,
-    knock: opts?.knock ?? 0,
-    bounces: opts?.bounces ?? 0,
-    effect: opts?.effect ?? null,
-    splashR: opts?.splashR ?? 0,
-    glow: opts?.glow ?? false, // For firey effects
-    boomerang: opts?.boomerang ?? false, // For boomerang weapons
-    startX: x, // For boomerang return
-    startY: y, // For boomerang return
-    maxDist: opts?.maxDist ?? 400, // Max distance before returning
-    originalSpeed: speed, // Store original speed for return phase
-    hitEnemies: new Set(), // Track hit enemies for pierce/boomerang
-    isBone: opts?.isBone ?? false, // For bone rotation
-    rotation: opts?.isBone ? angle : (opts?.boomerang ? 0 : angle), // Initial rotation angle
-    weaponId: opts?.weaponId, // Track which weapon this belongs to
-    explosive: opts?.explosive || false, // Delayed explosive bullet
-    injected: opts?.injected || false, // Whether bullet is injected onto enemy
-    injectedEnemy: opts?.injectedEnemy || null, // Reference to enemy bullet is attached to
-    explodeAfter: opts?.explodeAfter || 0, // Time until explosion
-    explosionRadius: opts?.explosionRadius || 0, // Explosion AoE radius
-    explosionDmg: opts?.explosionDmg || 0, // Explosion damage
-    seeking: opts?.seeking || false, // Whether bullet seeks nearest enemy
-  };
-
-  s.bullets.push(bullet);
+  const bullet = spawnEntity(s, "bullets");
+  if (!bullet) return null;
+  bullet.x = x;
+  bullet.y = y;
+  bullet.px = x;
+  bullet.py = y;
+  bullet.vx = vx;
+  bullet.vy = vy;
+  bullet.r = opts?.r ?? 4;
+  bullet.life = opts?.life ?? 1.05;
+  bullet.t = 0;
+  bullet.dmg = dmg;
+  bullet.pierce = opts?.pierce ?? 0;
+  bullet.enemy = !!opts?.enemy;
+  bullet.color = opts?.color ?? "#e6e8ff";
+  bullet.crit = !!opts?.crit;
+  bullet.knock = opts?.knock ?? 0;
+  bullet.bounces = opts?.bounces ?? 0;
+  bullet.effect = opts?.effect ?? null;
+  bullet.splashR = opts?.splashR ?? 0;
+  bullet.glow = opts?.glow ?? false; // For firey effects
+  bullet.boomerang = opts?.boomerang ?? false; // For boomerang weapons
+  bullet.startX = x; // For boomerang return
+  bullet.startY = y; // For boomerang return
+  bullet.maxDist = opts?.maxDist ?? 400; // Max distance before returning
+  bullet.originalSpeed = speed; // Store original speed for return phase
+  bullet.hitEnemies = bullet.hitEnemies || new Set(); // Track hit enemies for pierce/boomerang (recycled sets come back empty)
+  bullet.isBone = opts?.isBone ?? false; // For bone rotation
+  bullet.rotation = opts?.isBone ? angle : (opts?.boomerang ? 0 : angle); // Initial rotation angle
+  bullet.weaponId = opts?.weaponId; // Track which weapon this belongs to
+  bullet.explosive = opts?.explosive || false; // Delayed explosive bullet
+  bullet.injected = opts?.injected || false; // Whether bullet is injected onto enemy
+  bullet.injectedEnemy = opts?.injectedEnemy || null; // Reference to enemy bullet is attached to
+  bullet.explodeAfter = opts?.explodeAfter || 0; // Time until explosion
+  bullet.explosionRadius = opts?.explosionRadius || 0; // Explosion AoE radius
+  bullet.explosionDmg = opts?.explosionDmg || 0; // Explosion damage
+  bullet.seeking = opts?.seeking || false; // Whether bullet seeks nearest enemy
 
   const xNorm = clamp((x / (s.arena.w || 1)) * 2 - 1, -1, 1);
   if (!opts?.enemy && isFinite(xNorm)) {
-    const soundVariant = opts?.soundVariant ?? Math.floor(Math.random() * 3);
+    const soundVariant = opts?.soundVariant ?? Math.floor(rng() * 3);
     sfxShootFn(xNorm, soundVariant);
   }
 
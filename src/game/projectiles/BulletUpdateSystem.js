@@ -3,12 +3,18 @@ import { isPointWalkable } from "../world/WalkabilitySystem.js";
 import { addParticle, addExplosion, addHitFlash, bumpShake } from "../effects/VisualEffects.js";
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
 import { playBeep as playBeepFn, sfxHit as sfxHitFn, sfxCrit as sfxCritFn } from "../../audio/SoundEffects.js";
+import { getRng } from "../../utils/rng.js";
+import { enemiesNear, findNearestEnemy } from "../systems/SpatialHash.js";
+import { spawnEntity, sweepEntities } from "../systems/EntityPool.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
 
 /**
  * Update all bullets: physics, collision, effects
  * This is the largest system in the update loop (~838 lines)
  */
 export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageFn, audioRef) {
+  const rng = getRng(s, "combat");
+  const fx = getRng(s, "fx");
   const p = s.player;
 
   for (const b of s.bullets) {
@@ -79,16 +85,8 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
     // Handle explosive bullets that seek and inject onto enemies
     if (b.explosive && !b.injected && b.seeking) {
       // Find nearest enemy to seek
-      let nearestEnemy = null;
-      let nearestD2 = Infinity;
-      for (const ee of s.enemies) {
-        if (ee.hp <= 0) continue;
-        const d2 = dist2(ee.x, ee.y, b.x, b.y);
-        if (d2 < nearestD2) {
-          nearestD2 = d2;
-          nearestEnemy = ee;
-        }
-      }
+      let nearestEnemy = findNearestEnemy(s, b.x, b.y, { filter: (ee) => ee.hp > 0 });
+      const nearestD2 = nearestEnemy ? dist2(nearestEnemy.x, nearestEnemy.y, b.x, b.y) : Infinity;
       // Also check boss
       if (s.boss.active && s.boss.hp > 0) {
         const bossD2 = dist2(s.boss.x, s.boss.y, b.x, b.y);
@@ -131,10 +129,10 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
         b.explodeAfter -= dt;
         
         // Add visual tick effect - pulsing particles during countdown
-        if (Math.random() < 0.4) { // 40% chance per frame to add particle
-          const angle = Math.random() * Math.PI * 2;
+        if (fx() < 0.4) { // 40% chance per frame to add particle
+          const angle = fx() * Math.PI * 2;
           const dist = b.injectedEnemy.r + 5;
-          s.particles.push({
+          spawnEntity(s, "particles", {
             x: b.injectedEnemy.x + Math.cos(angle) * dist,
             y: b.injectedEnemy.y + Math.sin(angle) * dist,
             vx: Math.cos(angle) * 25,
@@ -165,13 +163,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
           if (!b.enemy && b.splashR > 0) {
             const r2 = b.splashR * b.splashR;
             let hitAny = false;
-            for (const ee of s.enemies) {
+            for (const ee of enemiesNear(s, b.x, b.y, b.splashR)) {
               if (ee.hp <= 0) continue;
               if (dist2(ee.x, ee.y, b.x, b.y) <= r2) {
-                ee.hp -= b.dmg * 0.65;
+                const splashDmg = damageEnemy(s, ee, b.dmg * 0.65, b);
                 ee.hitT = 0.12;
                 hitAny = true;
-                const dealt = Math.max(1, Math.round(b.dmg * 0.65));
+                const dealt = Math.max(1, Math.round(splashDmg));
                 pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ff7a3d", { size: 12, life: 0.75 });
                 
                 // Apply poison to all enemies hit by splash (for poison flask)
@@ -227,13 +225,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
       
       // Damage all enemies in explosion radius
       let hitAny = false;
-      for (const ee of s.enemies) {
+      for (const ee of enemiesNear(s, explosionX, explosionY, explosionR)) {
         if (ee.hp <= 0) continue;
         if (dist2(ee.x, ee.y, explosionX, explosionY) <= r2) {
-          ee.hp -= explosionDmg;
+          const hitDmg = damageEnemy(s, ee, explosionDmg, b);
           ee.hitT = 0.15;
           hitAny = true;
-          const dealt = Math.max(1, Math.round(explosionDmg));
+          const dealt = Math.max(1, Math.round(hitDmg));
           pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ffaa00", { size: 16, life: 0.9, crit: true });
           
           // Apply knockback
@@ -263,7 +261,7 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
       
       // Add multiple shockwave rings for visibility
       for (let i = 0; i < 3; i++) {
-        s.floaters.push({
+        spawnEntity(s, "floaters", {
           x: explosionX,
           y: explosionY,
           t: i * 0.05,
@@ -316,13 +314,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
     if (!b.enemy && b.splashR > 0 && (b.t >= b.life || b.x < padding - 60 || b.x > levelW - padding + 60 || b.y < padding - 60 || b.y > levelH - padding + 60)) {
       const r2 = b.splashR * b.splashR;
       let hitAny = false;
-      for (const ee of s.enemies) {
+      for (const ee of enemiesNear(s, b.x, b.y, b.splashR)) {
         if (ee.hp <= 0) continue;
         if (dist2(ee.x, ee.y, b.x, b.y) <= r2) {
-          ee.hp -= b.dmg * 0.65;
+          const splashDmg = damageEnemy(s, ee, b.dmg * 0.65, b);
           ee.hitT = 0.12;
           hitAny = true;
-          const dealt = Math.max(1, Math.round(b.dmg * 0.65));
+          const dealt = Math.max(1, Math.round(splashDmg));
           pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ff7a3d", { size: 12, life: 0.75 });
           
           // Apply poison to all enemies hit by splash (for poison flask)
@@ -361,10 +359,8 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
     if (b.enemy) {
       const rr = (p.r + b.r) * (p.r + b.r);
       if (p.hp > 0 && dist2(p.x, p.y, b.x, b.y) < rr) {
-        const xNorm = clamp((p.x / (s.arena.w || 1)) * 2 - 1, -1, 1);
         const did = applyPlayerDamageFn(s, b.dmg, "projectile", { shakeMag: 4.8, shakeTime: 0.08, hitStop: 0, fromX: b.x, fromY: b.y }); // No hitStop for boss bullets to prevent freeze
-        if (did && isFinite(xNorm)) {
-          sfxHitFn(audioRef, xNorm);
+        if (did) {
           addHitFlash(s, p.x, p.y, "#ff5d5d");
           
           // Apply knockback to player (away from bullet direction)
@@ -390,7 +386,7 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
 
     let hitSomething = false;
 
-    for (const e of s.enemies) {
+    for (const e of enemiesNear(s, b.x, b.y, b.r)) {
       if (e.hp <= 0) continue;
       // Skip already hit enemies
       // For boomerang: check outbound hits when going out, return hits when returning
@@ -429,14 +425,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
             const explosionY = b.y;
             
             // Damage all enemies in explosion radius
-            for (const ee of s.enemies) {
+            for (const ee of enemiesNear(s, explosionX, explosionY, explosionR)) {
               if (ee.hp <= 0) continue;
               const d2 = dist2(ee.x, ee.y, explosionX, explosionY);
               if (d2 <= r2) {
                 const dist = Math.sqrt(d2);
                 const falloff = dist > 0 ? Math.max(0.3, 1 - (dist / explosionR)) : 1;
-                const dmg = explosionDmg * falloff;
-                ee.hp -= dmg;
+                const dmg = damageEnemy(s, ee, explosionDmg * falloff, b);
                 ee.hitT = 0.12;
                 const dealt = Math.max(1, Math.round(dmg));
                 pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ffaa00", { size: 12, life: 0.75 });
@@ -489,28 +484,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
         // Check for Big Bonk proc BEFORE applying damage
         let finalDmg = b.dmg;
         let isBigBonk = false;
-        if (p.bigBonkChance > 0 && Math.random() < p.bigBonkChance) {
+        if (p.bigBonkChance > 0 && rng() < p.bigBonkChance) {
           finalDmg = b.dmg * (p.bigBonkMult || 1);
           isBigBonk = true;
         }
         
-        // Apply elite weaknesses (extra damage)
-        if (e.isElite && e.eliteWeakness) {
-          if (e.eliteWeakness === "fire" && (b.effect === "burn" || b.glow)) {
-            finalDmg *= 1.5; // 50% more damage from fire
-          } else if (e.eliteWeakness === "poison" && b.effect === "poison") {
-            finalDmg *= 1.5; // 50% more damage from poison
-          } else if (e.eliteWeakness === "melee" && b.melee) {
-            finalDmg *= 1.5; // 50% more damage from melee
-          }
-        }
-        
-        // Apply elite armor (damage reduction)
-        if (e.isElite && e.eliteArmor > 0) {
-          finalDmg *= (1 - e.eliteArmor);
-        }
-        
-        e.hp -= finalDmg;
+        // Elite affixes and shielders change what the hit deals
+        finalDmg = damageEnemy(s, e, finalDmg, b);
         e.hitT = 0.12;
         
         // Apply lifesteal if player has it
@@ -541,18 +521,18 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
         } else {
           pushCombatTextFn(s, e.x, e.y - 14, String(dealt), "#ffffff", { size: 12, life: 0.75 });
           addParticle(s, e.x, e.y, 4, null, { size: 2, speed: 0.8 });
-          sfxHitFn(audioRef, hitXNorm, Math.floor(Math.random() * 3));
+          sfxHitFn(audioRef, hitXNorm, Math.floor(fx() * 3));
         }
 
         // Poison effect always applies if bullet has poison effect, or chance-based
-        const procPoison = b.effect === "poison" || (p.poisonChance > 0 && Math.random() < p.poisonChance);
+        const procPoison = b.effect === "poison" || (p.poisonChance > 0 && rng() < p.poisonChance);
         // Changed freeze to slow effect (less OP)
         let procSlow = false;
         if (b.effect === "freeze") {
           procSlow = true;
-        } else if (p.iceCrystalFreezeChance && Math.random() < p.iceCrystalFreezeChance) {
+        } else if (p.iceCrystalFreezeChance && rng() < p.iceCrystalFreezeChance) {
           procSlow = true;
-        } else if (p.freezeChance > 0 && Math.random() < p.freezeChance) {
+        } else if (p.freezeChance > 0 && rng() < p.freezeChance) {
           procSlow = true;
         }
         const procBurn = b.effect === "burn";
@@ -572,9 +552,9 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
           e.slowMult = slowAmount; // Store slow multiplier
           
           // Ice Crystal AoE slow - slow nearby enemies
-          if (p.iceCrystalFreezeRadius && p.iceCrystalFreezeChance && Math.random() < p.iceCrystalFreezeChance) {
+          if (p.iceCrystalFreezeRadius && p.iceCrystalFreezeChance && rng() < p.iceCrystalFreezeChance) {
             const slowR2 = p.iceCrystalFreezeRadius * p.iceCrystalFreezeRadius;
-            for (const ee of s.enemies) {
+            for (const ee of enemiesNear(s, e.x, e.y, p.iceCrystalFreezeRadius)) {
               if (ee.hp <= 0 || ee === e) continue;
               if (dist2(ee.x, ee.y, e.x, e.y) <= slowR2) {
                 ee.slowT = Math.max(ee.slowT || 0, slowDuration);
@@ -591,24 +571,21 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
         // For thrown weapons (poison flask), trigger splash on hit
         if (b.splashR > 0 && b.effect === "poison") {
           const r2 = b.splashR * b.splashR;
-          for (const ee of s.enemies) {
+          for (const ee of enemiesNear(s, b.x, b.y, b.splashR)) {
             if (ee.hp <= 0) continue;
             if (ee === e) continue; // Already hit the main target
             if (dist2(ee.x, ee.y, b.x, b.y) <= r2) {
-              ee.hp -= b.dmg * 0.65;
+              const splashDmg = damageEnemy(s, ee, b.dmg * 0.65, b);
               ee.hitT = 0.12;
-              const dealt = Math.max(1, Math.round(b.dmg * 0.65));
+              const dealt = Math.max(1, Math.round(splashDmg));
               pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#4dff88", { size: 12, life: 0.75 });
               
               // Apply poison to all enemies hit by splash
               const poisonDuration = 3.5;
               const poisonDpsMult = 0.4;
               ee.poisonT = Math.max(ee.poisonT || 0, poisonDuration);
-              let poisonDps = Math.max(3, b.dmg * poisonDpsMult);
-              // Elite weakness to poison increases poison damage
-              if (ee.isElite && ee.eliteWeakness === "poison") {
-                poisonDps *= 1.5;
-              }
+              // Elite weakness to poison applies on each tick (StatusEffectSystem)
+              const poisonDps = Math.max(3, b.dmg * poisonDpsMult);
               ee.poisonDps = Math.max(ee.poisonDps || 0, poisonDps);
             }
           }
@@ -627,13 +604,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
         } else if (b.splashR > 0) {
           // Regular splash (non-poison) - only on expiration
           const r2 = b.splashR * b.splashR;
-          for (const ee of s.enemies) {
+          for (const ee of enemiesNear(s, b.x, b.y, b.splashR)) {
             if (ee.hp <= 0) continue;
             if (ee === e) continue;
             if (dist2(ee.x, ee.y, b.x, b.y) <= r2) {
-              ee.hp -= b.dmg * 0.65;
+              const splashDmg = damageEnemy(s, ee, b.dmg * 0.65, b);
               ee.hitT = 0.12;
-              const dealt = Math.max(1, Math.round(b.dmg * 0.65));
+              const dealt = Math.max(1, Math.round(splashDmg));
               pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ff7a3d", { size: 12, life: 0.75 });
             }
           }
@@ -692,16 +669,9 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
           // Continue to next enemy (don't break) - boomerang always pierces
         } else if (b.bounces > 0) {
           // Always bounce - find nearest enemy that hasn't been hit
-          let nearestEnemy = null;
-          let nearestD2 = Infinity;
-          for (const ee of s.enemies) {
-            if (ee.hp <= 0 || ee === e || b.hitEnemies.has(ee)) continue; // Skip dead, current, and already hit enemies
-            const d2 = dist2(ee.x, ee.y, b.x, b.y);
-            if (d2 < nearestD2) {
-              nearestD2 = d2;
-              nearestEnemy = ee;
-            }
-          }
+          // Skip dead, current, and already hit enemies
+          let nearestEnemy = findNearestEnemy(s, b.x, b.y, { filter: (ee) => ee.hp > 0 && ee !== e && !b.hitEnemies.has(ee) });
+          const nearestD2 = nearestEnemy ? dist2(nearestEnemy.x, nearestEnemy.y, b.x, b.y) : Infinity;
           // Also check boss
           if (s.boss.active && s.boss.hp > 0 && !b.hitEnemies.has(s.boss)) {
             const bossD2 = dist2(s.boss.x, s.boss.y, b.x, b.y);
@@ -779,7 +749,7 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
   }
 
   // Filter out bullets, but keep explosive bullets (seeking or injected) that haven't exploded yet
-  s.bullets = s.bullets.filter((b) => {
+  sweepEntities(s, "bullets", (b) => {
     // Keep explosive bullets even if their life expired:
     // - Injected bullets explode on timer (explodeAfter), not life
     // - Seeking bullets need to find a target, so keep them alive longer
@@ -800,14 +770,13 @@ export function updateBullets(s, dt, levelW, levelH, padding, applyPlayerDamageF
           const p = s.player; // Get player reference for knockback
           
           // Damage all enemies in explosion radius
-          for (const ee of s.enemies) {
+          for (const ee of enemiesNear(s, explosionX, explosionY, explosionR)) {
             if (ee.hp <= 0) continue;
             const d2 = dist2(ee.x, ee.y, explosionX, explosionY);
             if (d2 <= r2) {
               const dist = Math.sqrt(d2);
               const falloff = dist > 0 ? Math.max(0.3, 1 - (dist / explosionR)) : 1;
-              const dmg = explosionDmg * falloff;
-              ee.hp -= dmg;
+              const dmg = damageEnemy(s, ee, explosionDmg * falloff, b);
               ee.hitT = 0.12;
               const dealt = Math.max(1, Math.round(dmg));
               pushCombatTextFn(s, ee.x, ee.y - 14, String(dealt), "#ffaa00", { size: 12, life: 0.75 });
@@ -0,0 +1,222 @@
+/**
+ * Save System
+ *
+ * Versioned run snapshots for save/resume. A snapshot is plain JSON: the run
+ * state with its live objects flattened (RNG streams to their positions, the
+ * boss controller and its abilities to data, bullet -> enemy references to ids)
+ * plus the input log so far, so a resumed run keeps recording a full replay.
+ *
+ * Older snapshots are upgraded one version at a time through SAVE_MIGRATIONS.
+ */
+
+import { deepClone } from "../../utils/data.js";
+import { serializeRunRng, restoreRunRng } from "../../utils/rng.js";
+import { BossController } from "../systems/BossAbilitySystem.js";
+import { createEnemyAI } from "../enemies/EnemyBehaviours.js";
+
+export const SAVE_VERSION = 2;
+export const SAVE_KEY = "neon_pit_save";
+
+/**
+ * Snapshot upgrades keyed by the version they upgrade from
+ * Each takes a snapshot of version n and returns one of version n + 1
+ */
+export const SAVE_MIGRATIONS = {
+  1: (snapshot) => ({
+    ...snapshot,
+    state: { ...snapshot.state, enemies: (snapshot.state.enemies || []).map(upgradeEnemyV1) },
+  }),
+};
+
+// v2 enemies keep their behaviour state in e.ai and any attack cooldown in attackT,
+// and elites list their affixes (with the timers in affixState)
+function upgradeEnemyV1(e) {
+  const { spitT, state, lostSightT, eliteAbility, eliteWeakness, eliteArmor, eliteRegenT, eliteTeleportT, ...rest } = e;
+  const affixes = [];
+  if (eliteAbility) affixes.push(eliteAbility === "regen" ? "regeneration" : eliteAbility);
+  if (eliteWeakness) affixes.push(`weak_${eliteWeakness}`);
+  const affixState = {};
+  if (eliteAbility === "regeneration" || eliteAbility === "regen") affixState.regeneration = { t: eliteRegenT || 0 };
+  if (eliteAbility === "teleport") affixState.teleport = { t: eliteTeleportT || 0 };
+  return { ...rest, attackT: spitT ?? 0, ai: createEnemyAI(e), affixes, affixState };
+}
+
+/**
+ * Upgrade a snapshot to the target version
+ * @param {Object} snapshot - Saved snapshot
+ * @param {Object} migrations - { [fromVersion]: (snapshot) => snapshot } (default SAVE_MIGRATIONS)
+ * @param {number} target - Version to upgrade to (default SAVE_VERSION)
+ * @returns {Object} Snapshot at the target version
+ * @throws {Error} If the snapshot has no version, is newer than target, or a migration is missing
+ */
+export function migrateSnapshot(snapshot, migrations = SAVE_MIGRATIONS, target = SAVE_VERSION) {
+  if (!snapshot || typeof snapshot !== "object" || !Number.isInteger(snapshot.version)) {
+    throw new Error("Not a save file");
+  }
+  if (snapshot.version > target) {
+    throw new Error(`Save version ${snapshot.version} is newer than this game (${target})`);
+  }
+  let out = snapshot;
+  while (out.version < target) {
+    const migrate = migrations[out.version];
+    if (!migrate) throw new Error(`No migration from save version ${out.version}`);
+    out = { ...migrate(out), version: out.version + 1 };
+  }
+  return out;
+}
+
+// Bullets point at live enemies; enemies already removed from the list are kept as detached copies
+function encodeRef(s, ref) {
+  if (!ref) return null;
+  if (ref === s.boss) return { boss: true };
+  if (s.enemies.includes(ref)) return { id: ref.id };
+  return { detached: deepClone(ref) };
+}
+
+function decodeRef(s, data) {
+  if (!data) return null;
+  if (data.boss) return s.boss;
+  if (data.detached) return data.detached;
+  return s.enemies.find((e) => e.id === data.id) || null;
+}
+
+function encodeBullet(s, b) {
+  const out = { ...b };
+  out.injectedEnemy = encodeRef(s, b.injectedEnemy);
+  if (b.hitEnemies) out.hitEnemies = [...b.hitEnemies].map((e) => encodeRef(s, e));
+  if (b.returnHitEnemies) out.returnHitEnemies = [...b.returnHitEnemies].map((e) => encodeRef(s, e));
+  return out;
+}
+
+function decodeBullet(s, b) {
+  const out = { ...b };
+  out.injectedEnemy = decodeRef(s, b.injectedEnemy);
+  if (b.hitEnemies) out.hitEnemies = new Set(b.hitEnemies.map((e) => decodeRef(s, e)).filter(Boolean));
+  if (b.returnHitEnemies) out.returnHitEnemies = new Set(b.returnHitEnemies.map((e) => decodeRef(s, e)).filter(Boolean));
+  return out;
+}
+
+/**
+ * Short description of a run for the Continue option
+ * @param {Object} s - Game state
+ * @returns {Object} { charId, charName, floor, level, score, t, cursed }
+ */
+export function describeRun(s) {
+  return {
+    charId: s.player.charId,
+    charName: s.player.charName || s.player.charId,
+    floor: s.floor,
+    level: s.level,
+    score: s.score,
+    t: s.t,
+    cursed: !!s.cursedRun,
+  };
+}
+
+/**
+ * Capture a run as a JSON-safe snapshot
+ * @param {Object} s - Game state
+ * @param {Object|null} replay - Input log so far (InputRecorder.getReplay())
+ * @returns {Object} { version, savedAt, meta, state, replay }
+ */
+export function createRunSnapshot(s, replay = null) {
+  // The event bus belongs to the runtime (continueRun re-attaches it); spatial indexes are rebuilt
+  // every step, the flow field is rebuilt from s.flowField on the first step after a resume, and
+  // entity pools start empty
+  const { rng, bullets, boss, events, spatial, flowFieldData, pools, ...rest } = s;
+  const state = deepClone({
+    ...rest,
+    boss: boss ? { ...boss, controller: null } : boss,
+    bullets: bullets.map((b) => encodeBullet(s, b)),
+  });
+  state.rng = serializeRunRng(rng);
+  if (boss?.controller) state.boss.controller = boss.controller.serialize();
+
+  return {
+    version: SAVE_VERSION,
+    savedAt: Date.now(),
+    meta: describeRun(s),
+    state,
+    replay,
+  };
+}
+
+// Icons (and admin-added apply functions) don't survive JSON - take them back from the content defs
+function reattachFunctions(list, defs) {
+  if (!list) return;
+  for (const entry of list) {
+    const def = defs.find((d) => d.id === entry.id);
+    if (!def) continue;
+    for (const [key, value] of Object.entries(def)) {
+      if (typeof value === "function") entry[key] = value;
+    }
+  }
+}
+
+/**
+ * Rebuild a live run from a snapshot (migrated to the current version first)
+ * @param {Object} snapshot - Saved snapshot
+ * @param {Object} content - Game content { weapons, tomes, items, cursedItems, evolutions }
+ * @returns {Object} { state, replay }
+ */
+export function restoreRunSnapshot(snapshot, content) {
+  const data = migrateSnapshot(snapshot);
+  const s = deepClone(data.state);
+
+  s.rng = restoreRunRng(s.rng);
+  if (s.boss?.controller) {
+    s.boss.controller = BossController.restore(s.boss.controller, s.boss, s.rng.combat);
+  }
+  s.bullets = s.bullets.map((b) => decodeBullet(s, b));
+
+  const p = s.player;
+  reattachFunctions(p.collectedWeapons, [...content.weapons, ...(content.evolutions || []).map((e) => e.weapon)]);
+  reattachFunctions(p.collectedTomes, content.tomes);
+  reattachFunctions(p.collectedItems, [...content.items, ...(content.cursedItems || [])]);
+
+  s.running = true;
+  s.freezeMode = null;
+  return { state: s, replay: data.replay ? deepClone(data.replay) : null };
+}
+
+/**
+ * Create a save slot on a Storage (localStorage, or any { getItem, setItem, removeItem })
+ * Storage errors (private mode, quota) are swallowed like the best-score handling
+ * @param {Object} storage - Storage backend
+ * @param {string} key - Storage key (default SAVE_KEY)
+ * @returns {Object} Store { save, load, clear }
+ */
+export function createSaveStore(storage, key = SAVE_KEY) {
+  return {
+    /**
+     * @param {Object} snapshot - From createRunSnapshot
+     * @returns {boolean} True if written
+     */
+    save(snapshot) {
+      try {
+        storage.setItem(key, JSON.stringify(snapshot));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+    /**
+     * @returns {Object|null} Snapshot at SAVE_VERSION, or null if missing or unreadable
+     */
+    load() {
+      try {
+        const text = storage.getItem(key);
+        return text ? migrateSnapshot(JSON.parse(text)) : null;
+      } catch {
+        return null;
+      }
+    },
+    clear() {
+      try {
+        storage.removeItem(key);
+      } catch {
+        // Nothing to clear
+      }
+    },
+  };
+}
@@ -36,6 +36,7 @@ class BaseAbility {
     this.state = BOSS_ABILITY_STATE.IDLE;
     this.stateTimer = 0;
     this.phase2Effect = options.phase2Effect || null;
+    this.rng = options.rng || Math.random; // Run's combat stream, so boss patterns replay from the seed
   }
 
   update(dt) {
@@ -78,6 +79,16 @@ class BaseAbility {
   checkHits(boss, player, floor) {
     return null;
   }
+
+  /**
+   * Plain data for run saves: the ability type plus every timer/target field
+   * @returns {Object} { type, ...fields }
+   */
+  serialize() {
+    const { rng, ...fields } = this;
+    const type = Object.keys(BOSS_ABILITY_TYPES).find((k) => BOSS_ABILITY_TYPES[k] === this.constructor);
+    return { type, ...fields };
+  }
 }
 
 /**
@@ -387,7 +398,7 @@ export class TeleportAbility extends BaseAbility {
       const angleToPlayer = Math.atan2(dy, dx);
       
       // Add some randomness to angle
-      const randomAngle = (Math.random() - 0.5) * Math.PI * 0.6; // ±54 degrees
+      const randomAngle = (this.rng() - 0.5) * Math.PI * 0.6; // ±54 degrees
       const angle = angleToPlayer + randomAngle;
       
       this.targetX = boss.x + Math.cos(angle) * this.teleportDistance;
@@ -810,4 +821,61 @@ export class BossController {
   getCurrentState() {
     return this.currentState;
   }
+
+  /**
+   * Plain data for run saves (abilities serialized, current ability stored as an index)
+   * @returns {Object} Controller data
+   */
+  serialize() {
+    const { boss, abilities, currentAbility, ...fields } = this;
+    return {
+      ...fields,
+      abilities: abilities.map((a) => a.serialize()),
+      currentAbility: abilities.indexOf(currentAbility),
+    };
+  }
+
+  /**
+   * Rebuild a controller from serialize() output
+   * @param {Object} data - Controller data
+   * @param {Object} boss - s.boss the controller drives
+   * @param {Function} rng - Combat stream for abilities that roll (teleport)
+   * @returns {BossController} Restored controller
+   */
+  static restore(data, boss, rng) {
+    const { abilities = [], currentAbility = -1, ...fields } = data;
+    const restored = abilities.map((a) => restoreBossAbility(a, rng));
+    const controller = new BossController(boss, restored);
+    Object.assign(controller, fields);
+    controller.currentAbility = restored[currentAbility] || null;
+    return controller;
+  }
+}
+
+/**
+ * Ability classes by save name - keys are stable across builds (class names are not once minified)
+ */
+export const BOSS_ABILITY_TYPES = {
+  cone: ConeAttackAbility,
+  lineDash: LineDashAbility,
+  ringPulse: RingPulseAbility,
+  teleport: TeleportAbility,
+  charge: ChargeAbility,
+  multiShot: MultiShotAbility,
+};
+
+/**
+ * Rebuild an ability from its serialize() output
+ * @param {Object} data - { type, ...fields }
+ * @param {Function} rng - Random source for the ability
+ * @returns {Object} Ability instance
+ * @throws {Error} If the type is unknown
+ */
+export function restoreBossAbility(data, rng) {
+  const { type, ...fields } = data;
+  const AbilityClass = BOSS_ABILITY_TYPES[type];
+  if (!AbilityClass) throw new Error(`Unknown boss ability type: ${type}`);
+  const ability = new AbilityClass({ rng });
+  Object.assign(ability, fields);
+  return ability;
 }
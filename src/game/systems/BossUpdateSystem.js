@@ -3,11 +3,12 @@ import { bumpShake, addExplosion, addParticle } from "../effects/VisualEffects.j
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
 import { resolveKinematicOverlap } from "./CollisionSystem.js";
 import { LineDashAbility, BOSS_ABILITY_STATE } from "./BossAbilitySystem.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
 
 /**
  * Update boss: abilities, movement, collision, phase transitions
  */
-export function updateBoss(s, dt, applyPlayerDamageFn, sfxHitFn) {
+export function updateBoss(s, dt, applyPlayerDamageFn) {
   if (!s.boss.active) return;
 
   const p = s.player;
@@ -26,6 +27,7 @@ export function updateBoss(s, dt, applyPlayerDamageFn, sfxHitFn) {
     addExplosion(s, s.boss.x, s.boss.y, 3.0, 200);
     addParticle(s, s.boss.x, s.boss.y, 50, 100, { size: 6, speed: 2.0, glow: true });
     pushCombatTextFn(s, s.boss.x, s.boss.y - s.boss.r - 20, "ENRAGED!", "#ff0000", { size: 20, life: 2.0, crit: true });
+    emitGameEvent(s, GAME_EVENTS.BOSS_PHASE_CHANGED, { phase: 2, boss: s.boss });
   }
 
   // Update boss controller (handles abilities and rotation)
@@ -36,19 +38,13 @@ export function updateBoss(s, dt, applyPlayerDamageFn, sfxHitFn) {
       // Check for ability hits
       const hitResult = s.boss.controller.checkHits(p, s.floor);
       if (hitResult) {
-        const did = applyPlayerDamageFn(s, hitResult.damage, hitResult.ability.name, {
+        applyPlayerDamageFn(s, hitResult.damage, hitResult.ability.name, {
           shakeMag: 2.5,
           shakeTime: 0.08,
           hitStop: 0.02,
           fromX: s.boss.x,
           fromY: s.boss.y
         });
-        if (did) {
-          const xNorm = clamp((p.x / (s.arena.w || 1)) * 2 - 1, -1, 1);
-          if (isFinite(xNorm)) {
-            sfxHitFn(xNorm);
-          }
-        }
       }
       
       // Handle burning ground from phase 2 abilities
@@ -73,12 +69,13 @@ export function updateBoss(s, dt, applyPlayerDamageFn, sfxHitFn) {
                 ability.burningGround.lastTick = (ability.burningGround.lastTick || 0) + dt;
                 if (ability.burningGround.lastTick >= ability.burningGround.tickRate) {
                   ability.burningGround.lastTick = 0;
-                  const did = applyPlayerDamageFn(s, ability.burningGround.dmg, "burning ground", {
+                  applyPlayerDamageFn(s, ability.burningGround.dmg, "burning ground", {
                     shakeMag: 0.5,
                     shakeTime: 0.02,
                     hitStop: 0,
                     fromX: ability.burningGround.x,
-                    fromY: ability.burningGround.y
+                    fromY: ability.burningGround.y,
+                    sound: false
                   });
                 }
               }
@@ -150,11 +147,8 @@ export function updateBoss(s, dt, applyPlayerDamageFn, sfxHitFn) {
   } else {
     const overlapped = resolveKinematicOverlap(p, s.boss, bossBounds, s.levelData);
     if (overlapped) {
-      const xNorm = clamp((p.x / (s.arena.w || 1)) * 2 - 1, -1, 1);
       const did = applyPlayerDamageFn(s, 30 + s.floor * 1.1, "boss contact", { shakeMag: 2.2, shakeTime: 0.07, hitStop: 0.01, fromX: s.boss.x, fromY: s.boss.y });
-      if (did && isFinite(xNorm)) {
-        sfxHitFn(xNorm);
-        
+      if (did) {
         // Apply knockback to player (away from boss)
         const dd = Math.hypot(s.boss.x - p.x, s.boss.y - p.y) || 1;
         const knockbackForce = 220; // Stronger knockback from boss
@@ -2,30 +2,37 @@ import { hasLineOfSight, isPointWalkable, findNearestWalkable } from "../world/W
 import { getFlowDirection } from "./PathfindingSystem.js";
 import { clamp } from "../../utils/math.js";
 import { resolveKinematicOverlap } from "./CollisionSystem.js";
+import { getRng } from "../../utils/rng.js";
+import { updateShielderAuras } from "../enemies/EnemyArchetypes.js";
+import { getEliteContactMult } from "../enemies/EliteAffixes.js";
+import { getEnemyAIProfile, updateEnemyAttack, updateEnemyBehaviour } from "../enemies/EnemyBehaviours.js";
 
 /**
  * Update enemy AI, pathfinding, and movement
+ * What each enemy does comes from its behaviours and attack (see EnemyBehaviours);
+ * this system supplies sight and pathing, then moves it and resolves contact
  */
-export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitFn, levelBounds) {
+export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, levelBounds) {
+  const rng = getRng(s, "combat");
   const p = s.player;
   const { w, h, padding } = s.arena;
 
-  for (const e of s.enemies) {
+  updateShielderAuras(s, dt);
+
+  // Summons join s.enemies after this pass
+  for (const e of [...s.enemies]) {
     // Skip frozen/slowed enemies for AI updates
     if (e.slowT > 0) {
       continue;
     }
 
-    // Initialize enemy state if needed
-    if (!e.state) e.state = "idle"; // idle, alert, lost
-    if (!e.lostSightT) e.lostSightT = 0;
-
+    const profile = getEnemyAIProfile(e.tier);
     const dx = p.x - e.x;
     const dy = p.y - e.y;
     const d = Math.hypot(dx, dy) || 1;
     
-    // Line of sight check (only check if within reasonable distance)
-    const hasLOS = d < 800 && hasLineOfSight(e.x, e.y, p.x, p.y, s.levelData, 10);
+    // Line of sight check (only check within the enemy's sight range)
+    const hasLOS = d < profile.sight && hasLineOfSight(e.x, e.y, p.x, p.y, s.levelData, 10);
     
     // FLOW FIELD PATHFINDING - Use flow field direction (no direct player reference)
     // BUT: Validate direction is walkable to prevent corner cutting
@@ -38,13 +45,6 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
     const slowMult = e.slowT > 0 ? (e.slowMult || 0.5) : 1.0;
     let moveSpeed = e.speed * dt * slowMult;
     
-    if (e.tier === "spitter") {
-      e.spitT = Math.max(0, e.spitT - dt);
-      const desired = 240;
-      const push = d < desired ? -1 : 1;
-      moveSpeed *= 0.62 * push;
-    }
-    
     // Get movement direction from flow field
     if (s.flowFieldData) {
       const flowDir = getFlowDirection(e.x, e.y, s.flowFieldData);
@@ -63,9 +63,15 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
       moveDirX = dx / d;
       moveDirY = dy / d;
     }
+
+    // Attack, then let the behaviour state pick where to go (the flow direction leads to the player)
+    const ctx = { s, e, dt, dx, dy, d, hasLOS, flowX: moveDirX, flowY: moveDirY, shootBulletFn, applyPlayerDamageFn };
+    if (updateEnemyAttack(ctx, profile)) continue;
+    const move = updateEnemyBehaviour(ctx, profile);
+    moveSpeed *= move.speed;
     
-    const ux = moveDirX;
-    const uy = moveDirY;
+    const ux = move.x;
+    const uy = move.y;
       
     // Track enemy position for stuck detection
       if (!e.lastX) e.lastX = e.x;
@@ -153,7 +159,7 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
             
             // Shuffle cardinals to avoid predictable movement
             for (let i = cardinals.length - 1; i > 0; i--) {
-              const j = Math.floor(Math.random() * (i + 1));
+              const j = Math.floor(rng() * (i + 1));
               [cardinals[i], cardinals[j]] = [cardinals[j], cardinals[i]];
             }
             
@@ -190,13 +196,6 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
       e.lastX = e.x;
       e.lastY = e.y;
 
-      // Spitter shooting (only if we have line of sight)
-      if (e.tier === "spitter" && d < 460 && e.spitT <= 0 && hasLOS) {
-        const a = Math.atan2(dy, dx);
-        shootBulletFn(s, e.x, e.y, a, 14 + s.floor * 0.95, 470, { enemy: true, r: 7.2, life: 2.2, color: "#ff5d5d" });
-        e.spitT = 1.05;
-    }
-
     // Clamp enemies to level bounds
     if (s.levelData) {
       e.x = clamp(e.x, padding, s.levelData.w - padding);
@@ -213,14 +212,9 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
     } else {
       const overlapped = resolveKinematicOverlap(p, e, levelBounds, s.levelData);
       
-      // Melee damage: Only apply to melee enemies (brute, runner, tank, and default/grunt) when actually overlapping
-      // Ranged enemies (spitter, shocker) should not deal contact damage
-      // Default enemy type (grunt) is melee - all enemies except spitter and shocker can melee
-      const checkBrute = e.tier === "brute";
-      const checkRunner = e.tier === "runner";
-      const checkTank = e.tier === "tank";
-      const checkNotRanged = (e.tier !== "spitter" && e.tier !== "shocker");
-      const isMeleeEnemy = checkBrute || checkRunner || checkTank || checkNotRanged;
+      // Melee damage: Only apply to melee enemies when actually overlapping
+      // Enemies with contact: false in their stats (ranged ones, exploders) deal no contact damage
+      const isMeleeEnemy = profile.contact;
       
       // Apply damage if overlapping, is melee enemy, and cooldown is ready
       // Note: overlapped is true when visual cubes are touching (from resolveKinematicCircleOverlap)
@@ -234,13 +228,11 @@ export function updateEnemyAI(s, dt, shootBulletFn, applyPlayerDamageFn, sfxHitF
         const dist = Math.hypot(dx, dy) || 1;
         // Enemy is overlapping and close enough - apply damage and knockback
         
-        const xNorm = clamp((p.x / (s.arena.w || 1)) * 2 - 1, -1, 1);
         // Elite enemies deal more contact damage (but half damage for contact)
         const baseDmg = 18 + s.floor * 0.9;
-        const eliteDmgMult = e.isElite ? (e.eliteAbility === "rage" ? 1 + (1 - e.hp / e.maxHp) * 0.5 : 1.3) : 1;
+        const eliteDmgMult = getEliteContactMult(e);
         const contactDmg = (baseDmg * eliteDmgMult) * 0.5; // Half damage for contact
-        const did = applyPlayerDamageFn(s, contactDmg, `${e.tier} contact`, { shakeMag: 1.6, shakeTime: 0.06, hitStop: 0, fromX: e.x, fromY: e.y });
-        if (did && isFinite(xNorm)) sfxHitFn(xNorm);
+        applyPlayerDamageFn(s, contactDmg, `${e.tier} contact`, { shakeMag: 1.6, shakeTime: 0.06, hitStop: 0, fromX: e.x, fromY: e.y });
         e.contactCd = 0.6; // Reduced from 0.95 to allow more frequent hits when in contact
         
         // Apply knockback to player (away from enemy)
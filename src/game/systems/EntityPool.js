@@ -0,0 +1,197 @@
+/**
+ * Entity Pool
+ *
+ * Pooled stores for the short-lived entities a fight churns through: bullets,
+ * particles, floaters (combat text and effects), gems and coins. The stores
+ * stay the plain arrays on the run state (s.bullets, s.particles, ...), so
+ * rendering, interpolation and saves read them as before; what changes is how
+ * entries come and go:
+ *
+ * - spawnEntity hands out a recycled object instead of a fresh one, and
+ *   refuses once a store holds its ENTITY_CAPACITY.
+ * - sweepEntities removes dead entries in place by swapping the last entry
+ *   into the hole, and recycles them - no new array per frame.
+ *
+ * Swap-remove reorders a store, but the same way on every run, so replays and
+ * resumed saves stay exact. Pools live on s.pools and aren't saved; a resumed
+ * run starts them empty.
+ *
+ * Removed entities only become reusable at the next recycleEntities (start of
+ * each step). Render interpolation holds on to the entities it captured before
+ * a step, so none of them may turn into a different entity during that step.
+ */
+
+// Most entries a store holds at once
+export const ENTITY_CAPACITY = {
+  bullets: 2048,
+  particles: 4096,
+  floaters: 1024,
+  gems: 2048,
+  coins: 2048,
+};
+
+/**
+ * Create a pool of recycled objects
+ * @param {number} capacity - Most objects kept for reuse (and most live entries for a store)
+ * @returns {Object} Pool { capacity, acquire, release, recycle, drop, stats }
+ */
+export function createEntityPool(capacity) {
+  const free = [];
+  const retired = [];
+  let created = 0;
+  let dropped = 0;
+
+  return {
+    capacity,
+
+    /**
+     * A cleared object, recycled when one is free
+     * @returns {Object}
+     */
+    acquire() {
+      if (free.length > 0) return free.pop();
+      created++;
+      return {};
+    },
+
+    /**
+     * Take an object back; it waits for the next recycle before it's handed out again
+     * @param {Object} obj - Object no store references any more
+     */
+    release(obj) {
+      if (free.length + retired.length >= capacity) return;
+      retired.push(obj);
+    },
+
+    /**
+     * Make released objects reusable, clearing their fields so nothing stale leaks into the next use
+     * Sets are emptied and kept (bullets reuse their hit sets)
+     */
+    recycle() {
+      while (retired.length > 0) {
+        const obj = retired.pop();
+        for (const key in obj) {
+          const value = obj[key];
+          if (value instanceof Set) value.clear();
+          else obj[key] = undefined;
+        }
+        free.push(obj);
+      }
+    },
+
+    // Counts a spawn refused because the store was full
+    drop() {
+      dropped++;
+    },
+
+    /**
+     * @returns {{pooled: number, created: number, dropped: number, capacity: number}}
+     */
+    stats() {
+      return { pooled: free.length + retired.length, created, dropped, capacity };
+    },
+  };
+}
+
+/**
+ * The pool behind a store, created on first use
+ * @param {Object} s - Game state
+ * @param {string} type - Store name, a key of ENTITY_CAPACITY
+ * @returns {Object} Pool
+ */
+export function getEntityPool(s, type) {
+  if (!s.pools) s.pools = {};
+  let pool = s.pools[type];
+  if (!pool) {
+    const capacity = ENTITY_CAPACITY[type];
+    if (!capacity) throw new Error(`Unknown entity store: ${type}`);
+    pool = s.pools[type] = createEntityPool(capacity);
+  }
+  return pool;
+}
+
+/**
+ * Add an entity to a store
+ * Hot paths fill the returned object field by field; occasional effects may pass the fields instead
+ * @param {Object} s - Game state
+ * @param {string} type - Store name (s[type] is the list)
+ * @param {Object|null} fields - Fields to copy onto the entity (default none)
+ * @returns {Object|null} The entity, or null if the store is full
+ */
+export function spawnEntity(s, type, fields = null) {
+  const pool = getEntityPool(s, type);
+  const list = s[type];
+  if (list.length >= pool.capacity) {
+    pool.drop();
+    return null;
+  }
+  const entity = pool.acquire();
+  if (fields) {
+    for (const key in fields) entity[key] = fields[key];
+  }
+  list.push(entity);
+  return entity;
+}
+
+/**
+ * Remove entities that fail keep, swapping the last entry into each hole, and recycle them
+ * @param {Object} s - Game state
+ * @param {string} type - Store name
+ * @param {Function} keep - (entity) => boolean; may have side effects, called once per entity
+ */
+export function sweepEntities(s, type, keep) {
+  const list = s[type];
+  if (!list) return;
+  const pool = getEntityPool(s, type);
+  let i = 0;
+  while (i < list.length) {
+    const entity = list[i];
+    if (keep(entity)) {
+      i++;
+      continue;
+    }
+    const last = list.pop();
+    if (i < list.length) list[i] = last;
+    pool.release(entity);
+  }
+}
+
+/**
+ * Empty a store, recycling everything in it
+ * @param {Object} s - Game state
+ * @param {string} type - Store name
+ */
+export function clearEntities(s, type) {
+  const list = s[type];
+  if (!list) {
+    s[type] = [];
+    return;
+  }
+  const pool = getEntityPool(s, type);
+  for (const entity of list) pool.release(entity);
+  list.length = 0;
+}
+
+/**
+ * Make everything removed since the last call reusable (once per step, before anything spawns)
+ * @param {Object} s - Game state
+ */
+export function recycleEntities(s) {
+  if (!s.pools) return;
+  for (const type in s.pools) s.pools[type].recycle();
+}
+
+/**
+ * Live and pooled counts per store
+ * @param {Object} s - Game state
+ * @returns {Object} { [type]: { live, pooled, created, dropped, capacity } }
+ */
+export function getPoolStats(s) {
+  const out = {};
+  for (const type of Object.keys(ENTITY_CAPACITY)) {
+    const pool = s.pools?.[type];
+    const stats = pool ? pool.stats() : { pooled: 0, created: 0, dropped: 0, capacity: ENTITY_CAPACITY[type] };
+    out[type] = { live: s[type] ? s[type].length : 0, ...stats };
+  }
+  return out;
+}
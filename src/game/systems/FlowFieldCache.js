@@ -0,0 +1,149 @@
+/**
+ * Flow Field Cache
+ *
+ * Keeps the enemies' flow field (s.flowFieldData) toward the player without
+ * rebuilding it every step. Wall costs are computed once per level, and a new
+ * field is only needed when the player crosses into another grid cell. That
+ * field is computed in the background - on the world worker when there is
+ * one, else a slice per step - while enemies keep following the last one.
+ *
+ * The new field takes over a fixed FLOW_FIELD_LATENCY steps after it was
+ * started, whichever way it was computed (a late worker result is finished
+ * on the spot), so the simulation never depends on worker timing and replays
+ * stay exact.
+ *
+ * Only the cells and the countdown are kept on the run (s.flowField), so the
+ * state saves as a few numbers; the distance maps are rebuilt after a resume.
+ */
+
+import {
+  buildWallCosts,
+  findFlowFieldStart,
+  createFlowFieldJob,
+  stepFlowFieldJob,
+  flowFieldFromJob,
+} from "./PathfindingSystem.js";
+
+// Grid cells processed per simulation step for a pending field in synchronous mode
+export const FLOW_FIELD_BUDGET = 4000;
+
+// Steps from the player changing cell to enemies following the new field
+export const FLOW_FIELD_LATENCY = 6;
+
+// Derived per-level and per-run data that isn't saved
+const wallCostsByLevel = new WeakMap();
+const pendingWork = new WeakMap();
+
+function wallCostsFor(levelData) {
+  let costs = wallCostsByLevel.get(levelData);
+  if (!costs) {
+    costs = buildWallCosts(levelData.pathfindingGrid, levelData.pathfindingWallInfluence);
+    wallCostsByLevel.set(levelData, costs);
+  }
+  return costs;
+}
+
+function startJob(s, cellX, cellY) {
+  const { pathfindingGrid, pathfindingGridSize } = s.levelData;
+  return createFlowFieldJob(cellX, cellY, pathfindingGrid, pathfindingGridSize || 10, wallCostsFor(s.levelData));
+}
+
+function completeField(s, cellX, cellY) {
+  const job = startJob(s, cellX, cellY);
+  if (!job) return null;
+  stepFlowFieldJob(job);
+  return flowFieldFromJob(job);
+}
+
+// Background work for a pending field: a worker request, or a job stepped a slice at a time
+function startPending(s, pending, world) {
+  const work = { job: null, field: undefined };
+  if (world && world.isAsync) {
+    world
+      .computeFlowField(s.levelData, wallCostsFor(s.levelData), pending.cellX, pending.cellY)
+      .then((field) => {
+        work.field = field;
+      })
+      .catch(() => {
+        // Finished synchronously when it's due
+      });
+  } else {
+    work.job = startJob(s, pending.cellX, pending.cellY);
+  }
+  pendingWork.set(s, work);
+  return work;
+}
+
+function finishPending(s, pending, work) {
+  if (work.field) return work.field;
+  if (work.job) {
+    stepFlowFieldJob(work.job);
+    return flowFieldFromJob(work.job);
+  }
+  return completeField(s, pending.cellX, pending.cellY);
+}
+
+/**
+ * Keep s.flowFieldData current for the player's grid cell
+ * @param {Object} s - Game state
+ * @param {Object|null} world - World service for computing fields off the main thread (default none)
+ * @param {number} budget - Cells to process per step for a pending field without a worker (default FLOW_FIELD_BUDGET)
+ */
+export function updateFlowField(s, world = null, budget = FLOW_FIELD_BUDGET) {
+  if (!s.levelData || !s.levelData.pathfindingGrid) {
+    s.flowField = null;
+    s.flowFieldData = null;
+    return;
+  }
+
+  // A new floor starts over
+  let ff = s.flowField;
+  if (!ff || ff.floor !== s.floor) {
+    ff = s.flowField = { floor: s.floor, cellX: null, cellY: null, pending: null };
+    s.flowFieldData = null;
+    pendingWork.delete(s);
+  }
+
+  // After a resume only the cells are known - rebuild the field and restart the pending one
+  if (ff.cellX !== null && !s.flowFieldData) {
+    s.flowFieldData = completeField(s, ff.cellX, ff.cellY);
+  }
+  if (ff.pending && !pendingWork.has(s)) {
+    startPending(s, ff.pending, world);
+  }
+
+  const grid = s.levelData.pathfindingGrid;
+  const gridSize = s.levelData.pathfindingGridSize || 10;
+  const cellX = Math.floor(s.player.x / gridSize);
+  const cellY = Math.floor(s.player.y / gridSize);
+
+  // Nothing to follow yet (first step on a floor) - enemies can't wait, compute it now
+  if (!s.flowFieldData) {
+    s.flowFieldData = completeField(s, cellX, cellY);
+    if (s.flowFieldData) {
+      ff.cellX = cellX;
+      ff.cellY = cellY;
+    }
+    return;
+  }
+
+  // Let a pending field finish before starting another, so a moving player can't starve it
+  // Off the walkable grid there is nothing to compute - keep following the last field
+  if (!ff.pending && (cellX !== ff.cellX || cellY !== ff.cellY) && findFlowFieldStart(cellX, cellY, grid)) {
+    ff.pending = { cellX, cellY, stepsLeft: FLOW_FIELD_LATENCY };
+    startPending(s, ff.pending, world);
+  }
+
+  if (ff.pending) {
+    const work = pendingWork.get(s);
+    if (work.job) stepFlowFieldJob(work.job, budget);
+    ff.pending.stepsLeft--;
+    if (ff.pending.stepsLeft <= 0) {
+      s.flowFieldData = finishPending(s, ff.pending, work);
+      ff.cellX = ff.pending.cellX;
+      ff.cellY = ff.pending.cellY;
+      ff.pending = null;
+      pendingWork.delete(s);
+    }
+  }
+}
@@ -1,14 +1,34 @@
 import { clamp, dist2 } from "../../utils/math.js";
 import { bumpShake, addParticle } from "../effects/VisualEffects.js";
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
+import { GAME_EVENTS, emitGameEvent } from "../events/GameEvents.js";
+import { createSpatialHash } from "./SpatialHash.js";
+import { sweepEntities } from "./EntityPool.js";
+
+const alive = (item) => item.t <= item.life;
+
+// Loot within magnet or pickup reach of the player, from a per-tick index of gems, coins and consumables
+function lootNearPlayer(s, pickRadius) {
+  const p = s.player;
+  if (!s.spatial) s.spatial = {};
+  if (!s.spatial.loot) s.spatial.loot = createSpatialHash();
+  const grid = s.spatial.loot;
+  grid.build(s.gems);
+  for (const c of s.coins) grid.insert(c);
+  for (const cons of s.consumables) grid.insert(cons);
+  return new Set(grid.queryRadius(p.x, p.y, Math.max(pickRadius, p.r)));
+}
 
 /**
  * Update and collect loot: XP gems, coins, consumables (with magnet pickup)
+ * Coin and consumable pickups emit itemPicked (the coin sound subscribes to it)
+ * Everything ages every tick; only loot the spatial index puts near the player is pulled or picked up
  */
-export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
+export function updateLoot(s, dt, awardXPFn) {
   const p = s.player;
   const { w, h, padding } = s.arena;
   const pickRadius = 100 * p.magnet;
+  const near = lootNearPlayer(s, pickRadius);
 
   // Update and collect XP gems
   for (const g of s.gems) {
@@ -25,6 +45,8 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
       g.y = clamp(g.y, padding, h - padding);
     }
 
+    if (!near.has(g)) continue;
+
     // Magnet pull effect
     const dd = Math.hypot(p.x - g.x, p.y - g.y);
     if (dd < pickRadius) {
@@ -40,12 +62,12 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
       const leveled = awardXPFn(s, g.v, g.x, g.y);
       g.t = g.life + 1;
       if (leveled) {
-        s.gems = s.gems.filter((gg) => gg.t <= gg.life);
+        sweepEntities(s, "gems", alive);
         return; // Exit early if leveled up (to trigger upgrade sequence)
       }
     }
   }
-  s.gems = s.gems.filter((g) => g.t <= g.life);
+  sweepEntities(s, "gems", alive);
 
   // Update and collect coins
   for (const c of s.coins) {
@@ -62,6 +84,8 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
       c.y = clamp(c.y, padding, h - padding);
     }
 
+    if (!near.has(c)) continue;
+
     // Magnet pull effect
     const dd = Math.hypot(p.x - c.x, p.y - c.y);
     if (dd < pickRadius) {
@@ -82,14 +106,10 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
       s.score += actualGold * 3;
       pushCombatTextFn(s, c.x, c.y - 14, `+${actualGold}`, "#ffd44a", { size: 11, life: 0.7 });
       c.t = c.life + 1;
-      const arenaW = s.arena?.w || 1;
-      const xNorm = (c.x && arenaW) ? clamp((c.x / arenaW) * 2 - 1, -1, 1) : 0;
-      if (isFinite(xNorm)) {
-        sfxCoinFn(audioRef, xNorm);
-      }
+      emitGameEvent(s, GAME_EVENTS.ITEM_PICKED, { kind: "coin", type: "gold", value: actualGold, x: c.x, y: c.y });
     }
   }
-  s.coins = s.coins.filter((c) => c.t <= c.life);
+  sweepEntities(s, "coins", alive);
 
   // Update and collect consumables
   for (const cons of s.consumables) {
@@ -104,6 +124,8 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
       cons.y = clamp(cons.y, padding, h - padding);
     }
 
+    if (!near.has(cons)) continue;
+
     // Magnet pull effect
     const dd = Math.hypot(p.x - cons.x, p.y - cons.y);
     if (dd < pickRadius) {
@@ -143,6 +165,7 @@ export function updateLoot(s, dt, awardXPFn, sfxCoinFn, audioRef) {
         pushCombatTextFn(s, p.x, p.y - 30, "+50% GOLD GAIN", "#ffd44a", { size: 16, life: 1.2 });
       }
       cons.t = cons.life + 1; // Mark for removal
+      emitGameEvent(s, GAME_EVENTS.ITEM_PICKED, { kind: "consumable", type: cons.type, value: 1, x: cons.x, y: cons.y });
     }
   }
   s.consumables = s.consumables.filter((c) => c.t <= c.life);
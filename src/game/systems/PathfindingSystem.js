@@ -2,17 +2,17 @@
  * Pathfinding system using flow field (Dijkstra map) algorithm
  */
 
-/**
- * Generate Flow Field using BFS/Dijkstra - runs once per frame
- * Creates a distance map from target position to all walkable tiles
- * @param {number} targetX - Target X coordinate in world space
- * @param {number} targetY - Target Y coordinate in world space
- * @param {Array<Array<number>>} grid - 2D grid array (1 = walkable, 0 = wall)
- * @param {number} gridSize - Size of each grid cell in world units (default 10)
- * @returns {{distances: Array<Array<number>>, gridSize: number, gridW: number, gridH: number}|null} Flow field data or null if invalid
- */
-export function generateFlowField(targetX, targetY, grid, gridSize = 10) {
-  
+// Tiles next to a wall cost more so paths curve away from corners
+const WALL_PENALTY = 2.5; // Cost multiplier for near-wall tiles
+const BASE_COST = 1.0;    // Base cost for walkable tiles
+
+// 8-directional movement for better pathfinding: cardinals first, then diagonals
+const NEIGHBOR_DIRS = [
+  [0, 1, 1.0], [1, 0, 1.0], [0, -1, 1.0], [-1, 0, 1.0],
+  [1, 1, 1.414], [1, -1, 1.414], [-1, -1, 1.414], [-1, 1, 1.414]
+];
+
+function assertGrid(grid) {
   // CLEAN FLOW FIELD INPUT: Strict validation - must be a 2D array
   if (!Array.isArray(grid) || grid.length === 0) {
     const errorMsg = 'FLOW FIELD ERROR: grid must be a 2D array, got: ' + (grid?.constructor?.name || typeof grid);
@@ -26,25 +26,31 @@ export function generateFlowField(targetX, targetY, grid, gridSize = 10) {
     console.error(errorMsg, grid[0]);
     throw new Error(errorMsg);
   }
-  
+}
+
+/**
+ * Per-tile traversal costs for the flow field - depends only on the level, so compute it once per level
+ * Uses the level's precomputed wall influence map when it matches the grid, else scans neighbors
+ * @param {Array<Array<number>>} grid - 2D grid array (1 = walkable, 0 = wall)
+ * @param {Array<Array<number>>|null} wallInfluence - levelData.pathfindingWallInfluence (> 0 means next to a wall)
+ * @returns {Array<Array<number>>} Cost per tile (Infinity for walls)
+ */
+export function buildWallCosts(grid, wallInfluence = null) {
+  assertGrid(grid);
   const gridH = grid.length;
   const gridW = grid[0].length;
-  
-  // Convert target to grid coordinates
-  const targetGridX = Math.floor(targetX / gridSize);
-  const targetGridY = Math.floor(targetY / gridSize);
-  
-  // Step 1: Build wall influence map (identify tiles adjacent to walls)
-  // Tiles adjacent to walls get higher traversal cost to curve paths away from corners
-  const wallInfluence = [];
-  const WALL_PENALTY = 2.5; // Cost multiplier for near-wall tiles
-  const BASE_COST = 1.0;    // Base cost for walkable tiles
-  
+  const useInfluence = Array.isArray(wallInfluence) && wallInfluence.length === gridH && wallInfluence[0]?.length === gridW;
+
+  const costs = [];
   for (let y = 0; y < gridH; y++) {
-    wallInfluence[y] = [];
+    costs[y] = [];
     for (let x = 0; x < gridW; x++) {
-      if (grid[y][x] === 0) {
-        wallInfluence[y][x] = Infinity; // Wall itself
+      if (grid[y][x] !== 1) {
+        costs[y][x] = Infinity; // Wall itself
+        continue;
+      }
+      if (useInfluence) {
+        costs[y][x] = wallInfluence[y][x] > 0 ? WALL_PENALTY : BASE_COST;
         continue;
       }
       
@@ -55,147 +61,167 @@ export function generateFlowField(targetX, targetY, grid, gridSize = 10) {
           if (dx === 0 && dy === 0) continue;
           const nx = x + dx;
           const ny = y + dy;
-          if (nx >= 0 && nx < gridW && ny >= 0 && ny < gridH) {
-            if (grid[ny][nx] === 0) {
-              adjacentWalls++;
-            }
+          if (nx >= 0 && nx < gridW && ny >= 0 && ny < gridH && grid[ny][nx] === 0) {
+            adjacentWalls++;
           }
         }
       }
       
       // If adjacent to any wall, apply penalty
-      wallInfluence[y][x] = adjacentWalls > 0 ? WALL_PENALTY : BASE_COST;
+      costs[y][x] = adjacentWalls > 0 ? WALL_PENALTY : BASE_COST;
     }
   }
-  
-  // Initialize distance map with Infinity (walls have infinite cost)
-  const distances = [];
-  for (let y = 0; y < gridH; y++) {
-    distances[y] = [];
-    for (let x = 0; x < gridW; x++) {
-      // Walls (value 0) have infinite distance, floors (value 1) start at Infinity
-      distances[y][x] = grid[y][x] === 1 ? Infinity : Infinity; // Both start as Infinity
-    }
+  return costs;
+}
+
+/**
+ * Cell a flow field toward the target starts from: the target itself, or the nearest walkable cell within 5
+ * @param {number} cellX - Target grid X
+ * @param {number} cellY - Target grid Y
+ * @param {Array<Array<number>>} grid - 2D grid array (1 = walkable, 0 = wall)
+ * @returns {{x: number, y: number}|null} Start cell, or null if there is no walkable cell near the target
+ */
+export function findFlowFieldStart(cellX, cellY, grid) {
+  const gridH = grid.length;
+  const gridW = grid[0].length;
+  if (cellY >= 0 && cellY < gridH && cellX >= 0 && cellX < gridW && grid[cellY][cellX] === 1) {
+    return { x: cellX, y: cellY };
   }
-  
-  // BFS starting from target position
-  const queue = [];
-  
-  // Find nearest walkable cell to target if target is not walkable
-  let startX = targetGridX;
-  let startY = targetGridY;
-  
-  if (startY < 0 || startY >= gridH || startX < 0 || startX >= gridW || grid[startY][startX] !== 1) {
-    // Target not walkable - find nearest walkable cell
-    let found = false;
-    for (let r = 1; r <= 5 && !found; r++) {
-      for (let dy = -r; dy <= r && !found; dy++) {
-        for (let dx = -r; dx <= r && !found; dx++) {
-          const y = targetGridY + dy;
-          const x = targetGridX + dx;
-          if (y >= 0 && y < gridH && x >= 0 && x < gridW && grid[y][x] === 1) {
-            startX = x;
-            startY = y;
-            found = true;
-          }
+  for (let r = 1; r <= 5; r++) {
+    for (let dy = -r; dy <= r; dy++) {
+      for (let dx = -r; dx <= r; dx++) {
+        const y = cellY + dy;
+        const x = cellX + dx;
+        if (y >= 0 && y < gridH && x >= 0 && x < gridW && grid[y][x] === 1) {
+          return { x, y };
         }
       }
     }
-    if (!found) return null; // Can't find walkable cell
   }
+  return null;
+}
+
+/**
+ * Start a flow field computation toward a grid cell
+ * The job is advanced with stepFlowFieldJob, all at once or a slice per frame - the result is the same
+ * @param {number} cellX - Target grid X
+ * @param {number} cellY - Target grid Y
+ * @param {Array<Array<number>>} grid - 2D grid array (1 = walkable, 0 = wall)
+ * @param {number} gridSize - Size of each grid cell in world units
+ * @param {Array<Array<number>>} wallCosts - From buildWallCosts
+ * @returns {Object|null} Job, or null if there is no walkable cell near the target
+ */
+export function createFlowFieldJob(cellX, cellY, grid, gridSize, wallCosts) {
+  assertGrid(grid);
+  const gridH = grid.length;
+  const gridW = grid[0].length;
+
+  // Find nearest walkable cell to target if target is not walkable
+  const start = findFlowFieldStart(cellX, cellY, grid);
+  if (!start) return null; // Can't find walkable cell
   
-  // Start BFS from target position (distance 0)
-  distances[startY][startX] = 0;
-  queue.push({ x: startX, y: startY });
-  
-  // 8-directional movement for better pathfinding
-  const cardinalDirs = [
-    [0, 1, 1.0], [1, 0, 1.0], [0, -1, 1.0], [-1, 0, 1.0] // Cardinal directions
-  ];
-  const diagonalDirs = [
-    [1, 1, 1.414], [1, -1, 1.414], [-1, -1, 1.414], [-1, 1, 1.414] // Diagonal directions
-  ];
-  
-  // BFS to fill distance map
-  let processedCells = 0;
-  while (queue.length > 0) {
-    const current = queue.shift();
-    const currentDist = distances[current.y][current.x];
-    processedCells++;
-    
-    // Step 3: Process cardinal directions first
-    for (const [dx, dy, baseCost] of cardinalDirs) {
-      const nx = current.x + dx;
-      const ny = current.y + dy;
+  // Every tile starts at Infinity; walls stay there
+  const distances = [];
+  for (let y = 0; y < gridH; y++) {
+    distances[y] = new Array(gridW).fill(Infinity);
+  }
+  distances[start.y][start.x] = 0;
+
+  return {
+    cellX,
+    cellY,
+    grid,
+    gridSize,
+    gridW,
+    gridH,
+    wallCosts,
+    distances,
+    queue: [start.x, start.y], // Flat x, y pairs; head walks forward instead of shifting
+    head: 0,
+    processed: 0,
+  };
+}
+
+/**
+ * Process up to budget queued cells of a flow field job
+ * @param {Object} job - From createFlowFieldJob
+ * @param {number} budget - Max cells to process (default Infinity - run to completion)
+ * @returns {boolean} True when the field is complete
+ */
+export function stepFlowFieldJob(job, budget = Infinity) {
+  const { grid, gridW, gridH, wallCosts, distances, queue } = job;
+  let left = budget;
+
+  while (job.head < queue.length && left > 0) {
+    const cx = queue[job.head++];
+    const cy = queue[job.head++];
+    const currentDist = distances[cy][cx];
+    job.processed++;
+    left--;
+
+    for (const [dx, dy, baseCost] of NEIGHBOR_DIRS) {
+      const nx = cx + dx;
+      const ny = cy + dy;
       
       // Bounds check
       if (ny < 0 || ny >= gridH || nx < 0 || nx >= gridW) continue;
       
       // Only process walkable tiles (value = 1)
-      if (grid[ny][nx] !== 1) continue; // Walls have infinite cost (already set)
-      
-      // Step 1: Apply wall influence cost penalty
-      const tileWeight = wallInfluence[ny][nx];
-      const moveCost = baseCost * tileWeight;
+      if (grid[ny][nx] !== 1) continue;
       
       // Update distance if we found a shorter path
-      const newDist = currentDist + moveCost;
+      const newDist = currentDist + baseCost * wallCosts[ny][nx];
       if (newDist < distances[ny][nx]) {
         distances[ny][nx] = newDist;
-        queue.push({ x: nx, y: ny });
+        queue.push(nx, ny);
       }
     }
-    
-    // Step 3: Process diagonal directions with strict validation
-    for (const [dx, dy, baseCost] of diagonalDirs) {
-      const nx = current.x + dx;
-      const ny = current.y + dy;
-      
-      // Bounds check
-      if (ny < 0 || ny >= gridH || nx < 0 || nx >= gridW) continue;
-      
-      // Only process walkable tiles (value = 1)
-      if (grid[ny][nx] !== 1) continue; // Walls have infinite cost (already set)
-      
-      // Step 3: Minimal diagonal validation - only prevent obvious corner clipping
-      // For narrow passages and doorways, allow most diagonal movement
-      const card1X = current.x + dx; // One cardinal component
-      const card1Y = current.y;
-      const card2X = current.x;
-      const card2Y = current.y + dy; // Other cardinal component
+  }
 
-      // Only block diagonal movement if it would clearly clip through a corner
-      // Check if the target diagonal tile itself is walkable (basic safety check)
-      const diagonalTileWalkable = grid[ny][nx] === 1;
+  const done = job.head >= queue.length;
+  // The queue only grows while running; drop it once finished
+  if (done) job.queue.length = 0;
+  return done;
+}
 
-      // Allow diagonal movement unless the target tile is a wall
-      // This is much more permissive for doorways and narrow passages
-      if (!diagonalTileWalkable) {
-        continue; // Skip this diagonal move - target tile is not walkable
-      }
-      
-      // Step 1: Apply wall influence cost penalty
-      const tileWeight = wallInfluence[ny][nx];
-      const moveCost = baseCost * tileWeight;
-      
-      // Update distance if we found a shorter path
-      const newDist = currentDist + moveCost;
-      if (newDist < distances[ny][nx]) {
-        distances[ny][nx] = newDist;
-        queue.push({ x: nx, y: ny });
-      }
-    }
-  }
-  
-  
+/**
+ * Flow field data of a finished job, in the shape getFlowDirection reads
+ * @param {Object} job - Completed job
+ * @returns {{distances: Array<Array<number>>, gridSize: number, gridW: number, gridH: number}}
+ */
+export function flowFieldFromJob(job) {
   return {
-    distances,
-    gridSize,
-    gridW,
-    gridH
+    distances: job.distances,
+    gridSize: job.gridSize,
+    gridW: job.gridW,
+    gridH: job.gridH
   };
 }
 
+/**
+ * Generate Flow Field using BFS/Dijkstra in one go
+ * Creates a distance map from target position to all walkable tiles
+ * @param {number} targetX - Target X coordinate in world space
+ * @param {number} targetY - Target Y coordinate in world space
+ * @param {Array<Array<number>>} grid - 2D grid array (1 = walkable, 0 = wall)
+ * @param {number} gridSize - Size of each grid cell in world units (default 10)
+ * @param {Array<Array<number>>|null} wallCosts - Precomputed buildWallCosts result (default: built from grid)
+ * @returns {{distances: Array<Array<number>>, gridSize: number, gridW: number, gridH: number}|null} Flow field data or null if invalid
+ */
+export function generateFlowField(targetX, targetY, grid, gridSize = 10, wallCosts = null) {
+  assertGrid(grid);
+  const job = createFlowFieldJob(
+    Math.floor(targetX / gridSize),
+    Math.floor(targetY / gridSize),
+    grid,
+    gridSize,
+    wallCosts || buildWallCosts(grid)
+  );
+  if (!job) return null;
+  stepFlowFieldJob(job);
+  return flowFieldFromJob(job);
+}
+
 /**
  * Get flow direction vector for a given world position
  * Uses bilinear interpolation with gradient vector calculation for smooth sub-tile steering
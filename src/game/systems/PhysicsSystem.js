@@ -151,6 +151,46 @@ export function updateJumpPhysics(s, dt, keysRef, jumpKeyJustPressedRef) {
   }
 }
 
+/**
+ * Start a jump from the Space key (diagonal in the held movement direction)
+ * Applied at the start of a frame so live play and replays jump identically
+ * @param {Object} s - Game state
+ * @param {Set} keys - Held keys
+ * @param {boolean} isoMode - Transform the jump direction for isometric input
+ * @returns {boolean} True if the jump started (player was on the ground)
+ */
+export function startJump(s, keys, isoMode) {
+  const p = s.player;
+  if (p.z !== 0) return false;
+
+  // Set vertical jump velocity
+  const baseJumpV = 160.0 * (p.jumpHeight || 1.0);
+  p.jumpV = baseJumpV;
+  p.jumpT = 1.0;
+
+  // Capture current movement direction for diagonal jump
+  let mx = (keys.has("ArrowRight") || keys.has("d") ? 1 : 0) - (keys.has("ArrowLeft") || keys.has("a") ? 1 : 0);
+  let my = (keys.has("ArrowDown") || keys.has("s") ? 1 : 0) - (keys.has("ArrowUp") || keys.has("w") ? 1 : 0);
+
+  // Transform input directions for isometric mode
+  let dirX, dirY;
+  if (isoMode && (mx !== 0 || my !== 0)) {
+    const transformed = transformInputForIsometric(mx, my);
+    dirX = transformed.x;
+    dirY = transformed.y;
+  } else {
+    const len = Math.hypot(mx, my) || 1;
+    dirX = len ? mx / len : (mx !== 0 ? mx : 0);
+    dirY = len ? my / len : (my !== 0 ? my : 0);
+  }
+
+  // Set horizontal jump velocity (diagonal jump)
+  const jumpSpeed = baseJumpV * 0.6; // Horizontal jump speed multiplier
+  p.jumpVx = dirX * jumpSpeed;
+  p.jumpVy = dirY * jumpSpeed;
+  return true;
+}
+
 /**
  * Update player buff timers
  */
@@ -3,6 +3,8 @@ import { ISO_MODE } from "../../data/constants.js";
 import { transformInputForIsometric } from "../../rendering/IsometricRenderer.js";
 import { clamp } from "../../utils/math.js";
 import { computeSpeed } from "../../utils/gameMath.js";
+import { getRng } from "../../utils/rng.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
 
 /**
  * Update player movement with knockback and collision
@@ -102,6 +104,7 @@ export function updatePlayerMovement(s, dt, keysRef) {
  * Update weapon cooldowns and handle orbiting blades
  */
 export function updateWeaponCooldowns(s, dt, pushCombatTextFn) {
+  const rng = getRng(s, "combat");
   const p = s.player;
   const haste = p.buffHasteT > 0 ? p.buffHasteMult : 1;
   
@@ -147,7 +150,7 @@ export function updateWeaponCooldowns(s, dt, pushCombatTextFn) {
         if (isNaN(dmgWithBonuses) || dmgWithBonuses <= 0) {
           continue; // Skip this weapon if damage is invalid
         }
-        const crit = Math.random() < clamp(p.critChance || 0, 0, 0.8);
+        const crit = rng() < clamp(p.critChance || 0, 0, 0.8);
         const dmg = crit ? dmgWithBonuses * 1.6 : dmgWithBonuses;
         if (isNaN(dmg) || dmg <= 0) continue;
         
@@ -173,17 +176,16 @@ export function updateWeaponCooldowns(s, dt, pushCombatTextFn) {
                 e[enemyKey] = 1.5; // 1.5s cooldown per enemy - prevents multiple hits per rotation
                 
                 let finalDmg = dmg;
-                if (p.bigBonkChance > 0 && Math.random() < p.bigBonkChance) {
+                if (p.bigBonkChance > 0 && rng() < p.bigBonkChance) {
                   finalDmg = dmg * (p.bigBonkMult || 1);
                 }
-                
-                e.hp -= finalDmg;
+                finalDmg = damageEnemy(s, e, finalDmg);
                 e.hitT = 0.12;
                 const dealt = Math.max(1, Math.round(finalDmg));
                 pushCombatTextFn(s, e.x, e.y - 14, String(dealt), crit ? "#ffd44a" : "#ffffff", { size: crit ? 14 : 12, life: 0.75, crit });
                 
                 // Apply effects
-                if (p.poisonChance > 0 && Math.random() < p.poisonChance) {
+                if (p.poisonChance > 0 && rng() < p.poisonChance) {
                   e.poisonT = Math.max(e.poisonT, 2.4);
                   e.poisonDps = Math.max(e.poisonDps, Math.max(3, finalDmg * 0.3));
                 }
@@ -191,9 +193,9 @@ export function updateWeaponCooldowns(s, dt, pushCombatTextFn) {
                   const healAmount = finalDmg * p.lifesteal;
                   p.hp = Math.min(p.maxHp, p.hp + healAmount);
                 }
-                if (p.iceCrystalFreezeChance && Math.random() < p.iceCrystalFreezeChance) {
+                if (p.iceCrystalFreezeChance && rng() < p.iceCrystalFreezeChance) {
                   e.freezeT = Math.max(e.freezeT, p.iceCrystalFreezeDuration || 1.2);
-                } else if (p.freezeChance > 0 && Math.random() < p.freezeChance) {
+                } else if (p.freezeChance > 0 && rng() < p.freezeChance) {
                   e.freezeT = Math.max(e.freezeT, 1.05);
                 }
               } else {
@@ -0,0 +1,221 @@
+/**
+ * Spatial Hash
+ *
+ * Uniform grid index for "what's near this point" queries. Entities are
+ * bucketed by their centre once per tick; queries then only look at the cells
+ * around the point instead of every entity on the floor.
+ *
+ * The index is a broad phase: it returns candidates and callers still test
+ * distances against live positions. Entities get nudged after the grid is
+ * built (knockback, overlap resolution), so queries look SLACK further out
+ * than asked. Candidates always come back in the order they were inserted,
+ * so swapping a linear scan for a query keeps hit order (and RNG draw
+ * order) the same.
+ */
+
+import { dist2 } from "../../utils/math.js";
+
+export const SPATIAL_CELL_SIZE = 64;
+
+// How far an entity may drift from where it was indexed and still be found
+export const SPATIAL_SLACK = 48;
+
+// Cell coordinates are packed into one number key; offset keeps them positive
+const KEY_OFFSET = 32768;
+const KEY_STRIDE = 65536;
+
+/**
+ * Create an empty spatial hash
+ * @param {number} cellSize - Cell edge in world units (default SPATIAL_CELL_SIZE)
+ * @param {number} slack - Extra query reach for entities moved since indexing (default SPATIAL_SLACK)
+ * @returns {Object} Hash { cellSize, clear, insert, build, queryRadius, queryNearest, size }
+ */
+export function createSpatialHash(cellSize = SPATIAL_CELL_SIZE, slack = SPATIAL_SLACK) {
+  const cells = new Map();
+  let items = [];
+  let maxR = 0;
+  let minCx = Infinity;
+  let minCy = Infinity;
+  let maxCx = -Infinity;
+  let maxCy = -Infinity;
+
+  const cellOf = (v) => Math.floor(v / cellSize);
+  const keyOf = (cx, cy) => (cx + KEY_OFFSET) * KEY_STRIDE + (cy + KEY_OFFSET);
+
+  function clear() {
+    cells.clear();
+    items = [];
+    maxR = 0;
+    minCx = minCy = Infinity;
+    maxCx = maxCy = -Infinity;
+  }
+
+  /**
+   * Add one entity (anything with x, y and optionally r)
+   * @param {Object} item - Entity
+   */
+  function insert(item) {
+    const cx = cellOf(item.x);
+    const cy = cellOf(item.y);
+    const key = keyOf(cx, cy);
+    let bucket = cells.get(key);
+    if (!bucket) cells.set(key, (bucket = []));
+    bucket.push(items.length);
+    items.push(item);
+    if (item.r > maxR) maxR = item.r;
+    if (cx < minCx) minCx = cx;
+    if (cy < minCy) minCy = cy;
+    if (cx > maxCx) maxCx = cx;
+    if (cy > maxCy) maxCy = cy;
+  }
+
+  /**
+   * Replace the contents with a list (call once per tick)
+   * @param {Array} list - Entities in their canonical order
+   */
+  function build(list) {
+    clear();
+    for (const item of list) insert(item);
+  }
+
+  /**
+   * Entities that may lie within r of a point, edges included (entity radius is accounted for)
+   * @param {number} x - Query X
+   * @param {number} y - Query Y
+   * @param {number} r - Query radius
+   * @param {number} fromIndex - Skip entities inserted before this index (for visiting each pair once)
+   * @returns {Array} Candidates in insertion order
+   */
+  function queryRadius(x, y, r, fromIndex = 0) {
+    if (items.length === 0) return [];
+    const reach = r + maxR + slack;
+    const x0 = Math.max(cellOf(x - reach), minCx);
+    const x1 = Math.min(cellOf(x + reach), maxCx);
+    const y0 = Math.max(cellOf(y - reach), minCy);
+    const y1 = Math.min(cellOf(y + reach), maxCy);
+
+    const found = [];
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const bucket = cells.get(keyOf(cx, cy));
+        if (!bucket) continue;
+        for (const i of bucket) if (i >= fromIndex) found.push(i);
+      }
+    }
+    found.sort((a, b) => a - b);
+    return found.map((i) => items[i]);
+  }
+
+  /**
+   * Nearest entity centre to a point, searching outward ring by ring
+   * Ties go to the earlier entity, like a linear scan with a strict < comparison
+   * @param {number} x - Query X
+   * @param {number} y - Query Y
+   * @param {Object} opts - Options { filter, maxDist }
+   * @param {Function} opts.filter - (item) => boolean, skip items that fail
+   * @param {number} opts.maxDist - Ignore items at or beyond this distance (default Infinity)
+   * @returns {Object|null} Nearest entity or null
+   */
+  function queryNearest(x, y, { filter = null, maxDist = Infinity } = {}) {
+    if (items.length === 0) return null;
+    const qx = cellOf(x);
+    const qy = cellOf(y);
+    const maxRing = Math.max(qx - minCx, maxCx - qx, qy - minCy, maxCy - qy);
+    let best = -1;
+    let bestD2 = maxDist === Infinity ? Infinity : maxDist * maxDist;
+
+    const visit = (cx, cy) => {
+      if (cx < minCx || cx > maxCx || cy < minCy || cy > maxCy) return;
+      const bucket = cells.get(keyOf(cx, cy));
+      if (!bucket) return;
+      for (const i of bucket) {
+        const item = items[i];
+        if (filter && !filter(item)) continue;
+        const d2 = dist2(x, y, item.x, item.y);
+        if (d2 < bestD2 || (d2 === bestD2 && best !== -1 && i < best)) {
+          bestD2 = d2;
+          best = i;
+        }
+      }
+    };
+
+    for (let ring = 0; ring <= maxRing; ring++) {
+      // Everything outside this ring is at least ring * cellSize away from where it was indexed
+      const nearestOutside = ring * cellSize - slack;
+      if (nearestOutside > 0 && nearestOutside * nearestOutside > bestD2) break;
+      if (ring === 0) {
+        visit(qx, qy);
+        continue;
+      }
+      for (let cx = qx - ring; cx <= qx + ring; cx++) {
+        visit(cx, qy - ring);
+        visit(cx, qy + ring);
+      }
+      for (let cy = qy - ring + 1; cy <= qy + ring - 1; cy++) {
+        visit(qx - ring, cy);
+        visit(qx + ring, cy);
+      }
+    }
+    return best === -1 ? null : items[best];
+  }
+
+  return {
+    cellSize,
+    clear,
+    insert,
+    build,
+    queryRadius,
+    queryNearest,
+    size: () => items.length,
+  };
+}
+
+/**
+ * Rebuild the enemy index on the run state (s.spatial.enemies)
+ * Called whenever the enemy list or positions changed a lot: before input, after spawning, after AI
+ * @param {Object} s - Game state
+ * @returns {Object} The enemy hash
+ */
+export function indexEnemies(s) {
+  if (!s.spatial) s.spatial = {};
+  if (!s.spatial.enemies) s.spatial.enemies = createSpatialHash();
+  s.spatial.enemies.build(s.enemies);
+  return s.spatial.enemies;
+}
+
+/**
+ * Enemies that may be within r of a point
+ * States without an index (unit tests, tools) get the whole list, so callers must still check distance
+ * @param {Object} s - Game state
+ * @param {number} x - Query X
+ * @param {number} y - Query Y
+ * @param {number} r - Query radius
+ * @returns {Array} Candidate enemies in list order
+ */
+export function enemiesNear(s, x, y, r) {
+  return s.spatial?.enemies ? s.spatial.enemies.queryRadius(x, y, r) : s.enemies;
+}
+
+/**
+ * Nearest enemy to a point (same result as scanning s.enemies with a strict < comparison)
+ * @param {Object} s - Game state
+ * @param {number} x - Query X
+ * @param {number} y - Query Y
+ * @param {Object} opts - Options { filter, maxDist }
+ * @returns {Object|null} Enemy or null
+ */
+export function findNearestEnemy(s, x, y, opts = {}) {
+  if (s.spatial?.enemies) return s.spatial.enemies.queryNearest(x, y, opts);
+  const { filter = null, maxDist = Infinity } = opts;
+  let best = null;
+  let bestD2 = maxDist === Infinity ? Infinity : maxDist * maxDist;
+  for (const e of s.enemies) {
+    if (filter && !filter(e)) continue;
+    const d2 = dist2(x, y, e.x, e.y);
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      best = e;
+    }
+  }
+  return best;
+}
@@ -1,9 +1,13 @@
 import { pushCombatText as pushCombatTextFn } from "../effects/CombatText.js";
+import { getRng } from "../../utils/rng.js";
+import { updateEliteAffixes } from "../enemies/EliteAffixes.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
 
 /**
- * Update status effects on enemies (poison, burn, slow, elite abilities)
+ * Update status effects on enemies (poison, burn, slow, elite affixes)
  */
 export function updateEnemyStatusEffects(s, dt, pushCombatTextFn) {
+  const rng = getRng(s, "combat");
   for (const e of s.enemies) {
     // Update hit flash and contact cooldown
     if (e.hitT > 0) e.hitT = Math.max(0, e.hitT - dt);
@@ -13,8 +17,7 @@ export function updateEnemyStatusEffects(s, dt, pushCombatTextFn) {
     if (e.poisonT > 0) {
       e.poisonT = Math.max(0, e.poisonT - dt);
       if (e.poisonDps > 0) {
-        const dmg = e.poisonDps * dt;
-        e.hp -= dmg;
+        const dmg = damageEnemy(s, e, e.poisonDps * dt, { effect: "poison" });
         e.hitT = Math.max(e.hitT, 0.03);
         // Combat text for poison DoT (every 0.5 seconds)
         if (!e._lastPoisonText || e._lastPoisonText <= 0) {
@@ -30,12 +33,7 @@ export function updateEnemyStatusEffects(s, dt, pushCombatTextFn) {
     if (e.burnT > 0) {
       e.burnT = Math.max(0, e.burnT - dt);
       if (e.burnDps > 0) {
-        let dmg = e.burnDps * dt;
-        // Elite armor reduces DoT damage too
-        if (e.isElite && e.eliteArmor > 0) {
-          dmg *= (1 - e.eliteArmor);
-        }
-        e.hp -= dmg;
+        const dmg = damageEnemy(s, e, e.burnDps * dt, { effect: "burn" });
         e.hitT = Math.max(e.hitT, 0.03);
         // Combat text for burn DoT (every 0.5 seconds)
         if (!e._lastBurnText || e._lastBurnText <= 0) {
@@ -57,31 +55,8 @@ export function updateEnemyStatusEffects(s, dt, pushCombatTextFn) {
       e.freezeT = Math.max(0, e.freezeT - dt);
     }
     
-    // Elite regeneration (if elite has regen ability)
-    if (e.isElite && e.eliteAbility === "regen") {
-      if (!e.eliteRegenT) e.eliteRegenT = 0;
-      e.eliteRegenT += dt;
-      if (e.eliteRegenT >= 1.0) { // Regen every 1 second
-        const regenAmount = e.maxHp * 0.02; // 2% max HP per second
-        e.hp = Math.min(e.maxHp, e.hp + regenAmount);
-        e.eliteRegenT = 0;
-      }
-    }
-    
-    // Elite teleport (if elite has teleport ability)
-    if (e.isElite && e.eliteAbility === "teleport") {
-      if (!e.eliteTeleportT) e.eliteTeleportT = 0;
-      e.eliteTeleportT += dt;
-      if (e.eliteTeleportT >= 5.0) { // Teleport every 5 seconds
-        // Teleport to a random position near the player
-        const p = s.player;
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 100 + Math.random() * 100;
-        e.x = p.x + Math.cos(angle) * distance;
-        e.y = p.y + Math.sin(angle) * distance;
-        e.eliteTeleportT = 0;
-      }
-    }
+    // Elite affixes (regeneration, teleport, ...)
+    if (e.isElite) updateEliteAffixes(s, e, dt, rng);
     
     // Update phase animation
     e.phase += dt * (e.tier === "runner" ? 8 : 3);
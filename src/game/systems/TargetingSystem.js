@@ -5,6 +5,7 @@
  */
 
 import { dist2 } from "../../utils/math.js";
+import { findNearestEnemy } from "./SpatialHash.js";
 
 /**
  * Acquire nearest target (enemy or boss)
@@ -22,13 +23,10 @@ export function acquireTarget(s, fromX, fromY) {
     bestD2 = dist2(fromX, fromY, s.boss.x, s.boss.y);
   }
 
-  for (const e of s.enemies) {
-    if (e.hp <= 0) continue;
-    const d2v = dist2(fromX, fromY, e.x, e.y);
-    if (d2v < bestD2) {
-      bestD2 = d2v;
-      best = { x: e.x, y: e.y, kind: "enemy" };
-    }
+  // An enemy only wins if strictly closer than the boss
+  const e = findNearestEnemy(s, fromX, fromY, { filter: (en) => en.hp > 0, maxDist: Math.sqrt(bestD2) });
+  if (e) {
+    best = { x: e.x, y: e.y, kind: "enemy" };
   }
 
   return best;
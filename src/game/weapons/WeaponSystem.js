@@ -1,12 +1,17 @@
 /**
  * Weapon System
  * 
- * Handles weapon firing logic for all weapon types.
+ * Handles weapon firing logic for all weapon types. Weapon modes registered by
+ * content packs (fireModes) are handed to their pack's handler.
  */
 
 import { clamp, lerp, rand, dist2 } from "../../utils/math.js";
 import { hasLineOfSight } from "../world/WalkabilitySystem.js";
 import { addParticle, addExplosion } from "../effects/VisualEffects.js";
+import { getRng } from "../../utils/rng.js";
+import { spawnEntity } from "../systems/EntityPool.js";
+import { damageEnemy } from "../enemies/EnemyDamage.js";
+import { getFireMode } from "../../data/contentRegistry.js";
 
 /**
  * Fire all equipped weapons
@@ -18,6 +23,7 @@ import { addParticle, addExplosion } from "../effects/VisualEffects.js";
  * @param {Function} sfxShootFn - Shoot sound effect
  */
 export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn, bumpShakeFn, sfxShootFn) {
+  const rng = getRng(s, "combat");
   const p = s.player;
   if (!p.weapons || p.weapons.length === 0) return;
 
@@ -66,6 +72,22 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
         continue; // No line of sight, skip this weapon
       }
 
+      // Pack fire modes - the handler fires and may return its own cooldown
+      const packMode = getFireMode(weapon.weaponMode);
+      if (packMode) {
+        const cooldown = packMode(s, weapon, {
+          target: tgt,
+          angle: baseA,
+          rng,
+          shootBullet: shootBulletFn,
+          pushCombatText: pushCombatTextFn,
+          bumpShake: bumpShakeFn,
+          sfxShoot: sfxShootFn,
+        });
+        weapon.attackT = typeof cooldown === "number" ? cooldown : weapon.attackCooldown;
+        continue;
+      }
+
       // Flamewalker - spawn fire under player feet (independent of combat)
       if (weapon.id === "flamewalker" && weapon.weaponMode === "aura") {
         // Use a shared timer for all Flamewalkers to prevent simultaneous spawning
@@ -114,7 +136,7 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
             if (isNaN(dmgWithBonuses) || dmgWithBonuses <= 0) {
               continue; // Skip this weapon if damage is invalid
             }
-            const crit = Math.random() < clamp(p.critChance || 0, 0, 0.8);
+            const crit = rng() < clamp(p.critChance || 0, 0, 0.8);
             const dmg = crit ? dmgWithBonuses * 1.6 : dmgWithBonuses;
             if (isNaN(dmg) || dmg <= 0) continue;
             const fireRadius = Math.max(45, (weapon.weaponMeleeR || 50) * p.sizeMult);
@@ -181,7 +203,7 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
         console.warn("NaN damage detected in melee, using fallback");
         continue;
       }
-    const crit = Math.random() < clamp(p.critChance || 0, 0, 0.8);
+    const crit = rng() < clamp(p.critChance || 0, 0, 0.8);
     const dmg = crit ? dmgWithBonuses * 1.6 : dmgWithBonuses;
     if (isNaN(dmg) || dmg <= 0) continue;
 
@@ -194,7 +216,7 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
           const sliceAngle = Math.atan2(dy, dx);
           
           // Add slice visual effect in direction of this enemy
-          s.floaters.push({
+          spawnEntity(s, "floaters", {
             x: p.x,
             y: p.y,
             t: 0,
@@ -208,12 +230,11 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
           // Check for Big Bonk proc on melee
           let finalDmg = dmg;
           let isBigBonk = false;
-          if (p.bigBonkChance > 0 && Math.random() < p.bigBonkChance) {
+          if (p.bigBonkChance > 0 && rng() < p.bigBonkChance) {
             finalDmg = dmg * (p.bigBonkMult || 1);
             isBigBonk = true;
           }
-          
-          e.hp -= finalDmg;
+          finalDmg = damageEnemy(s, e, finalDmg, { melee: true });
         e.hitT = 0.12;
           const dealt = Math.max(1, Math.round(finalDmg));
           
@@ -244,14 +265,14 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
             e.y += (dy2 / dd) * knock * 0.15;
         }
 
-        if (p.poisonChance > 0 && Math.random() < p.poisonChance) {
+        if (p.poisonChance > 0 && rng() < p.poisonChance) {
           e.poisonT = Math.max(e.poisonT, 2.4);
           e.poisonDps = Math.max(e.poisonDps, Math.max(3, dmg * 0.3));
         }
           // Ice Crystal gives chance-based freeze, or regular freeze chance
-          if (p.iceCrystalFreezeChance && Math.random() < p.iceCrystalFreezeChance) {
+          if (p.iceCrystalFreezeChance && rng() < p.iceCrystalFreezeChance) {
             e.freezeT = Math.max(e.freezeT, p.iceCrystalFreezeDuration || 1.2);
-          } else if (p.freezeChance > 0 && Math.random() < p.freezeChance) {
+          } else if (p.freezeChance > 0 && rng() < p.freezeChance) {
           e.freezeT = Math.max(e.freezeT, 1.05);
         }
           
@@ -297,7 +318,7 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
       console.warn("NaN or invalid damage detected in ranged weapon, skipping");
       continue;
     }
-  const crit = Math.random() < clamp(p.critChance || 0, 0, 0.8);
+  const crit = rng() < clamp(p.critChance || 0, 0, 0.8);
   const dmg = crit ? dmgWithBonuses * 1.6 : dmgWithBonuses;
   if (isNaN(dmg) || dmg <= 0) continue;
 
@@ -369,8 +390,8 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
       hasGlow = true;
     }
 
-    // Splash radius for splash, thrown, and explosive modes
-    const splashR = (weapon.weaponMode === "splash" || weapon.weaponMode === "thrown" || weapon.weaponMode === "explosive") 
+    // Splash radius for splash, thrown, explosive and inferno modes
+    const splashR = (weapon.weaponMode === "splash" || weapon.weaponMode === "thrown" || weapon.weaponMode === "explosive" || weapon.weaponMode === "inferno") 
       ? Math.max(26, (weapon.weaponSplashR || weapon.weaponSplashR || 80) * p.sizeMult) 
       : 0;
 
@@ -384,7 +405,24 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
       weapon.attackT = weapon.attackCooldown;
     }
 
-  if (count === 1) {
+  if (weapon.weaponMode === "inferno") {
+      // Inferno (evolved Firestaff) - an even fan of fireballs across the full spread
+      for (let i = 0; i < count; i++) {
+        const t = count === 1 ? 0.5 : i / (count - 1);
+        shootBulletFn(s, p.x, p.y, baseA + lerp(-spread, spread, t), dmg, bulletSpeed, {
+          r: bulletSize * 1.2,
+          pierce: weapon.pierce,
+          color,
+          crit,
+          knock,
+          bounces: weapon.bounces,
+          effect: weapon.weaponEffect,
+          splashR,
+          soundVariant,
+          glow: true,
+        }, sfxShootFn);
+      }
+    } else if (count === 1) {
       // Single projectile - shoot straight forward
       shootBulletFn(s, p.x, p.y, baseA, dmg, bulletSpeed, {
         r: bulletSize * (isBoomerang ? 1.8 : 1), // Larger for bananarang visibility
@@ -434,7 +472,7 @@ export function fireWeapon(s, acquireTargetFn, shootBulletFn, pushCombatTextFn,
         // Even distribution across arc
         const t = (count - 1) === 1 ? 0.5 : (i - 1) / (count - 1);
         // Spread angle with minimal randomness
-        const spreadAngle = lerp(-arc, arc, t) + rand(-spread * 0.2, spread * 0.2);
+        const spreadAngle = lerp(-arc, arc, t) + rand(-spread * 0.2, spread * 0.2, rng);
         const a = baseA + spreadAngle;
         
         // Offset position perpendicular to the base angle to prevent overlap
@@ -0,0 +1,134 @@
+/**
+ * World Protocol
+ *
+ * Messages between the game and the world worker (level generation and flow
+ * fields). Requests are { id, type, payload } and replies { id, ok, result }
+ * or { id, ok: false, error }. Grids and distance maps travel as typed arrays
+ * so they can be transferred instead of copied; both sides convert back to the
+ * row arrays the rest of the game uses.
+ *
+ * handleWorldMessage is the whole worker: the service runs it in-process when
+ * there is no Worker (tests, headless runs), so both modes share one code path.
+ */
+
+import { generateProceduralLevel } from "../world/LevelGenerator.js";
+import { createFlowFieldJob, stepFlowFieldJob } from "../systems/PathfindingSystem.js";
+import { createRngStream } from "../../utils/rng.js";
+
+export const WORLD_MESSAGES = {
+  /** { w, h, floor, rngState } -> { levelData, rngState } */
+  GENERATE_LEVEL: "generateLevel",
+  /** { levelId, grid, wallCosts, gridSize } -> true - the level later flow fields are computed on */
+  SET_LEVEL: "setLevel",
+  /** { levelId, cellX, cellY } -> { distances, gridSize, gridW, gridH } | null */
+  FLOW_FIELD: "flowField",
+};
+
+/**
+ * Pack a row-array grid into a flat typed array
+ * @param {Array<Array<number>>} rows - Grid rows
+ * @param {Function} ArrayType - Typed array constructor (default Uint8Array)
+ * @returns {{data: TypedArray, w: number, h: number}}
+ */
+export function packGrid(rows, ArrayType = Uint8Array) {
+  const h = rows.length;
+  const w = h > 0 ? rows[0].length : 0;
+  const data = new ArrayType(w * h);
+  for (let y = 0; y < h; y++) {
+    const row = rows[y];
+    for (let x = 0; x < w; x++) data[y * w + x] = row[x];
+  }
+  return { data, w, h };
+}
+
+/**
+ * Unpack a grid from packGrid back into row arrays
+ * @param {{data: TypedArray, w: number, h: number}} packed - Packed grid
+ * @returns {Array<Array<number>>} Grid rows
+ */
+export function unpackGrid({ data, w, h }) {
+  const rows = [];
+  for (let y = 0; y < h; y++) rows[y] = Array.from(data.subarray(y * w, (y + 1) * w));
+  return rows;
+}
+
+/**
+ * Create the worker-side state (the current level for flow fields)
+ * @returns {Object} State
+ */
+export function createWorldState() {
+  return { levelId: null, grid: null, wallCosts: null, gridSize: 10 };
+}
+
+function generateLevel(state, { w, h, floor, rngState }) {
+  const rng = createRngStream(0);
+  rng.setState(rngState);
+  const level = generateProceduralLevel(w, h, floor, rng);
+
+  const grid = packGrid(level.pathfindingGrid);
+  const influence = level.pathfindingWallInfluence ? packGrid(level.pathfindingWallInfluence, Float64Array) : null;
+  const levelData = { ...level, pathfindingGrid: grid, pathfindingWallInfluence: influence };
+  const transfer = influence ? [grid.data.buffer, influence.data.buffer] : [grid.data.buffer];
+  return { result: { levelData, rngState: rng.getState() }, transfer };
+}
+
+function setLevel(state, { levelId, grid, wallCosts, gridSize }) {
+  state.levelId = levelId;
+  state.grid = unpackGrid(grid);
+  state.wallCosts = unpackGrid(wallCosts);
+  state.gridSize = gridSize;
+  return { result: true, transfer: [] };
+}
+
+function flowField(state, { levelId, cellX, cellY }) {
+  if (state.levelId !== levelId) throw new Error(`Flow field requested for unknown level ${levelId}`);
+  const job = createFlowFieldJob(cellX, cellY, state.grid, state.gridSize, state.wallCosts);
+  if (!job) return { result: null, transfer: [] };
+  stepFlowFieldJob(job);
+  const { data } = packGrid(job.distances, Float64Array);
+  return { result: { distances: data, gridSize: job.gridSize, gridW: job.gridW, gridH: job.gridH }, transfer: [data.buffer] };
+}
+
+const HANDLERS = {
+  [WORLD_MESSAGES.GENERATE_LEVEL]: generateLevel,
+  [WORLD_MESSAGES.SET_LEVEL]: setLevel,
+  [WORLD_MESSAGES.FLOW_FIELD]: flowField,
+};
+
+/**
+ * Handle one request
+ * @param {Object} state - From createWorldState
+ * @param {string} type - One of WORLD_MESSAGES
+ * @param {Object} payload - Request data
+ * @returns {{result: any, transfer: Array<ArrayBuffer>}} Reply and the buffers to transfer with it
+ * @throws {Error} On unknown message types and failed requests
+ */
+export function handleWorldMessage(state, type, payload) {
+  const handler = HANDLERS[type];
+  if (!handler) throw new Error(`Unknown world message: ${type}`);
+  return handler(state, payload);
+}
+
+/**
+ * Level data from a GENERATE_LEVEL reply, with its grids back as row arrays
+ * @param {Object} levelData - Reply levelData
+ * @returns {Object} Level data as generateProceduralLevel returns it
+ */
+export function decodeLevelData(levelData) {
+  return {
+    ...levelData,
+    pathfindingGrid: unpackGrid(levelData.pathfindingGrid),
+    pathfindingWallInfluence: levelData.pathfindingWallInfluence ? unpackGrid(levelData.pathfindingWallInfluence) : null,
+  };
+}
+
+/**
+ * Flow field data from a FLOW_FIELD reply, in the shape getFlowDirection reads
+ * @param {Object|null} field - Reply
+ * @returns {Object|null} { distances, gridSize, gridW, gridH }
+ */
+export function decodeFlowField(field) {
+  if (!field) return null;
+  const { distances, gridSize, gridW, gridH } = field;
+  return { distances: unpackGrid({ data: distances, w: gridW, h: gridH }), gridSize, gridW, gridH };
+}
@@ -0,0 +1,143 @@
+/**
+ * World Service
+ *
+ * Promise API over the world worker: level generation and flow fields off the
+ * main thread. Without a Worker (tests, headless runs, old browsers) every
+ * request is handled in-process and settles right away, and the *Now methods
+ * give the same results synchronously. After terminate() it carries on
+ * in-process.
+ *
+ * Results are pure functions of their inputs, so the simulation gets the same
+ * level and fields whichever mode produced them - callers decide when to use
+ * a result, never the worker's timing.
+ */
+
+import {
+  WORLD_MESSAGES,
+  createWorldState,
+  handleWorldMessage,
+  packGrid,
+  decodeLevelData,
+  decodeFlowField,
+} from "./WorldProtocol.js";
+
+/**
+ * Create the world service
+ * @param {Worker|null} worker - A worker running worldWorker.js (default null: in-process)
+ * @returns {Object} Service { isAsync, generateLevel, generateLevelNow, computeFlowField, terminate }
+ */
+export function createWorldService(worker = null) {
+  const localState = createWorldState();
+  const waiting = new Map();
+  let nextId = 1;
+
+  // Flow fields are computed on the last level sent to the worker
+  const levelIds = new WeakMap();
+  let nextLevelId = 1;
+  let currentLevel = null;
+
+  if (worker) {
+    worker.onmessage = (event) => {
+      const { id, ok, result, error } = event.data;
+      const pending = waiting.get(id);
+      if (!pending) return;
+      waiting.delete(id);
+      if (ok) pending.resolve(result);
+      else pending.reject(new Error(error));
+    };
+    worker.onerror = (event) => {
+      const error = new Error(event?.message || "World worker failed");
+      for (const pending of waiting.values()) pending.reject(error);
+      waiting.clear();
+    };
+  }
+
+  function request(type, payload, transfer = []) {
+    if (!worker) {
+      try {
+        return Promise.resolve(handleWorldMessage(localState, type, payload).result);
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    return new Promise((resolve, reject) => {
+      const id = nextId++;
+      waiting.set(id, { resolve, reject });
+      worker.postMessage({ id, type, payload }, transfer);
+    });
+  }
+
+  function sendLevel(levelData, wallCosts) {
+    let levelId = levelIds.get(levelData);
+    if (!levelId) {
+      levelId = nextLevelId++;
+      levelIds.set(levelData, levelId);
+    }
+    if (currentLevel !== levelId) {
+      currentLevel = levelId;
+      const grid = packGrid(levelData.pathfindingGrid);
+      const costs = packGrid(wallCosts, Float64Array);
+      request(WORLD_MESSAGES.SET_LEVEL, {
+        levelId,
+        grid,
+        wallCosts: costs,
+        gridSize: levelData.pathfindingGridSize || 10,
+      }, [grid.data.buffer, costs.data.buffer]).catch(() => {
+        // Send it again with the next request
+        currentLevel = null;
+      });
+    }
+    return levelId;
+  }
+
+  return {
+    // A terminated service keeps working in-process
+    get isAsync() {
+      return !!worker;
+    },
+
+    /**
+     * Generate a floor
+     * @param {number} w - Arena width
+     * @param {number} h - Arena height
+     * @param {number} floor - Floor number
+     * @param {number} rngState - Level-gen stream state to generate from (s.rng.levelgen.getState())
+     * @returns {Promise<{levelData: Object, rngState: number}>} Level and the stream state after it
+     */
+    generateLevel(w, h, floor, rngState) {
+      return request(WORLD_MESSAGES.GENERATE_LEVEL, { w, h, floor, rngState }).then(({ levelData, rngState: next }) => ({
+        levelData: decodeLevelData(levelData),
+        rngState: next,
+      }));
+    },
+
+    /**
+     * generateLevel, in-process and synchronous (same result)
+     * @returns {{levelData: Object, rngState: number}}
+     */
+    generateLevelNow(w, h, floor, rngState) {
+      const { levelData, rngState: next } = handleWorldMessage(localState, WORLD_MESSAGES.GENERATE_LEVEL, { w, h, floor, rngState }).result;
+      return { levelData: decodeLevelData(levelData), rngState: next };
+    },
+
+    /**
+     * Flow field toward a grid cell of a level
+     * @param {Object} levelData - Level the field is for
+     * @param {Array<Array<number>>} wallCosts - The level's buildWallCosts result
+     * @param {number} cellX - Target grid X
+     * @param {number} cellY - Target grid Y
+     * @returns {Promise<Object|null>} Flow field data (as generateFlowField returns)
+     */
+    computeFlowField(levelData, wallCosts, cellX, cellY) {
+      const levelId = sendLevel(levelData, wallCosts);
+      return request(WORLD_MESSAGES.FLOW_FIELD, { levelId, cellX, cellY }).then(decodeFlowField);
+    },
+
+    terminate() {
+      if (worker) worker.terminate();
+      worker = null;
+      for (const pending of waiting.values()) pending.reject(new Error("World service terminated"));
+      waiting.clear();
+    },
+  };
+}
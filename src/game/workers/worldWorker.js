@@ -0,0 +1,20 @@
+/**
+ * World Worker
+ *
+ * Web Worker entry for level generation and flow fields (see WorldProtocol).
+ * Created by the component through createWorldService.
+ */
+
+import { createWorldState, handleWorldMessage } from "./WorldProtocol.js";
+
+const state = createWorldState();
+
+self.onmessage = (event) => {
+  const { id, type, payload } = event.data;
+  try {
+    const { result, transfer } = handleWorldMessage(state, type, payload);
+    self.postMessage({ id, ok: true, result }, transfer);
+  } catch (error) {
+    self.postMessage({ id, ok: false, error: error.message });
+  }
+};
@@ -43,8 +43,9 @@ export function getRoomFromNode(node) {
  * @param {number} minSplitSize - Minimum size to continue splitting
  * @param {number} depth - Current depth
  * @param {number} maxDepth - Maximum recursion depth
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  */
-export function splitBSPNode(node, minRoomSize, minSplitSize, depth = 0, maxDepth = 4) {
+export function splitBSPNode(node, minRoomSize, minSplitSize, depth = 0, maxDepth = 4, rng = Math.random) {
   // Limit recursion depth to maxDepth (default 4, resulting in 8-16 rooms)
   if (depth >= maxDepth) {
     return;
@@ -68,7 +69,7 @@ export function splitBSPNode(node, minRoomSize, minSplitSize, depth = 0, maxDept
     const maxSplit = node.width - effectiveMinSplit;
     if (maxSplit <= minSplit) return; // Can't split
 
-    const splitX = minSplit + Math.random() * (maxSplit - minSplit);
+    const splitX = minSplit + rng() * (maxSplit - minSplit);
     node.left = new BSPNode(node.x, node.y, splitX, node.height);
     node.right = new BSPNode(node.x + splitX, node.y, node.width - splitX, node.height);
   } else {
@@ -77,14 +78,14 @@ export function splitBSPNode(node, minRoomSize, minSplitSize, depth = 0, maxDept
     const maxSplit = node.height - effectiveMinSplit;
     if (maxSplit <= minSplit) return; // Can't split
 
-    const splitY = minSplit + Math.random() * (maxSplit - minSplit);
+    const splitY = minSplit + rng() * (maxSplit - minSplit);
     node.left = new BSPNode(node.x, node.y, node.width, splitY);
     node.right = new BSPNode(node.x, node.y + splitY, node.width, node.height - splitY);
   }
 
   // Recursively split children with increased depth
-  splitBSPNode(node.left, minRoomSize, minSplitSize, depth + 1, maxDepth);
-  splitBSPNode(node.right, minRoomSize, minSplitSize, depth + 1, maxDepth);
+  splitBSPNode(node.left, minRoomSize, minSplitSize, depth + 1, maxDepth, rng);
+  splitBSPNode(node.right, minRoomSize, minSplitSize, depth + 1, maxDepth, rng);
 }
 
 /**
@@ -92,8 +93,9 @@ export function splitBSPNode(node, minRoomSize, minSplitSize, depth = 0, maxDept
  * @param {BSPNode} node - BSP node
  * @param {number} minRoomSize - Minimum room size
  * @param {number} padding - Padding around rooms
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  */
-export function createRoomsInBSP(node, minRoomSize, padding) {
+export function createRoomsInBSP(node, minRoomSize, padding, rng = Math.random) {
   if (node.isLeaf()) {
     // Mandatory padding = 3 tiles (30px with gridSize=10) on all sides
     // This ensures rooms never touch partition edges and have thick walls between them
@@ -111,10 +113,10 @@ export function createRoomsInBSP(node, minRoomSize, padding) {
     // Create room in leaf node with mandatory padding enforced
     // Leave more margin from partition edges: x+1, y+1, width-2, height-2
     // Make rooms smaller to ensure thick walls between adjacent partitions
-    const roomW = Math.max(minRoomSize, availableW * (0.6 + Math.random() * 0.15)); // 60-75% of available
-    const roomH = Math.max(minRoomSize, availableH * (0.6 + Math.random() * 0.15));
-    const roomX = node.x + mandatoryPadding + Math.random() * Math.max(0, availableW - roomW);
-    const roomY = node.y + mandatoryPadding + Math.random() * Math.max(0, availableH - roomH);
+    const roomW = Math.max(minRoomSize, availableW * (0.6 + rng() * 0.15)); // 60-75% of available
+    const roomH = Math.max(minRoomSize, availableH * (0.6 + rng() * 0.15));
+    const roomX = node.x + mandatoryPadding + rng() * Math.max(0, availableW - roomW);
+    const roomY = node.y + mandatoryPadding + rng() * Math.max(0, availableH - roomH);
 
     node.room = {
       x: Math.max(node.x + mandatoryPadding, Math.min(roomX, node.x + node.width - roomW - mandatoryPadding)),
@@ -123,8 +125,8 @@ export function createRoomsInBSP(node, minRoomSize, padding) {
       h: Math.min(roomH, availableH)
     };
   } else {
-    createRoomsInBSP(node.left, minRoomSize, padding);
-    createRoomsInBSP(node.right, minRoomSize, padding);
+    createRoomsInBSP(node.left, minRoomSize, padding, rng);
+    createRoomsInBSP(node.right, minRoomSize, padding, rng);
   }
 }
 
@@ -132,16 +134,17 @@ export function createRoomsInBSP(node, minRoomSize, padding) {
  * Create L-shaped corridors connecting sibling rooms
  * Recursively connects siblings from leaves all the way up to root to ensure no isolated rooms
  * @param {BSPNode} node - BSP node
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  */
-export function createCorridorsInBSP(node) {
+export function createCorridorsInBSP(node, rng = Math.random) {
   if (node.isLeaf()) {
     return; // Leaf nodes have no siblings to connect
   }
   
   // Recursively create corridors in children FIRST (bottom-up approach)
   // This ensures all child connections are made before parent connections
-  createCorridorsInBSP(node.left);
-  createCorridorsInBSP(node.right);
+  createCorridorsInBSP(node.left, rng);
+  createCorridorsInBSP(node.right, rng);
   
   // Get rooms from left and right subtrees
   const leftRoom = getRoomFromNode(node.left);
@@ -165,7 +168,7 @@ export function createCorridorsInBSP(node) {
   // Create L-shaped corridor: horizontal then vertical, or vertical then horizontal
   let corridor1, corridor2;
   
-  if (Math.random() < 0.5) {
+  if (rng() < 0.5) {
     // Horizontal first, then vertical
     const midX = (leftCenterX + rightCenterX) / 2;
     // Horizontal segment: from left room center to midX, extending into both rooms
@@ -878,8 +881,9 @@ function connectIsolatedAreas(grid, isolatedAreas, reachable, gridW, gridH) {
       areaCenterX += x;
       areaCenterY += y;
     }
-    areaCenterX /= area.length;
-    areaCenterY /= area.length;
+    // Round to a grid cell - Bresenham below never terminates on fractional coordinates
+    areaCenterX = Math.round(areaCenterX / area.length);
+    areaCenterY = Math.round(areaCenterY / area.length);
 
     // Find the nearest reachable point
     let nearestReachableX = -1, nearestReachableY = -1;
@@ -1011,22 +1015,23 @@ function cleanJunctions(grid, rooms, corridors, gridW, gridH, gridSize) {
  * @param {number} height - Dungeon height
  * @param {number} minRoomSize - Minimum room size
  * @param {number} maxDepth - Maximum recursion depth (default 4)
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  * @returns {{grid: Array<Array<number>>, wallInfluence: Array<Array<number>>|null, rooms: Array, corridors: Array, bspTree: BSPNode}} Dungeon data
  */
-export function generateBSPDungeon(width, height, minRoomSize, maxDepth = 4) {
+export function generateBSPDungeon(width, height, minRoomSize, maxDepth = 4, rng = Math.random) {
   // Create root node
   const root = new BSPNode(0, 0, width, height);
   
   // Split recursively with depth limit (maxDepth = 4 results in 8-16 rooms)
   const minSplitSize = minRoomSize * 1.5; // Minimum size to continue splitting
-  splitBSPNode(root, minRoomSize, minSplitSize, 0, maxDepth);
+  splitBSPNode(root, minRoomSize, minSplitSize, 0, maxDepth, rng);
   
   // Create rooms in leaf nodes with mandatory padding = 3 tiles (30px)
   const padding = 30; // 3 tiles * 10px gridSize = 30px mandatory padding for thick walls
-  createRoomsInBSP(root, minRoomSize, padding);
+  createRoomsInBSP(root, minRoomSize, padding, rng);
   
   // Create corridors (recursively connects siblings from leaves to root)
-  createCorridorsInBSP(root);
+  createCorridorsInBSP(root, rng);
   
   // Collect rooms and corridors
   const rooms = [];
@@ -1224,7 +1229,7 @@ export function generateBSPDungeon(width, height, minRoomSize, maxDepth = 4) {
         const targetCenterY = nearestTargetRoom.y + nearestTargetRoom.h / 2;
         
         let extraCorridor1, extraCorridor2;
-        if (Math.random() < 0.5) {
+        if (rng() < 0.5) {
           const midX = (sourceCenterX + targetCenterX) / 2;
           extraCorridor1 = {
             x: Math.min(sourceCenterX - extendIntoRoom, midX - corridorW / 2),
@@ -1263,7 +1268,7 @@ export function generateBSPDungeon(width, height, minRoomSize, maxDepth = 4) {
   
   // Add additional corridors to create multiple entrances per room
   // This improves flow and gives players multiple ways in/out of rooms
-  addMultipleEntrances(finalRooms, finalCorridors, width, height);
+  addMultipleEntrances(finalRooms, finalCorridors, width, height, rng);
   
   // Final filter: Remove any corridors that became too small after processing
   const minCorridorSizeFinal = 50;
@@ -1361,8 +1366,9 @@ function countRoomConnections(room, allRooms, corridors) {
  * @param {Array} corridors - Array of corridor objects (will be modified)
  * @param {number} width - Level width
  * @param {number} height - Level height
+ * @param {Function} rng - Random source returning [0, 1)
  */
-function addMultipleEntrances(rooms, corridors, width, height) {
+function addMultipleEntrances(rooms, corridors, width, height, rng) {
   if (rooms.length < 3) return; // Need at least 3 rooms for multiple entrances
   
   const corridorW = 50; // Same width as main corridors
@@ -1381,7 +1387,7 @@ function addMultipleEntrances(rooms, corridors, width, height) {
     const existingConnections = countRoomConnections(room, rooms, corridors);
     
     // Target: 2-3 total connections per room
-    const targetConnections = 2 + Math.floor(Math.random() * 2); // 2 or 3
+    const targetConnections = 2 + Math.floor(rng() * 2); // 2 or 3
     const neededConnections = Math.max(0, targetConnections - existingConnections);
     
     if (neededConnections === 0) continue; // Already has enough connections
@@ -1417,14 +1423,14 @@ function addMultipleEntrances(rooms, corridors, width, height) {
       if (addedConnections >= neededConnections) break;
       
       // 50% chance to add connection to this nearby room
-      if (Math.random() < 0.5) {
+      if (rng() < 0.5) {
         const otherRoom = nearby.room;
         const otherCenterX = otherRoom.x + otherRoom.w / 2;
         const otherCenterY = otherRoom.y + otherRoom.h / 2;
         
         // Create L-shaped corridor
         let extraCorridor1, extraCorridor2;
-        if (Math.random() < 0.5) {
+        if (rng() < 0.5) {
           // Horizontal first, then vertical
           const midX = (roomCenterX + otherCenterX) / 2;
           extraCorridor1 = {
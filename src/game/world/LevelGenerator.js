@@ -2,7 +2,7 @@
  * Level generator for procedural level creation
  */
 
-import { generateBSPDungeon } from './BSPDungeonGenerator.js';
+import { generateBSPDungeon, generateWallInfluenceMap } from './BSPDungeonGenerator.js';
 import { rand } from '../../utils/math.js';
 
 /**
@@ -147,8 +147,8 @@ function enforceGridRoomCorridorAlignment(grid, rooms, corridors, gridSize) {
 
   // Mark all room areas as walkable (1)
   for (const room of rooms) {
-    const startX = Math.floor(room.x / gridSize);
-    const startY = Math.floor(room.y / gridSize);
+    const startX = Math.max(0, Math.floor(room.x / gridSize));
+    const startY = Math.max(0, Math.floor(room.y / gridSize));
     const endX = Math.ceil((room.x + room.w) / gridSize);
     const endY = Math.ceil((room.y + room.h) / gridSize);
 
@@ -161,8 +161,8 @@ function enforceGridRoomCorridorAlignment(grid, rooms, corridors, gridSize) {
 
   // Mark all corridor areas as walkable (1)
   for (const corridor of corridors) {
-    const startX = Math.floor(corridor.x / gridSize);
-    const startY = Math.floor(corridor.y / gridSize);
+    const startX = Math.max(0, Math.floor(corridor.x / gridSize));
+    const startY = Math.max(0, Math.floor(corridor.y / gridSize));
     const endX = Math.ceil((corridor.x + corridor.w) / gridSize);
     const endY = Math.ceil((corridor.y + corridor.h) / gridSize);
 
@@ -181,9 +181,10 @@ function enforceGridRoomCorridorAlignment(grid, rooms, corridors, gridSize) {
  * @param {number} w - Level width (unused, calculated internally)
  * @param {number} h - Level height (unused, calculated internally)
  * @param {number} floor - Current floor number
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random) - pass s.rng.levelgen
  * @returns {object} Level data with rooms, corridors, grid, and decorations
  */
-export function generateProceduralLevel(w, h, floor) {
+export function generateProceduralLevel(w, h, floor, rng = Math.random) {
   // Use BSP algorithm for better structured dungeon generation
   // Larger maps for slower-paced gameplay: ~140 tiles
   const gridSize = 10; // Grid cell size
@@ -202,7 +203,7 @@ export function generateProceduralLevel(w, h, floor) {
   const maxDepth = 4; // Limit recursion to 4 levels (results in 8-16 rooms)
   
   // Generate BSP dungeon
-  const bspResult = generateBSPDungeon(levelW, levelH, minRoomSize, maxDepth);
+  const bspResult = generateBSPDungeon(levelW, levelH, minRoomSize, maxDepth, rng);
   
   // Extract rooms and corridors from BSP
   const rooms = [];
@@ -243,23 +244,23 @@ export function generateProceduralLevel(w, h, floor) {
   // Add minimal visual decorations (don't block movement)
   // Grass patches (reduced - just a few for subtle variety)
   for (let i = 0; i < 5 + floor * 2; i++) {
-    const room = rooms[Math.floor(Math.random() * rooms.length)];
+    const room = rooms[Math.floor(rng() * rooms.length)];
     grass.push({
-      x: room.x + Math.random() * room.w,
-      y: room.y + Math.random() * room.h,
-      r: 15 + Math.random() * 25
+      x: room.x + rng() * room.w,
+      y: room.y + rng() * room.h,
+      r: 15 + rng() * 25
     });
   }
   
   // Water features (visual only)
   if (biome === "grassland" || biome === "forest") {
-    for (let i = 0; i < 2 + Math.floor(Math.random() * 2); i++) {
-      const room = rooms[Math.floor(Math.random() * rooms.length)];
+    for (let i = 0; i < 2 + Math.floor(rng() * 2); i++) {
+      const room = rooms[Math.floor(rng() * rooms.length)];
       water.push({
-        x: room.x + Math.random() * (room.w - 60),
-        y: room.y + Math.random() * (room.h - 60),
-        w: 40 + Math.random() * 40,
-        h: 40 + Math.random() * 40
+        x: room.x + rng() * (room.w - 60),
+        y: room.y + rng() * (room.h - 60),
+        w: 40 + rng() * 40,
+        h: 40 + rng() * 40
       });
     }
   }
@@ -289,7 +290,6 @@ export function generateProceduralLevel(w, h, floor) {
     pathfindingGrid = strictGrid;
   }
   
-  const pathfindingWallInfluence = bspResult.wallInfluence || null;
   const pathfindingGridSize = 10; // Grid size used for A* pathfinding
   
   // VALIDATION: Check that pathfindingGrid is a proper 2D array before returning
@@ -307,6 +307,10 @@ export function generateProceduralLevel(w, h, floor) {
   // Ensure player never spawns in a disconnected area
   pathfindingGrid = ensureMainClusterOnly(pathfindingGrid, rooms);
 
+  // Wall influence has to describe the final grid - alignment and island removal both change walls
+  // The flow field derives its per-tile costs from it once per level
+  const pathfindingWallInfluence = generateWallInfluenceMap(pathfindingGrid);
+
   return { 
     rooms, 
     corridors, 
@@ -9,7 +9,12 @@
 
 import { format } from "../utils/math.js";
 import { computeSpeed } from "../utils/gameMath.js";
-import { ISO_MODE, INTERACT, RARITY, RARITY_COLOR } from "../data/constants.js";
+import { ISO_MODE, INTERACT, RARITY, RARITY_COLOR, TYPE } from "../data/constants.js";
+import { getEvolutionStatus } from "../game/progression/EvolutionSystem.js";
+import { getActiveSynergies } from "../game/progression/SynergySystem.js";
+import { isMaxed, findLevelledDef } from "../game/progression/MaxLevelSystem.js";
+import { RARITY_PITY, getRarityOdds } from "../data/raritySystem.js";
+import { describePenalties } from "../game/progression/CurseSystem.js";
 
 // Latest updates constant (should eventually be moved to constants.js)
 const LATEST_UPDATES = [
@@ -20,6 +25,60 @@ const LATEST_UPDATES = [
   "• Map generation improvements"
 ];
 
+/**
+ * Draws the evolution recipes with the player's progress (pause menu)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} s - Game state
+ * @param {Object} content - Game content (weapons, tomes, evolutions)
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {number} width - Panel width
+ */
+function drawEvolutionPanel(ctx, s, content, x, y, width) {
+  const recipes = content.evolutions || [];
+  const nameOf = (list, id) => list.find((d) => d.id === id)?.name || id;
+
+  ctx.fillStyle = "rgba(20,30,40,0.9)";
+  ctx.fillRect(x, y, width, 40 + recipes.length * 52);
+  ctx.strokeStyle = RARITY_COLOR[RARITY.LEGENDARY].bg;
+  ctx.lineWidth = 2;
+  ctx.strokeRect(x, y, width, 40 + recipes.length * 52);
+
+  ctx.textAlign = "left";
+  ctx.fillStyle = RARITY_COLOR[RARITY.LEGENDARY].bg;
+  ctx.font = "bold 14px ui-sans-serif, system-ui";
+  ctx.fillText("EVOLUTIONS", x + 12, y + 24);
+
+  recipes.forEach((recipe, i) => {
+    const status = getEvolutionStatus(s.player, recipe, content.weapons);
+    const rowY = y + 48 + i * 52;
+    ctx.font = "bold 13px ui-sans-serif, system-ui";
+    ctx.fillStyle = status.done ? "#1fe06a" : status.ready ? "#ffd44a" : "#e6e8ff";
+    ctx.fillText(`${recipe.name}${status.done ? " ✓" : status.ready ? " - ready" : ""}`, x + 12, rowY);
+
+    ctx.font = "11px ui-sans-serif, system-ui";
+    ctx.fillStyle = status.hasWeapon || status.done ? "#9cffd6" : "rgba(230,232,255,0.6)";
+    ctx.fillText(`${nameOf(content.weapons, recipe.from)} Lv ${Math.min(status.weaponLevel, status.maxLevel)}/${status.maxLevel}`, x + 12, rowY + 16);
+    ctx.fillStyle = status.hasTome || status.done ? "#9cffd6" : "rgba(230,232,255,0.6)";
+    ctx.fillText(`+ ${nameOf(content.tomes, recipe.tome)}`, x + 12, rowY + 31);
+  });
+  ctx.textAlign = "center";
+}
+
+/**
+ * Draws a "MAX" badge over an inventory icon (ctx translated to the icon center)
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {number} size - Icon size
+ */
+function drawMaxBadge(ctx, size) {
+  ctx.fillStyle = "rgba(0,0,0,0.75)";
+  ctx.fillRect(-size / 2, size / 2 - 9, size, 9);
+  ctx.fillStyle = "#ffd44a";
+  ctx.font = "bold 8px ui-sans-serif, system-ui";
+  ctx.textAlign = "center";
+  ctx.fillText("MAX", 0, size / 2 - 1.5);
+}
+
 /**
  * Draws the minimap in the top-right corner
  * @param {Object} s - Game state
@@ -66,7 +125,7 @@ export function drawMinimap(s, ctx) {
     // Draw interactables as small dots
     for (const it of s.interact) {
       if (it.used) continue;
-      ctx.fillStyle = it.kind === INTERACT.CHEST ? "#ffd44a" : it.kind === INTERACT.BOSS_TP ? "#ff5d5d" : "#2ea8ff";
+      ctx.fillStyle = it.kind === INTERACT.CHEST ? "#ffd44a" : it.kind === INTERACT.BOSS_TP ? "#ff5d5d" : it.kind === INTERACT.CURSED_CHEST || it.kind === INTERACT.CLEANSE_SHRINE ? "#c23bff" : "#2ea8ff";
       ctx.beginPath();
       ctx.arc(mapX + it.x * scale, mapY + it.y * scale, 2, 0, Math.PI * 2);
       ctx.fill();
@@ -297,17 +356,32 @@ export function drawHud(s, ctx, isoScale, content) {
     ctx.fillStyle = "#e6e8ff";
     ctx.font = "bold 12px ui-sans-serif, system-ui";
     ctx.textAlign = "center";
-    ctx.fillText(`BOSS: ${Math.round(s.boss.hp)}/${Math.round(s.boss.maxHp)}`, centerX, bossBarY + 13);
+    ctx.fillText(`${s.boss.name || "BOSS"}: ${Math.round(s.boss.hp)}/${Math.round(s.boss.maxHp)}`, centerX, bossBarY + 13);
   }
 
   // Draw collected upgrades at the bottom
   const bottomY = s.arena.h - 30;
+
+  // Active curses above them
+  if (p.curses?.length > 0) {
+    ctx.save();
+    ctx.fillStyle = "#ff5d5d";
+    ctx.font = "bold 11px ui-sans-serif, system-ui";
+    ctx.textAlign = "left";
+    ctx.textBaseline = "middle";
+    p.curses.forEach((curse, i) => {
+      ctx.fillText(`☠ ${curse.name}: ${describePenalties(curse.penalties)}`, 8, bottomY - 26 - (p.curses.length - 1 - i) * 14);
+    });
+    ctx.restore();
+  }
   const upgradeIconSize = 24;
   const iconSpacing = 28;
   let iconX = 20;
   
   ctx.globalAlpha = 0.95;
   
+  const maxed = (type, id) => !!content && isMaxed(p, type, findLevelledDef(content, type, id));
+
   // Ensure arrays exist
   if (!p.collectedWeapons) p.collectedWeapons = [];
   if (!p.collectedTomes) p.collectedTomes = [];
@@ -325,6 +399,7 @@ export function drawHud(s, ctx, isoScale, content) {
         ctx.fillStyle = "#2ea8ff";
         ctx.fillRect(-upgradeIconSize/2, -upgradeIconSize/2, upgradeIconSize, upgradeIconSize);
       }
+      if (maxed(TYPE.WEAPON, weapon.id)) drawMaxBadge(ctx, upgradeIconSize);
       ctx.restore();
       iconX += iconSpacing;
     }
@@ -342,6 +417,7 @@ export function drawHud(s, ctx, isoScale, content) {
         ctx.fillStyle = "#1fe06a";
         ctx.fillRect(-upgradeIconSize/2, -upgradeIconSize/2, upgradeIconSize, upgradeIconSize);
       }
+      if (maxed(TYPE.TOME, tome.id)) drawMaxBadge(ctx, upgradeIconSize);
       ctx.restore();
       iconX += iconSpacing;
     }
@@ -391,6 +467,19 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
   }
 
   if (ui.screen === "running") {
+    // Next floor still generating
+    if (s.loadingFloor && !ui.pauseMenu) {
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.fillRect(0, 0, w, h);
+      ctx.fillStyle = "#e6e8ff";
+      ctx.font = "bold 24px ui-sans-serif, system-ui";
+      ctx.textAlign = "center";
+      ctx.fillText(`FLOOR ${s.loadingFloor.floor}`, w * 0.5, h * 0.5 - 8);
+      ctx.fillStyle = "rgba(230,232,255,0.7)";
+      ctx.font = "14px ui-sans-serif, system-ui";
+      ctx.fillText("Generating…", w * 0.5, h * 0.5 + 20);
+    }
+
     // Pause menu
     if (ui.pauseMenu) {
       ctx.fillStyle = "rgba(0,0,0,0.85)";
@@ -499,6 +588,12 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
       ctx.strokeRect(volPlusX, volButtonY, volButtonSize, volButtonSize);
       ctx.fillStyle = "#2ea8ff";
       ctx.fillText("+", volPlusX + volButtonSize / 2, volButtonY + 18);
+
+      // Evolution recipes, left of the buttons when there is room
+      const evolutionPanelW = Math.min(260, w * 0.5 - 160);
+      if (!ui.showAdmin && evolutionPanelW >= 180) {
+        drawEvolutionPanel(ctx, s, content, w * 0.5 - 140 - evolutionPanelW, buttonY, evolutionPanelW);
+      }
       
       // Admin section
       if (ui.showAdmin) {
@@ -639,6 +734,7 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
       const weaponsList = p.weapons && p.weapons.length > 0
         ? p.weapons.map(w => `${w.id} Lv${w.level}`).join(", ")
         : "None";
+      const synergies = getActiveSynergies(p, content.synergies);
       const lines = [
         `Character: ${p.charName}`,
         `Weapons: ${weaponsList}`,
@@ -659,6 +755,18 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
         `Ability: ${p.abilityId} cd ${p.abilityCd.toFixed(1)}s`,
         `Shield: ${p.shield}`,
         `Time left: ${Math.ceil(s.stageLeft)}s`,
+        `Synergies: ${synergies.length > 0 ? "" : "None"}`,
+        ...synergies.map((syn) => `  ${syn.name} - ${syn.desc}`),
+        `Curses: ${p.curses?.length > 0 ? "" : "None"}${s.cursedRun ? " (cursed run)" : ""}`,
+        ...(p.curses || []).map((curse) => `  ${curse.name} - ${describePenalties(curse.penalties)}`),
+        "Rarity odds (Luck and pity):",
+        ...Object.entries(RARITY_PITY).map(([source, pity]) => {
+          const misses = p.rarityPity?.[source] || 0;
+          const odds = getRarityOdds(p.luck, source, misses)
+            .map(({ r, chance }) => `${r} ${(chance * 100).toFixed(1)}%`)
+            .join("  ");
+          return `  ${pity.label}: ${odds}  (${misses} since Rare+, pity from ${pity.after})`;
+        }),
       ];
 
       ctx.font = "13px ui-sans-serif, system-ui";
@@ -929,7 +1037,7 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
 
       ctx.font = "12px ui-sans-serif, system-ui";
       ctx.fillStyle = col.bg;
-      ctx.fillText(`${c.type} • ${c.rarity}`, 12, 52);
+      ctx.fillText(`${c.badge || c.type} • ${c.rarity}`, 12, 52);
 
         // Show description first
         if (c.desc) {
@@ -968,6 +1076,22 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
           ctx.fillText("Click to pick", 12, cardH - 12);
         }
 
+        // Picking this completes a synergy
+        if (c.synergy) {
+          ctx.fillStyle = "#ff7ad9";
+          ctx.font = "bold 11px ui-sans-serif, system-ui";
+          ctx.fillText(`★ Synergy: ${c.synergy}`, 12, cardH - 32);
+          ctx.font = "12px ui-sans-serif, system-ui";
+        }
+
+        // Cursed items list their penalties
+        if (c.curse) {
+          ctx.fillStyle = "#ff5d5d";
+          ctx.font = "bold 11px ui-sans-serif, system-ui";
+          ctx.fillText(`☠ Curse: ${c.curse}`, 12, c.synergy ? cardH - 46 : cardH - 32);
+          ctx.font = "12px ui-sans-serif, system-ui";
+        }
+
         // Icon with rarity glow
         ctx.save();
         ctx.translate(cardW - 26, 28);
@@ -1018,6 +1142,20 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
       ctx.restore(); // Restore card transform
     }
 
+    // Reroll / banish / skip charges
+    const p = s.player;
+    const actions = [
+      { key: "R", name: "Reroll", charges: p.rerollCharges || 0 },
+      { key: "B", name: "Banish", charges: p.banishCharges || 0 },
+      { key: "Q", name: ui.chestBucket ? "Skip (+gold)" : "Skip (+XP)", charges: p.skipCharges || 0 },
+    ];
+    ctx.font = "13px ui-sans-serif, system-ui";
+    ctx.textAlign = "center";
+    actions.forEach((action, i) => {
+      ctx.fillStyle = action.charges > 0 ? "#e6e8ff" : "rgba(230,232,255,0.35)";
+      ctx.fillText(`[${action.key}] ${action.name} ×${action.charges}`, w * 0.5 + (i - 1) * 170, y + cardH + 48);
+    });
+
     ctx.restore();
     return;
   }
@@ -1034,7 +1172,20 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
     ctx.fillStyle = "rgba(230,232,255,0.85)";
     ctx.fillText(`Score ${format(ui.score)}`, w * 0.5, h * 0.35 + 34);
     if (ui.deathReason) ctx.fillText(ui.deathReason, w * 0.5, h * 0.35 + 56);
+    if (s.cursedRun) {
+      ctx.fillStyle = "#ff5d5d";
+      ctx.fillText("☠ CURSED RUN", w * 0.5, h * 0.35 - 26);
+      ctx.fillStyle = "rgba(230,232,255,0.85)";
+    }
+    if (s.stats) {
+      ctx.font = "11px ui-sans-serif, system-ui";
+      ctx.fillText(`Kills ${format(s.stats.kills)}  ·  Bosses ${s.stats.bossesKilled}  ·  Damage taken ${format(Math.round(s.stats.damageTaken))}`, w * 0.5, h * 0.35 + 72);
+      ctx.font = "13px ui-sans-serif, system-ui";
+    }
     ctx.fillText("Press E", w * 0.5, h * 0.35 + 88);
+    ctx.fillStyle = "rgba(230,232,255,0.6)";
+    ctx.font = "11px ui-sans-serif, system-ui";
+    ctx.fillText("R: watch replay  ·  X: export replay", w * 0.5, h * 0.35 + 110);
     ctx.restore();
     return;
   }
@@ -1076,6 +1227,29 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
       updateY += 18;
     }
 
+    // Continue panel (right side) - the autosaved run, if there is one
+    if (ui.savedRun) {
+      const panelW = Math.min(320, w * 0.32);
+      const panelX = w - 20 - panelW;
+      const panelY = 120;
+      const panelH = 60;
+      const run = ui.savedRun;
+
+      ctx.fillStyle = "rgba(0,0,0,0.6)";
+      ctx.fillRect(panelX, panelY, panelW, panelH);
+      ctx.strokeStyle = "rgba(46,168,255,0.65)";
+      ctx.lineWidth = 2;
+      ctx.strokeRect(panelX, panelY, panelW, panelH);
+
+      ctx.fillStyle = "#2ea8ff";
+      ctx.font = "bold 14px ui-sans-serif, system-ui";
+      ctx.textAlign = "left";
+      ctx.fillText("▶ Continue (C)", panelX + 10, panelY + 22);
+      ctx.font = "11px ui-sans-serif, system-ui";
+      ctx.fillStyle = "rgba(230,232,255,0.9)";
+      ctx.fillText(`Floor ${run.floor}  ·  Lv ${run.level}  ·  ${run.charName}${run.cursed ? "  ·  ☠ Cursed" : ""}`, panelX + 12, panelY + 44);
+    }
+
     ctx.font = "13px ui-sans-serif, system-ui";
     ctx.fillStyle = "rgba(230,232,255,0.85)";
     ctx.textAlign = "center";
@@ -1089,15 +1263,16 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
     ctx.fillStyle = "#e6e8ff";
     ctx.fillText("Choose character", w * 0.5, 260);
 
+    // All characters, including ones from content packs - cards shrink to fit
     const cards = content.characters;
-    const cardW = Math.min(300, Math.max(220, w * 0.24));
-    const cardH = 140;
     const gap = 18;
-    const totalW = cardW * 3 + gap * 2;
+    const cardW = Math.min(300, Math.max(220, w * 0.24), (w - 40 - gap * (cards.length - 1)) / cards.length);
+    const cardH = 140;
+    const totalW = cardW * cards.length + gap * (cards.length - 1);
     const startX = w * 0.5 - totalW * 0.5;
     const y = 300;
 
-    for (let i = 0; i < 3; i++) {
+    for (let i = 0; i < cards.length; i++) {
       const c = cards[i];
       const x = startX + i * (cardW + gap);
       const active = ui.selectedChar === c.id;
@@ -1129,6 +1304,9 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
     ctx.fillStyle = "rgba(230,232,255,0.9)";
     ctx.font = "14px ui-sans-serif, system-ui";
     ctx.fillText("Press E to start", w * 0.5, h - 80);
+    ctx.fillStyle = "rgba(230,232,255,0.6)";
+    ctx.font = "11px ui-sans-serif, system-ui";
+    ctx.fillText("L: load replay", w * 0.5, h - 34);
     if (ui.best > 0) {
       ctx.fillStyle = "rgba(230,232,255,0.7)";
       ctx.font = "12px ui-sans-serif, system-ui";
@@ -1209,3 +1387,34 @@ export function drawOverlay(s, ctx, ui, content, isoScale, state) {
     return;
   }
 }
+
+/**
+ * Draws the replay playback badge (top-center) while a replay is playing
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} info - { paused, speed, frame, total, done }
+ * @param {number} w - Canvas width
+ */
+export function drawReplayOverlay(ctx, info, w) {
+  const label = info.done
+    ? "REPLAY END"
+    : `REPLAY ${info.paused ? "PAUSED" : `▶ ${info.speed}x`}`;
+  const pct = info.total > 0 ? Math.floor((info.frame / info.total) * 100) : 100;
+
+  ctx.save();
+  const boxW = 260;
+  const boxX = w * 0.5 - boxW / 2;
+  ctx.fillStyle = "rgba(0,0,0,0.7)";
+  ctx.fillRect(boxX, 8, boxW, 44);
+  ctx.strokeStyle = "rgba(255,93,93,0.8)";
+  ctx.lineWidth = 2;
+  ctx.strokeRect(boxX, 8, boxW, 44);
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#ff5d5d";
+  ctx.font = "bold 13px ui-sans-serif, system-ui";
+  ctx.fillText(`${label}  ${pct}%`, w * 0.5, 26);
+  ctx.fillStyle = "rgba(230,232,255,0.75)";
+  ctx.font = "10px ui-sans-serif, system-ui";
+  ctx.fillText("Space: pause  ·  .: speed  ·  Esc: exit", w * 0.5, 43);
+  ctx.restore();
+}
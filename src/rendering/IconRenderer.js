@@ -5,6 +5,11 @@
  * Each function draws a simple geometric representation of the item.
  */
 
+/**
+ * Icon kinds makeIconDraw draws (anything else gets the default circle)
+ */
+export const ICON_KINDS = ["revolver", "staff", "sword", "time", "nuke"];
+
 /**
  * Create an icon drawing function for a specific item type
  * @param {string} kind - Icon type identifier
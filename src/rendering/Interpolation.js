@@ -0,0 +1,71 @@
+/**
+ * Render Interpolation
+ *
+ * With a fixed simulation step, a display frame usually lands between two
+ * steps. Before each step the loop captures where moving things were; at
+ * render time their positions are blended toward the current step by alpha,
+ * drawn, and then put back so the simulation never sees interpolated values.
+ */
+
+// Moves larger than this in one step are teleports/floor changes - draw them snapped, not smeared
+export const SNAP_DISTANCE = 160;
+
+// Flat [obj, x, y, z, obj, x, y, z, ...] keeps per-step captures cheap at 120 Hz
+const STRIDE = 4;
+
+function pushAll(out, list) {
+  if (!list) return;
+  for (const o of list) out.push(o, o.x, o.y, o.z);
+}
+
+/**
+ * Capture positions of the camera, player, boss and moving entities before a simulation step
+ * @param {Object} s - Game state
+ * @returns {Array} Captured positions
+ */
+export function captureRenderState(s) {
+  const out = [];
+  if (!s) return out;
+  if (s.camera) out.push(s.camera, s.camera.x, s.camera.y, undefined);
+  out.push(s.player, s.player.x, s.player.y, s.player.z);
+  if (s.boss?.active) out.push(s.boss, s.boss.x, s.boss.y, s.boss.z);
+  pushAll(out, s.enemies);
+  pushAll(out, s.bullets);
+  pushAll(out, s.gems);
+  pushAll(out, s.coins);
+  pushAll(out, s.consumables);
+  return out;
+}
+
+/**
+ * Blend captured positions toward the current ones for drawing
+ * @param {Array} prev - From captureRenderState (taken before the latest step)
+ * @param {number} alpha - Progress toward the next step, 0..1
+ * @returns {Function} restore() - puts the simulated positions back
+ */
+export function interpolateRenderState(prev, alpha) {
+  const current = [];
+  const t = Math.min(Math.max(alpha, 0), 1);
+  for (let i = 0; i < prev.length; i += STRIDE) {
+    const o = prev[i];
+    const px = prev[i + 1];
+    const py = prev[i + 2];
+    const pz = prev[i + 3];
+    if (Math.abs(o.x - px) + Math.abs(o.y - py) > SNAP_DISTANCE) continue;
+
+    current.push(o, o.x, o.y, o.z);
+    // Draw between the previous step (t = 0) and the latest one (t = 1)
+    o.x = px + (o.x - px) * t;
+    o.y = py + (o.y - py) * t;
+    if (pz !== undefined && o.z !== undefined) o.z = pz + (o.z - pz) * t;
+  }
+
+  return () => {
+    for (let i = 0; i < current.length; i += STRIDE) {
+      const o = current[i];
+      o.x = current[i + 1];
+      o.y = current[i + 2];
+      if (current[i + 3] !== undefined) o.z = current[i + 3];
+    }
+  };
+}
@@ -119,12 +119,12 @@ export function renderFrame(s, ctx, u, content, isoScale, w, h) {
 }
 
 /**
- * Check if game should update (not paused, not frozen, etc.)
+ * Check if game should update (not paused, not frozen, not loading a floor, etc.)
  */
 export function shouldUpdateGame(s, u) {
   const hasUpgradeCards = u.levelChoices && u.levelChoices.length > 0;
   const fanfareActive = (u.levelUpFanfareT && u.levelUpFanfareT > 0) || (u.chestOpenFanfareT && u.chestOpenFanfareT > 0);
-  return u.screen === "running" && s.running && !u.pauseMenu && s.freezeMode === null && !hasUpgradeCards && !fanfareActive;
+  return u.screen === "running" && s.running && !u.pauseMenu && s.freezeMode === null && !s.loadingFloor && !hasUpgradeCards && !fanfareActive;
 }
 
 /**
@@ -14,6 +14,117 @@ import { INTERACT } from "../data/constants.js";
 import { BOSS_ABILITY_STATE, DANGER_ZONE_TYPE } from "../game/systems/BossAbilitySystem.js";
 import { clamp } from "../utils/math.js";
 import { lerpColor } from "../utils/color.js";
+import { ARCHETYPE_CONFIG } from "../data/enemyData.js";
+import { getAffixes } from "../game/enemies/EliteAffixes.js";
+
+// Player distance at which an elite's affix names show next to its icons
+const AFFIX_TOOLTIP_RANGE = 220;
+
+/**
+ * Draws an elite's affix icons above its HP bar, with their names beside them
+ * while the player is close
+ * @param {Object} s - Game state
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} e - Enemy
+ * @param {number} x - Draw X
+ * @param {number} y - Draw Y
+ */
+function drawEliteAffixes(s, ctx, e, x, y) {
+  const affixes = getAffixes(e);
+  if (affixes.length === 0) return;
+  const size = 11;
+  const top = y - e.r - 20;
+  const left = x - ((affixes.length - 1) * size) / 2;
+
+  ctx.save();
+  ctx.globalAlpha = 1;
+  ctx.font = `bold ${size}px ui-sans-serif, system-ui`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  affixes.forEach((affix, i) => {
+    ctx.fillStyle = "rgba(0,0,0,0.55)";
+    ctx.beginPath();
+    ctx.arc(left + i * size, top, size * 0.55, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = affix.color;
+    ctx.fillText(affix.icon, left + i * size, top + 0.5);
+  });
+
+  const p = s.player;
+  if (Math.hypot(p.x - e.x, p.y - e.y) <= AFFIX_TOOLTIP_RANGE) {
+    ctx.font = "10px ui-sans-serif, system-ui";
+    ctx.textAlign = "left";
+    const tx = left + affixes.length * size;
+    affixes.forEach((affix, i) => {
+      const ty = top - (affixes.length - 1 - i) * 12;
+      ctx.fillStyle = "rgba(0,0,0,0.55)";
+      ctx.fillRect(tx - 2, ty - 6, ctx.measureText(affix.name).width + 4, 12);
+      ctx.fillStyle = affix.color;
+      ctx.fillText(affix.name, tx, ty);
+    });
+  }
+  ctx.restore();
+}
+
+/**
+ * Draws archetype telegraphs around an enemy: the exploder's blast radius while
+ * its fuse burns, the shielder's aura, a shielded outline, the summoner's cast glow
+ * and the wind-up of a charge
+ * @param {Object} s - Game state
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} e - Enemy
+ * @param {number} x - Draw X
+ * @param {number} y - Draw Y
+ */
+function drawArchetypeMarks(s, ctx, e, x, y) {
+  if (e.tier === "exploder" && e.fuseT > 0) {
+    const { RADIUS, FUSE } = ARCHETYPE_CONFIG.EXPLODER;
+    const progress = 1 - e.fuseT / FUSE;
+    ctx.globalAlpha = 0.12 + progress * 0.2;
+    ctx.fillStyle = "#ff5d5d";
+    ctx.beginPath();
+    ctx.arc(x, y, RADIUS * progress, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 0.5 + Math.sin(s.t * 30) * 0.3;
+    ctx.strokeStyle = "#ffaa00";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  if (e.tier === "shielder") {
+    ctx.globalAlpha = 0.12;
+    ctx.strokeStyle = "#5d9bff";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, ARCHETYPE_CONFIG.SHIELDER.RADIUS, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  if (e.shieldedT > 0) {
+    ctx.globalAlpha = 0.8;
+    ctx.strokeStyle = "#5d9bff";
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(x, y, e.r + 5, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  if (e.ai?.charge?.phase === "windup") {
+    ctx.globalAlpha = 0.5 + Math.sin(s.t * 40) * 0.4;
+    ctx.strokeStyle = "#ffd44a";
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x, y, e.r + 6, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  if (e.tier === "summoner" && e.summonT < 1) {
+    ctx.globalAlpha = 0.4 * (1 - e.summonT);
+    ctx.fillStyle = "#b388ff";
+    ctx.beginPath();
+    ctx.arc(x, y, e.r * 1.8, 0, Math.PI * 2);
+    ctx.fill();
+  }
+  ctx.globalAlpha = 1;
+}
 
 /**
  * Draws boss danger zones (telegraphed attack areas)
@@ -536,6 +647,18 @@ export function drawWorld(s, ctx, isoScale) {
       ctx.fillStyle = "rgba(46,168,255,0.14)";
       ctx.fillRect(-14, -10, 28, 20);
       ctx.strokeRect(-14, -10, 28, 20);
+    } else if (it.kind === INTERACT.CURSED_CHEST) {
+      ctx.strokeStyle = "#ff5d5d";
+      ctx.fillStyle = "rgba(194,59,255,0.22)";
+      ctx.fillRect(-14, -10, 28, 20);
+      ctx.strokeRect(-14, -10, 28, 20);
+      // Cross on the lid
+      ctx.beginPath();
+      ctx.moveTo(-5, -5);
+      ctx.lineTo(5, 5);
+      ctx.moveTo(5, -5);
+      ctx.lineTo(-5, 5);
+      ctx.stroke();
     } else if (it.kind === INTERACT.SHRINE) {
       ctx.strokeStyle = "#4dff88";
       ctx.fillStyle = "rgba(77,255,136,0.14)";
@@ -543,6 +666,20 @@ export function drawWorld(s, ctx, isoScale) {
       ctx.arc(0, 0, 14, 0, Math.PI * 2);
       ctx.fill();
       ctx.stroke();
+    } else if (it.kind === INTERACT.CLEANSE_SHRINE) {
+      ctx.strokeStyle = "#c23bff";
+      ctx.fillStyle = "rgba(194,59,255,0.18)";
+      ctx.beginPath();
+      ctx.arc(0, 0, 14, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+      // Cross in the middle
+      ctx.beginPath();
+      ctx.moveTo(0, -7);
+      ctx.lineTo(0, 7);
+      ctx.moveTo(-5, -2);
+      ctx.lineTo(5, -2);
+      ctx.stroke();
     } else if (it.kind === INTERACT.MAGNET_SHRINE) {
       ctx.strokeStyle = "#ffd44a";
       ctx.fillStyle = "rgba(255,212,74,0.14)";
@@ -596,7 +733,13 @@ export function drawWorld(s, ctx, isoScale) {
       label = "Chest";
       showPrice = true;
       labelW = 90; // Wider for price
-    } else if (it.kind === INTERACT.SHRINE) label = "Buff";
+    } else if (it.kind === INTERACT.CURSED_CHEST) label = "Cursed";
+    else if (it.kind === INTERACT.SHRINE) label = "Buff";
+    else if (it.kind === INTERACT.CLEANSE_SHRINE) {
+      label = "Cleanse";
+      showPrice = true;
+      labelW = 90;
+    }
     else if (it.kind === INTERACT.MICROWAVE) label = "HP+";
     else if (it.kind === INTERACT.GREED) {
       label = "Greed";
@@ -1003,7 +1146,7 @@ export function drawWorld(s, ctx, isoScale) {
     for (const e of s.enemies) {
       if (e.hp <= 0) continue;
       const slowed = e.slowT > 0;
-      let col = slowed ? "#7bf1ff" : e.tier === "brute" ? "#ff7a3d" : e.tier === "spitter" ? "#ff5d5d" : e.tier === "runner" ? "#c23bff" : e.tier === "shocker" ? "#00ffff" : e.tier === "tank" ? "#8b4513" : "#e6e8ff";
+      let col = slowed ? "#7bf1ff" : e.tier === "brute" ? "#ff7a3d" : e.tier === "spitter" ? "#ff5d5d" : e.tier === "runner" ? "#c23bff" : e.tier === "shocker" ? "#00ffff" : e.tier === "tank" ? "#8b4513" : e.color || "#e6e8ff";
       
       // Red flash when taking damage
       if (e.hitT > 0) {
@@ -1088,6 +1231,7 @@ export function drawWorld(s, ctx, isoScale) {
           ctx.arc(ent.screenX, ent.screenY, ent.entity.r + 2, 0, Math.PI * 2);
           ctx.stroke();
         }
+        drawArchetypeMarks(s, ctx, ent.entity, ent.screenX, ent.screenY);
         
         // Draw enemy cube
         ctx.globalAlpha = ent.hitT > 0 ? 0.7 : 1;
@@ -1139,6 +1283,7 @@ export function drawWorld(s, ctx, isoScale) {
         ctx.fillStyle = "#1fe06a";
         ctx.fillRect(ent.screenX - ent.entity.r, ent.screenY - ent.entity.r - 10, ent.entity.r * 2 * hpT, 4);
         ctx.globalAlpha = 1;
+        drawEliteAffixes(s, ctx, ent.entity, ent.screenX, ent.screenY);
       } else if (ent.type === 'boss') {
         // Check if boss has an explosive bullet injected
         let hasExplosive = false;
@@ -1243,7 +1388,7 @@ export function drawWorld(s, ctx, isoScale) {
     for (const e of s.enemies) {
       if (e.hp <= 0) continue;
       const slowed = e.slowT > 0;
-      let col = slowed ? "#7bf1ff" : e.tier === "brute" ? "#ff7a3d" : e.tier === "spitter" ? "#ff5d5d" : e.tier === "runner" ? "#c23bff" : e.tier === "shocker" ? "#00ffff" : e.tier === "tank" ? "#8b4513" : "#e6e8ff";
+      let col = slowed ? "#7bf1ff" : e.tier === "brute" ? "#ff7a3d" : e.tier === "spitter" ? "#ff5d5d" : e.tier === "runner" ? "#c23bff" : e.tier === "shocker" ? "#00ffff" : e.tier === "tank" ? "#8b4513" : e.color || "#e6e8ff";
       
       // Elite enemies have a glow effect
       if (e.isElite) {
@@ -1295,6 +1440,7 @@ export function drawWorld(s, ctx, isoScale) {
         ctx.arc(e.x, e.y, e.r + 2, 0, Math.PI * 2);
         ctx.stroke();
       }
+      drawArchetypeMarks(s, ctx, e, e.x, e.y);
       
       // Draw enemy (top-down view)
       ctx.globalAlpha = e.hitT > 0 ? 0.7 : 1;
@@ -1348,6 +1494,7 @@ export function drawWorld(s, ctx, isoScale) {
       ctx.fillStyle = "#1fe06a";
       ctx.fillRect(e.x - e.r, e.y - e.r - 10, e.r * 2 * hpT, 4);
       ctx.globalAlpha = 1;
+      drawEliteAffixes(s, ctx, e, e.x, e.y);
     }
 
     if (s.boss.active) {
@@ -14,9 +14,10 @@ export function deepClone(obj) {
 /**
  * Pick a random item from a weighted array
  * @param {Array<{w: number, [key: string]: any}>} items - Array of items with weight property 'w'
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  * @returns {any} Selected item
  */
-export function pickWeighted(items) {
+export function pickWeighted(items, rng = Math.random) {
   const total = items.reduce((s, it) => s + it.w, 0);
   
   // If all weights are zero or invalid, return the last item as fallback
@@ -24,7 +25,7 @@ export function pickWeighted(items) {
     return items[items.length - 1];
   }
   
-  let r = Math.random() * total;
+  let r = rng() * total;
   for (const it of items) {
     r -= it.w;
     if (r <= 0) return it;
@@ -24,9 +24,10 @@ export const lerp = (a, b, t) => a + (b - a) * t;
  * Random number between a and b
  * @param {number} a - Minimum value
  * @param {number} b - Maximum value
+ * @param {Function} rng - Random source returning [0, 1) (default Math.random)
  * @returns {number} Random value
  */
-export const rand = (a, b) => a + Math.random() * (b - a);
+export const rand = (a, b, rng = Math.random) => a + rng() * (b - a);
 
 /**
  * Squared distance between two points
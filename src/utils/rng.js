@@ -0,0 +1,109 @@
+/**
+ * Seeded random number generation
+ *
+ * mulberry32 streams that behave like Math.random() (return [0, 1)) but are
+ * reproducible from a seed. A run owns one set of streams (s.rng) so level gen,
+ * loot, spawns, combat and cosmetic effects don't shift each other's sequences.
+ */
+
+/**
+ * Stream names on the run RNG
+ */
+export const RNG_STREAMS = ["levelgen", "loot", "spawns", "combat", "fx"];
+
+/**
+ * Hash a string (or number) into a 32-bit unsigned seed
+ * @param {string|number} value - Seed text, e.g. a daily seed "2026-10-19"
+ * @returns {number} 32-bit unsigned integer
+ */
+export function hashSeed(value) {
+  const str = String(value);
+  let h = 2166136261 >>> 0; // FNV-1a
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619) >>> 0;
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a single seeded stream
+ * Call it like Math.random(); getState/setState expose the 32-bit state for saves and replays
+ * @param {number} seed - 32-bit seed
+ * @returns {Function} next() => number in [0, 1)
+ */
+export function createRngStream(seed) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  next.getState = () => state;
+  next.setState = (v) => {
+    state = v >>> 0;
+  };
+
+  return next;
+}
+
+/**
+ * Create the per-run RNG with one stream per system
+ * @param {number|string} seed - Run seed
+ * @returns {Object} { seed, levelgen, loot, spawns, combat, fx }
+ */
+export function createRunRng(seed) {
+  const base = typeof seed === "number" ? seed >>> 0 : hashSeed(seed);
+  const rng = { seed: base };
+  for (const name of RNG_STREAMS) {
+    rng[name] = createRngStream(hashSeed(`${base}:${name}`));
+  }
+  return rng;
+}
+
+/**
+ * Capture the run RNG for a save (seed plus each stream's position)
+ * @param {Object} rng - Run RNG from createRunRng
+ * @returns {Object} { seed, streams: { name: state } }
+ */
+export function serializeRunRng(rng) {
+  const streams = {};
+  for (const name of RNG_STREAMS) {
+    streams[name] = rng[name].getState();
+  }
+  return { seed: rng.seed, streams };
+}
+
+/**
+ * Rebuild a run RNG from serializeRunRng output; every stream continues where it left off
+ * @param {Object} data - { seed, streams }
+ * @returns {Object} Run RNG
+ */
+export function restoreRunRng(data) {
+  const rng = createRunRng(data.seed);
+  for (const name of RNG_STREAMS) {
+    if (data.streams?.[name] !== undefined) rng[name].setState(data.streams[name]);
+  }
+  return rng;
+}
+
+/**
+ * Pick a fresh random seed for a new run (the only place Math.random is expected)
+ * @returns {number} 32-bit unsigned seed
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+/**
+ * Get a stream from the run state, falling back to Math.random for bare states (unit tests, previews)
+ * @param {Object} s - Game state
+ * @param {string} stream - Stream name (see RNG_STREAMS)
+ * @returns {Function} () => number in [0, 1)
+ */
+export function getRng(s, stream) {
+  return (s && s.rng && s.rng[stream]) || Math.random;
+}
@@ -0,0 +1,108 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { compileEffects, compileItem, compileTome, compileWeapon } from '../../src/data/contentCompiler.js';
+import { createGameContent } from '../../src/data/index.js';
+import { rarityMult } from '../../src/data/raritySystem.js';
+import { RARITY, TYPE } from '../../src/data/constants.js';
+import { applyWeapon } from '../../src/game/progression/UpgradeSystem.js';
+import { buildPreview, computeSpeed } from '../../src/utils/gameMath.js';
+
+const makeIconDraw = (name) => `icon:${name}`;
+const ctx = { makeIconDraw, rarityMult, bumpShake: vi.fn(), addParticle: vi.fn(), sfxBoss: vi.fn() };
+
+describe('contentCompiler', () => {
+  it('applies ops with rarity scaling, defaults, rounding and clamps', () => {
+    const run = compileEffects([
+      { stat: 'speedBonus', op: 'add', value: { perRarity: 8 } },
+      { stat: 'thorns', op: 'add', value: { perRarity: 0.12 }, default: 0 },
+      { stat: 'maxHp', op: 'mul', value: { base: 1, perRarity: -0.15 }, round: 'round', min: 50 },
+      { stat: 'hp', op: 'min', value: { stat: 'maxHp' } },
+      { stat: 'critChance', op: 'add', value: 0.5, min: 0, max: 0.8 },
+    ], rarityMult, 'test');
+    const p = { speedBonus: 2, maxHp: 100, hp: 95, critChance: 0.5 };
+    run(p, RARITY.LEGENDARY);
+    expect(p.speedBonus).toBe(2 + 8 * 1.55);
+    expect(p.thorns).toBe(0.12 * 1.55);
+    expect(p.maxHp).toBe(77);
+    expect(p.hp).toBe(77);
+    expect(p.critChance).toBe(0.8);
+  });
+
+  it('applies each-effects per list entry when their condition holds', () => {
+    const run = compileEffects({
+      each: 'weapons',
+      if: { stat: 'pierce', lt: 999 },
+      stat: 'pierce',
+      op: 'add',
+      value: { byRarity: { Common: 1, Legendary: 2 } },
+      max: 8,
+    }, rarityMult, 'test');
+    const p = { weapons: [{ pierce: 1 }, { pierce: 999 }, { pierce: 7 }] };
+    run(p, RARITY.LEGENDARY);
+    expect(p.weapons.map((w) => w.pierce)).toEqual([3, 999, 8]);
+    run(p, RARITY.RARE);
+    expect(p.weapons[0].pierce).toBe(4);
+  });
+
+  it('compiles definitions into the runtime shape and runs scripts after effects', () => {
+    const weapon = compileWeapon({ id: 'w', name: 'W', icon: 'sword', base: { weaponDamage: 10 }, levelBonuses: [{ stat: 'weaponDamage', op: 'mul', value: 2 }] }, ctx);
+    expect(weapon).toMatchObject({ id: 'w', type: TYPE.WEAPON, icon: 'icon:sword', base: { weaponDamage: 10 } });
+    const w = { ...weapon.base };
+    weapon.levelBonuses[0](w);
+    expect(w.weaponDamage).toBe(20);
+
+    const tome = compileTome({ id: 't', name: 'T', desc: '+Luck', icon: 'time', effects: [{ stat: 'luck', op: 'add', value: 1 }] }, ctx);
+    const p = { luck: 0 };
+    tome.apply(p, RARITY.COMMON);
+    expect(p.luck).toBe(1);
+
+    const seen = [];
+    const scripts = { mark: (s) => seen.push(s.player.luck) };
+    const item = compileItem({ id: 'i', name: 'I', icon: 'nuke', effects: [{ stat: 'luck', op: 'set', value: 5 }], script: 'mark' }, { ...ctx, scripts });
+    item.apply({ player: p }, RARITY.COMMON);
+    expect(item.type).toBe(TYPE.ITEM);
+    expect(seen).toEqual([5]);
+  });
+
+  it('compiles weapon upgrade paths and applies and previews the chosen one', () => {
+    const base = { mode: 'melee', weaponDamage: 10 };
+    const sword = compileWeapon({ id: 's', name: 'S', icon: 'sword', base, levelBonuses: [] }, ctx);
+    expect(sword.upgrades.map((u) => u.id)).toEqual(['range', 'damage', 'attackSpeed', 'knockback']);
+
+    const spin = { id: 'spin', text: '+2 Spin', effects: [{ stat: 'spin', op: 'add', value: 2, default: 1 }], preview: { label: 'Spin', stat: 'spin', default: 1, format: 'round' } };
+    const levelBonuses = [{ stat: 'weaponDamage', op: 'mul', value: 1 }];
+    const weapon = compileWeapon({ id: 'w', name: 'W', icon: 'sword', base, levelBonuses, upgrades: ['projectile', spin] }, ctx);
+    expect(weapon.upgrades.map((u) => [u.id, u.text, u.weight])).toEqual([['projectile', '+1 Projectile', 0.5], ['spin', '+2 Spin', 1]]);
+
+    const p = { weapons: [{ id: 'w', level: 1, weaponDamage: 10, attackCooldown: 0.5, projectiles: 1, pierce: 0, bounces: 0 }] };
+    const preview = buildPreview(p, (pp) => applyWeapon(pp, weapon, RARITY.COMMON, true, 'spin'), computeSpeed, 'w', weapon.upgrades[1]);
+    expect(preview.split(' | ')[0]).toBe('Spin: 1 → 3');
+    applyWeapon(p, weapon, RARITY.COMMON, false, 'spin');
+    expect(p.weapons[0]).toMatchObject({ spin: 3, level: 2 });
+    applyWeapon(p, weapon, RARITY.COMMON, false, null, () => 0.1);
+    expect(p.weapons[0].projectiles).toBe(2);
+
+    expect(() => compileWeapon({ id: 'x', name: 'X', icon: 'sword', base, levelBonuses: [], upgrades: ['warp'] }, ctx)).toThrow('unknown upgrade path "warp"');
+    expect(() => compileWeapon({ id: 'x', name: 'X', icon: 'sword', base, levelBonuses: [], upgrades: [{ ...spin, preview: { stat: 'spin', format: 'hex' } }] }, ctx)).toThrow('unknown preview format "hex"');
+  });
+
+  it('rejects malformed definitions when compiling', () => {
+    expect(() => compileEffects({ stat: 'x', op: 'pow', value: 2 }, rarityMult, 'tome t')).toThrow('tome t[0]: unknown op "pow"');
+    expect(() => compileEffects({ op: 'add', value: 2 }, rarityMult, 'tome t')).toThrow('needs a stat');
+    expect(() => compileItem({ id: 'i', name: 'I', icon: 'x', script: 'missing' }, ctx)).toThrow('unknown script "missing"');
+    expect(() => compileTome({ name: 'no id' }, ctx)).toThrow('tome definition without an id');
+  });
+
+  it('loads the shipped JSON content', () => {
+    const content = createGameContent(makeIconDraw, rarityMult, ctx.bumpShake, ctx.addParticle, ctx.sfxBoss);
+    expect(content.weapons.length).toBeGreaterThan(10);
+    expect(content.weapons.every((w) => w.levelBonuses.every((fn) => typeof fn === 'function'))).toBe(true);
+    expect(content.tomes.every((t) => t.type === TYPE.TOME && typeof t.apply === 'function')).toBe(true);
+
+    const nuke = content.items.find((i) => i.id === 'nuke');
+    const s = { enemies: [{ hp: 50 }], boss: { active: false }, player: { x: 0, y: 0 }, hitStopT: 0 };
+    nuke.apply(s, RARITY.COMMON);
+    expect(s.enemies[0].hp).toBeLessThan(0);
+    expect(ctx.sfxBoss).toHaveBeenCalled();
+  });
+});
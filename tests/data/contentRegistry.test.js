@@ -0,0 +1,97 @@
+// @vitest-environment node
+import { describe, it, expect, afterEach } from 'vitest';
+import {
+  registerContent,
+  clearRegisteredContent,
+  getRegisteredPacks,
+  getEnemySpawnWeights,
+  getEnemyStats,
+  getFireMode,
+} from '../../src/data/contentRegistry.js';
+import { createGameContent } from '../../src/data/index.js';
+import { getEnemyTierWeights } from '../../src/data/enemyData.js';
+import { rarityMult } from '../../src/data/raritySystem.js';
+import { FROSTFALL_PACK } from '../../src/data/packs/frostfall.js';
+import { GameRuntime } from '../../src/game/GameRuntime.js';
+
+const noop = () => {};
+const makeContent = () => createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+
+describe('contentRegistry', () => {
+  afterEach(() => {
+    clearRegisteredContent();
+  });
+
+  it('appends registered content with version tags', () => {
+    const baseCount = makeContent().weapons.length;
+    expect(registerContent(FROSTFALL_PACK)).toEqual({ id: 'frostfall', version: '1.0.0', tag: 'frostfall@1.0.0' });
+    expect(getRegisteredPacks().map((p) => p.tag)).toEqual(['frostfall@1.0.0']);
+
+    const content = makeContent();
+    expect(content.weapons.length).toBe(baseCount + 1);
+    expect(content.weapons.find((w) => w.id === 'frost_nova')).toMatchObject({ pack: 'frostfall@1.0.0', icon: 'icon:staff' });
+    expect(content.tomes.some((t) => t.id === 't_winter')).toBe(true);
+    expect(content.items.some((i) => i.id === 'hot_cocoa')).toBe(true);
+    expect(content.characters.map((c) => c.id)).toEqual(['cowboy', 'wizard', 'brute', 'yeti']);
+    expect(content.packs).toEqual([{ id: 'frostfall', version: '1.0.0', tag: 'frostfall@1.0.0', name: 'Frostfall' }]);
+
+    clearRegisteredContent();
+    expect(makeContent().weapons.length).toBe(baseCount);
+  });
+
+  it('rejects id collisions, bad versions and unknown references', () => {
+    expect(() => registerContent({ id: 'p' })).toThrow('Content pack "p": version must look like 1.2.3');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', weapons: [{ id: 'revolver' }] }))
+      .toThrow('weapon id "revolver" is already used by the base game');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', items: [{ id: 'blood_pact' }] }))
+      .toThrow('item id "blood_pact" is already used by the base game');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', tomes: [{ id: 'a' }, { id: 'a' }] }))
+      .toThrow('tome id "a" is listed twice');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', weapons: [{ id: 'w', base: { mode: 'laser' } }] }))
+      .toThrow('weapon "w" uses unknown fire mode "laser"');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', spawnTables: [{ enemy: 'ghost', weight: 1 }] }))
+      .toThrow('spawn table names unknown enemy "ghost"');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', items: [{ id: 'i', script: 'missing' }] }))
+      .toThrow('Content pack "p": item i: unknown script "missing"');
+    expect(() => registerContent({ id: 'p', version: '1.0.0', bosses: [{ id: 'b', abilities: [{ type: 'laser' }] }] }))
+      .toThrow('boss "b" uses unknown ability "laser"');
+    expect(getRegisteredPacks()).toEqual([]);
+
+    registerContent(FROSTFALL_PACK);
+    expect(() => registerContent({ ...FROSTFALL_PACK, version: '1.1.0' })).toThrow('already registered (version 1.0.0)');
+    expect(() => registerContent({ id: 'other', version: '0.1.0', enemies: [{ id: 'frost_wisp', hp: 1, speed: 1, radius: 1, xp: 1, baseCoin: 1 }] }))
+      .toThrow('enemy id "frost_wisp" is already used by pack "frostfall"');
+    expect(() => registerContent({ id: 'other', version: '0.1.0', fireModes: { melee: noop } }))
+      .toThrow('fire mode id "melee" is already used by the base game');
+  });
+
+  it('leaves spawn weights alone until a pack adds to them', () => {
+    expect(getEnemySpawnWeights(4)).toEqual(getEnemyTierWeights(4));
+    registerContent(FROSTFALL_PACK);
+    expect(getEnemySpawnWeights(1)).toEqual(getEnemyTierWeights(1));
+    expect(getEnemySpawnWeights(4)).toEqual([...getEnemyTierWeights(4), { w: 8, t: 'frost_wisp' }]);
+    expect(getEnemyStats('frost_wisp')).toMatchObject({ hp: 40, color: '#bff4ff' });
+    expect(getEnemyStats('grunt').hp).toBe(60);
+    expect(getFireMode('nova')).toBe(FROSTFALL_PACK.fireModes.nova);
+    expect(getFireMode('bullet')).toBeNull();
+  });
+
+  it('plays a registered character, fire mode and boss in a headless run', () => {
+    registerContent(FROSTFALL_PACK);
+    const game = new GameRuntime();
+    const s = game.start('yeti', 7);
+    expect(s.player.weapons.map((w) => w.weaponMode)).toEqual(['nova']);
+
+    s.enemies.push({ id: 'dummy', x: s.player.x + 40, y: s.player.y, r: 14, hp: 1e9, maxHp: 1e9, speed: 0, tier: 'grunt', hitT: 0, phase: 0, xp: 0, coin: 0, slowMult: 1, z: 0 });
+    s.levelData = null;
+    game.runtime.fireWeapon(s);
+    const shards = s.bullets.filter((b) => b.color === '#9fe8ff');
+    expect(shards.length).toBe(8);
+    expect(s.player.weapons[0].attackT).toBe(s.player.weapons[0].attackCooldown);
+
+    s.floor = 3;
+    game.runtime.startBoss(s, 60);
+    expect(s.boss).toMatchObject({ bossId: 'frost_warden', name: 'FROST WARDEN', maxHp: Math.round(1600 * 1.1) });
+    expect(s.boss.controller.abilities.map((a) => a.serialize().type)).toEqual(['ringPulse', 'lineDash', 'multiShot']);
+  });
+});
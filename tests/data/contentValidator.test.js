@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import { validateContent, collectContent, formatValidationReport } from '../../src/data/contentValidator.js';
+import { readSourceTree } from '../../scripts/validate-content.js';
+
+const messages = (entries) => entries.map((e) => `${e.where}: ${e.message}`);
+
+describe('contentValidator', () => {
+  it('passes the shipped content and reports what is incomplete', () => {
+    const report = validateContent({ sources: readSourceTree() });
+    expect(report.errors).toEqual([]);
+    expect(messages(report.warnings)).toContain('item moldy_cheese: desc is empty');
+    expect(report.warnings.some((w) => w.category === 'duplicate' && w.where === 'icon time')).toBe(true);
+  });
+
+  it('cross-references ids compared in system code', () => {
+    const sources = {
+      'WeaponSystem.js': 'if (weapon.id === "laser") {}',
+      'EnemyAISystem.js': 'if (e.tier === "wraith") {}',
+    };
+    const report = validateContent({ sources });
+    expect(messages(report.errors)).toEqual(expect.arrayContaining([
+      'WeaponSystem.js: compares weapon against "laser", which no data defines',
+      'EnemyAISystem.js: compares enemy tier against "wraith", which no data defines',
+    ]));
+    expect(report.errors.every((e) => e.category === 'unknown' || e.category === 'unhandled')).toBe(true);
+  });
+
+  it('reports missing fields, unknown ids and duplicates in definitions', () => {
+    const data = collectContent();
+    data.weapons.push({ pack: 'test@1.0.0', def: { id: 'laser', name: 'Laser', icon: 'laser', base: { weaponDamage: 'lots', mode: 'beam' } } });
+    data.items.push({ pack: null, def: { id: 'nuke', name: 'Nuke again', desc: 'x', icon: 'nuke' } });
+    data.characters.push({ pack: null, def: { id: 'ghost', name: 'Ghost', subtitle: 's', startWeapon: 'laser_gun', stats: {}, perk: 'p' } });
+    data.evolutions.push({ pack: null, def: { id: 'mega_bow', name: 'Mega Bow', desc: 'x', from: 'bow', tome: 't_archery', weapon: { id: 'bow' } } });
+    data.evolutions.push({ pack: null, def: { id: 'mega_laser', name: 'Mega Laser', desc: 'x', from: 'laser', tome: 't_elemental', weapon: { id: 'mega_laser' } } });
+    data.enemies.push({ id: 'wraith', pack: null, stats: {
+      hp: 1, speed: 1, radius: 1, xp: 1, baseCoin: 1, contact: 'no',
+      behaviours: [{ type: 'teleport' }, { type: 'chase', when: { hpAbove: 0.5 } }],
+      attack: { type: 'spit', rate: 2 },
+    } });
+
+    const report = validateContent({ data });
+    const errors = messages(report.errors);
+    expect(errors).toEqual(expect.arrayContaining([
+      'weapon laser (test@1.0.0): unknown icon "laser"',
+      'weapon laser (test@1.0.0).base: missing attackCooldown',
+      'weapon laser (test@1.0.0).base: weaponDamage must be a number',
+      'weapon laser (test@1.0.0): missing levelBonuses',
+      'weapon laser (test@1.0.0): unknown fire mode "beam"',
+      'item nuke: id also used by item nuke',
+      'character ghost: missing space',
+      'character ghost: unknown start weapon "laser_gun"',
+      'evolution mega_laser: weapon "laser" has no maxLevel to evolve at',
+      'evolution mega_bow: unknown tome "t_archery"',
+      'evolution mega_bow: evolves a weapon into itself',
+      'enemy wraith: contact must be true or false',
+      'enemy wraith: unknown behaviour "teleport"',
+      'enemy wraith: unknown condition "hpAbove" in chase',
+    ]));
+    expect(messages(report.warnings)).toEqual(expect.arrayContaining([
+      'enemy wraith: attack spit has no parameter "rate"',
+      'enemy wraith: last behaviour has conditions; it is used when none match anyway',
+    ]));
+  });
+
+  it('formats a grouped report', () => {
+    const text = formatValidationReport({
+      errors: [{ category: 'unknown', where: 'a.js', message: 'bad id' }],
+      warnings: [{ category: 'missing', where: 'item x', message: 'desc is empty' }],
+    });
+    expect(text).toBe([
+      'Content validation: 1 error(s), 1 warning(s)',
+      '',
+      'Missing fields:',
+      '  warn   item x: desc is empty',
+      '',
+      'Unknown ids:',
+      '  error  a.js: bad id',
+    ].join('\n'));
+  });
+
+  it('runs as a node script', () => {
+    const out = execFileSync('node', ['scripts/validate-content.js', 'src/data/packs/frostfall.js'], { encoding: 'utf8', timeout: 30000 });
+    expect(out).toMatch(/^Content validation: 0 error\(s\)/);
+  });
+});
@@ -0,0 +1,87 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { RARITY_PITY, getRarityWeights, getPityWeights, getRarityOdds, rollRarity, rarityMult } from '../../src/data/raritySystem.js';
+import { createChoiceRoller, banishKey } from '../../src/game/progression/ChoiceRoller.js';
+import { applyWeapon } from '../../src/game/progression/UpgradeSystem.js';
+import { createGameContent } from '../../src/data/index.js';
+import { RARITY, TYPE } from '../../src/data/constants.js';
+import { createRunRng } from '../../src/utils/rng.js';
+
+const noop = () => {};
+const weightOf = (weights, r) => weights.find((x) => x.r === r).w;
+const isHit = (card) => card.rarity === RARITY.RARE || card.rarity === RARITY.LEGENDARY;
+const content = createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+
+function makeRoller(s) {
+  return createChoiceRoller({ stateRef: { current: s }, content, applyWeapon, pushCombatText: noop, sfxInteract: noop });
+}
+
+describe('rarity pity', () => {
+  it('boosts Rare and Legendary weights once a source passes its pity threshold', () => {
+    const { after, step, max } = RARITY_PITY.chest;
+    const base = getRarityWeights(2);
+    expect(getPityWeights(2, 'chest', after - 1)).toEqual(base);
+    expect(getPityWeights(2, null, 50)).toEqual(base);
+
+    const boosted = getPityWeights(2, 'chest', after);
+    expect(weightOf(boosted, RARITY.COMMON)).toBe(weightOf(base, RARITY.COMMON));
+    expect(weightOf(boosted, RARITY.RARE)).toBeCloseTo(weightOf(base, RARITY.RARE) * (1 + step));
+    expect(weightOf(getPityWeights(2, 'chest', 1000), RARITY.LEGENDARY)).toBeCloseTo(weightOf(base, RARITY.LEGENDARY) * max);
+  });
+
+  it('reports odds that sum to one and rise with luck and misses', () => {
+    const chance = (odds, r) => odds.find((x) => x.r === r).chance;
+    const odds = getRarityOdds(0, 'levelup', 0);
+    expect(odds.reduce((sum, x) => sum + x.chance, 0)).toBeCloseTo(1);
+    expect(chance(getRarityOdds(4, 'levelup', 0), RARITY.RARE)).toBeGreaterThan(chance(odds, RARITY.RARE));
+    expect(chance(getRarityOdds(0, 'levelup', 20), RARITY.RARE)).toBeGreaterThan(chance(odds, RARITY.RARE));
+  });
+
+  it('keeps the same draw order without misses', () => {
+    const a = createRunRng(5).loot;
+    const b = createRunRng(5).loot;
+    for (let i = 0; i < 20; i++) expect(rollRarity(1, a, 'levelup', 0)).toBe(rollRarity(1, b));
+  });
+
+  it('counts screens per source and resets on a Rare or better', () => {
+    const s = { rng: createRunRng(9), player: { x: 0, y: 0, luck: 0, weapons: [], collectedTomes: [] } };
+    const roller = makeRoller(s);
+
+    let misses = 0;
+    for (let i = 0; i < 10; i++) {
+      const cards = roller.rollChoicesOfType(s, TYPE.TOME, 'bossChest');
+      misses = cards.some(isHit) ? 0 : misses + 1;
+      expect(s.player.rarityPity.bossChest).toBe(misses);
+    }
+    expect(s.player.rarityPity.levelup).toBeUndefined();
+  });
+
+  it('never counts a rerolled screen as a miss', () => {
+    const s = { rng: createRunRng(4), player: { x: 0, y: 0, luck: 0, weapons: [], collectedTomes: [] } };
+    const roller = makeRoller(s);
+    s.player.rarityPity = { chest: 2 };
+
+    let misses = 2;
+    let missedScreens = 0;
+    for (let i = 0; i < 10; i++) {
+      const cards = roller.rollChoicesOfType(s, TYPE.TOME, 'chest', true);
+      if (cards.some(isHit)) misses = 0;
+      else missedScreens++;
+      expect(s.player.rarityPity.chest).toBe(misses);
+    }
+    expect(missedScreens).toBeGreaterThan(0);
+  });
+
+  it('leaves the count alone on a screen of overflow rewards', () => {
+    const s = { rng: createRunRng(6), player: { x: 0, y: 0, luck: 0, weapons: [], collectedTomes: [] } };
+    const roller = makeRoller(s);
+    s.player.banished = content.tomes.map((t) => banishKey(TYPE.TOME, t.id));
+    s.player.rarityPity = { levelup: 5 };
+
+    for (let i = 0; i < 10; i++) {
+      const cards = roller.rollChoicesOfType(s, TYPE.TOME, 'levelup');
+      expect(cards.every((c) => c.overflow)).toBe(true);
+      expect(s.player.rarityPity.levelup).toBe(5);
+    }
+  });
+});
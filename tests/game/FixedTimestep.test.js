@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { createFixedTimestep, FIXED_DT, SIM_HZ, MAX_FRAME_TIME } from '../../src/game/FixedTimestep.js';
+
+describe('FixedTimestep', () => {
+  it('should step at 120 Hz by default', () => {
+    expect(SIM_HZ).toBe(120);
+    expect(FIXED_DT).toBeCloseTo(1 / 120, 10);
+  });
+
+  it('should run the same number of steps at any frame rate', () => {
+    const countSteps = (hz) => {
+      const ts = createFixedTimestep();
+      let steps = 0;
+      for (let i = 0; i < hz; i++) steps += ts.advance(1 / hz, () => {});
+      return steps;
+    };
+    // One second of frames at 30, 60 and 144 Hz is ~120 steps each (float drift can leave one in the accumulator)
+    for (const hz of [30, 60, 144]) {
+      expect(Math.abs(countSteps(hz) - 120)).toBeLessThanOrEqual(1);
+    }
+  });
+
+  it('should carry leftover time and expose it as alpha', () => {
+    const ts = createFixedTimestep({ stepDt: 0.01 });
+    const dts = [];
+    expect(ts.advance(0.025, (dt) => dts.push(dt))).toBe(2);
+    expect(dts).toEqual([0.01, 0.01]);
+    expect(ts.alpha()).toBeCloseTo(0.5, 5);
+    expect(ts.advance(0.005, () => {})).toBe(1);
+    expect(ts.alpha()).toBeCloseTo(0, 5);
+  });
+
+  it('should cap long frames and reset', () => {
+    const ts = createFixedTimestep({ stepDt: 0.01 });
+    expect(ts.advance(5, () => {})).toBe(Math.round(MAX_FRAME_TIME / 0.01));
+    ts.advance(0.005, () => {});
+    ts.reset();
+    expect(ts.alpha()).toBe(0);
+  });
+});
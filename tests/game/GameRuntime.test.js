@@ -0,0 +1,173 @@
+// @vitest-environment node
+import { describe, it, expect, beforeEach } from 'vitest';
+import { GameRuntime } from '../../src/game/GameRuntime.js';
+
+const DT = 1 / 60;
+
+function runFor(game, seconds, input = {}) {
+  const steps = Math.round(seconds / DT);
+  for (let i = 0; i < steps; i++) {
+    // Always take the first card so level-ups don't stall the run
+    game.step(DT, { ...input, choice: 0 });
+  }
+  return game.state;
+}
+
+function findOpenCell(grid, margin) {
+  for (let y = margin; y < grid.length - margin; y++) {
+    for (let x = margin; x < grid[0].length - margin; x++) {
+      let open = true;
+      for (let dy = -margin; dy <= margin && open; dy++) {
+        for (let dx = -margin; dx <= margin && open; dx++) {
+          if (grid[y + dy][x + dx] !== 1) open = false;
+        }
+      }
+      if (open) return { x, y };
+    }
+  }
+  return null;
+}
+
+// Level layout is random - move the player into open floor so walls can't block a test
+function placeInOpenFloor(s) {
+  const { pathfindingGrid: grid, pathfindingGridSize: size } = s.levelData;
+  const open = findOpenCell(grid, 4);
+  s.player.x = (open.x + 0.5) * size;
+  s.player.y = (open.y + 0.5) * size;
+}
+
+describe('GameRuntime (headless)', () => {
+  let game;
+
+  beforeEach(() => {
+    game = new GameRuntime();
+  });
+
+  it('should not have state before a run is started', () => {
+    expect(game.state).toBeNull();
+    expect(game.step(DT)).toBeNull();
+  });
+
+  it('should start a run without a DOM', () => {
+    expect(typeof window).toBe('undefined');
+    const s = game.start('cowboy');
+    expect(s).toBe(game.state);
+    expect(game.ui.screen).toBe('running');
+    expect(s.levelData).toBeTruthy();
+    expect(s.player.charId).toBe('cowboy');
+    expect(s.player.weapons.length).toBeGreaterThan(0);
+    expect(game.content.weapons.length).toBeGreaterThan(0);
+  });
+
+  it('should advance run time and stage timer on step', () => {
+    const s = game.start();
+    runFor(game, 1);
+    expect(s.t).toBeGreaterThan(0.9);
+    expect(s.stageLeft).toBeLessThan(600);
+  });
+
+  it('should spawn enemies over time', () => {
+    const s = game.start();
+    runFor(game, 5);
+    expect(s.enemies.length + s.score).toBeGreaterThan(0);
+  });
+
+  it('should fire weapons at a nearby enemy', () => {
+    const s = game.start();
+    placeInOpenFloor(s);
+    game.runtime.spawnEnemy(s);
+    const e = s.enemies[s.enemies.length - 1];
+    e.x = s.player.x + 30;
+    e.y = s.player.y;
+    const hp0 = e.hp;
+
+    let sawBullet = false;
+    for (let i = 0; i < Math.round(1 / DT); i++) {
+      game.step(DT, { choice: 0 });
+      if (s.bullets.length > 0) sawBullet = true;
+    }
+    expect(sawBullet || e.hp < hp0).toBe(true);
+  });
+
+  it('should move the player from key input', () => {
+    const s = game.start();
+    placeInOpenFloor(s);
+    const x0 = s.player.x;
+    const y0 = s.player.y;
+    runFor(game, 0.25, { keys: ['d'] });
+    expect(Math.hypot(s.player.x - x0, s.player.y - y0)).toBeGreaterThan(0);
+  });
+
+  it('should jump once per press', () => {
+    const s = game.start();
+    game.step(DT, { jump: true });
+    game.step(DT, { jump: true });
+    expect(s.player.z).toBeGreaterThan(0);
+  });
+
+  it('should freeze the world on levelup until a choice is picked', () => {
+    const s = game.start();
+    game.runtime.awardXP(s, s.xpNeed * 2, s.player.x, s.player.y);
+    expect(game.ui.screen).toBe('levelup');
+
+    const t = s.t;
+    game.step(DT);
+    expect(s.t).toBe(t);
+
+    game.step(DT, { choice: 0 });
+    expect(game.ui.screen).toBe('running');
+    game.step(DT);
+    expect(s.t).toBeGreaterThan(t);
+  });
+
+  it('should replay the same run from the same seed and inputs', () => {
+    const play = (seed) => {
+      const g = new GameRuntime();
+      const s = g.start('cowboy', seed);
+      runFor(g, 3, { keys: ['d'] });
+      runFor(g, 3, { keys: ['w', 'a'] });
+      return {
+        seed: s.seed,
+        rooms: s.levelData.rooms.map((r) => [r.x, r.y, r.w, r.h]),
+        t: s.t,
+        score: s.score,
+        level: s.level,
+        hp: s.player.hp,
+        player: [s.player.x, s.player.y],
+        enemies: s.enemies.map((e) => [e.id, e.tier, e.x, e.y, e.hp]),
+        interact: s.interact.map((i) => [i.kind, i.x, i.y]),
+      };
+    };
+
+    const a = play(12345);
+    const b = play(12345);
+    expect(b).toEqual(a);
+    expect(a.enemies.length + a.score).toBeGreaterThan(0);
+
+    const c = play(54321);
+    expect(c.rooms).not.toEqual(a.rooms);
+  });
+
+  it('should advance by real time in fixed steps', () => {
+    const s = game.start('cowboy', 1);
+    game.advance(1 / 30);
+    expect(s.t).toBeCloseTo(4 / 120, 6);
+    // Leftover time carries over to the next frame
+    game.advance(0.005);
+    game.advance(0.005);
+    expect(s.t).toBeCloseTo(5 / 120, 6);
+    expect(game.replay.frames.every((f) => f.dt === 1 / 120)).toBe(true);
+  });
+
+  it('should move to the dead screen when the player dies', () => {
+    const s = game.start();
+    s.player.hp = 0;
+    game.step(DT);
+    expect(s.running).toBe(false);
+    expect(game.ui.screen).toBe('dead');
+
+    const t = s.t;
+    game.step(DT);
+    expect(s.t).toBe(t);
+  });
+});
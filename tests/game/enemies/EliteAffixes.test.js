@@ -0,0 +1,93 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { ELITE_AFFIXES, rollEliteAffixes, applyEliteDamage, updateEliteAffixes, handleEliteDeath, getEliteContactMult } from '../../../src/game/enemies/EliteAffixes.js';
+import { ELITE_CONFIG } from '../../../src/data/enemyData.js';
+import { createRunRng } from '../../../src/utils/rng.js';
+import { updateParticles } from '../../../src/game/effects/ParticleSystem.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+
+const kinds = (affixes) => affixes.map((id) => ELITE_AFFIXES[id].kind);
+
+// Random source returning the given values, then 0.5
+function rolls(...values) {
+  return () => values.shift() ?? 0.5;
+}
+
+function makeElite(affixes, extra = {}) {
+  return { isElite: true, x: 0, y: 0, r: 14, hp: 100, maxHp: 100, affixes, affixState: {}, ...extra };
+}
+
+describe('EliteAffixes', () => {
+  it('rolls one to three affixes, with a weakness once there are two', () => {
+    expect(kinds(rollEliteAffixes(1, () => 0.99))).toEqual(['ability']);
+    expect(kinds(rollEliteAffixes(5, rolls(0, 0.99)))).toEqual(['ability', 'weakness']);
+    const deep = rollEliteAffixes(20, () => 0);
+    expect(kinds(deep)).toEqual([...Array(ELITE_CONFIG.AFFIXES.MAX_AFFIXES - 1).fill('ability'), 'weakness']);
+    expect(new Set(deep).size).toBe(deep.length);
+
+    const rng = createRunRng(8).spawns;
+    for (let i = 0; i < 200; i++) expect(rollEliteAffixes(1, rng)).not.toContain('martyr');
+  });
+
+  it('rolls more affixes on deeper floors', () => {
+    const average = (floor) => {
+      const rng = createRunRng(floor).spawns;
+      let total = 0;
+      for (let i = 0; i < 300; i++) total += rollEliteAffixes(floor, rng).length;
+      return total / 300;
+    };
+    expect(average(1)).toBeLessThan(1.2);
+    expect(average(20)).toBeGreaterThan(2);
+  });
+
+  it('never gives an elite more than three affixes', () => {
+    for (const seed of [1, 2, 3]) {
+      const rng = createRunRng(seed).spawns;
+      for (const floor of [1, 5, 10, 30]) {
+        for (let i = 0; i < 50; i++) expect(rollEliteAffixes(floor, rng).length).toBeLessThanOrEqual(3);
+      }
+    }
+  });
+
+  it('stacks damage hooks and weaknesses by what hit', () => {
+    const e = makeElite(['shield', 'weak_fire']);
+    expect(applyEliteDamage({}, e, 100, { effect: 'burn' })).toBeCloseTo(105);
+    expect(applyEliteDamage({}, e, 100, { melee: true })).toBeCloseTo(70);
+    expect(applyEliteDamage({}, e, 100, { glow: true })).toBeCloseTo(70);
+    expect(applyEliteDamage({}, makeElite([]), 100)).toBe(100);
+  });
+
+  it('applies to area damage, counting only burn as fire', () => {
+    const s = new GameRuntime().start('cowboy', 3);
+    const p = s.player;
+    const e = makeElite(['shield', 'weak_fire'], { x: p.x + 20, y: p.y, hp: 1000, maxHp: 1000 });
+    s.enemies = [e];
+
+    // Flamewalker fire, then a glowing aura that isn't fire
+    s.burningAreas = [{ x: e.x, y: e.y, r: 40, dmg: 10, tickRate: 0.1, t: 0, life: 5 }];
+    updateParticles(s, 0.1);
+    expect(1000 - e.hp).toBeCloseTo(10 * 0.7 * 1.5);
+
+    s.burningAreas = [];
+    e.hp = 1000;
+    s.auras = [{ r: 60, dmg: 10, tickRate: 0.1, t: 0, life: 5, glow: true }];
+    updateParticles(s, 0.1);
+    expect(1000 - e.hp).toBeCloseTo(10 * 0.7);
+  });
+
+  it('ticks, hits harder when hurt and heals allies on death', () => {
+    const s = { rng: createRunRng(2), player: { x: 500, y: 500 }, enemies: [], particles: [] };
+    const e = makeElite(['regeneration', 'rage', 'martyr'], { hp: 50 });
+    updateEliteAffixes(s, e, 1, () => 0);
+    expect(e.hp).toBe(52);
+    expect(getEliteContactMult(e)).toBeCloseTo(1.24);
+    expect(getEliteContactMult(makeElite(['shield']))).toBe(1.3);
+    expect(getEliteContactMult({ hp: 1, maxHp: 1 })).toBe(1);
+
+    const near = { x: 50, y: 0, hp: 10, maxHp: 100 };
+    const far = { x: 900, y: 0, hp: 10, maxHp: 100 };
+    s.enemies.push(e, near, far);
+    handleEliteDeath(s, e);
+    expect([near.hp, far.hp]).toEqual([35, 10]);
+  });
+});
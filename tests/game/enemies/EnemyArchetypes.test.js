@@ -0,0 +1,100 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { updateSummoner, updateExploder, updateShielderAuras, getShieldMult } from '../../../src/game/enemies/EnemyArchetypes.js';
+import { spawnEnemyAt } from '../../../src/game/enemies/EnemySpawner.js';
+import { processEnemyDeaths } from '../../../src/game/enemies/EnemyDeathSystem.js';
+import { ARCHETYPE_CONFIG } from '../../../src/data/enemyData.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+import { updateBullets } from '../../../src/game/projectiles/BulletUpdateSystem.js';
+import { updateEnemyStatusEffects } from '../../../src/game/systems/StatusEffectSystem.js';
+
+function startRun() {
+  const s = new GameRuntime().start('cowboy', 12);
+  s.enemies = [];
+  s.levelData = null;
+  return s;
+}
+
+describe('enemy archetypes', () => {
+  it('summons grunts worth no gold up to the cap', () => {
+    const s = startRun();
+    const summoner = spawnEnemyAt(s, 'summoner', s.player.x + 300, s.player.y);
+    const { INTERVAL, COUNT, MAX_ALIVE } = ARCHETYPE_CONFIG.SUMMONER;
+
+    expect(updateSummoner(s, summoner, INTERVAL)).toHaveLength(COUNT);
+    for (let i = 0; i < 5; i++) updateSummoner(s, summoner, INTERVAL);
+    const summoned = s.enemies.filter((e) => e.summonerId === summoner.id);
+    expect(summoned).toHaveLength(MAX_ALIVE);
+    expect(summoned.every((e) => e.tier === 'grunt' && e.coin === 0)).toBe(true);
+  });
+
+  it('lights a fuse in range and blasts the player without dropping loot', () => {
+    const s = startRun();
+    const p = s.player;
+    const exploder = spawnEnemyAt(s, 'exploder', p.x + 20, p.y);
+    const hits = [];
+    const damage = (state, amount) => hits.push(amount);
+
+    expect(updateExploder(s, exploder, 0.1, 200, damage)).toBe(false);
+    expect(updateExploder(s, exploder, 0.1, 20, damage)).toBe(true);
+    expect(exploder.fuseT).toBe(ARCHETYPE_CONFIG.EXPLODER.FUSE);
+    updateExploder(s, exploder, ARCHETYPE_CONFIG.EXPLODER.FUSE, 20, damage);
+    expect(hits).toHaveLength(1);
+    expect(exploder.detonated).toBe(true);
+
+    const gems = s.gems.length;
+    processEnemyDeaths(s);
+    expect(s.enemies).toEqual([]);
+    expect(s.gems).toHaveLength(gems);
+  });
+
+  it('reduces damage to allies near a shielder', () => {
+    const s = startRun();
+    spawnEnemyAt(s, 'shielder', 0, 0);
+    const near = spawnEnemyAt(s, 'grunt', 50, 0);
+    const far = spawnEnemyAt(s, 'grunt', 500, 0);
+    updateShielderAuras(s, 0.016);
+    expect(getShieldMult(near)).toBeCloseTo(1 - ARCHETYPE_CONFIG.SHIELDER.REDUCTION);
+    expect(getShieldMult(far)).toBe(1);
+    expect(getShieldMult(s.enemies[0])).toBe(1);
+  });
+
+  it('shields allies from splash and poison damage too', () => {
+    const s = startRun();
+    s.spatial = null;
+    const shielded = spawnEnemyAt(s, 'grunt', 1000, 1000);
+    const open = spawnEnemyAt(s, 'grunt', 2000, 1000);
+    shielded.shieldedT = 1;
+    for (const e of [shielded, open]) e.hp = e.maxHp = 1000;
+
+    // Splash bullets bursting 30px from each grunt
+    s.bullets = [shielded, open].map((e) => ({ x: e.x - 30, y: e.y, vx: 0, vy: 0, r: 4, dmg: 100, t: 1, life: 1, splashR: 60 }));
+    updateBullets(s, 0, 5000, 5000, 0, () => {}, null);
+    const reduction = 1 - ARCHETYPE_CONFIG.SHIELDER.REDUCTION;
+    expect(1000 - open.hp).toBeCloseTo(65);
+    expect(1000 - shielded.hp).toBeCloseTo(65 * reduction);
+
+    for (const e of [shielded, open]) Object.assign(e, { hp: 1000, poisonT: 2, poisonDps: 10 });
+    updateEnemyStatusEffects(s, 1, () => {});
+    expect(1000 - open.hp).toBeCloseTo(10);
+    expect(1000 - shielded.hp).toBeCloseTo(10 * reduction);
+  });
+
+  it('splits a splitter into smaller copies once', () => {
+    const s = startRun();
+    const splitter = spawnEnemyAt(s, 'splitter', 100, 100);
+    splitter.hp = 0;
+    const gems = s.gems.length;
+    processEnemyDeaths(s);
+    expect(s.gems).toHaveLength(gems + 1);
+
+    const { COPIES, SIZE_MULTIPLIER } = ARCHETYPE_CONFIG.SPLITTER;
+    expect(s.enemies).toHaveLength(COPIES);
+    expect(s.enemies.every((e) => e.tier === 'splitter' && e.splitGen === 1)).toBe(true);
+    expect(s.enemies[0].r).toBeCloseTo(splitter.r * SIZE_MULTIPLIER);
+
+    for (const e of s.enemies) e.hp = 0;
+    processEnemyDeaths(s);
+    expect(s.enemies).toEqual([]);
+  });
+});
@@ -0,0 +1,86 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { getEnemyAIProfile, updateEnemyBehaviour, updateEnemyAttack, matchesWhen } from '../../../src/game/enemies/EnemyBehaviours.js';
+
+// Enemy at the origin, player d away along +x
+function makeCtx(e, { d = 100, hasLOS = true, dt = 0.1, s = { t: 0, floor: 1 }, ...rest } = {}) {
+  return { s, e, dt, dx: d, dy: 0, d, hasLOS, flowX: 1, flowY: 0, ...rest };
+}
+
+function makeEnemy(tier, hp = 100) {
+  return { tier, x: 0, y: 0, r: 14, hp, maxHp: 100, phase: 0 };
+}
+
+describe('EnemyBehaviours', () => {
+  it('picks the first behaviour whose conditions hold', () => {
+    const e = makeEnemy('spitter');
+    const profile = getEnemyAIProfile('spitter');
+
+    expect(updateEnemyBehaviour(makeCtx(e, { d: 100 }), profile).x).toBe(-1);
+    expect(e.ai.state).toBe('kite');
+    expect(updateEnemyBehaviour(makeCtx(e, { d: 400 }), profile).x).toBe(1);
+
+    e.hp = 20;
+    const flee = updateEnemyBehaviour(makeCtx(e, { d: 100 }), profile);
+    expect(e.ai.state).toBe('flee');
+    expect(flee.speed).toBeGreaterThan(1);
+    expect(updateEnemyBehaviour(makeCtx(e, { d: 300 }), profile).x).toBe(1);
+    expect(e.ai.state).toBe('kite');
+  });
+
+  it('chases by default and takes contact and sight from the stats', () => {
+    expect(getEnemyAIProfile('grunt')).toMatchObject({ behaviours: [{ type: 'chase' }], attack: null, contact: true, sight: 800 });
+    expect(getEnemyAIProfile('spitter').contact).toBe(false);
+    expect(getEnemyAIProfile('tank').sight).toBe(420);
+  });
+
+  it('winds up a charge, dashes and keeps charging until done', () => {
+    const e = makeEnemy('brute');
+    const profile = getEnemyAIProfile('brute');
+    const s = { t: 0, floor: 1 };
+
+    expect(updateEnemyBehaviour(makeCtx(e, { s, d: 150 }), profile).speed).toBe(0);
+    expect(e.ai.charge.phase).toBe('windup');
+    for (let i = 0; i < 5; i++) updateEnemyBehaviour(makeCtx(e, { s, d: 150 }), profile);
+    expect(e.ai.charge.phase).toBe('dash');
+
+    // Out of range mid-dash: the charge keeps control
+    const dash = updateEnemyBehaviour(makeCtx(e, { s, d: 600 }), profile);
+    expect(e.ai.state).toBe('charge');
+    expect(dash).toMatchObject({ x: 1, y: 0 });
+    expect(dash.speed).toBeGreaterThan(1);
+
+    for (let i = 0; i < 6; i++) updateEnemyBehaviour(makeCtx(e, { s, d: 150 }), profile);
+    expect(e.ai.charge.phase).toBe(null);
+    expect(updateEnemyBehaviour(makeCtx(e, { s, d: 150 }), profile).speed).toBe(1);
+  });
+
+  it('guards its spawn until it spots the player, and returns after losing sight', () => {
+    const e = makeEnemy('tank');
+    const profile = getEnemyAIProfile('tank');
+
+    updateEnemyBehaviour(makeCtx(e, { hasLOS: false }), profile);
+    expect(e.ai.state).toBe('guard');
+    updateEnemyBehaviour(makeCtx(e, { hasLOS: true }), profile);
+    expect(e.ai.state).toBe('chase');
+    for (let i = 0; i < 30; i++) updateEnemyBehaviour(makeCtx(e, { hasLOS: false }), profile);
+    expect(e.ai.state).toBe('chase');
+    for (let i = 0; i < 20; i++) updateEnemyBehaviour(makeCtx(e, { hasLOS: false }), profile);
+    expect(e.ai.state).toBe('guard');
+  });
+
+  it('spits on a cooldown only with line of sight in range', () => {
+    const e = makeEnemy('spitter');
+    const profile = getEnemyAIProfile('spitter');
+    const shots = [];
+    const shootBulletFn = (s, x, y, angle, dmg) => shots.push(dmg);
+
+    updateEnemyAttack(makeCtx(e, { d: 300, hasLOS: false, shootBulletFn }), profile);
+    updateEnemyAttack(makeCtx(e, { d: 600, shootBulletFn }), profile);
+    expect(shots).toEqual([]);
+    updateEnemyAttack(makeCtx(e, { d: 300, shootBulletFn }), profile);
+    updateEnemyAttack(makeCtx(e, { d: 300, shootBulletFn }), profile);
+    expect(shots).toHaveLength(1);
+    expect(matchesWhen(makeCtx(e), undefined)).toBe(true);
+  });
+});
@@ -0,0 +1,132 @@
+// @vitest-environment node
+import { describe, it, expect, vi } from 'vitest';
+import { createEventBus, emitGameEvent, GAME_EVENTS } from '../../../src/game/events/GameEvents.js';
+import { subscribeAudio, subscribeRunStats, createRunStats } from '../../../src/game/events/GameEventSubscribers.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+
+const DT = 1 / 60;
+
+describe('GameEvents', () => {
+  describe('createEventBus', () => {
+    it('should call listeners in subscription order with the payload and state', () => {
+      const bus = createEventBus();
+      const calls = [];
+      bus.on(GAME_EVENTS.LEVEL_UP, (e, s) => calls.push(['a', e.level, s.id]));
+      bus.on(GAME_EVENTS.LEVEL_UP, (e) => calls.push(['b', e.level]));
+      bus.emit(GAME_EVENTS.LEVEL_UP, { level: 3 }, { id: 1 });
+      expect(calls).toEqual([['a', 3, 1], ['b', 3]]);
+    });
+
+    it('should unsubscribe and support once', () => {
+      const bus = createEventBus();
+      const fn = vi.fn();
+      const onceFn = vi.fn();
+      const off = bus.on(GAME_EVENTS.FLOOR_CLEARED, fn);
+      bus.once(GAME_EVENTS.FLOOR_CLEARED, onceFn);
+      bus.emit(GAME_EVENTS.FLOOR_CLEARED, { floor: 1 });
+      off();
+      bus.emit(GAME_EVENTS.FLOOR_CLEARED, { floor: 2 });
+      expect(fn).toHaveBeenCalledTimes(1);
+      expect(onceFn).toHaveBeenCalledTimes(1);
+      expect(bus.listenerCount(GAME_EVENTS.FLOOR_CLEARED)).toBe(0);
+    });
+
+    it('should reject unknown event types', () => {
+      const bus = createEventBus();
+      expect(() => bus.on('enemyKiled', () => {})).toThrow('Unknown game event');
+      expect(() => bus.emit('enemyKiled', {})).toThrow('Unknown game event');
+    });
+
+    it('should skip emits on states without a bus', () => {
+      expect(() => emitGameEvent({}, GAME_EVENTS.LEVEL_UP, { level: 2 })).not.toThrow();
+    });
+  });
+
+  describe('subscribers', () => {
+    it('should play sounds for kills, hits, coins and level-ups', () => {
+      const bus = createEventBus();
+      const audio = { sfxKill: vi.fn(), sfxHit: vi.fn(), sfxCoin: vi.fn(), sfxLevelUp: vi.fn() };
+      subscribeAudio(bus, audio);
+      const s = { arena: { w: 100 }, player: { x: 100 } };
+      bus.emit(GAME_EVENTS.ENEMY_KILLED, { x: 0, y: 0 }, s);
+      bus.emit(GAME_EVENTS.PLAYER_DAMAGED, { amount: 5, sound: true }, s);
+      bus.emit(GAME_EVENTS.PLAYER_DAMAGED, { amount: 5, sound: false }, s);
+      bus.emit(GAME_EVENTS.ITEM_PICKED, { kind: 'consumable', x: 50 }, s);
+      bus.emit(GAME_EVENTS.ITEM_PICKED, { kind: 'coin', x: 50 }, s);
+      bus.emit(GAME_EVENTS.LEVEL_UP, { level: 2 }, s);
+      expect(audio.sfxKill).toHaveBeenCalledWith(-1);
+      expect(audio.sfxHit).toHaveBeenCalledTimes(1);
+      expect(audio.sfxHit).toHaveBeenCalledWith(1);
+      expect(audio.sfxCoin).toHaveBeenCalledTimes(1);
+      expect(audio.sfxLevelUp).toHaveBeenCalledTimes(1);
+    });
+
+    it('should count run stats', () => {
+      const bus = createEventBus();
+      subscribeRunStats(bus);
+      const s = { stats: createRunStats() };
+      bus.emit(GAME_EVENTS.ENEMY_KILLED, { isElite: true }, s);
+      bus.emit(GAME_EVENTS.ENEMY_KILLED, { isElite: false }, s);
+      bus.emit(GAME_EVENTS.PLAYER_DAMAGED, { amount: 7.5 }, s);
+      bus.emit(GAME_EVENTS.ITEM_PICKED, { kind: 'coin' }, s);
+      bus.emit(GAME_EVENTS.FLOOR_CLEARED, { floor: 1, nextFloor: 2 }, s);
+      expect(s.stats).toEqual({ kills: 2, eliteKills: 1, damageTaken: 7.5, itemsPicked: 1, bossesKilled: 1 });
+    });
+  });
+
+  describe('in a headless run', () => {
+    it('should emit enemyKilled from the death system', () => {
+      const game = new GameRuntime();
+      const s = game.start('cowboy', 5);
+      const killed = vi.fn();
+      const off = game.events.on(GAME_EVENTS.ENEMY_KILLED, killed);
+      game.runtime.spawnEnemy(s);
+      const e = s.enemies[s.enemies.length - 1];
+      e.hp = 0;
+      game.step(DT);
+      off();
+      expect(killed).toHaveBeenCalledWith(expect.objectContaining({ enemy: e, tier: e.tier }), s);
+      expect(s.stats.kills).toBeGreaterThanOrEqual(1);
+    });
+
+    it('should emit playerDamaged and levelUp', () => {
+      const game = new GameRuntime();
+      const s = game.start('cowboy', 6);
+      const damaged = vi.fn();
+      const leveled = vi.fn();
+      game.events.on(GAME_EVENTS.PLAYER_DAMAGED, damaged);
+      game.events.on(GAME_EVENTS.LEVEL_UP, leveled);
+
+      s.player.evasion = 0;
+      s.player.shield = 0;
+      game.runtime.applyPlayerDamage(s, 10, 'test');
+      expect(damaged).toHaveBeenCalledWith(expect.objectContaining({ src: 'test', shielded: false, evaded: false }), s);
+      expect(s.stats.damageTaken).toBeGreaterThan(0);
+
+      game.runtime.awardXP(s, s.xpNeed, s.player.x, s.player.y);
+      expect(leveled).toHaveBeenCalledWith({ level: 2 }, s);
+    });
+
+    it('should emit bossPhaseChanged and floorCleared', () => {
+      const game = new GameRuntime();
+      const s = game.start('cowboy', 7);
+      const phases = [];
+      const floors = [];
+      game.events.on(GAME_EVENTS.BOSS_PHASE_CHANGED, (e) => phases.push(e.phase));
+      game.events.on(GAME_EVENTS.FLOOR_CLEARED, (e) => floors.push([e.floor, e.nextFloor]));
+
+      game.runtime.startBoss(s, 120, s.player.x + 200, s.player.y);
+      s.boss.hp = s.boss.maxHp * 0.4;
+      game.step(DT);
+      expect(phases).toEqual([2]);
+
+      s.boss.hp = 0;
+      game.step(DT);
+      expect(s.loadingFloor).toEqual({ floor: 2 });
+      // The next floor is entered at the start of the following step
+      game.step(DT);
+      expect(floors).toEqual([[1, 2]]);
+      expect(s.stats.bossesKilled).toBe(1);
+    });
+  });
+});
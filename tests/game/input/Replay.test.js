@@ -0,0 +1,203 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createInputRecorder, REPLAY_VERSION } from '../../../src/game/input/InputRecorder.js';
+import { createReplayPlayer, parseReplay, exportReplay, countReplayFrames } from '../../../src/game/input/ReplayPlayer.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+import { INTERACT } from '../../../src/data/constants.js';
+
+const DT = 1 / 60;
+
+function snapshot(game) {
+  const s = game.state;
+  return {
+    t: s.t,
+    score: s.score,
+    level: s.level,
+    hp: s.player.hp,
+    coins: s.player.coins,
+    player: [s.player.x, s.player.y, s.player.z],
+    weapons: s.player.weapons.map((w) => [w.id, w.level]),
+    enemies: s.enemies.map((e) => [e.id, e.x, e.y, e.hp]),
+    screen: game.ui.screen,
+  };
+}
+
+describe('InputRecorder', () => {
+  it('should record seed, character and arena size', () => {
+    const rec = createInputRecorder();
+    rec.start({ seed: 9, charId: 'cowboy', width: 960, height: 540 });
+    const replay = rec.getReplay();
+    expect(replay.version).toBe(REPLAY_VERSION);
+    expect(replay).toMatchObject({ seed: 9, charId: 'cowboy', width: 960, height: 540, modified: false });
+    expect(replay.frames).toEqual([]);
+  });
+
+  it('should run-length encode identical frames', () => {
+    const rec = createInputRecorder();
+    rec.start({ seed: 1, charId: 'cowboy', width: 960, height: 540 });
+    rec.recordFrame(DT, new Set(['d']));
+    rec.recordFrame(DT, new Set(['d']));
+    rec.recordFrame(DT, new Set(['d']));
+    rec.recordFrame(DT, new Set(['d', 'w']));
+    expect(rec.getReplay().frames).toEqual([
+      { dt: DT, keys: ['d'], n: 3 },
+      { dt: DT, keys: ['d', 'w'] },
+    ]);
+  });
+
+  it('should keep presses and choices as their own entries', () => {
+    const rec = createInputRecorder();
+    rec.start({ seed: 1, charId: 'cowboy', width: 960, height: 540 });
+    rec.recordFrame(DT, new Set());
+    rec.recordFrame(DT, new Set(), { jump: true });
+    rec.recordFrame(DT, new Set());
+    rec.recordChoice(2);
+    rec.recordFrame(DT, new Set());
+    expect(rec.getReplay().frames).toEqual([
+      { dt: DT },
+      { dt: DT, jump: 1 },
+      { dt: DT },
+      { choice: 2 },
+      { dt: DT },
+    ]);
+  });
+
+  it('should not record before a run starts', () => {
+    const rec = createInputRecorder();
+    rec.recordFrame(DT, new Set(['d']));
+    expect(rec.getReplay()).toBeNull();
+  });
+});
+
+describe('ReplayPlayer', () => {
+  const replay = {
+    version: REPLAY_VERSION,
+    seed: 1,
+    charId: 'cowboy',
+    width: 960,
+    height: 540,
+    frames: [{ dt: DT, keys: ['d'], n: 2 }, { choice: 1 }, { dt: DT, ability: 1 }],
+  };
+
+  it('should expand run-length encoded frames', () => {
+    const player = createReplayPlayer(replay);
+    expect(countReplayFrames(replay)).toBe(3);
+    expect(player.next()).toEqual({ dt: DT, keys: ['d'], jump: false, ability: false, interact: false });
+    expect(player.next().keys).toEqual(['d']);
+    expect(player.next()).toEqual({ choice: 1 });
+    expect(player.next().ability).toBe(true);
+    expect(player.next()).toBeNull();
+    expect(player.done()).toBe(true);
+    expect(player.progress()).toEqual({ frame: 3, total: 3 });
+  });
+
+  it('should pause and cycle speeds', () => {
+    const player = createReplayPlayer(replay);
+    expect(player.togglePause()).toBe(true);
+    expect(player.togglePause()).toBe(false);
+    expect(player.cycleSpeed()).toBe(2);
+    expect(player.cycleSpeed()).toBe(4);
+    expect(player.cycleSpeed()).toBe(8);
+    expect(player.cycleSpeed()).toBe(1);
+  });
+
+  it('should round-trip through JSON', () => {
+    expect(parseReplay(exportReplay(replay))).toEqual(replay);
+  });
+
+  it('should reject files that are not playable replays', () => {
+    expect(() => parseReplay('{}')).toThrow('Not a replay file');
+    expect(() => parseReplay({ ...replay, version: 99 })).toThrow('Unsupported replay version');
+    expect(() => parseReplay({ ...replay, seed: undefined })).toThrow('missing');
+  });
+});
+
+describe('Replay playback (headless)', () => {
+  it('should reproduce a recorded run from exported JSON', () => {
+    const live = new GameRuntime();
+    live.start('cowboy', 777);
+    for (let i = 0; i < 60 * 6; i++) {
+      const keys = Math.floor(i / 45) % 2 ? ['a', 'w'] : ['d'];
+      live.step(DT, { keys, jump: i % 100 === 0, ability: i === 200, choice: 0 });
+    }
+    const json = exportReplay(live.replay);
+
+    const replayed = new GameRuntime();
+    replayed.playReplay(json);
+
+    expect(snapshot(replayed)).toEqual(snapshot(live));
+    // The replayed run records the same log again
+    expect(replayed.replay).toEqual(live.replay);
+  });
+
+  it('should replay upgrade picks from a chest', () => {
+    // Same opening in both runs: stand on the starting chest with enough gold
+    const setup = (game) => {
+      const s = game.start('cowboy', 4242);
+      const chest = s.interact.find((it) => it.kind === INTERACT.CHEST);
+      s.player.x = chest.x;
+      s.player.y = chest.y;
+      s.player.coins = 500;
+      return s;
+    };
+
+    const live = new GameRuntime();
+    setup(live);
+    live.step(DT, { interact: true });
+    expect(live.ui.screen).toBe('levelup');
+    live.step(DT, { choice: 1 });
+    expect(live.ui.screen).toBe('running');
+    for (let i = 0; i < 60; i++) live.step(DT, { keys: ['s'] });
+
+    const frames = live.replay.frames;
+    expect(frames).toContainEqual({ choice: 1 });
+
+    const replayed = new GameRuntime();
+    setup(replayed);
+    const player = createReplayPlayer(live.replay);
+    for (let f = player.next(); f; f = player.next()) {
+      replayed.step(f.choice !== undefined ? 0 : f.dt, f);
+    }
+    expect(snapshot(replayed)).toEqual(snapshot(live));
+  });
+
+  it('should replay rerolls and banishes', () => {
+    const live = new GameRuntime();
+    const s = live.start('cowboy', 4343);
+    s.xp = s.xpNeed;
+    live.runtime.awardXP(s, 0, s.player.x, s.player.y);
+    live.step(DT, { choice: 'reroll' });
+    live.step(DT, { choice: 'banish:2' });
+    live.step(DT, { choice: 0 });
+    for (let i = 0; i < 60; i++) live.step(DT, { keys: ['d'] });
+    expect(live.replay.frames.filter((f) => f.choice !== undefined)).toEqual([{ choice: 'reroll' }, { choice: 'banish:2' }, { choice: 0 }]);
+
+    const replayed = new GameRuntime();
+    const rs = replayed.start('cowboy', 4343);
+    rs.xp = rs.xpNeed;
+    replayed.runtime.awardXP(rs, 0, rs.player.x, rs.player.y);
+    const player = createReplayPlayer(live.replay);
+    for (let f = player.next(); f; f = player.next()) {
+      replayed.step(f.choice !== undefined ? 0 : f.dt, f);
+    }
+    expect(rs.player.banished).toEqual(s.player.banished);
+    expect(snapshot(replayed)).toEqual(snapshot(live));
+  });
+
+  it('should stop early with maxFrames', () => {
+    const live = new GameRuntime();
+    live.start('cowboy', 5);
+    for (let i = 0; i < 120; i++) live.step(DT, { keys: ['d'] });
+
+    const replayed = new GameRuntime();
+    const s = replayed.playReplay(live.replay, { maxFrames: 60 });
+    expect(s.t).toBeCloseTo(60 * DT, 5);
+  });
+
+  it('should flag runs edited from the admin panel', () => {
+    const game = new GameRuntime();
+    const s = game.start('cowboy', 3);
+    game.runtime.handleAdminAction(s, 'levelup');
+    expect(game.replay.modified).toBe(true);
+  });
+});
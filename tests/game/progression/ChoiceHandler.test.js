@@ -0,0 +1,96 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+import { banishKey } from '../../../src/game/progression/ChoiceRoller.js';
+import { TYPE } from '../../../src/data/constants.js';
+
+function levelUp(game) {
+  const s = game.state;
+  s.xp = s.xpNeed;
+  game.runtime.awardXP(s, 0, s.player.x, s.player.y);
+  expect(game.ui.screen).toBe('levelup');
+  return s;
+}
+
+describe('ChoiceHandler charges', () => {
+  it('rerolls and banishes while charges last', () => {
+    const game = new GameRuntime();
+    game.start('cowboy', 21);
+    const s = levelUp(game);
+    const p = s.player;
+    expect([p.rerollCharges, p.banishCharges, p.skipCharges]).toEqual([2, 1, 1]);
+
+    const first = game.ui.levelChoices;
+    expect(game.runtime.pickChoice('reroll')).toBe(true);
+    expect(game.ui.levelChoices).not.toBe(first);
+    expect(game.ui.levelChoices).toHaveLength(3);
+    expect(p.rerollCharges).toBe(1);
+
+    const target = game.ui.levelChoices[1];
+    expect(game.runtime.pickChoice('banish:1')).toBe(true);
+    expect(p.banished).toEqual([banishKey(target.type, target.id)]);
+    expect(p.banishCharges).toBe(0);
+    expect(game.runtime.pickChoice('banish:0')).toBe(false);
+    expect(game.ui.screen).toBe('levelup');
+
+    for (let i = 0; i < 30; i++) {
+      const rolled = game.runtime.rollChoicesOfType(s, target.type);
+      expect(rolled.some((c) => c.id === target.id)).toBe(false);
+    }
+  });
+
+  it('skips a level-up for XP and a chest for gold', () => {
+    const game = new GameRuntime();
+    game.start('cowboy', 22);
+    const s = levelUp(game);
+    const xpBefore = s.xp;
+    expect(game.runtime.pickChoice('skip')).toBe(true);
+    expect(game.ui.screen).toBe('running');
+    expect(s.xp).toBe(xpBefore + Math.round(s.xpNeed * 0.2));
+    expect(s.player.skipCharges).toBe(0);
+
+    s.player.skipCharges = 1;
+    game.runtime.triggerUpgradeSequence(s, game.content);
+    expect(game.ui.chestBucket).toBeTruthy();
+    const coins = s.player.coins;
+    game.runtime.pickChoice('skip');
+    expect(s.player.coins).toBe(coins + 8 + 4 * s.floor);
+    expect(game.runtime.pickChoice('skip')).toBe(false);
+  });
+
+  it('levels up again when the skip refund reaches the next level', () => {
+    const game = new GameRuntime();
+    game.start('cowboy', 24);
+    const s = levelUp(game);
+    const level = s.level;
+    s.xp = s.xpNeed - 1;
+    expect(game.runtime.pickChoice('skip')).toBe(true);
+    expect(s.level).toBe(level + 1);
+    expect(s.xp).toBeLessThan(s.xpNeed);
+    expect(game.ui.screen).toBe('levelup');
+    expect(game.ui.level).toBe(s.level);
+  });
+
+  it('never offers an entry once everything of its type is banished', () => {
+    const game = new GameRuntime();
+    const s = game.start('cowboy', 23);
+    s.player.banished = game.content.items.map((it) => banishKey(TYPE.ITEM, it.id));
+    const rolled = game.runtime.rollChoicesOfType(s, TYPE.ITEM);
+    expect(rolled.map((c) => c.overflow)).toEqual(game.content.overflowRewards.map((r) => r.id));
+  });
+});
+
+describe('ChoiceRoller', () => {
+  it('picks weapon upgrade paths by their weight', () => {
+    const game = new GameRuntime();
+    const s = game.start('cowboy', 14);
+    const revolver = game.content.weapons.find((w) => w.id === s.player.weapons[0].id);
+    const only = revolver.upgrades[revolver.upgrades.length - 1];
+    for (const path of revolver.upgrades) path.weight = path === only ? 1 : 0;
+
+    const offered = [];
+    for (let i = 0; i < 20; i++) offered.push(...game.runtime.rollChoicesOfType(s, TYPE.WEAPON).filter((c) => c.id === revolver.id));
+    expect(offered.length).toBeGreaterThan(0);
+    expect(offered.every((c) => c.weaponUpgradeType === only.id)).toBe(true);
+  });
+});
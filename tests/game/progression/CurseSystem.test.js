@@ -0,0 +1,71 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { getCursePenalty, addCurse, cleanseCurse, cleanseCost, applyFloorCurses } from '../../../src/game/progression/CurseSystem.js';
+import { updateCurseSpawning } from '../../../src/game/progression/GameProgressionSystem.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+import { INTERACT, TYPE } from '../../../src/data/constants.js';
+
+describe('CurseSystem', () => {
+  it('stacks penalties from every curse and cleanses the newest', () => {
+    const p = { maxHp: 100, hp: 100 };
+    expect(getCursePenalty(p, 'enemySpeed')).toBe(1);
+    addCurse(p, { id: 'a', name: 'A', penalties: [{ kind: 'enemySpeed', value: 1.2 }, { kind: 'maxHpDrain', value: 8 }] });
+    addCurse(p, { id: 'b', name: 'B', penalties: [{ kind: 'enemySpeed', value: 1.5 }, { kind: 'maxHpDrain', value: 5 }] });
+    expect(getCursePenalty(p, 'enemySpeed')).toBeCloseTo(1.8);
+
+    expect(applyFloorCurses(p)).toBe(13);
+    expect([p.maxHp, p.hp]).toEqual([87, 87]);
+
+    expect(cleanseCurse(p).id).toBe('b');
+    expect(getCursePenalty(p, 'enemySpeed')).toBeCloseTo(1.2);
+    expect(getCursePenalty(p, 'chestCost')).toBe(1);
+  });
+
+  it('offers only cursed items from a cursed chest, marks the run and cleanses at a cleansing shrine', () => {
+    const game = new GameRuntime();
+    const s = game.start('cowboy', 31);
+    const p = s.player;
+    s.interact = [{ id: 'c', kind: INTERACT.CURSED_CHEST, x: p.x, y: p.y, r: 16, cost: 0, used: false, t: 0 }];
+    game.runtime.tryUseInteractable(s);
+
+    const cards = game.ui.levelChoices;
+    const cursedIds = game.content.cursedItems.map((it) => it.id);
+    expect(s.cursedRun).toBe(true);
+    expect(cards.every((c) => c.type === TYPE.ITEM && c.badge === 'CURSED' && cursedIds.includes(c.id) && c.curse)).toBe(true);
+
+    const coins = p.coins;
+    expect(game.runtime.pickChoice(0)).toBe(true);
+    expect(p.curses.map((c) => c.id)).toEqual([cards[0].id]);
+    expect(p.coins).toBe(coins);
+
+    // Regular shrines still buff while cursed
+    const maxHp = p.maxHp;
+    s.interact = [{ id: 's', kind: INTERACT.SHRINE, x: p.x, y: p.y, r: 16, cost: 0, used: false, t: 0 }];
+    game.runtime.tryUseInteractable(s);
+    expect(p.maxHp).toBeGreaterThan(maxHp);
+    expect(p.curses).toHaveLength(1);
+
+    p.coins = cleanseCost(s);
+    s.interact = [{ id: 'cs', kind: INTERACT.CLEANSE_SHRINE, x: p.x, y: p.y, r: 16, cost: cleanseCost(s), used: false, t: 0 }];
+    game.runtime.tryUseInteractable(s);
+    expect(p.curses).toEqual([]);
+    expect(s.interact).toEqual([]);
+    expect(p.coins).toBe(0);
+    expect(p.collectedItems.some((it) => it.id === cards[0].id)).toBe(true);
+  });
+
+  it('stops spawning cursed chests once every cursed item is owned', () => {
+    const cursedItems = [{ id: 'a' }, { id: 'b' }];
+    const spawned = [];
+    const spawn = (state, kind) => spawned.push(kind);
+    const s = { t: 30, floorStartTime: 0, stageLeft: 100, boss: { active: false }, interact: [], player: { collectedItems: [{ id: 'a' }] } };
+
+    updateCurseSpawning(s, spawn, INTERACT, cursedItems);
+    expect(spawned).toEqual([INTERACT.CURSED_CHEST]);
+
+    s.cursedChestSpawned = false;
+    s.player.collectedItems.push({ id: 'b' });
+    updateCurseSpawning(s, spawn, INTERACT, cursedItems);
+    expect(spawned).toEqual([INTERACT.CURSED_CHEST]);
+  });
+});
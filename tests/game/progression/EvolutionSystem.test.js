@@ -0,0 +1,75 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { getEvolutionStatus, findReadyEvolutions, getWeaponPool, evolveWeapon } from '../../../src/game/progression/EvolutionSystem.js';
+import { applyWeapon } from '../../../src/game/progression/UpgradeSystem.js';
+import { createGameContent } from '../../../src/data/index.js';
+import { rarityMult } from '../../../src/data/raritySystem.js';
+import { RARITY } from '../../../src/data/constants.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+
+const noop = () => {};
+const content = createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+const inferno = content.evolutions.find((e) => e.id === 'inferno_staff');
+const firestaff = content.weapons.find((w) => w.id === 'firestaff');
+
+function makePlayer() {
+  const p = { weapons: [], collectedWeapons: [], collectedTomes: [] };
+  applyWeapon(p, content.weapons.find((w) => w.id === 'revolver'), RARITY.COMMON, false);
+  applyWeapon(p, firestaff, RARITY.COMMON, false);
+  return p;
+}
+
+describe('EvolutionSystem', () => {
+  it('is ready once the weapon is maxed and the tome is held', () => {
+    const p = makePlayer();
+    expect(getEvolutionStatus(p, inferno, content.weapons)).toMatchObject({ weaponLevel: 1, maxLevel: firestaff.maxLevel, hasWeapon: false, hasTome: false, ready: false });
+
+    p.collectedTomes.push({ id: 't_elemental' });
+    p.weapons[1].level = firestaff.maxLevel - 1;
+    expect(findReadyEvolutions(p, content)).toEqual([]);
+    p.weapons[1].level = firestaff.maxLevel;
+    expect(findReadyEvolutions(p, content)).toEqual([inferno]);
+  });
+
+  it('replaces the weapon in its slot and swaps it in the weapon pool', () => {
+    const p = makePlayer();
+    expect(evolveWeapon(p, inferno, content.weapons, applyWeapon)).toBeNull();
+
+    p.weapons[1].level = firestaff.maxLevel;
+    p.collectedTomes.push({ id: 't_elemental' });
+    const evolved = evolveWeapon(p, inferno, content.weapons, applyWeapon);
+
+    expect(p.weapons.map((w) => w.id)).toEqual(['revolver', 'inferno_staff']);
+    expect(evolved).toMatchObject({ level: 1, weaponMode: 'inferno', weaponEffect: 'burn', projectiles: 4 });
+    expect(p.collectedWeapons.map((w) => w.id)).toEqual(['revolver', 'inferno_staff']);
+    expect(p.evolutions).toEqual(['inferno_staff']);
+    expect(getEvolutionStatus(p, inferno, content.weapons)).toMatchObject({ done: true, ready: false });
+
+    const pool = getWeaponPool(p, content).map((w) => w.id);
+    expect(pool).toContain('inferno_staff');
+    expect(pool).not.toContain('firestaff');
+    expect(getWeaponPool({ weapons: [] }, content)).toBe(content.weapons);
+  });
+
+  it('offers a legendary evolution card that fires the new mode in a headless run', () => {
+    const game = new GameRuntime();
+    const s = game.start('wizard', 11);
+    s.player.weapons[0].level = firestaff.maxLevel;
+    s.player.collectedTomes = [{ id: 't_elemental', name: 'Elemental Tome' }];
+
+    const choices = game.runtime.rollLevelChoices(s);
+    expect(choices).toHaveLength(3);
+    expect(choices[2]).toMatchObject({ badge: 'EVOLUTION', evolution: 'inferno_staff', rarity: RARITY.LEGENDARY, name: 'Inferno Staff' });
+    choices[2].apply();
+    expect(s.player.weapons[0].id).toBe('inferno_staff');
+
+    s.enemies.push({ id: 'dummy', x: s.player.x + 40, y: s.player.y, r: 14, hp: 1e9, maxHp: 1e9, speed: 0, tier: 'grunt', hitT: 0, phase: 0, xp: 0, coin: 0, slowMult: 1, z: 0 });
+    s.levelData = null;
+    game.runtime.fireWeapon(s);
+    const fireballs = s.bullets.filter((b) => b.effect === 'burn');
+    expect(fireballs).toHaveLength(4);
+    expect(fireballs.every((b) => b.splashR > 0)).toBe(true);
+
+    expect(game.runtime.rollLevelChoices(s).some((c) => c.badge)).toBe(false);
+  });
+});
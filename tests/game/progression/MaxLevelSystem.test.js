@@ -0,0 +1,61 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { getOwnedLevel, isMaxed, findLevelledDef } from '../../../src/game/progression/MaxLevelSystem.js';
+import { createChoiceRoller } from '../../../src/game/progression/ChoiceRoller.js';
+import { applyWeapon } from '../../../src/game/progression/UpgradeSystem.js';
+import { createGameContent } from '../../../src/data/index.js';
+import { rarityMult } from '../../../src/data/raritySystem.js';
+import { TYPE } from '../../../src/data/constants.js';
+import { createRunRng } from '../../../src/utils/rng.js';
+
+const noop = () => {};
+const content = createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+
+function makeRoller(s, tomes) {
+  return createChoiceRoller({
+    stateRef: { current: s },
+    content: { ...content, tomes },
+    applyWeapon,
+    pushCombatText: noop,
+    sfxInteract: noop,
+  });
+}
+
+describe('MaxLevelSystem', () => {
+  it('reads owned levels and max levels of weapons and tomes', () => {
+    const p = { weapons: [{ id: 'revolver', level: 8 }], collectedTomes: [{ id: 't_hp' }, { id: 't_quantity', level: 3 }] };
+    expect(getOwnedLevel(p, TYPE.WEAPON, 'revolver')).toBe(8);
+    expect(getOwnedLevel(p, TYPE.TOME, 't_hp')).toBe(1);
+    expect(getOwnedLevel(p, TYPE.TOME, 't_luck')).toBe(0);
+
+    expect(isMaxed(p, TYPE.WEAPON, findLevelledDef(content, TYPE.WEAPON, 'revolver'))).toBe(true);
+    expect(isMaxed(p, TYPE.TOME, findLevelledDef(content, TYPE.TOME, 't_quantity'))).toBe(true);
+    expect(isMaxed(p, TYPE.TOME, findLevelledDef(content, TYPE.TOME, 't_hp'))).toBe(false);
+    expect(findLevelledDef(content, TYPE.WEAPON, 'inferno_staff').maxLevel).toBe(8);
+  });
+
+  it('levels a tome per pick and marks the card that maxes it', () => {
+    const quantity = content.tomes.find((t) => t.id === 't_quantity');
+    const s = { rng: createRunRng(3), player: { x: 0, y: 0, luck: 0, weapons: [], collectedTomes: [] } };
+    const roller = makeRoller(s, [quantity]);
+
+    for (let level = 1; level <= quantity.maxLevel; level++) {
+      const [card] = roller.rollChoicesOfType(s, TYPE.TOME);
+      expect(card.id).toBe('t_quantity');
+      expect(card.badge).toBe(level === quantity.maxLevel ? `${TYPE.TOME} • MAX` : undefined);
+      card.apply();
+      expect(getOwnedLevel(s.player, TYPE.TOME, 't_quantity')).toBe(level);
+    }
+  });
+
+  it('offers overflow rewards once everything is maxed', () => {
+    const s = { rng: createRunRng(4), player: { x: 0, y: 0, luck: 0, coins: 0, weapons: [], collectedTomes: [{ id: 't_hp', level: 5 }] } };
+    const roller = makeRoller(s, content.tomes.filter((t) => t.id === 't_hp'));
+
+    const cards = roller.rollChoicesOfType(s, TYPE.TOME);
+    expect(cards.map((c) => c.overflow)).toEqual(['overflow_gold', 'overflow_heal', 'overflow_stat']);
+    expect(cards.every((c) => c.badge === 'OVERFLOW')).toBe(true);
+    cards[0].apply();
+    expect(s.player.coins).toBeGreaterThan(0);
+  });
+});
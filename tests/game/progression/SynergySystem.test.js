@@ -0,0 +1,63 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  getMissingRequirements,
+  getActiveSynergies,
+  updateSynergies,
+  findCompletedSynergies,
+} from '../../../src/game/progression/SynergySystem.js';
+import { createChoiceRoller } from '../../../src/game/progression/ChoiceRoller.js';
+import { applyWeapon } from '../../../src/game/progression/UpgradeSystem.js';
+import { createGameContent } from '../../../src/data/index.js';
+import { rarityMult } from '../../../src/data/raritySystem.js';
+import { TYPE } from '../../../src/data/constants.js';
+import { createRunRng } from '../../../src/utils/rng.js';
+
+const noop = () => {};
+const content = createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+const frenzy = content.synergies.find((syn) => syn.id === 'blood_frenzy');
+
+describe('SynergySystem', () => {
+  it('activates a synergy once when its last piece is collected', () => {
+    const p = { collectedItems: [{ id: 'bloodthirst' }], collectedTomes: [], lifesteal: 0.02 };
+    expect(getMissingRequirements(p, frenzy)).toEqual([{ kind: 'tomes', id: 't_vampire' }]);
+    expect(updateSynergies(p, content.synergies)).toEqual([]);
+
+    p.collectedTomes.push({ id: 't_vampire' });
+    expect(updateSynergies(p, content.synergies)).toEqual([frenzy]);
+    expect(p.lifesteal).toBeCloseTo(0.06);
+    expect(p.synergies).toEqual(['blood_frenzy']);
+    expect(getActiveSynergies(p, content.synergies)).toEqual([frenzy]);
+
+    expect(updateSynergies(p, content.synergies)).toEqual([]);
+    expect(p.lifesteal).toBeCloseTo(0.06);
+  });
+
+  it('finds the synergies a pick would complete', () => {
+    const p = { collectedItems: [{ id: 'chain_reaction' }], collectedTomes: [] };
+    expect(findCompletedSynergies(p, content.synergies, TYPE.ITEM, 'split_shot').map((syn) => syn.id)).toEqual(['cluster_bomb']);
+    expect(findCompletedSynergies(p, content.synergies, TYPE.TOME, 'split_shot')).toEqual([]);
+    expect(findCompletedSynergies(p, content.synergies, TYPE.ITEM, 'bloodthirst')).toEqual([]);
+  });
+
+  it('flags the card and activates the synergy when it is picked', () => {
+    const s = {
+      rng: createRunRng(5),
+      player: { x: 0, y: 0, luck: 0, weapons: [{ id: 'revolver' }], collectedItems: [{ id: 'bloodthirst' }], collectedTomes: [] },
+    };
+    const texts = [];
+    const roller = createChoiceRoller({
+      stateRef: { current: s },
+      content: { ...content, tomes: content.tomes.filter((t) => t.id === 't_vampire') },
+      applyWeapon,
+      pushCombatText: (state, x, y, text) => texts.push(text),
+      sfxInteract: noop,
+    });
+
+    const [card] = roller.rollChoicesOfType(s, TYPE.TOME);
+    expect(card).toMatchObject({ id: 't_vampire', synergy: 'Blood Frenzy' });
+    card.apply();
+    expect(s.player.synergies).toEqual(['blood_frenzy']);
+    expect(texts).toContain('SYNERGY: Blood Frenzy');
+  });
+});
@@ -0,0 +1,218 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  SAVE_VERSION,
+  SAVE_KEY,
+  SAVE_MIGRATIONS,
+  migrateSnapshot,
+  createRunSnapshot,
+  restoreRunSnapshot,
+  createSaveStore,
+} from '../../../src/game/save/SaveSystem.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+
+const DT = 1 / 60;
+
+function memoryStorage() {
+  const data = new Map();
+  return {
+    getItem: (k) => (data.has(k) ? data.get(k) : null),
+    setItem: (k, v) => data.set(k, String(v)),
+    removeItem: (k) => data.delete(k),
+  };
+}
+
+function input(i) {
+  return { keys: Math.floor(i / 40) % 2 ? ['a', 's'] : ['d', 'w'], jump: i % 90 === 0, ability: i % 300 === 150, choice: 0 };
+}
+
+function play(game, from, to) {
+  for (let i = from; i < to; i++) game.step(DT, input(i));
+}
+
+function fingerprint(game) {
+  const s = game.state;
+  return {
+    t: s.t,
+    floor: s.floor,
+    score: s.score,
+    level: s.level,
+    hp: s.player.hp,
+    coins: s.player.coins,
+    player: [s.player.x, s.player.y, s.player.z],
+    weapons: s.player.weapons.map((w) => [w.id, w.level]),
+    enemies: s.enemies.map((e) => [e.id, e.x, e.y, e.hp]),
+    bullets: s.bullets.length,
+    boss: [s.boss.active, s.boss.hp, s.boss.x, s.boss.y, s.boss.controller?.currentState ?? null],
+    rng: s.rng.loot(),
+    screen: game.ui.screen,
+  };
+}
+
+describe('SaveSystem', () => {
+  describe('migrateSnapshot', () => {
+    it('should upgrade one version at a time', () => {
+      const migrations = {
+        1: (s) => ({ ...s, state: { ...s.state, gold: s.state.coins } }),
+        2: (s) => ({ ...s, meta: { ...s.meta, migrated: true } }),
+      };
+      const out = migrateSnapshot({ version: 1, meta: {}, state: { coins: 7 } }, migrations, 3);
+      expect(out.version).toBe(3);
+      expect(out.state.gold).toBe(7);
+      expect(out.meta.migrated).toBe(true);
+    });
+
+    it('should leave current snapshots alone', () => {
+      const snap = { version: SAVE_VERSION, state: {} };
+      expect(migrateSnapshot(snap)).toBe(snap);
+    });
+
+    it('should move version 1 enemies onto behaviour state', () => {
+      const spitter = { id: 4, tier: 'spitter', x: 120, y: 80, spitT: 0.4, state: 'idle', lostSightT: 0 };
+      const { version, state } = migrateSnapshot({ version: 1, meta: {}, state: { enemies: [spitter] } }, SAVE_MIGRATIONS, 2);
+      expect(version).toBe(2);
+      expect(state.enemies[0]).toEqual({
+        id: 4,
+        tier: 'spitter',
+        x: 120,
+        y: 80,
+        attackT: 0.4,
+        ai: { index: -1, state: null, stateT: 0, seenT: null, homeX: 120, homeY: 80, charge: null },
+        affixes: [],
+        affixState: {},
+      });
+    });
+
+    it('should turn version 1 elite abilities and weaknesses into affixes', () => {
+      const elite = { id: 9, isElite: true, eliteAbility: 'teleport', eliteWeakness: 'fire', eliteArmor: 0, eliteRegenT: 0, eliteTeleportT: 3.5 };
+      const shielded = { id: 10, isElite: true, eliteAbility: 'shield', eliteWeakness: 'melee', eliteArmor: 0.3, eliteRegenT: 0, eliteTeleportT: 0 };
+      const { state } = migrateSnapshot({ version: 1, meta: {}, state: { enemies: [elite, shielded] } }, SAVE_MIGRATIONS, 2);
+      expect(state.enemies[0]).toMatchObject({ affixes: ['teleport', 'weak_fire'], affixState: { teleport: { t: 3.5 } } });
+      expect(state.enemies[1]).toMatchObject({ affixes: ['shield', 'weak_melee'], affixState: {} });
+      expect(Object.keys(state.enemies[1]).filter((k) => k.startsWith('elite'))).toEqual([]);
+    });
+
+    it('should reject missing, newer and unmigratable versions', () => {
+      expect(() => migrateSnapshot({})).toThrow('Not a save file');
+      expect(() => migrateSnapshot({ version: SAVE_VERSION + 1 })).toThrow('newer');
+      expect(() => migrateSnapshot({ version: 1 }, {}, 2)).toThrow('No migration');
+    });
+  });
+
+  describe('createSaveStore', () => {
+    it('should save, load and clear a snapshot', () => {
+      const storage = memoryStorage();
+      const store = createSaveStore(storage);
+      expect(store.load()).toBeNull();
+      expect(store.save({ version: SAVE_VERSION, meta: { floor: 2 } })).toBe(true);
+      expect(store.load().meta.floor).toBe(2);
+      store.clear();
+      expect(store.load()).toBeNull();
+    });
+
+    it('should treat unreadable saves as missing', () => {
+      const storage = memoryStorage();
+      storage.setItem(SAVE_KEY, '{not json');
+      expect(createSaveStore(storage).load()).toBeNull();
+    });
+  });
+
+  describe('run snapshots', () => {
+    it('should survive JSON and restore the same state', () => {
+      const game = new GameRuntime();
+      game.start('cowboy', 31);
+      play(game, 0, 240);
+
+      const snap = JSON.parse(JSON.stringify(createRunSnapshot(game.state, game.replay)));
+      expect(snap.meta).toMatchObject({ charId: 'cowboy', floor: 1 });
+
+      const { state, replay } = restoreRunSnapshot(snap, game.content);
+      expect(createRunSnapshot(state, replay).state).toEqual(snap.state);
+      expect(typeof state.rng.combat).toBe('function');
+      expect(typeof state.player.collectedWeapons[0].icon).toBe('function');
+    });
+
+    it('should continue a resumed run exactly like an uninterrupted one', () => {
+      const storage = memoryStorage();
+      const live = new GameRuntime({ storage });
+      live.start('cowboy', 2024);
+      play(live, 0, 300);
+      expect(live.saveRun()).toBe(true);
+      expect(live.ui.savedRun).toMatchObject({ floor: 1, charId: 'cowboy' });
+
+      const resumed = new GameRuntime({ storage });
+      expect(resumed.continueRun()).toBeTruthy();
+      expect(resumed.ui.screen).toBe('running');
+
+      play(live, 300, 600);
+      play(resumed, 300, 600);
+      expect(fingerprint(resumed)).toEqual(fingerprint(live));
+      // The input log carries on from the save, so the replay still covers the whole run
+      expect(resumed.replay).toEqual(live.replay);
+    });
+
+    it('should restore a boss fight mid-ability', () => {
+      const storage = memoryStorage();
+      const live = new GameRuntime({ storage });
+      const s = live.start('cowboy', 99);
+      live.runtime.startBoss(s, 120, s.player.x + 120, s.player.y);
+      play(live, 0, 150);
+      expect(s.boss.controller).toBeTruthy();
+      live.saveRun();
+
+      const resumed = new GameRuntime({ storage });
+      const r = resumed.continueRun();
+      expect(r.boss.controller.boss).toBe(r.boss);
+      expect(r.boss.controller.abilities.length).toBe(s.boss.controller.abilities.length);
+
+      play(live, 150, 400);
+      play(resumed, 150, 400);
+      expect(fingerprint(resumed)).toEqual(fingerprint(live));
+    });
+  });
+
+  describe('autosave', () => {
+    it('should save on reaching a new floor', () => {
+      const storage = memoryStorage();
+      const game = new GameRuntime({ storage });
+      const s = game.start('cowboy', 7);
+      game.runtime.startBoss(s, 120, s.player.x + 200, s.player.y);
+      s.boss.hp = 0;
+      game.step(DT);
+      // Nothing is saved while the next floor loads
+      expect(createSaveStore(storage).load()).toBeNull();
+      game.step(DT);
+      expect(s.floor).toBe(2);
+      expect(createSaveStore(storage).load().meta.floor).toBe(2);
+      expect(game.ui.savedRun.floor).toBe(2);
+    });
+
+    it('should clear the save when the run ends or a new one starts', () => {
+      const storage = memoryStorage();
+      const game = new GameRuntime({ storage });
+      const s = game.start('cowboy', 8);
+      game.saveRun();
+      s.player.hp = 0;
+      game.step(DT);
+      expect(createSaveStore(storage).load()).toBeNull();
+      expect(game.ui.savedRun).toBeNull();
+
+      game.start('cowboy', 9);
+      game.saveRun();
+      game.start('cowboy', 10);
+      expect(createSaveStore(storage).load()).toBeNull();
+    });
+
+    it('should leave the save alone while autosave is off', () => {
+      const storage = memoryStorage();
+      const game = new GameRuntime({ storage });
+      const saved = game.start('cowboy', 11);
+      game.saveRun();
+
+      game.runtime.setAutosave(false);
+      game.start('cowboy', 12);
+      expect(game.saveRun()).toBe(false);
+      expect(createSaveStore(storage).load().state.seed).toBe(saved.seed);
+    });
+  });
+});
@@ -8,7 +8,8 @@ import {
   TeleportAbility,
   ChargeAbility,
   MultiShotAbility,
-  BossController
+  BossController,
+  restoreBossAbility
 } from '../../../src/game/systems/BossAbilitySystem.js';
 
 describe('BossAbilitySystem', () => {
@@ -627,5 +628,29 @@ describe('BossAbilitySystem', () => {
       // Should advance state
       expect(ability1.state).toBe(BOSS_ABILITY_STATE.ACTIVE);
     });
+
+    it('should round-trip through serialize and restore', () => {
+      ability1.start(boss, player);
+      controller.currentAbility = ability1;
+      controller.currentState = BOSS_ABILITY_STATE.WINDUP;
+      ability2.cooldownTimer = 1.5;
+
+      const data = JSON.parse(JSON.stringify(controller.serialize()));
+      const rng = () => 0.5;
+      const restored = BossController.restore(data, boss, rng);
+
+      expect(restored.boss).toBe(boss);
+      expect(restored.abilities[0]).toBeInstanceOf(ConeAttackAbility);
+      expect(restored.abilities[1]).toBeInstanceOf(LineDashAbility);
+      expect(restored.currentAbility).toBe(restored.abilities[0]);
+      expect(restored.currentState).toBe(BOSS_ABILITY_STATE.WINDUP);
+      expect(restored.abilities[0].state).toBe(ability1.state);
+      expect(restored.abilities[1].cooldownTimer).toBe(1.5);
+      expect(restored.abilities[0].rng).toBe(rng);
+    });
+
+    it('should reject unknown ability types', () => {
+      expect(() => restoreBossAbility({ type: 'laser' }, Math.random)).toThrow('Unknown boss ability type');
+    });
   });
 });
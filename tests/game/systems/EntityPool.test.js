@@ -0,0 +1,78 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import {
+  ENTITY_CAPACITY,
+  spawnEntity,
+  sweepEntities,
+  clearEntities,
+  recycleEntities,
+  getPoolStats,
+} from '../../../src/game/systems/EntityPool.js';
+import { addParticle } from '../../../src/game/effects/VisualEffects.js';
+import { createRunSnapshot } from '../../../src/game/save/SaveSystem.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+
+function emptyState() {
+  return { bullets: [], particles: [], floaters: [], gems: [], coins: [] };
+}
+
+describe('EntityPool', () => {
+  it('swap-removes dead entries in place', () => {
+    const s = emptyState();
+    const list = s.particles;
+    for (let i = 0; i < 6; i++) spawnEntity(s, 'particles', { id: i, dead: i === 1 || i === 2 });
+    sweepEntities(s, 'particles', (q) => !q.dead);
+    expect(s.particles).toBe(list);
+    expect(list.map((q) => q.id)).toEqual([0, 5, 4, 3]);
+  });
+
+  it('reuses removed entities only after recycling, with their fields cleared', () => {
+    const s = emptyState();
+    const old = spawnEntity(s, 'bullets', { x: 5, returning: true, hitEnemies: new Set([{}]) });
+    sweepEntities(s, 'bullets', () => false);
+
+    const fresh = spawnEntity(s, 'bullets');
+    expect(fresh).not.toBe(old);
+    clearEntities(s, 'bullets');
+    recycleEntities(s);
+
+    const reused = [spawnEntity(s, 'bullets'), spawnEntity(s, 'bullets')];
+    expect(reused).toContain(old);
+    expect(reused).toContain(fresh);
+    expect(getPoolStats(s).bullets.created).toBe(2);
+    expect(old.x).toBeUndefined();
+    expect(old.returning).toBeUndefined();
+    expect(old.hitEnemies.size).toBe(0);
+  });
+
+  it('refuses spawns past the store capacity and counts them', () => {
+    const s = emptyState();
+    addParticle(s, 0, 0, ENTITY_CAPACITY.particles + 10);
+    expect(s.particles.length).toBe(ENTITY_CAPACITY.particles);
+    expect(spawnEntity(s, 'particles')).toBe(null);
+    expect(getPoolStats(s).particles.dropped).toBe(2);
+  });
+
+  it('reports live and pooled counts per store', () => {
+    const s = emptyState();
+    for (let i = 0; i < 5; i++) spawnEntity(s, 'gems', { t: 0, life: i < 3 ? 1 : 0 });
+    sweepEntities(s, 'gems', (g) => g.life > 0);
+    const stats = getPoolStats(s);
+    expect(stats.gems).toEqual({ live: 3, pooled: 2, created: 5, dropped: 0, capacity: ENTITY_CAPACITY.gems });
+    expect(stats.coins.live).toBe(0);
+  });
+
+  it('recycles during a headless run and keeps pools out of saves', () => {
+    const game = new GameRuntime();
+    game.start('cowboy', 42);
+    for (let i = 0; i < 900; i++) game.step(1 / 60, { keys: i % 120 < 60 ? ['d'] : ['a'], choice: 0 });
+
+    const stats = game.poolStats;
+    // Every object the pools made is either live or waiting to be reused
+    for (const type of ['bullets', 'particles', 'floaters']) {
+      expect(stats[type].created).toBe(stats[type].live + stats[type].pooled);
+    }
+    expect(stats.bullets.created).toBeGreaterThan(0);
+    expect(createRunSnapshot(game.state).state.pools).toBeUndefined();
+  });
+});
@@ -0,0 +1,71 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { updateFlowField } from '../../../src/game/systems/FlowFieldCache.js';
+import { generateFlowField } from '../../../src/game/systems/PathfindingSystem.js';
+import { deepClone } from '../../../src/utils/data.js';
+
+// Open 40x40 room with a wall border
+function makeState() {
+  const grid = Array.from({ length: 40 }, (_, y) => Array.from({ length: 40 }, (_, x) => (x === 0 || y === 0 || x === 39 || y === 39 ? 0 : 1)));
+  return {
+    floor: 1,
+    player: { x: 55, y: 55 },
+    levelData: { pathfindingGrid: grid, pathfindingWallInfluence: null, pathfindingGridSize: 10 },
+  };
+}
+
+describe('FlowFieldCache', () => {
+  it('should compute the first field immediately and keep it while the player stays in the cell', () => {
+    const s = makeState();
+    updateFlowField(s, null, 100);
+    const first = s.flowFieldData;
+    expect(first).toEqual(generateFlowField(55, 55, s.levelData.pathfindingGrid, 10));
+    s.player.x = 58;
+    updateFlowField(s, null, 100);
+    expect(s.flowFieldData).toBe(first);
+    expect(s.flowField.pending).toBeNull();
+  });
+
+  it('should spread a new field over several steps when the player changes cell', () => {
+    const s = makeState();
+    updateFlowField(s, null, 100);
+    const first = s.flowFieldData;
+    s.player.x = 205;
+    updateFlowField(s, null, 100);
+    expect(s.flowFieldData).toBe(first);
+    expect(s.flowField.pending).toMatchObject({ cellX: 20, cellY: 5 });
+    let steps = 1;
+    while (s.flowField.pending) {
+      updateFlowField(s, null, 100);
+      steps++;
+    }
+    expect(steps).toBeGreaterThan(2);
+    expect(s.flowFieldData).toEqual(generateFlowField(205, 55, s.levelData.pathfindingGrid, 10));
+  });
+
+  it('should rebuild the same field and pending slices from saved cells', () => {
+    const live = makeState();
+    updateFlowField(live, null, 100);
+    live.player.x = 205;
+    updateFlowField(live, null, 100);
+    updateFlowField(live, null, 100);
+
+    const { flowFieldData, ...saved } = live;
+    const resumed = { ...deepClone(saved), levelData: live.levelData };
+    for (let i = 0; i < 20; i++) {
+      updateFlowField(live, null, 100);
+      updateFlowField(resumed, null, 100);
+      expect(resumed.flowField).toEqual(live.flowField);
+    }
+    expect(resumed.flowFieldData).toEqual(live.flowFieldData);
+  });
+
+  it('should start over on a new floor', () => {
+    const s = makeState();
+    updateFlowField(s, null, 100);
+    s.floor = 2;
+    s.player.x = 305;
+    updateFlowField(s, null, 100);
+    expect(s.flowField).toMatchObject({ floor: 2, cellX: 30, pending: null });
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect } from 'vitest';
-import { generateFlowField, getFlowDirection } from '../../../src/game/systems/PathfindingSystem.js';
+import { generateFlowField, getFlowDirection, buildWallCosts, createFlowFieldJob, stepFlowFieldJob, flowFieldFromJob } from '../../../src/game/systems/PathfindingSystem.js';
 
 describe('PathfindingSystem', () => {
   describe('generateFlowField', () => {
@@ -245,4 +245,32 @@ describe('PathfindingSystem', () => {
       expect(result.distances).toBeDefined();
     });
   });
+
+  describe('flow field jobs', () => {
+    const grid = [
+      [0, 0, 0, 0, 0, 0],
+      [0, 1, 1, 1, 1, 0],
+      [0, 1, 0, 0, 1, 0],
+      [0, 1, 1, 1, 1, 0],
+      [0, 0, 0, 0, 0, 0]
+    ];
+
+    it('should give the same field whether run at once or in slices', () => {
+      const costs = buildWallCosts(grid);
+      const whole = generateFlowField(15, 15, grid, 10, costs);
+      const job = createFlowFieldJob(1, 1, grid, 10, costs);
+      let slices = 0;
+      while (!stepFlowFieldJob(job, 2)) slices++;
+      expect(slices).toBeGreaterThan(1);
+      expect(flowFieldFromJob(job)).toEqual(whole);
+    });
+
+    it('should build the same wall costs from a wall influence map as from the grid', () => {
+      // Every floor tile here touches a wall
+      const influence = grid.map((row) => row.map((v) => (v === 1 ? 0.25 : 0)));
+      expect(buildWallCosts(grid, influence)).toEqual(buildWallCosts(grid));
+      expect(buildWallCosts(grid)[1][1]).toBe(2.5);
+      expect(buildWallCosts(grid)[0][0]).toBe(Infinity);
+    });
+  });
 });
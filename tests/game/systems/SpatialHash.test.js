@@ -0,0 +1,90 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createSpatialHash, indexEnemies, enemiesNear, findNearestEnemy } from '../../../src/game/systems/SpatialHash.js';
+import { acquireTarget } from '../../../src/game/systems/TargetingSystem.js';
+import { createRngStream } from '../../../src/utils/rng.js';
+
+function scatter(n, seed = 7, size = 2000) {
+  const rng = createRngStream(seed);
+  return Array.from({ length: n }, (_, i) => ({ id: i, x: rng() * size, y: rng() * size, r: 8 + rng() * 10, hp: rng() < 0.1 ? 0 : 10 }));
+}
+
+function linearNearest(list, x, y, filter) {
+  let best = null;
+  let bestD2 = Infinity;
+  for (const e of list) {
+    if (filter && !filter(e)) continue;
+    const d2 = (e.x - x) ** 2 + (e.y - y) ** 2;
+    if (d2 < bestD2) {
+      bestD2 = d2;
+      best = e;
+    }
+  }
+  return best;
+}
+
+describe('SpatialHash', () => {
+  it('returns every entity within the radius, in insertion order', () => {
+    const list = scatter(400);
+    const grid = createSpatialHash();
+    grid.build(list);
+    const rng = createRngStream(3);
+    for (let q = 0; q < 50; q++) {
+      const x = rng() * 2000;
+      const y = rng() * 2000;
+      const r = 20 + rng() * 200;
+      const expected = list.filter((e) => Math.hypot(e.x - x, e.y - y) <= r + e.r);
+      const got = grid.queryRadius(x, y, r);
+      expect(got.filter((e) => Math.hypot(e.x - x, e.y - y) <= r + e.r)).toEqual(expected);
+      expect(got.map((e) => e.id)).toEqual([...got.map((e) => e.id)].sort((a, b) => a - b));
+    }
+  });
+
+  it('finds the same nearest entity as a linear scan', () => {
+    const list = scatter(300, 11);
+    const grid = createSpatialHash();
+    grid.build(list);
+    const alive = (e) => e.hp > 0;
+    const rng = createRngStream(5);
+    for (let q = 0; q < 50; q++) {
+      const x = rng() * 2400 - 200;
+      const y = rng() * 2400 - 200;
+      expect(grid.queryNearest(x, y, { filter: alive })).toBe(linearNearest(list, x, y, alive));
+    }
+  });
+
+  it('breaks nearest ties toward the earlier entity and respects maxDist', () => {
+    const grid = createSpatialHash();
+    const a = { x: 110, y: 100 };
+    const b = { x: 90, y: 100 };
+    grid.build([b, a]);
+    expect(grid.queryNearest(100, 100)).toBe(b);
+    expect(grid.queryNearest(100, 100, { maxDist: 10 })).toBe(null);
+    expect(grid.queryNearest(100, 100, { maxDist: 10.5 })).toBe(b);
+  });
+
+  it('still finds entities nudged within the slack after indexing', () => {
+    const e = { x: 60, y: 60, r: 10 };
+    const grid = createSpatialHash();
+    grid.build([e]);
+    e.x += 40;
+    expect(grid.queryRadius(120, 60, 15)).toContain(e);
+  });
+
+  it('skips earlier entities with fromIndex so each pair is visited once', () => {
+    const list = [{ x: 0, y: 0 }, { x: 5, y: 0 }, { x: 10, y: 0 }];
+    const grid = createSpatialHash();
+    grid.build(list);
+    expect(grid.queryRadius(5, 0, 10, 2)).toEqual([list[2]]);
+  });
+
+  it('falls back to the full enemy list until the state is indexed', () => {
+    const s = { enemies: scatter(50), boss: { active: false } };
+    expect(enemiesNear(s, 0, 0, 10)).toBe(s.enemies);
+    const before = acquireTarget(s, 1000, 1000);
+    indexEnemies(s);
+    expect(enemiesNear(s, 0, 0, 10).length).toBeLessThan(s.enemies.length);
+    expect(acquireTarget(s, 1000, 1000)).toEqual(before);
+    expect(findNearestEnemy(s, 1000, 1000)).toBe(linearNearest(s.enemies, 1000, 1000));
+  });
+});
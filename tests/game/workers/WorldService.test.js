@@ -0,0 +1,125 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { createWorldService } from '../../../src/game/workers/WorldService.js';
+import { createWorldState, handleWorldMessage, packGrid, unpackGrid } from '../../../src/game/workers/WorldProtocol.js';
+import { generateProceduralLevel } from '../../../src/game/world/LevelGenerator.js';
+import { generateFlowField, buildWallCosts } from '../../../src/game/systems/PathfindingSystem.js';
+import { createRngStream } from '../../../src/utils/rng.js';
+import { GameRuntime } from '../../../src/game/GameRuntime.js';
+import { countReplayFrames } from '../../../src/game/input/ReplayPlayer.js';
+
+const DT = 1 / 60;
+
+// Runs the worker's handler a tick later, cloning and transferring like postMessage does
+function createFakeWorker() {
+  const state = createWorldState();
+  const worker = {
+    onmessage: null,
+    transferred: 0,
+    terminated: false,
+    postMessage(message, transfer = []) {
+      const { id, type, payload } = structuredClone(message, { transfer });
+      setTimeout(() => {
+        if (worker.terminated) return;
+        try {
+          const { result, transfer: out } = handleWorldMessage(state, type, payload);
+          worker.transferred += out.length;
+          worker.onmessage({ data: structuredClone({ id, ok: true, result }, { transfer: out }) });
+        } catch (error) {
+          worker.onmessage({ data: { id, ok: false, error: error.message } });
+        }
+      }, 0);
+    },
+    terminate() {
+      worker.terminated = true;
+    },
+  };
+  return worker;
+}
+
+function levelFrom(state, floor) {
+  const rng = createRngStream(0);
+  rng.setState(state);
+  return { levelData: generateProceduralLevel(960, 540, floor, rng), rngState: rng.getState() };
+}
+
+describe('WorldService', () => {
+  it('should round-trip grids through typed arrays', () => {
+    const rows = [[0, 1, 1], [1, 0, 1]];
+    const packed = packGrid(rows);
+    expect(packed.data).toBeInstanceOf(Uint8Array);
+    expect(unpackGrid(packed)).toEqual(rows);
+    expect(unpackGrid(packGrid([[Infinity, 2.5]], Float64Array))).toEqual([[Infinity, 2.5]]);
+  });
+
+  it('should generate the same level and rng state in-process, as a promise, and on a worker', async () => {
+    const expected = levelFrom(12345, 2);
+    const local = createWorldService();
+    expect(local.isAsync).toBe(false);
+    expect(local.generateLevelNow(960, 540, 2, 12345)).toEqual(expected);
+    expect(await local.generateLevel(960, 540, 2, 12345)).toEqual(expected);
+
+    const worker = createFakeWorker();
+    const remote = createWorldService(worker);
+    expect(remote.isAsync).toBe(true);
+    expect(await remote.generateLevel(960, 540, 2, 12345)).toEqual(expected);
+    expect(worker.transferred).toBeGreaterThan(0);
+  });
+
+  it('should compute flow fields on the worker identical to generateFlowField', async () => {
+    const { levelData } = levelFrom(99, 1);
+    const grid = levelData.pathfindingGrid;
+    const costs = buildWallCosts(grid, levelData.pathfindingWallInfluence);
+    const room = levelData.rooms[0];
+    const cellX = Math.floor((room.x + room.w / 2) / 10);
+    const cellY = Math.floor((room.y + room.h / 2) / 10);
+
+    const remote = createWorldService(createFakeWorker());
+    const field = await remote.computeFlowField(levelData, costs, cellX, cellY);
+    expect(field).toEqual(generateFlowField(cellX * 10 + 5, cellY * 10 + 5, grid, 10, costs));
+  });
+
+  it('should reject pending requests and carry on in-process after terminate', async () => {
+    const remote = createWorldService(createFakeWorker());
+    const pending = remote.generateLevel(960, 540, 1, 1);
+    remote.terminate();
+    await expect(pending).rejects.toThrow('terminated');
+    expect(remote.isAsync).toBe(false);
+    expect(await remote.generateLevel(960, 540, 1, 7)).toEqual(levelFrom(7, 1));
+  });
+
+  describe('floor loading in a run', () => {
+    function killBoss(game) {
+      const s = game.state;
+      game.runtime.startBoss(s, 120, s.player.x + 200, s.player.y);
+      s.boss.hp = 0;
+      game.step(DT);
+    }
+
+    it('should freeze the world until the worker delivers the next floor', async () => {
+      const sync = new GameRuntime();
+      sync.start('cowboy', 21);
+      killBoss(sync);
+      sync.step(DT);
+
+      const game = new GameRuntime({ world: createWorldService(createFakeWorker()) });
+      const s = game.start('cowboy', 21);
+      killBoss(game);
+      expect(s.loadingFloor).toEqual({ floor: 2 });
+      const t = s.t;
+      game.step(DT);
+      game.step(DT);
+      expect(s.t).toBe(t);
+      // Loading frames aren't recorded, so the replay matches the in-process run's
+      expect(countReplayFrames(game.replay)).toBe(1);
+
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      game.step(DT);
+      expect(s.loadingFloor).toBeNull();
+      expect(s.levelData).toEqual(sync.state.levelData);
+      expect(s.player.x).toBe(sync.state.player.x);
+      expect(s.rng.levelgen.getState()).toBe(sync.state.rng.levelgen.getState());
+      expect(game.replay).toEqual(sync.replay);
+    });
+  });
+});
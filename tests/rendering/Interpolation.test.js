@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import { captureRenderState, interpolateRenderState, SNAP_DISTANCE } from '../../src/rendering/Interpolation.js';
+
+function makeState() {
+  return {
+    camera: { x: 0, y: 0 },
+    player: { x: 100, y: 100, z: 0 },
+    boss: { active: false, x: 0, y: 0 },
+    enemies: [{ x: 10, y: 10 }],
+    bullets: [],
+    gems: [],
+    coins: [],
+    consumables: [],
+  };
+}
+
+describe('Interpolation', () => {
+  it('should draw between the previous and current step', () => {
+    const s = makeState();
+    const prev = captureRenderState(s);
+    s.player.x = 110;
+    s.player.z = 4;
+    s.camera.x = 20;
+    s.enemies[0].y = 30;
+
+    const restore = interpolateRenderState(prev, 0.25);
+    expect(s.player.x).toBeCloseTo(102.5, 5);
+    expect(s.player.z).toBeCloseTo(1, 5);
+    expect(s.camera.x).toBeCloseTo(5, 5);
+    expect(s.enemies[0].y).toBeCloseTo(15, 5);
+
+    restore();
+    expect(s.player).toEqual({ x: 110, y: 100, z: 4 });
+    expect(s.camera).toEqual({ x: 20, y: 0 });
+    expect(s.enemies[0]).toEqual({ x: 10, y: 30 });
+  });
+
+  it('should snap teleports instead of smearing them', () => {
+    const s = makeState();
+    const prev = captureRenderState(s);
+    s.player.x += SNAP_DISTANCE * 2;
+    const restore = interpolateRenderState(prev, 0.5);
+    expect(s.player.x).toBe(100 + SNAP_DISTANCE * 2);
+    restore();
+    expect(s.player.x).toBe(100 + SNAP_DISTANCE * 2);
+  });
+
+  it('should draw entities spawned this step where they are', () => {
+    const s = makeState();
+    const prev = captureRenderState(s);
+    s.bullets.push({ x: 50, y: 50 });
+    interpolateRenderState(prev, 0.5);
+    expect(s.bullets[0]).toEqual({ x: 50, y: 50 });
+  });
+
+  it('should capture nothing without a run', () => {
+    expect(captureRenderState(null)).toEqual([]);
+  });
+});
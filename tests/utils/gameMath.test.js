@@ -0,0 +1,56 @@
+// @vitest-environment node
+import { describe, it, expect } from 'vitest';
+import { buildPreview, computeSpeed, describeStatChanges } from '../../src/utils/gameMath.js';
+import { createGameContent } from '../../src/data/index.js';
+import { rarityMult } from '../../src/data/raritySystem.js';
+import { PLAYER_BASE_STATS } from '../../src/data/characterData.js';
+import { RARITY } from '../../src/data/constants.js';
+
+const noop = () => {};
+const content = createGameContent((name) => `icon:${name}`, rarityMult, noop, noop, noop);
+const names = { revolver: 'Revolver' };
+const weaponName = (id) => names[id] || id;
+
+function makePlayer() {
+  return { ...structuredClone(PLAYER_BASE_STATS), weapons: [{ id: 'revolver', weaponDamage: 9, attackCooldown: 0.68, projectiles: 1 }] };
+}
+
+describe('describeStatChanges', () => {
+  it('lists player and per-weapon stats that changed', () => {
+    const before = makePlayer();
+    const after = { ...makePlayer(), critChance: 0.106, speedBonus: 10, chainReactionChance: 0.32 };
+    after.weapons[0].weaponDamage = 9.4;
+    expect(describeStatChanges(before, after, computeSpeed, weaponName)).toEqual([
+      'Speed 75 → 85',
+      'Crit 0% → 10.6%',
+      'Chain reaction chance 32%',
+      'Revolver dmg 9.0 → 9.4',
+    ]);
+  });
+});
+
+describe('buildPreview', () => {
+  it('previews tomes and items from their real effects, scaled by rarity', () => {
+    const p = makePlayer();
+    const preview = (entry, rarity) => buildPreview(p, (pp) => entry.preview(pp, rarity), computeSpeed, null, null, weaponName);
+    const damage = content.tomes.find((t) => t.id === 't_damage');
+    expect(preview(damage, RARITY.COMMON)).toMatch(/^Revolver dmg 9\.0 → 9\.\d$/);
+
+    const cheese = content.items.find((it) => it.id === 'moldy_cheese');
+    const previewItem = (rarity) => buildPreview(p, (pp) => cheese.preview({ player: pp }, rarity), computeSpeed, null, null, weaponName);
+    expect(previewItem(RARITY.COMMON)).toBe(`Poison 0% → ${Number((0.06 * rarityMult(RARITY.COMMON) * 100).toFixed(1))}%`);
+    expect(previewItem(RARITY.LEGENDARY)).toBe(`Poison 0% → ${Number((0.06 * rarityMult(RARITY.LEGENDARY) * 100).toFixed(1))}%`);
+    expect(p.poisonChance).toBe(0);
+  });
+
+  it('mutes screen and sound hooks while previewing item scripts', () => {
+    const calls = [];
+    const loud = createGameContent(noop, rarityMult, () => calls.push('shake'), () => calls.push('particle'), () => calls.push('sfx'));
+    const nuke = loud.items.find((it) => it.id === 'nuke');
+    const s = { player: makePlayer(), enemies: [], boss: { active: false }, hitStopT: 0 };
+    nuke.preview(s, RARITY.COMMON);
+    expect(calls).toEqual([]);
+    nuke.apply(s, RARITY.COMMON);
+    expect(calls).toEqual(['shake', 'particle', 'sfx']);
+  });
+});